@@ -5,6 +5,9 @@ import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import Moderator from '../models/ModeratorSchema.js';
 import Admin from '../models/AdminSchema.js';
+import { releaseSlot } from '../services/availabilityService.js';
+import { offerFreedSlot } from '../services/waitlistService.js';
+import { validateStatusChange } from '../config/bookingPolicy.js';
 
 export const getDashboardStats = async (req, res) => {
     try {
@@ -14,7 +17,7 @@ export const getDashboardStats = async (req, res) => {
         const totalAppointments = await Booking.countDocuments();
 
         // Calculate total earnings
-        const bookings = await Booking.find({ status: 'approved' });
+        const bookings = await Booking.find({ status: { $in: ['approved', 'finished'] } });
         const totalEarnings = bookings.reduce((total, booking) => total + booking.fee, 0);
 
         // Get recent appointments
@@ -236,12 +239,33 @@ export const register = async (req, res) => {
 };
 
 export const updateAppointmentStatus = async (req, res) => {
+    const { status, note } = req.body;
+
     try {
-        const appointment = await Booking.findByIdAndUpdate(
-            req.params.id,
-            { status: req.body.status },
-            { new: true }
-        );
+        const appointment = await Booking.findById(req.params.id);
+
+        if (!appointment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appointment not found'
+            });
+        }
+
+        const statusError = validateStatusChange(appointment, status);
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                message: statusError
+            });
+        }
+
+        appointment.setStatus(status, { actor: req.userId, actorRole: 'admin', note });
+        await appointment.save();
+
+        if (status === 'cancelled') {
+            await releaseSlot(appointment._id);
+            await offerFreedSlot(appointment.doctor, appointment.appointmentDate, appointment.appointmentTime);
+        }
 
         res.status(200).json({
             success: true,
@@ -6,8 +6,87 @@
  * @version 1.0.0
  */
 
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
 import AmbulanceDriver from '../models/AmbulanceDriver.js';
 import AmbulanceRequest from '../models/AmbulanceRequest.js';
+import ChatSession from '../models/ChatSession.js';
+import User from '../models/UserSchema.js';
+import Hospital from '../models/Hospital.js';
+import {
+    findNearestDrivers,
+    offerToNextDriver,
+    endOffer,
+    acceptOpenOffer,
+    closeOffer,
+    expireOffers
+} from '../services/ambulanceDispatchService.js';
+import {
+    getDispatchPolicy,
+    validateCoordinates,
+    validateRequestStatusChange,
+    PROGRESS_STATUSES
+} from '../config/dispatchPolicy.js';
+import {
+    TRACKING_DRIVER_FIELDS,
+    canTrackRequest,
+    trackingSnapshot,
+    publishRequestUpdate,
+    publishRequestRemoved,
+    publishDriverPosition
+} from '../services/ambulanceTrackingService.js';
+import { suggestHospitals } from '../services/hospitalRoutingService.js';
+
+// Recent chatbot messages shown to dispatchers with a request made from the chat
+const CHAT_CONTEXT_MESSAGES = 6;
+
+// Destination hospital fields sent with a request, enough to navigate there
+const REQUEST_HOSPITAL_FIELDS = 'name address phone position';
+
+// Who a status change is recorded against in the request's history
+const actorRoleOf = (req) => (['admin', 'driver'].includes(req.role) ? req.role : 'patient');
+
+// Statuses in which the assigned driver is working on a request
+const DRIVER_ACTIVE_STATUSES = ['assigned', 'en_route', 'arrived', 'transporting'];
+
+// Statuses drivers set for themselves; busy follows from their requests
+const DRIVER_SELF_STATUSES = ['available', 'offline'];
+
+/**
+ * Whether the caller is a driver acting on someone else's driver record.
+ * Drivers may only change their own record and the requests assigned to them.
+ * @param {Object} req - Express request object
+ * @param {*} driverId - Driver the action is about
+ * @returns {boolean}
+ */
+const isOtherDriver = (req, driverId) =>
+    req.role === 'driver' && (!driverId || driverId.toString() !== req.userId);
+
+/**
+ * Whether the caller may act for a driver: an admin, or that driver. Patients
+ * and doctors may not move requests along or change a driver's status or position.
+ * @param {Object} req - Express request object
+ * @param {*} driverId - Driver the action is about
+ * @returns {boolean}
+ */
+const actsForDriver = (req, driverId) =>
+    req.role === 'admin' || (req.role === 'driver' && !isOtherDriver(req, driverId));
+
+/**
+ * Hash a driver app password in an admin's create or update body. An empty
+ * password is dropped so editing a driver keeps the current one.
+ * @async
+ * @param {Object} body - Driver details
+ * @returns {Promise<Object>} Details ready to save
+ */
+const withHashedPassword = async (body) => {
+    const { password, ...details } = body;
+    if (!password) return details;
+
+    const salt = await bcrypt.genSalt(10);
+    return { ...details, password: await bcrypt.hash(password, salt) };
+};
 
 // ==================== Driver Controllers ====================
 
@@ -20,19 +99,20 @@ import AmbulanceRequest from '../models/AmbulanceRequest.js';
  * @param {string} req.body.driverName - Driver's full name
  * @param {string} req.body.phone - Driver's contact number
  * @param {string} req.body.licenseNumber - Driver's license number
- * @param {Object} req.body.location - Driver's current location
+ * @param {string} [req.body.location] - Driver's base or usual area
  * @param {string} req.body.vehicleNumber - Ambulance vehicle number
+ * @param {string} [req.body.password] - Password for the driver app; without one the driver cannot sign in
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Created driver details
  */
 export const createDriver = async (req, res) => {
     try {
-        const driver = new AmbulanceDriver(req.body);
+        const driver = new AmbulanceDriver(await withHashedPassword(req.body));
         await driver.save();
         res.status(201).json({
             success: true,
             message: 'Driver created successfully',
-            data: driver
+            data: { ...driver._doc, password: undefined }
         });
     } catch (error) {
         res.status(400).json({
@@ -80,6 +160,13 @@ export const getAllDrivers = async (req, res) => {
  */
 export const getDriverById = async (req, res) => {
     try {
+        if (isOtherDriver(req, req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only view your own driver record'
+            });
+        }
+
         const driver = await AmbulanceDriver.findById(req.params.id);
         if (!driver) {
             return res.status(404).json({
@@ -107,6 +194,7 @@ export const getDriverById = async (req, res) => {
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Driver's ID
  * @param {Object} req.body - Updated driver details
+ * @param {string} [req.body.password] - New driver app password; leave empty to keep the current one
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated driver details
  * @description Updates an ambulance driver's information with validation
@@ -115,7 +203,7 @@ export const updateDriver = async (req, res) => {
     try {
         const driver = await AmbulanceDriver.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            await withHashedPassword(req.body),
             { new: true, runValidators: true }
         );
         if (!driver) {
@@ -169,6 +257,155 @@ export const deleteDriver = async (req, res) => {
     }
 };
 
+// ==================== Driver App Controllers ====================
+
+/**
+ * Sign in to the driver app
+ * @async
+ * @function driverLogin
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Credentials
+ * @param {string} req.body.phone - Driver's phone number
+ * @param {string} req.body.password - Password set by an admin
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Token with the driver role and the driver's details
+ */
+export const driverLogin = async (req, res) => {
+    try {
+        const { phone, password } = req.body;
+
+        const driver = phone && await AmbulanceDriver.findOne({ phone: String(phone).trim() }).select('+password');
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+
+        if (!driver.password) {
+            return res.status(403).json({
+                success: false,
+                message: 'No app password has been set for you yet. Please contact the dispatcher.'
+            });
+        }
+
+        const isPasswordMatch = await bcrypt.compare(password || '', driver.password);
+        if (!isPasswordMatch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        driver.lastLogin = new Date();
+        await driver.save();
+
+        // Lasts about one shift
+        const token = jwt.sign(
+            { id: driver._id, role: 'driver' },
+            process.env.JWT_SECRET_KEY,
+            { expiresIn: '1d' }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Successfully logged in',
+            token,
+            data: { ...driver._doc, password: undefined, role: 'driver' }
+        });
+    } catch (error) {
+        console.error('Driver login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to login',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the signed-in driver's record
+ * @async
+ * @function getMyDriverProfile
+ * @param {Object} req - Express request object
+ * @param {string} req.userId - Driver's ID from the token
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Driver details
+ */
+export const getMyDriverProfile = async (req, res) => {
+    try {
+        if (req.role !== 'driver') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only ambulance drivers can use the driver app'
+            });
+        }
+
+        const driver = await AmbulanceDriver.findById(req.userId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                message: 'Driver not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: driver
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get the signed-in driver's open offers and active requests
+ * @async
+ * @function getDriverRequests
+ * @param {Object} req - Express request object
+ * @param {string} req.userId - Driver's ID from the token
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Offers waiting for an answer, newest first, and
+ * requests the driver is working on
+ */
+export const getDriverRequests = async (req, res) => {
+    try {
+        if (req.role !== 'driver') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only ambulance drivers can use the driver app'
+            });
+        }
+
+        // Settle stale offers first so the driver never sees one that is already gone
+        await expireOffers();
+
+        const [offers, active] = await Promise.all([
+            AmbulanceRequest.find({ status: 'offered', 'offer.driverId': req.userId })
+                .select('-chatSessionId -pastOffers')
+                .populate('hospitalId', REQUEST_HOSPITAL_FIELDS)
+                .sort({ 'offer.offeredAt': -1 }),
+            AmbulanceRequest.find({ driverId: req.userId, status: { $in: DRIVER_ACTIVE_STATUSES } })
+                .select('-chatSessionId -pastOffers')
+                .populate('hospitalId', REQUEST_HOSPITAL_FIELDS)
+                .sort({ createdAt: 1 })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: { offers, active }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
 // ==================== Request Controllers ====================
 
 /**
@@ -181,16 +418,26 @@ export const deleteDriver = async (req, res) => {
  * @param {string} req.body.phone - Contact phone number
  * @param {string} req.body.pickupLocation - Pickup location description
  * @param {string} req.body.emergencyType - Type of medical emergency
- * @param {string} req.body.preferredHospital - Preferred hospital (optional)
+ * @param {string} [req.body.hospitalId] - Hospital from the directory to be taken to
+ * @param {string} [req.body.preferredHospital] - Hospital name, for clients without the directory
  * @param {Object} req.body.coordinates - Location coordinates
+ * @param {string} [req.body.chatSessionId] - Chatbot session the request was made from
  * @param {string} req.userId - Authenticated user's ID
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Created request details and nearby drivers
- * @description Creates a new ambulance request and finds nearby available drivers
+ * @returns {Promise<Object>} Created request details, nearby drivers and the radius they were found in
+ * @description Creates a new ambulance request and finds the available drivers
+ * closest to the pickup point, nearest first with their distance. The search
+ * radius widens when nobody is close (config/dispatchPolicy.js). With
+ * automatic dispatch on, the closest driver is offered the request straight away.
+ * Name and phone default to the user's profile, so a request from a chatbot
+ * emergency alert only needs the location and emergency type.
+ * Without a hospital of the patient's choosing, the nearest hospital that can
+ * take the emergency (services/hospitalRoutingService.js) becomes the destination.
  */
 export const createRequest = async (req, res) => {
     try {
-        const { name, phone, pickupLocation, emergencyType, preferredHospital, coordinates } = req.body;
+        const { pickupLocation, emergencyType, hospitalId, preferredHospital, coordinates, chatSessionId } = req.body;
+        let { name, phone } = req.body;
         const userId = req.userId;
         
         if (!userId) {
@@ -199,7 +446,70 @@ export const createRequest = async (req, res) => {
                 message: 'Authentication required to request an ambulance'
             });
         }
+
+        const coordinatesError = validateCoordinates(coordinates?.latitude, coordinates?.longitude);
+        if (coordinatesError) {
+            return res.status(400).json({
+                success: false,
+                message: coordinatesError
+            });
+        }
+
+        // A request from the chatbot is linked to the user's own conversation
+        if (chatSessionId) {
+            const session = mongoose.isValidObjectId(chatSessionId)
+                ? await ChatSession.exists({ _id: chatSessionId, userId })
+                : null;
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Chat session not found'
+                });
+            }
+        }
+
+        if (!name || !phone) {
+            const user = await User.findById(userId).select('name phone');
+            name = name || user?.name;
+            phone = phone || user?.phone;
+        }
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'A contact phone number is required. Add one to your profile or use the ambulance request form.'
+            });
+        }
         
+        // Where the ambulance goes: the hospital the patient picked, or the
+        // best one for the emergency when they left it open
+        let hospital = null;
+        let hospitalSource;
+        if (hospitalId) {
+            hospital = mongoose.isValidObjectId(hospitalId)
+                ? await Hospital.findOne({ _id: hospitalId, active: true })
+                : null;
+            if (!hospital) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Hospital not found'
+                });
+            }
+            hospitalSource = 'patient';
+        } else if (preferredHospital) {
+            // A name that is not in the directory is kept as typed
+            hospital = await Hospital.findOne({ name: String(preferredHospital).trim(), active: true })
+                .collation({ locale: 'en', strength: 2 });
+            hospitalSource = 'patient';
+        } else {
+            // The request stands even if no hospital can be suggested
+            const { hospitals } = await suggestHospitals(coordinates, emergencyType).catch(err => {
+                console.log('Error suggesting a hospital:', err);
+                return { hospitals: [] };
+            });
+            hospital = hospitals[0] || null;
+            hospitalSource = hospital ? 'suggested' : undefined;
+        }
+
         // Create new ambulance request
         const request = new AmbulanceRequest({
             name,
@@ -207,26 +517,39 @@ export const createRequest = async (req, res) => {
             pickupLocation,
             coordinates,
             emergencyType,
-            preferredHospital,
-            userId
+            preferredHospital: hospital?.name || preferredHospital,
+            hospitalId: hospital?._id,
+            hospitalSource,
+            userId,
+            chatSessionId
         });
 
         await request.save();
         console.log(`Ambulance request created for user: ${userId}, request ID: ${request._id}`);
 
-        // Find nearby available drivers
-        const nearbyDrivers = await AmbulanceDriver.find({
-            status: 'available'
-        }).catch(err => {
-            console.log('Error finding nearby drivers:', err);
-            return [];
-        });
+        // Find the closest available drivers; the request stands even if this fails
+        const { drivers: nearbyDrivers, radiusKm: searchRadiusKm } = await findNearestDrivers(request.coordinates)
+            .catch(err => {
+                console.log('Error finding nearby drivers:', err);
+                return { drivers: [], radiusKm: null };
+            });
+
+        if (getDispatchPolicy().autoDispatch) {
+            // A failed offer leaves the request pending for a dispatcher
+            await offerToNextDriver(request).catch(err => {
+                console.log('Error offering request to a driver:', err);
+            });
+        } else {
+            await publishRequestUpdate(request);
+        }
 
+        await request.populate('hospitalId', REQUEST_HOSPITAL_FIELDS);
         res.status(201).json({
             success: true,
             message: 'Ambulance request created successfully',
             data: request,
-            nearbyDrivers
+            nearbyDrivers,
+            searchRadiusKm
         });
     } catch (error) {
         console.error('Create request error:', error);
@@ -245,12 +568,22 @@ export const createRequest = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} List of all ambulance requests with driver details
  * @description Retrieves all ambulance requests sorted by creation date,
- * populated with assigned driver information
+ * populated with assigned or offered driver information and, for requests made from the
+ * chatbot, the latest messages of that conversation
  */
 export const getAllRequests = async (req, res) => {
     try {
         const requests = await AmbulanceRequest.find()
-            .populate('driverId', 'driverName phone location status')
+            .populate('driverId', 'driverName phone location position positionUpdatedAt status')
+            .populate('offer.driverId', 'driverName phone')
+            .populate('hospitalId', REQUEST_HOSPITAL_FIELDS)
+            .populate({
+                path: 'chatSessionId',
+                select: {
+                    sessionTitle: 1,
+                    messages: { $slice: -CHAT_CONTEXT_MESSAGES }
+                }
+            })
             .sort({ createdAt: -1 });
         res.status(200).json({
             success: true,
@@ -276,20 +609,21 @@ export const getAllRequests = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated request with assigned driver details
  * @description Assigns an available driver to an ambulance request and
- * updates both request and driver status
+ * updates both request and driver status. Overrides automatic dispatch: an
+ * open offer is withdrawn, and a driver already assigned is released.
  */
 export const assignDriver = async (req, res) => {
     try {
         const { driverId } = req.body;
-        
-        const request = await AmbulanceRequest.findByIdAndUpdate(
-            req.params.id,
-            {
-                driverId,
-                status: 'assigned'
-            },
-            { new: true }
-        ).populate('driverId', 'driverName phone location status');
+
+        if (!driverId) {
+            return res.status(400).json({
+                success: false,
+                error: 'A driver is required'
+            });
+        }
+
+        const request = await AmbulanceRequest.findById(req.params.id);
 
         if (!request) {
             return res.status(404).json({
@@ -298,8 +632,54 @@ export const assignDriver = async (req, res) => {
             });
         }
 
-        // Update driver status to busy
-        await AmbulanceDriver.findByIdAndUpdate(driverId, { status: 'busy' });
+        const statusError = validateRequestStatusChange(request, 'assigned');
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                error: statusError
+            });
+        }
+
+        const driver = await AmbulanceDriver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({
+                success: false,
+                error: 'Driver not found'
+            });
+        }
+
+        // Claim the driver first so two dispatchers can't both take them
+        const claimed = await AmbulanceDriver.findOneAndUpdate(
+            { _id: driver._id, status: 'available' },
+            { status: 'busy' }
+        );
+        if (!claimed) {
+            return res.status(400).json({
+                success: false,
+                error: 'Only available drivers can be assigned'
+            });
+        }
+
+        if (request.status === 'offered') {
+            endOffer(request, 'withdrawn');
+        }
+
+        const previousDriverId = request.driverId;
+        request.driverId = driver._id;
+        request.setStatus('assigned', {
+            actor: req.userId,
+            actorRole: 'admin',
+            note: `Assigned to ${driver.driverName} by a dispatcher`
+        });
+        await request.save();
+
+        // Release the driver replaced
+        if (previousDriverId && !previousDriverId.equals(driver._id)) {
+            await AmbulanceDriver.findByIdAndUpdate(previousDriverId, { status: 'available' });
+        }
+        await publishRequestUpdate(request);
+
+        await request.populate('driverId', 'driverName phone location position positionUpdatedAt status');
 
         res.status(200).json({
             success: true,
@@ -313,6 +693,141 @@ export const assignDriver = async (req, res) => {
     }
 };
 
+/**
+ * Load a request whose open offer was made to the signed-in driver,
+ * answering the response itself when there is none
+ * @async
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} The request, or null once a response was sent
+ */
+const findOpenOffer = async (req, res) => {
+    const request = await AmbulanceRequest.findById(req.params.id);
+
+    if (!request) {
+        res.status(404).json({ success: false, message: 'Request not found' });
+        return null;
+    }
+
+    if (request.status !== 'offered' || !request.offer?.driverId) {
+        res.status(400).json({ success: false, message: 'There is no open offer for this request' });
+        return null;
+    }
+
+    if (request.offer.driverId.toString() !== req.userId) {
+        res.status(403).json({ success: false, message: 'This request was not offered to you' });
+        return null;
+    }
+
+    return request;
+};
+
+/**
+ * Accept a dispatch offer
+ * @async
+ * @function acceptOffer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Request ID
+ * @param {string} req.userId - Driver the request was offered to, from the token
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Request assigned to the driver
+ * @description Assigns the request to the driver who was offered it, as long
+ * as the offer has not expired, and marks the driver busy
+ */
+export const acceptOffer = async (req, res) => {
+    try {
+        const request = await findOpenOffer(req, res);
+        if (!request) return;
+
+        if (request.offer.expiresAt <= new Date()) {
+            await closeOffer(request, 'expired');
+            return res.status(400).json({
+                success: false,
+                message: 'This offer has expired'
+            });
+        }
+
+        const driver = await AmbulanceDriver.findOneAndUpdate(
+            { _id: request.offer.driverId, status: 'available' },
+            { status: 'busy' },
+            { new: true }
+        );
+
+        // The driver went busy or offline since the offer was made
+        if (!driver) {
+            await closeOffer(request, 'withdrawn');
+            return res.status(400).json({
+                success: false,
+                message: 'Only available drivers can accept a request'
+            });
+        }
+
+        const accepted = await acceptOpenOffer(request, driver);
+
+        // The offer expired or was withdrawn while the driver was answering
+        if (!accepted) {
+            await AmbulanceDriver.findByIdAndUpdate(driver._id, { status: 'available' });
+            return res.status(400).json({
+                success: false,
+                message: 'This offer is no longer open'
+            });
+        }
+        await publishRequestUpdate(accepted);
+
+        res.status(200).json({
+            success: true,
+            message: 'Request accepted, head to the pickup location',
+            data: accepted
+        });
+    } catch (error) {
+        console.error('Accept dispatch offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Decline a dispatch offer
+ * @async
+ * @function declineOffer
+ * @param {Object} req - Express request object
+ * @param {Object} req.params - URL parameters
+ * @param {string} req.params.id - Request ID
+ * @param {string} req.userId - Driver the request was offered to, from the token
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Success message
+ * @description Declines the offer and passes the request on to the next
+ * closest available driver
+ */
+export const declineOffer = async (req, res) => {
+    try {
+        const request = await findOpenOffer(req, res);
+        if (!request) return;
+
+        const declined = await closeOffer(request, 'declined');
+        if (!declined) {
+            return res.status(400).json({
+                success: false,
+                message: 'This offer is no longer open'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Offer declined'
+        });
+    } catch (error) {
+        console.error('Decline dispatch offer error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
 /**
  * Complete ambulance request
  * @async
@@ -321,7 +836,7 @@ export const assignDriver = async (req, res) => {
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Request ID
  * @param {Object} req.body - Request details
- * @param {string} req.body.driverId - Driver ID to mark as available
+ * @param {string} [req.body.driverId] - Driver to mark as available, if the request has none recorded
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated request with completed status
  * @description Marks an ambulance request as completed and makes the
@@ -329,15 +844,9 @@ export const assignDriver = async (req, res) => {
  */
 export const completeRequest = async (req, res) => {
     try {
-        const { driverId } = req.body;
         const requestId = req.params.id;
 
-        // Update request status to completed
-        const request = await AmbulanceRequest.findByIdAndUpdate(
-            requestId,
-            { status: 'completed' },
-            { new: true }
-        );
+        const request = await AmbulanceRequest.findById(requestId);
 
         if (!request) {
             return res.status(404).json({
@@ -346,7 +855,27 @@ export const completeRequest = async (req, res) => {
             });
         }
 
+        if (!actsForDriver(req, request.driverId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This request is not assigned to you'
+            });
+        }
+
+        const statusError = validateRequestStatusChange(request, 'completed');
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                message: statusError
+            });
+        }
+
+        request.setStatus('completed', { actor: req.userId, actorRole: actorRoleOf(req) });
+        await request.save();
+        await publishRequestUpdate(request);
+
         // Make driver available again
+        const driverId = request.driverId || req.body.driverId;
         if (driverId) {
             await AmbulanceDriver.findByIdAndUpdate(
                 driverId,
@@ -376,14 +905,17 @@ export const completeRequest = async (req, res) => {
  * @param {Object} req.params - URL parameters
  * @param {string} req.params.id - Request ID
  * @param {Object} res - Express response object
- * @returns {Promise<Object>} Request details with driver information
+ * @returns {Promise<Object>} Request details with driver information, and its live tracking snapshot
  * @description Retrieves current status of an ambulance request including
- * assigned driver details if available
+ * assigned driver details if available. The tracking snapshot (driver
+ * position and arrival estimate) is what the tracking socket pushes, so
+ * clients without a socket connection can poll this instead.
  */
 export const getRequestStatus = async (req, res) => {
     try {
         const request = await AmbulanceRequest.findById(req.params.id)
-            .populate('driverId', 'driverName phone location status');
+            .populate('driverId', `location status ${TRACKING_DRIVER_FIELDS}`)
+            .populate('hospitalId', REQUEST_HOSPITAL_FIELDS);
 
         if (!request) {
             return res.status(404).json({
@@ -392,9 +924,26 @@ export const getRequestStatus = async (req, res) => {
             });
         }
 
+        // Drivers see the requests assigned or offered to them
+        if (isOtherDriver(req, request.driverId?._id) && isOtherDriver(req, request.offer?.driverId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'This request is not assigned to you'
+            });
+        }
+
+        // Patients see their own, as the live tracking does
+        if (req.role !== 'driver' && !canTrackRequest(request, { userId: req.userId, role: req.role })) {
+            return res.status(403).json({
+                success: false,
+                error: 'This request is not yours'
+            });
+        }
+
         res.status(200).json({
             success: true,
-            data: request
+            data: request,
+            tracking: trackingSnapshot(request)
         });
     } catch (error) {
         res.status(500).json({
@@ -429,7 +978,8 @@ export const getUserRequests = async (req, res) => {
         }
         
         const requests = await AmbulanceRequest.find({ userId })
-            .populate('driverId', 'driverName phone location')
+            .populate('driverId', 'driverName phone location position positionUpdatedAt')
+            .populate('hospitalId', REQUEST_HOSPITAL_FIELDS)
             .sort('-createdAt');
             
         console.log(`Found ${requests.length} requests for user:`, userId);
@@ -485,14 +1035,44 @@ export const getDrivers = async (req, res) => {
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated driver details
  * @description Updates an ambulance driver's availability status
- * (available/busy/offline)
+ * (available/busy/offline). Drivers can only switch themselves between
+ * available and offline, and not while working on a request.
  */
 export const updateDriverStatus = async (req, res) => {
     try {
+        const { status } = req.body;
+
+        if (!actsForDriver(req, req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You can only change your own status'
+            });
+        }
+
+        if (req.role === 'driver') {
+            if (!DRIVER_SELF_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'You can set yourself available or offline'
+                });
+            }
+
+            const onRequest = await AmbulanceRequest.exists({
+                driverId: req.userId,
+                status: { $in: DRIVER_ACTIVE_STATUSES }
+            });
+            if (onRequest) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Complete your current request first'
+                });
+            }
+        }
+
         const driver = await AmbulanceDriver.findByIdAndUpdate(
             req.params.id,
-            { status: req.body.status },
-            { new: true }
+            { status },
+            { new: true, runValidators: true }
         );
 
         if (!driver) {
@@ -524,24 +1104,54 @@ export const updateDriverStatus = async (req, res) => {
  * @param {Object} req.body - Location details
  * @param {number} req.body.latitude - Location latitude
  * @param {number} req.body.longitude - Location longitude
+ * @param {number} [req.body.heading] - Direction of travel in degrees from north
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated driver details with new location
- * @description Updates an ambulance driver's current location using
- * GeoJSON Point format for location tracking
+ * @description Records an ambulance driver's current position as a GeoJSON
+ * Point, with the time of the report and the heading if given
  */
 export const updateDriverLocation = async (req, res) => {
     try {
-        const { latitude, longitude } = req.body;
-        
+        const { latitude, longitude, heading } = req.body;
+
+        if (!actsForDriver(req, req.params.id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You can only report your own position'
+            });
+        }
+
+        const coordinatesError = validateCoordinates(latitude, longitude);
+        if (coordinatesError) {
+            return res.status(400).json({
+                success: false,
+                error: coordinatesError
+            });
+        }
+
+        const hasHeading = heading !== undefined && heading !== null && heading !== '';
+        if (hasHeading && !(Number(heading) >= 0 && Number(heading) <= 360)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Heading must be a number of degrees between 0 and 360'
+            });
+        }
+
+        const update = {
+            position: {
+                type: 'Point',
+                coordinates: [Number(longitude), Number(latitude)]
+            },
+            positionUpdatedAt: new Date()
+        };
+        if (hasHeading) {
+            update.heading = Number(heading);
+        }
+
         const driver = await AmbulanceDriver.findByIdAndUpdate(
             req.params.id,
-            {
-                location: {
-                    type: 'Point',
-                    coordinates: [longitude, latitude]
-                }
-            },
-            { new: true }
+            update,
+            { new: true, runValidators: true }
         );
 
         if (!driver) {
@@ -551,6 +1161,9 @@ export const updateDriverLocation = async (req, res) => {
             });
         }
 
+        // Patients and dispatchers following this driver's requests see them move
+        await publishDriverPosition(driver);
+
         res.status(200).json({
             success: true,
             data: driver
@@ -571,31 +1184,42 @@ export const updateDriverLocation = async (req, res) => {
  * @param {Object} req.query - Query parameters
  * @param {number} req.query.latitude - Location latitude
  * @param {number} req.query.longitude - Location longitude
+ * @param {number} [req.query.radius] - Search radius in meters; without it the
+ * dispatch policy's widening search is used
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} List of nearby available drivers
- * @description Finds available ambulance drivers within 5km radius
- * of the specified location using MongoDB's geospatial queries
+ * @description Finds available ambulance drivers near the specified location,
+ * closest first with their distance, using MongoDB's geospatial queries
  */
 export const getNearbyDrivers = async (req, res) => {
     try {
-        const { latitude, longitude } = req.query;
-
-        const drivers = await AmbulanceDriver.find({
-            status: 'available',
-            location: {
-                $near: {
-                    $geometry: {
-                        type: 'Point',
-                        coordinates: [parseFloat(longitude), parseFloat(latitude)]
-                    },
-                    $maxDistance: 5000 // 5km radius
-                }
-            }
-        });
+        const { latitude, longitude, radius } = req.query;
+
+        const coordinatesError = validateCoordinates(latitude, longitude);
+        if (coordinatesError) {
+            return res.status(400).json({
+                success: false,
+                error: coordinatesError
+            });
+        }
+
+        if (radius !== undefined && !(Number(radius) > 0)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Radius must be a positive number of meters'
+            });
+        }
+
+        const radiusKm = radius !== undefined ? Number(radius) / 1000 : undefined;
+        const { drivers, radiusKm: searchRadiusKm } = await findNearestDrivers(
+            { latitude, longitude },
+            { radiusKm, maxRadiusKm: radiusKm }
+        );
 
         res.status(200).json({
             success: true,
-            data: drivers
+            data: drivers,
+            searchRadiusKm
         });
     } catch (error) {
         res.status(500).json({
@@ -614,18 +1238,25 @@ export const getNearbyDrivers = async (req, res) => {
  * @param {string} req.params.id - Request ID
  * @param {Object} req.body - Update details
  * @param {string} req.body.status - New request status
+ * @param {string} [req.body.note] - Optional note kept in the status history
  * @param {Object} res - Express response object
  * @returns {Promise<Object>} Updated request with driver details
- * @description Updates the status of an ambulance request and returns
- * the updated request with populated driver information
+ * @description Moves an assigned request along its journey (en route,
+ * arrived, transporting, completed), timestamping each step in the status
+ * history. Completing the request makes the driver available again.
  */
 export const updateRequestStatus = async (req, res) => {
     try {
-        const request = await AmbulanceRequest.findByIdAndUpdate(
-            req.params.id,
-            { status: req.body.status },
-            { new: true }
-        ).populate('driverId', 'driverName phone location status');
+        const { status, note } = req.body;
+
+        if (!PROGRESS_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Status must be one of: ${PROGRESS_STATUSES.join(', ')}`
+            });
+        }
+
+        const request = await AmbulanceRequest.findById(req.params.id);
 
         if (!request) {
             return res.status(404).json({
@@ -634,6 +1265,31 @@ export const updateRequestStatus = async (req, res) => {
             });
         }
 
+        if (!actsForDriver(req, request.driverId)) {
+            return res.status(403).json({
+                success: false,
+                error: 'This request is not assigned to you'
+            });
+        }
+
+        const statusError = validateRequestStatusChange(request, status);
+        if (statusError) {
+            return res.status(400).json({
+                success: false,
+                error: statusError
+            });
+        }
+
+        request.setStatus(status, { actor: req.userId, actorRole: actorRoleOf(req), note });
+        await request.save();
+        await publishRequestUpdate(request);
+
+        if (status === 'completed' && request.driverId) {
+            await AmbulanceDriver.findByIdAndUpdate(request.driverId, { status: 'available' });
+        }
+
+        await request.populate('driverId', 'driverName phone location position positionUpdatedAt status');
+
         res.status(200).json({
             success: true,
             data: request
@@ -714,6 +1370,7 @@ export const cancelRequest = async (req, res) => {
         // Delete the request completely from database
         await AmbulanceRequest.findByIdAndDelete(requestId);
         console.log(`Request ${requestId} successfully deleted by ${isAdmin ? 'admin' : 'owner'}`);
+        publishRequestRemoved(requestId);
         
         return res.status(200).json({
             success: true,
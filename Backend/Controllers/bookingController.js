@@ -2,13 +2,9 @@ import Booking from '../models/BookingSchema.js';
 import Doctor from '../models/DoctorSchema.js';
 import User from '../models/UserSchema.js';
 import PatientDoctor from '../models/PatientDoctorSchema.js';
-
-// Add this validation in your booking controller
-const validateBookingDate = (appointmentDate) => {
-  const minDate = new Date();
-  minDate.setDate(minDate.getDate() + 2);
-  return new Date(appointmentDate) >= minDate;
-};
+import { findSlot, findBlackout, reserveSlot, moveSlot, releaseSlot, toDateKey } from '../services/availabilityService.js';
+import { getBookingPolicy, validateBookingDate, validateBookingChange, validateStatusChange } from '../config/bookingPolicy.js';
+import { offerFreedSlot } from '../services/waitlistService.js';
 
 export const createBooking = async (req, res) => {
   const { 
@@ -19,10 +15,11 @@ export const createBooking = async (req, res) => {
   } = req.body;
 
   try {
-    if (!validateBookingDate(appointmentDate)) {
+    const dateError = validateBookingDate(appointmentDate);
+    if (dateError) {
       return res.status(400).json({
         success: false,
-        message: 'Appointments must be booked at least 2 days in advance'
+        message: dateError
       });
     }
 
@@ -32,23 +29,49 @@ export const createBooking = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Doctor not found' });
     }
 
+    const blackout = findBlackout(doctor, appointmentDate);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: `Doctor is on leave on this date (${blackout.reason})`
+      });
+    }
+
+    // Only times generated from the doctor's schedule can be booked
+    const slot = findSlot(doctor, appointmentDate, appointmentTime);
+    if (!doctor.isAvailable || !slot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected time is not an available slot for this doctor'
+      });
+    }
+
     // Get user details
     const user = await User.findById(req.userId);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Check for existing unfinished booking
+    // Check for an existing open booking; finished and cancelled ones no
+    // longer hold a slot and stay as they are
     const existingBooking = await Booking.findOne({
       doctor: doctorId,
       user: req.userId,
-      status: { $ne: 'finished' }
+      status: { $nin: ['finished', 'cancelled'] }
     });
 
     if (existingBooking) {
-      // Update existing booking
+      // Move the existing booking to the new slot
+      const reservation = await moveSlot(existingBooking._id, doctorId, appointmentDate, slot.start);
+      if (!reservation) {
+        return res.status(409).json({
+          success: false,
+          message: 'This slot has already been booked, please choose another time'
+        });
+      }
+
       existingBooking.appointmentDate = appointmentDate;
-      existingBooking.appointmentTime = appointmentTime;
+      existingBooking.appointmentTime = slot.label;
       existingBooking.problem = problem;
       
       const updatedBooking = await existingBooking.save();
@@ -66,7 +89,7 @@ export const createBooking = async (req, res) => {
       user: req.userId,
       ticketPrice: doctor.ticketPrice,
       appointmentDate,
-      appointmentTime,
+      appointmentTime: slot.label,
       problem,
       visitType: 'first', // Always set as first visit initially
       name: user.name,
@@ -75,7 +98,27 @@ export const createBooking = async (req, res) => {
       status: 'pending'
     });
 
-    const savedBooking = await newBooking.save();
+    const reservation = await reserveSlot(doctorId, appointmentDate, slot.start, newBooking._id);
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has already been booked, please choose another time'
+      });
+    }
+
+    let savedBooking;
+    try {
+      savedBooking = await newBooking.save();
+    } catch (error) {
+      await releaseSlot(newBooking._id);
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an appointment with this doctor on this date'
+        });
+      }
+      throw error;
+    }
 
     // Add booking to doctor's appointments array
     await Doctor.findByIdAndUpdate(
@@ -103,6 +146,15 @@ export const getCheckoutSession = async (req, res) => {
   try {
     const doctorId = req.params.doctorId;
     const userId = req.userId;
+    const { appointmentDate, appointmentTime } = req.body;
+
+    const dateError = validateBookingDate(appointmentDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
     
     // Get doctor details
     const doctor = await Doctor.findById(doctorId);
@@ -110,6 +162,23 @@ export const getCheckoutSession = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Doctor not found' });
     }
 
+    const blackout = findBlackout(doctor, appointmentDate);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: `Doctor is on leave on this date (${blackout.reason})`
+      });
+    }
+
+    // Only times generated from the doctor's schedule can be booked
+    const slot = findSlot(doctor, appointmentDate, appointmentTime);
+    if (!doctor.isAvailable || !slot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected time is not an available slot for this doctor'
+      });
+    }
+
     // Get the visit type from PatientDoctor
     const patientDoctor = await PatientDoctor.findOne({
       doctor: doctorId,
@@ -131,11 +200,33 @@ export const getCheckoutSession = async (req, res) => {
       ...req.body,
       doctor: doctorId,
       user: userId,
+      appointmentTime: slot.label,
       visitType,
       fee
     });
 
-    const savedBooking = await booking.save();
+    // Claim the slot before saving so two patients can never hold it at once
+    const reservation = await reserveSlot(doctorId, appointmentDate, slot.start, booking._id);
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has already been booked, please choose another time'
+      });
+    }
+
+    let savedBooking;
+    try {
+      savedBooking = await booking.save();
+    } catch (error) {
+      await releaseSlot(booking._id);
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have an appointment with this doctor on this date'
+        });
+      }
+      throw error;
+    }
 
     // After successful booking, increment visits and reset next visit type
     await PatientDoctor.findOneAndUpdate(
@@ -171,7 +262,7 @@ export const getCheckoutSession = async (req, res) => {
 
 export const updateAppointmentStatus = async (req, res) => {
   const { appointmentId } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
 
   try {
     const booking = await Booking.findById(appointmentId);
@@ -183,69 +274,36 @@ export const updateAppointmentStatus = async (req, res) => {
       });
     }
 
-    if (status === 'finished') {
-      // Update the history status to finished
-      await PatientDoctor.findOneAndUpdate(
-        {
-          doctor: booking.doctor,
-          patient: booking.user,
-          'history.bookingId': booking._id
-        },
-        {
-          'history.$.status': 'finished'
-        }
-      );
-
-      // Delete the appointment if marked as finished
-      await Booking.findByIdAndDelete(appointmentId);
-      
-      res.status(200).json({
-        success: true,
-        message: "Appointment finished and removed successfully"
-      });
-    } else if (status === 'approved') {
-      // Update booking status
-      booking.status = status;
-      await booking.save();
-
-      // Add to patient-doctor history with fee
-      await PatientDoctor.findOneAndUpdate(
-        {
-          doctor: booking.doctor,
-          patient: booking.user
-        },
-        {
-          $push: {
-            history: {
-              bookingId: booking._id,
-              visitType: booking.visitType,
-              appointmentDate: booking.appointmentDate,
-              appointmentTime: booking.appointmentTime,
-              problem: booking.problem,
-              fee: booking.fee,
-              status: 'approved'
-            }
-          }
-        },
-        { upsert: true }
-      );
-
-      res.status(200).json({
-        success: true,
-        message: "Appointment status updated successfully",
-        data: booking
+    if (booking.doctor.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to update this booking"
       });
-    } else {
-      // Handle other status updates (like 'cancelled')
-      booking.status = status;
-      await booking.save();
+    }
 
-      res.status(200).json({
-        success: true,
-        message: "Appointment status updated successfully",
-        data: booking
+    const statusError = validateStatusChange(booking, status);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
       });
     }
+
+    // Finished bookings are kept, they are the patient's visit history
+    booking.setStatus(status, { actor: req.userId, actorRole: 'doctor', note });
+    await booking.save();
+
+    // A cancelled booking gives its slot back, first to the waitlist
+    if (status === 'cancelled') {
+      await releaseSlot(booking._id);
+      await offerFreedSlot(booking.doctor, booking.appointmentDate, booking.appointmentTime);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment status updated successfully",
+      data: booking
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -337,6 +395,8 @@ export const getDoctorAppointments = async (req, res) => {
       ticketPrice: appointment.ticketPrice,
       visitType: appointment.visitType,
       isNewForDoctor: appointment.isNewForDoctor,
+      statusHistory: appointment.statusHistory,
+      consultation: appointment.consultation,
       name: appointment.user?.name || 'N/A',
       email: appointment.user?.email || 'N/A',
       phone: appointment.user?.phone || 'N/A'
@@ -496,4 +556,200 @@ export const markAppointmentAsViewed = async (req, res) => {
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+};
+
+export const getPolicy = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getBookingPolicy()
+  });
+};
+
+export const cancelBooking = async (req, res) => {
+  const { appointmentId } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const booking = await Booking.findById(appointmentId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found"
+      });
+    }
+
+    if (booking.user.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to change this booking"
+      });
+    }
+
+    const policyError = validateBookingChange(booking, 'cancel');
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    booking.setStatus('cancelled', { actor: req.userId, actorRole: 'patient', note: reason });
+    booking.history.push({
+      action: 'cancel',
+      actor: req.userId,
+      actorRole: 'patient',
+      fromDate: booking.appointmentDate,
+      fromTime: booking.appointmentTime,
+      reason
+    });
+    await booking.save();
+    await releaseSlot(booking._id);
+    await offerFreedSlot(booking.doctor, booking.appointmentDate, booking.appointmentTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment cancelled successfully",
+      data: booking
+    });
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel appointment",
+      error: error.message
+    });
+  }
+};
+
+export const rescheduleBooking = async (req, res) => {
+  const { appointmentId } = req.params;
+  const { appointmentDate, appointmentTime, reason } = req.body;
+
+  try {
+    const booking = await Booking.findById(appointmentId);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found"
+      });
+    }
+
+    if (booking.user.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not authorized to change this booking"
+      });
+    }
+
+    const policyError = validateBookingChange(booking, 'reschedule');
+    if (policyError) {
+      return res.status(400).json({
+        success: false,
+        message: policyError
+      });
+    }
+
+    const dateError = validateBookingDate(appointmentDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const doctor = await Doctor.findById(booking.doctor);
+    if (!doctor) {
+      return res.status(404).json({ success: false, message: 'Doctor not found' });
+    }
+
+    const blackout = findBlackout(doctor, appointmentDate);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: `Doctor is on leave on this date (${blackout.reason})`
+      });
+    }
+
+    const slot = findSlot(doctor, appointmentDate, appointmentTime);
+    if (!doctor.isAvailable || !slot) {
+      return res.status(400).json({
+        success: false,
+        message: 'Selected time is not an available slot for this doctor'
+      });
+    }
+
+    // A patient can only hold one booking per doctor and day
+    const sameDayBooking = await Booking.exists({
+      _id: { $ne: booking._id },
+      doctor: booking.doctor,
+      user: booking.user,
+      appointmentDate: new Date(`${toDateKey(appointmentDate)}T00:00:00.000Z`),
+      // A cancelled booking on that day doesn't block the move
+      status: { $nin: ['cancelled'] }
+    });
+    if (sameDayBooking) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a booking with this doctor on that date'
+      });
+    }
+
+    const reservation = await moveSlot(booking._id, booking.doctor, appointmentDate, slot.start);
+    if (!reservation) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has already been booked, please choose another time'
+      });
+    }
+
+    const previousDate = booking.appointmentDate;
+    const previousTime = booking.appointmentTime;
+
+    booking.history.push({
+      action: 'reschedule',
+      actor: req.userId,
+      actorRole: 'patient',
+      fromDate: booking.appointmentDate,
+      fromTime: booking.appointmentTime,
+      toDate: appointmentDate,
+      toTime: slot.label,
+      reason
+    });
+
+    // Moves forced by the doctor don't count towards the patient's limit
+    if (booking.status === 'needs_reschedule') {
+      booking.rescheduleReason = undefined;
+    } else {
+      booking.rescheduleCount += 1;
+    }
+
+    booking.appointmentDate = appointmentDate;
+    booking.appointmentTime = slot.label;
+    // The doctor has to confirm the new time again
+    booking.setStatus('pending', {
+      actor: req.userId,
+      actorRole: 'patient',
+      note: `Rescheduled to ${toDateKey(appointmentDate)} ${slot.label}`
+    });
+    booking.isNewForDoctor = true;
+    await booking.save();
+
+    // The old slot is free again
+    await offerFreedSlot(booking.doctor, previousDate, previousTime);
+
+    res.status(200).json({
+      success: true,
+      message: "Appointment rescheduled successfully",
+      data: booking
+    });
+  } catch (error) {
+    console.error('Reschedule booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reschedule appointment",
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import Cart from '../models/Cart.js';
+import { checkStock } from '../services/inventoryService.js';
 
 // Get user's cart
 export const getCart = async (req, res) => {
@@ -29,25 +30,22 @@ export const getCart = async (req, res) => {
     }
 };
 
-// Add item to cart
-export const addToCart = async (req, res) => {
-    try {
-        const userId = req.userId;
-        const { medicineId, quantity } = req.body;
+// Add medicines to a user's cart, creating the cart if needed
+export const addItemsToCart = async (userId, items) => {
+    let cart = await Cart.findOne({ user: userId });
 
-        let cart = await Cart.findOne({ user: userId });
-
-        if (!cart) {
-            cart = await Cart.create({
-                user: userId,
-                items: [],
-                totalAmount: 0
-            });
-        }
+    if (!cart) {
+        cart = await Cart.create({
+            user: userId,
+            items: [],
+            totalAmount: 0
+        });
+    }
 
+    for (const { medicineId, quantity } of items) {
         // Check if item already exists in cart
         const existingItemIndex = cart.items.findIndex(
-            item => item.medicine.toString() === medicineId
+            item => item.medicine.toString() === medicineId.toString()
         );
 
         if (existingItemIndex > -1) {
@@ -60,14 +58,43 @@ export const addToCart = async (req, res) => {
                 quantity: quantity
             });
         }
+    }
 
-        // Recalculate total amount
-        await cart.populate('items.medicine');
-        cart.totalAmount = cart.items.reduce((total, item) => {
-            return total + (item.medicine.price * item.quantity);
-        }, 0);
+    // Recalculate total amount
+    await cart.populate('items.medicine');
+    cart.totalAmount = cart.items.reduce((total, item) => {
+        return total + (item.medicine.price * item.quantity);
+    }, 0);
 
-        await cart.save();
+    await cart.save();
+    return cart;
+};
+
+// Add item to cart
+export const addToCart = async (req, res) => {
+    try {
+        const { medicineId } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Quantity must be a whole number of at least 1'
+            });
+        }
+
+        // The cart can't hold more than is on the shelf
+        const existingCart = await Cart.findOne({ user: req.userId });
+        const inCart = existingCart?.items.find(item => item.medicine.toString() === medicineId)?.quantity || 0;
+        const stockError = await checkStock(medicineId, inCart + quantity);
+        if (stockError) {
+            return res.status(400).json({
+                success: false,
+                message: stockError
+            });
+        }
+
+        const cart = await addItemsToCart(req.userId, [{ medicineId, quantity }]);
 
         res.status(200).json({
             success: true,
@@ -112,6 +139,14 @@ export const updateCartItem = async (req, res) => {
         if (quantity < 1) {
             cart.items.splice(itemIndex, 1);
         } else {
+            const stockError = await checkStock(medicineId, quantity);
+            if (stockError) {
+                return res.status(400).json({
+                    success: false,
+                    message: stockError
+                });
+            }
+
             cart.items[itemIndex].quantity = quantity;
         }
 
@@ -1,16 +1,155 @@
 /**
  * @fileoverview Medical Chatbot Controller for AI-powered healthcare consultations
  * @description Handles chat sessions, medical queries, file uploads, and emergency detection
- * using Gemini AI with RAG (Retrieval-Augmented Generation) for contextual responses
+ * using the configured language model providers with RAG (Retrieval-Augmented Generation) for contextual responses
  * @author Healthcare System Team
  * @version 2.0.0
  */
 
 import ChatSession from '../models/ChatSession.js';
-import geminiService from '../services/geminiService.js';
+import medicalAssistant from '../services/medicalAssistantService.js';
 import ragService from '../services/ragService.js';
 import enhancedFileUploadService from '../services/enhancedFileUploadService.js';
+import { formatLabResults } from '../services/labResultParser.js';
+import { recordReportObservations, getLabTrends, formatLabTrends } from '../services/labTrendService.js';
+import { triageSymptoms } from '../services/triageService.js';
+import { recommendDoctors } from '../services/doctorRecommendationService.js';
 import mongoose from 'mongoose';
+import fs from 'fs-extra';
+
+// How far back the lab history given to the assistant reaches
+const LAB_HISTORY_MONTHS = 24;
+
+/**
+ * Patient's lab history as prompt text. The chat carries on without it if it
+ * cannot be loaded.
+ * @param {string} userId - Patient ID
+ * @param {string[]} [codes] - Only these tests
+ * @returns {Promise<string>} Empty if there is none
+ */
+const loadLabHistory = async (userId, codes) => {
+  try {
+    const since = new Date();
+    since.setMonth(since.getMonth() - LAB_HISTORY_MONTHS);
+    return formatLabTrends(await getLabTrends(userId, { codes, since }));
+  } catch (error) {
+    console.error('Error loading lab history:', error);
+    return '';
+  }
+};
+
+// Put an urgent triage result in front of the assistant so its advice agrees with it
+const withTriage = (contextText, triage) =>
+  triage.redFlags.length > 0
+    ? `TRIAGE: ${triage.explanation} Recommended care: ${triage.advice}.\n${contextText}`
+    : contextText;
+
+/**
+ * Everything needed to answer a chat message: the session (with the message
+ * added but not yet saved), the symptom triage and the retrieved context
+ * @param {string} userId - Patient ID
+ * @param {string} sessionId - Chat session ID
+ * @param {string} message - The patient's message
+ * @returns {Promise<Object|null>} Null if the session is not an active session of this user
+ */
+const prepareConsultation = async (userId, sessionId, message) => {
+  const session = mongoose.isValidObjectId(sessionId)
+    ? await ChatSession.findOne({
+      _id: sessionId,
+      userId: new mongoose.Types.ObjectId(userId),
+      isActive: true
+    })
+    : null;
+
+  if (!session) return null;
+
+  // Add user message to session
+  session.messages.push({
+    role: 'user',
+    content: message,
+    timestamp: new Date(),
+    messageType: 'text'
+  });
+
+  // Triage the message; emergencies get a fixed reply instead of the assistant's
+  const triage = triageSymptoms(message);
+  const isEmergency = triage.level === 'emergency';
+
+  // Find relevant medical context using RAG
+  const relevantContext = await ragService.findRelevantContext(message);
+  const contextText = withTriage(relevantContext.map(ctx => ctx.content).join('\n'), triage);
+
+  // Find the parts of this session's reports that bear on the question
+  let { text: reportAnalysis, citations } = await enhancedFileUploadService.findReportContext(
+    userId,
+    session._id,
+    message
+  );
+
+  // Nothing matched: fall back to the start of the latest report
+  const recentReport = session.uploadedReports
+    .filter(report => report.analysisStatus === 'completed')
+    .sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
+
+  if (!reportAnalysis && recentReport) {
+    const citation = { reportName: recentReport.originalName, page: null, section: null };
+    reportAnalysis = `[${enhancedFileUploadService.citeReport(citation)}]\n${recentReport.extractedText.substring(0, 1000)}`;
+    citations = [citation];
+  }
+
+  const conversationHistory = session.messages.slice(-6).map(msg => ({
+    role: msg.role,
+    content: msg.content
+  }));
+
+  return {
+    session,
+    isEmergency,
+    triage,
+    relevantContext,
+    contextText,
+    reportAnalysis,
+    citations,
+    conversationHistory
+  };
+};
+
+const emergencyResponse = (triage) =>
+  `🚨 **URGENT MEDICAL ATTENTION NEEDED** 🚨\n\nBased on your symptoms, this could be a medical emergency. Please:\n\n1. Call emergency services immediately (999 in Bangladesh)\n2. Go to the nearest emergency department\n3. If possible, have someone accompany you\n\nDo not wait - seek immediate medical attention.\n\n${triage.explanation}`;
+
+// Next steps shown with a quick symptom check, by triage level
+const TRIAGE_RECOMMENDATIONS = {
+  emergency: ['Seek immediate emergency care', 'Call 999', 'Go to nearest hospital'],
+  urgent: ['See a doctor today', 'Monitor symptoms closely', 'Call 999 if symptoms get worse'],
+  routine: ['Consult with a healthcare provider', 'Monitor symptoms', 'Consider booking an appointment'],
+  self_care: ['Rest and stay hydrated', 'Monitor symptoms', 'Book an appointment if symptoms get worse or do not improve']
+};
+
+// Triage levels whose replies come with doctors to book; emergencies get the ambulance instead
+const RECOMMEND_DOCTOR_LEVELS = ['urgent', 'routine'];
+
+/**
+ * Doctors to suggest with a reply, when the message describes symptoms that
+ * need a doctor but not an emergency. The reply goes out without them if they
+ * cannot be loaded.
+ * @param {Object} session - Chat session including the new message
+ * @param {Object} triage - Triage of the new message
+ * @returns {Promise<Object|null>} Recommendation, or null when none is due
+ */
+const suggestDoctors = async (session, triage) => {
+  if (!RECOMMEND_DOCTOR_LEVELS.includes(triage.level) || triage.symptoms.length === 0) return null;
+  try {
+    return await recommendDoctors(session.messages);
+  } catch (error) {
+    console.error('Error recommending doctors:', error);
+    return null;
+  }
+};
+
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 /**
  * Controller class for managing medical chatbot interactions
@@ -98,57 +237,34 @@ class ChatbotController {
         });
       }
 
-      // Find chat session
-      const session = await ChatSession.findOne({ 
-        _id: sessionId, 
-        userId: new mongoose.Types.ObjectId(userId),
-        isActive: true 
-      });
-
-      if (!session) {
+      const consultation = await prepareConsultation(userId, sessionId, message);
+      if (!consultation) {
         return res.status(404).json({
           success: false,
           message: 'Chat session not found or inactive'
         });
       }
 
-      // Add user message to session
-      session.messages.push({
-        role: 'user',
-        content: message,
-        timestamp: new Date(),
-        messageType: 'text'
-      });
-
-      // Check for emergency symptoms
-      const emergencyCheck = await geminiService.checkEmergencySymptoms(message);
-      const isEmergency = emergencyCheck.includes('EMERGENCY_LEVEL: HIGH');
-
-      // Find relevant medical context using RAG
-      const relevantContext = await ragService.findRelevantContext(message);
-      const contextText = relevantContext.map(ctx => ctx.content).join('\n');
-
-      // Get recent report analysis if available
-      const recentReport = session.uploadedReports
-        .filter(report => report.analysisStatus === 'completed')
-        .sort((a, b) => b.uploadedAt - a.uploadedAt)[0];
-
-      const reportAnalysis = recentReport ? recentReport.extractedText.substring(0, 1000) : '';
-
-      // Generate AI response
-      const conversationHistory = session.messages.slice(-6).map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+      const {
+        session,
+        isEmergency,
+        triage,
+        relevantContext,
+        contextText,
+        reportAnalysis,
+        citations,
+        conversationHistory
+      } = consultation;
 
       let aiResponse;
       if (isEmergency) {
-        aiResponse = `🚨 **URGENT MEDICAL ATTENTION NEEDED** 🚨\n\nBased on your symptoms, this could be a medical emergency. Please:\n\n1. Call emergency services immediately (999 in Bangladesh)\n2. Go to the nearest emergency department\n3. If possible, have someone accompany you\n\nDo not wait - seek immediate medical attention.\n\n${emergencyCheck}`;
+        aiResponse = emergencyResponse(triage);
       } else {
-        aiResponse = await geminiService.generateMedicalResponse(
+        aiResponse = await medicalAssistant.generateMedicalResponse(
           conversationHistory,
           contextText,
-          reportAnalysis
+          reportAnalysis,
+          await loadLabHistory(userId)
         );
       }
 
@@ -157,7 +273,8 @@ class ChatbotController {
         role: 'assistant',
         content: aiResponse,
         timestamp: new Date(),
-        messageType: isEmergency ? 'emergency_alert' : 'text'
+        messageType: isEmergency ? 'emergency_alert' : 'text',
+        citations: isEmergency ? [] : citations
       });
 
       // Save session
@@ -169,7 +286,10 @@ class ChatbotController {
           response: aiResponse,
           messageType: isEmergency ? 'emergency_alert' : 'text',
           isEmergency,
+          triage,
           contextFound: relevantContext.length > 0,
+          citations: isEmergency ? [] : citations,
+          doctorRecommendation: await suggestDoctors(session, triage),
           timestamp: new Date()
         }
       });
@@ -184,6 +304,131 @@ class ChatbotController {
     }
   }
 
+  /**
+   * Send message in chat and stream the reply as Server-Sent Events.
+   * Events: "start" (messageType, isEmergency, triage, contextFound, citations),
+   * "token" ({text}) for each piece of the reply, then "done" with the full
+   * reply and any doctorRecommendation, or "error". The reply is saved only once it is complete; if the
+   * client disconnects first, generation stops and only the question is saved.
+   */
+  async streamMessage(req, res) {
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    // Closed before we ended the response: the client cancelled or went away
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    try {
+      const { sessionId, message } = req.body;
+      const userId = req.userId;
+
+      if (!sessionId || !message) {
+        return res.status(400).json({
+          success: false,
+          message: 'Session ID and message are required'
+        });
+      }
+
+      const consultation = await prepareConsultation(userId, sessionId, message);
+      if (!consultation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found or inactive'
+        });
+      }
+
+      const {
+        session,
+        isEmergency,
+        triage,
+        relevantContext,
+        contextText,
+        reportAnalysis,
+        conversationHistory
+      } = consultation;
+      const citations = isEmergency ? [] : consultation.citations;
+      const messageType = isEmergency ? 'emergency_alert' : 'text';
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop reverse proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      sendEvent(res, 'start', {
+        messageType,
+        isEmergency,
+        triage,
+        contextFound: relevantContext.length > 0,
+        citations
+      });
+
+      const pieces = isEmergency
+        ? medicalAssistant.streamText(emergencyResponse(triage), { signal })
+        : medicalAssistant.streamMedicalResponse(
+          conversationHistory,
+          contextText,
+          reportAnalysis,
+          await loadLabHistory(userId),
+          { signal }
+        );
+
+      let aiResponse = '';
+      for await (const text of pieces) {
+        if (signal.aborted) break;
+        aiResponse += text;
+        sendEvent(res, 'token', { text });
+      }
+
+      if (signal.aborted) {
+        // Keep the question so the conversation history stays truthful;
+        // the unfinished reply is dropped
+        await session.save();
+        return;
+      }
+
+      session.messages.push({
+        role: 'assistant',
+        content: aiResponse,
+        timestamp: new Date(),
+        messageType,
+        citations
+      });
+      await session.save();
+
+      sendEvent(res, 'done', {
+        response: aiResponse,
+        messageType,
+        isEmergency,
+        citations,
+        doctorRecommendation: await suggestDoctors(session, triage),
+        timestamp: new Date()
+      });
+      res.end();
+
+    } catch (error) {
+      console.error('Error streaming message:', error);
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to process message',
+          error: error.message
+        });
+      }
+
+      if (!res.writableEnded) {
+        sendEvent(res, 'error', { message: 'Failed to process message' });
+        res.end();
+      }
+    }
+  }
+
   // Upload and analyze medical report
   async uploadMedicalReport(req, res) {
     try {
@@ -197,6 +442,19 @@ class ChatbotController {
           error: 'No file uploaded' 
         });
       }
+
+      // Reports are stored against the session, so it must belong to this user
+      const session = mongoose.isValidObjectId(sessionId)
+        ? await ChatSession.findOne({ _id: sessionId, userId: new mongoose.Types.ObjectId(userId) })
+        : null;
+
+      if (!session) {
+        await fs.unlink(file.path).catch(() => {});
+        return res.status(404).json({
+          success: false,
+          error: 'Chat session not found'
+        });
+      }
       
       // Use the Enhanced FileUploadService to process the file and extract text
       const fileResult = await enhancedFileUploadService.processFileUpload(file, userId, sessionId);
@@ -213,6 +471,11 @@ class ChatbotController {
                            fileResult.extractedText.includes('[DOCX file uploaded:') ||
                            fileResult.extractedText.includes('[DOC file uploaded:');
       
+      // Earlier values of the tests in this report, read before it is recorded
+      const labHistory = fileResult.observations.length > 0
+        ? await loadLabHistory(userId, fileResult.observations.map(observation => observation.code))
+        : '';
+      
       let analysisPrompt;
       
       if (isPlaceholder) {
@@ -237,57 +500,73 @@ FILE SIZE: ${Math.round(fileResult.fileSize / 1024)}KB
 
 EXTRACTED CONTENT:
 ${fileResult.extractedText}
-
+${fileResult.observations.length > 0 ? `
+LAB VALUES READ FROM THE REPORT (converted to standard units; the report text takes precedence if they disagree):
+${formatLabResults(fileResult.observations)}
+` : ''}${labHistory ? `
+EARLIER RESULTS FOR THESE TESTS (from the patient's previous reports, oldest first):
+${labHistory}
+` : ''}
 Please provide:
 1. A summary of the key findings
 2. Explanation of any abnormal values (if present)
 3. General health insights
-4. Recommendations for follow-up (always emphasize consulting healthcare professionals)
+4. Recommendations for follow-up (always emphasize consulting healthcare professionals)${labHistory ? `
+5. How the values compare with the earlier results` : ''}
 
 Format your response clearly and include relevant medical context.`;
       }
       
       // Generate AI analysis using the extracted text
-      const analysis = await geminiService.generateMedicalResponse([
+      const analysis = await medicalAssistant.generateMedicalResponse([
         {
           role: 'user',
           content: analysisPrompt
         }
       ]);
       
-      // Update chat session with both the file upload notification and analysis
-      const session = await ChatSession.findById(sessionId);
-      if (session) {
-        // Add file upload notification
-        session.messages.push({
-          role: 'system',
-          content: `📄 Medical report uploaded: ${fileResult.originalName} (${Math.round(fileResult.fileSize / 1024)}KB)`,
-          timestamp: new Date()
-        });
-        
-        // Add AI analysis
-        session.messages.push({
-          role: 'assistant',
-          content: analysis,
-          timestamp: new Date()
-        });
-        
-        // Store file metadata
-        if (!session.uploadedReports) {
-          session.uploadedReports = [];
-        }
-        session.uploadedReports.push({
-          fileName: fileResult.fileName,
-          originalName: fileResult.originalName,
-          filePath: fileResult.filePath,
-          fileSize: fileResult.fileSize,
-          mimeType: fileResult.mimeType,
-          extractedText: fileResult.extractedText,
-          uploadedAt: new Date(),
-          analysisStatus: 'completed'
-        });
-        
-        await session.save();
+      // Store file metadata
+      if (!session.uploadedReports) {
+        session.uploadedReports = [];
+      }
+      session.uploadedReports.push({
+        fileName: fileResult.fileName,
+        originalName: fileResult.originalName,
+        filePath: fileResult.filePath,
+        fileSize: fileResult.fileSize,
+        mimeType: fileResult.mimeType,
+        extractedText: fileResult.extractedText,
+        uploadedAt: new Date(),
+        reportDate: fileResult.reportDate,
+        analysisStatus: 'completed',
+        observations: fileResult.observations
+      });
+      const report = session.uploadedReports[session.uploadedReports.length - 1];
+      
+      // Add file upload notification
+      session.messages.push({
+        role: 'system',
+        content: `📄 Medical report uploaded: ${fileResult.originalName} (${Math.round(fileResult.fileSize / 1024)}KB)`,
+        timestamp: new Date()
+      });
+      
+      // Add AI analysis, linked to the report so its lab results show with it
+      session.messages.push({
+        role: 'assistant',
+        content: analysis,
+        timestamp: new Date(),
+        messageType: 'file_analysis',
+        reportId: report._id
+      });
+      
+      await session.save();
+      
+      // Add the lab values to the patient's health record
+      try {
+        await recordReportObservations({ userId, sessionId: session._id, report });
+      } catch (error) {
+        // The values stay on the session's report and can be backfilled later
+        console.error('Error recording lab observations:', error);
       }
       
       res.json({
@@ -295,6 +574,9 @@ Format your response clearly and include relevant medical context.`;
         analysis,
         fileName: fileResult.originalName,
         extractedTextLength: fileResult.extractedText.length,
+        reportId: report._id,
+        reportDate: report.reportDate,
+        observations: report.observations,
         message: 'Medical report uploaded and analyzed successfully'
       });
       
@@ -325,16 +607,26 @@ Format your response clearly and include relevant medical context.`;
         });
       }
 
+      const reports = new Map(session.uploadedReports.map(report => [report._id.toString(), report]));
+
       res.status(200).json({
         success: true,
         data: {
           sessionId: session._id,
           sessionTitle: session.sessionTitle,
-          messages: session.messages,
+          // Report analyses carry the lab results of their report
+          messages: session.messages.map(message => {
+            const report = message.reportId && reports.get(message.reportId.toString());
+            return report
+              ? { ...message.toObject(), labResults: report.observations }
+              : message;
+          }),
           uploadedReports: session.uploadedReports.map(report => ({
+            reportId: report._id,
             fileName: report.originalName,
             uploadedAt: report.uploadedAt,
-            analysisStatus: report.analysisStatus
+            analysisStatus: report.analysisStatus,
+            observations: report.observations
           })),
           createdAt: session.createdAt,
           lastActivity: session.lastActivity,
@@ -450,11 +742,53 @@ Format your response clearly and include relevant medical context.`;
     }
   }
 
+  /**
+   * Suggest doctors for the conversation so far: the specialization that fits
+   * what the patient described, approved doctors taking appointments, and a
+   * summary to pre-fill the booking's problem with
+   */
+  async getDoctorRecommendations(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.userId;
+
+      const session = mongoose.isValidObjectId(sessionId)
+        ? await ChatSession.findOne({ _id: sessionId, userId: new mongoose.Types.ObjectId(userId) })
+        : null;
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Chat session not found'
+        });
+      }
+
+      if (!session.messages.some(message => message.role === 'user')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Describe your symptoms first so we can suggest a doctor'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: await recommendDoctors(session.messages)
+      });
+
+    } catch (error) {
+      console.error('Error recommending doctors:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to recommend doctors',
+        error: error.message
+      });
+    }
+  }
+
   // Quick symptom check
   async quickSymptomCheck(req, res) {
     try {
-      const { symptoms } = req.body;
-      const userId = req.userId;
+      const { symptoms, age } = req.body;
 
       if (!symptoms) {
         return res.status(400).json({
@@ -463,23 +797,28 @@ Format your response clearly and include relevant medical context.`;
         });
       }
 
-      // Check emergency symptoms
-      const emergencyCheck = await geminiService.checkEmergencySymptoms(symptoms);
-      const isEmergency = emergencyCheck.includes('EMERGENCY_LEVEL: HIGH');
+      // Age is optional; without it the triage reads any age given in the description
+      const hasAge = age !== undefined && age !== null && age !== '';
+      if (hasAge && !(Number(age) >= 0 && Number(age) <= 130)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Age must be a number of years between 0 and 130'
+        });
+      }
+
+      const triage = triageSymptoms(symptoms, { age: hasAge ? Number(age) : undefined });
+      const isEmergency = triage.level === 'emergency';
 
       // Get RAG context
       const relevantContext = await ragService.findRelevantContext(symptoms);
-      const contextText = relevantContext.map(ctx => ctx.content).join('\n');
-
-      // Assess symptom severity
-      const severity = ragService.assessSymptomSeverity(symptoms);
+      const contextText = withTriage(relevantContext.map(ctx => ctx.content).join('\n'), triage);
 
       // Generate quick assessment
       let assessment;
       if (isEmergency) {
-        assessment = `🚨 **URGENT MEDICAL ATTENTION NEEDED** 🚨\n\nBased on your symptoms, this could be a medical emergency. Please seek immediate medical attention.\n\n${emergencyCheck}`;
+        assessment = `🚨 **URGENT MEDICAL ATTENTION NEEDED** 🚨\n\nBased on your symptoms, this could be a medical emergency. Please seek immediate medical attention.\n\n${triage.explanation}`;
       } else {
-        assessment = await geminiService.generateMedicalResponse(
+        assessment = await medicalAssistant.generateMedicalResponse(
           [{ role: 'user', content: `Quick symptom check: ${symptoms}` }],
           contextText
         );
@@ -489,15 +828,14 @@ Format your response clearly and include relevant medical context.`;
         success: true,
         data: {
           assessment,
-          severity,
+          severity: triage.level,
+          triage,
           isEmergency,
           relevantConditions: relevantContext.map(ctx => ({
             topic: ctx.topic,
             similarity: ctx.similarity
           })),
-          recommendations: isEmergency ? 
-            ['Seek immediate emergency care', 'Call 999', 'Go to nearest hospital'] :
-            ['Consult with a healthcare provider', 'Monitor symptoms', 'Consider booking an appointment']
+          recommendations: TRIAGE_RECOMMENDATIONS[triage.level]
         }
       });
 
@@ -511,6 +849,32 @@ Format your response clearly and include relevant medical context.`;
     }
   }
 
+  // Get report embedding counts for the current user
+  async getDocumentStats(req, res) {
+    try {
+      const stats = await enhancedFileUploadService.getVectorStoreStats(req.userId);
+      const [userStats] = stats.users;
+
+      res.status(200).json({
+        success: true,
+        data: {
+          documents: userStats?.documents || 0,
+          sessions: userStats?.sessions || 0,
+          chunks: userStats?.chunks || 0,
+          lastUpdated: userStats?.lastUpdated || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting document stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get document stats',
+        error: error.message
+      });
+    }
+  }
+
   // Delete chat session
   async deleteChatSession(req, res) {
     try {
@@ -529,12 +893,16 @@ Format your response clearly and include relevant medical context.`;
         });
       }
 
+      // Remove the embeddings of reports uploaded in this session
+      const deletedChunks = await enhancedFileUploadService.deleteSessionDocuments(userId, sessionId);
+
       res.status(200).json({
         success: true,
         message: 'Chat session deleted successfully',
         data: {
           deletedSessionId: sessionId,
-          sessionTitle: session.sessionTitle
+          sessionTitle: session.sessionTitle,
+          deletedChunks
         }
       });
 
@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import Consultation from '../models/ConsultationSchema.js';
+import Booking from '../models/BookingSchema.js';
+import Medicine from '../models/Medicine.js';
+import { addItemsToCart } from './cartController.js';
+import { generatePrescriptionPdf } from '../services/prescriptionPdfService.js';
+import { notifyUser } from '../services/notificationService.js';
+
+// A consultation can only be written once the doctor has accepted the visit
+const CONSULTABLE_STATUSES = ['approved', 'finished'];
+
+const VITAL_FIELDS = ['bloodPressure', 'pulse', 'temperature', 'respiratoryRate', 'spo2', 'weight', 'height'];
+const NOTE_FIELDS = ['chiefComplaint', 'history', 'examination', 'advice'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields
+    .filter(field => source?.[field] !== undefined && source[field] !== '')
+    .map(field => [field, source[field]])
+);
+
+// Load the booking and make sure the caller is its doctor or patient
+const findOwnBooking = async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId);
+
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  const ownerId = req.role === 'doctor' ? booking.doctor : booking.user;
+  if (ownerId.toString() !== req.userId) {
+    res.status(403).json({ success: false, message: 'You are not authorized to access this booking' });
+    return null;
+  }
+
+  return booking;
+};
+
+const findConsultation = (bookingId) => Consultation.findOne({ booking: bookingId })
+  .populate('doctor', 'name specialization')
+  .populate('patient', 'name gender bloodType')
+  .populate('booking', 'appointmentDate appointmentTime')
+  .populate('prescription.medicine', 'productName genericName price photo');
+
+export const saveConsultation = async (req, res) => {
+  const { notes, vitals, diagnoses = [], prescription = [], followUpDate } = req.body;
+
+  try {
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
+
+    if (!CONSULTABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Consultation notes can't be added to a ${booking.status} appointment`
+      });
+    }
+
+    if (!Array.isArray(diagnoses) || !Array.isArray(prescription)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Diagnoses and prescription must be lists'
+      });
+    }
+
+    const invalidDiagnosis = diagnoses.some(diagnosis => !diagnosis?.description);
+    const invalidItem = prescription.some(item =>
+      !mongoose.isValidObjectId(item?.medicine) || !item.dose || !item.frequency || !item.duration
+    );
+    if (invalidDiagnosis || invalidItem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every diagnosis needs a description and every medicine needs a valid id, dose, frequency and duration'
+      });
+    }
+
+    // Prescribed medicines must exist in the pharmacy so they can be ordered
+    const medicineIds = [...new Set(prescription.map(item => item.medicine.toString()))];
+    const medicines = await Medicine.find({ _id: { $in: medicineIds } }).select('productName');
+    if (medicines.length !== medicineIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more prescribed medicines were not found'
+      });
+    }
+    const medicineNames = new Map(medicines.map(medicine => [medicine._id.toString(), medicine.productName]));
+
+    const update = {
+      doctor: booking.doctor,
+      patient: booking.user,
+      notes: pick(notes, NOTE_FIELDS),
+      vitals: pick(vitals, VITAL_FIELDS),
+      diagnoses: diagnoses.map(({ code, description }) => ({ code, description })),
+      prescription: prescription.map(item => ({
+        medicine: item.medicine,
+        medicineName: medicineNames.get(item.medicine.toString()),
+        dose: item.dose,
+        frequency: item.frequency,
+        duration: item.duration,
+        quantity: item.quantity || 1,
+        instructions: item.instructions
+      })),
+      followUpDate: followUpDate || undefined
+    };
+
+    const isNew = !booking.consultation;
+    const consultation = await Consultation.findOneAndUpdate(
+      { booking: booking._id },
+      update,
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    if (isNew) {
+      booking.consultation = consultation._id;
+      await booking.save();
+
+      await notifyUser(booking.user, {
+        title: 'Your prescription is ready',
+        message: 'Your doctor has added consultation notes and a prescription to your appointment. You can view and download it from My Bookings.',
+        booking: booking._id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation saved successfully',
+      data: await findConsultation(booking._id)
+    });
+  } catch (error) {
+    console.error('Save consultation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save consultation',
+      error: error.message
+    });
+  }
+};
+
+// The patient's prescriptions, newest first, e.g. to attach one at checkout
+export const getMyConsultations = async (req, res) => {
+  try {
+    const consultations = await Consultation.find({ patient: req.userId })
+      .populate('doctor', 'name specialization')
+      .populate('booking', 'appointmentDate appointmentTime')
+      .sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultations fetched successfully',
+      data: consultations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consultations',
+      error: error.message
+    });
+  }
+};
+
+export const getConsultation = async (req, res) => {
+  try {
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
+
+    const consultation = await findConsultation(booking._id);
+    if (!consultation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No consultation has been recorded for this appointment'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Consultation fetched successfully',
+      data: consultation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consultation',
+      error: error.message
+    });
+  }
+};
+
+export const downloadPrescription = async (req, res) => {
+  try {
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
+
+    const consultation = await findConsultation(booking._id);
+    if (!consultation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No consultation has been recorded for this appointment'
+      });
+    }
+
+    const pdfBytes = await generatePrescriptionPdf(consultation);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="prescription-${booking._id}.pdf"`);
+    res.status(200).send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Prescription PDF error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate prescription',
+      error: error.message
+    });
+  }
+};
+
+export const addPrescriptionToCart = async (req, res) => {
+  try {
+    const booking = await findOwnBooking(req, res);
+    if (!booking) return;
+
+    const consultation = await Consultation.findOne({ booking: booking._id })
+      .populate('prescription.medicine', 'batches');
+    if (!consultation) {
+      return res.status(404).json({
+        success: false,
+        message: 'No consultation has been recorded for this appointment'
+      });
+    }
+
+    // Skip medicines the pharmacy no longer carries or has run out of
+    const items = consultation.prescription
+      .filter(item => item.medicine?.stock >= (item.quantity || 1))
+      .map(item => ({ medicineId: item.medicine._id, quantity: item.quantity || 1 }));
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the prescribed medicines are in stock in the pharmacy'
+      });
+    }
+
+    const cart = await addItemsToCart(req.userId, items);
+    const skipped = consultation.prescription.length - items.length;
+
+    res.status(200).json({
+      success: true,
+      message: skipped > 0
+        ? `Prescription added to cart (${skipped} medicine(s) unavailable or out of stock)`
+        : 'Prescription added to cart',
+      data: cart
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add prescription to cart',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,8 @@
 import Doctor from '../models/DoctorSchema.js';
 import Booking from '../models/BookingSchema.js';
 import mongoose from 'mongoose';
+import { getAvailableSlots, toDateKey, validateSchedule, findBlackout, flagBookingsForBlackout } from '../services/availabilityService.js';
+import { normalizeSpecialization } from '../config/specializations.js';
 
 export const updateDoctor = async (req, res) => {
   const id = req.params.id;
@@ -79,30 +81,6 @@ export const getAllDoctor = async (req, res) => {
     
     let filter = {};
 
-    // Helper function to normalize specialization
-    const normalizeSpecialization = (spec) => {
-      if (!spec) return "";
-      spec = spec.toLowerCase().trim();
-      
-      // Create base word mappings
-      const baseWords = {
-        'neuro': ['neurology', 'neurologist'],
-        'cardio': ['cardiology', 'cardiologist'],
-        'derma': ['dermatology', 'dermatologist'],
-        'gastro': ['gastroenterology', 'gastroenterologist'],
-        'surg': ['surgery', 'surgeon']
-      };
-
-      // Check each base word
-      for (const [base, variations] of Object.entries(baseWords)) {
-        if (spec.includes(base)) {
-          return variations; // Return array of possible variations
-        }
-      }
-      
-      return [spec]; // Return array with original spec if no match
-    };
-
     // Add query filter if provided
     if (query) {
       filter.$or = [
@@ -126,15 +104,15 @@ export const getAllDoctor = async (req, res) => {
 
     // Get appointment counts and add availability for each doctor
     const doctorsWithDetails = await Promise.all(doctors.map(async (doctor) => {
-      const appointmentCount = await mongoose.model('Booking').countDocuments({
+      const patients = await mongoose.model('Booking').distinct('user', {
         doctor: doctor._id,
-        status: { $in: ['approved', 'finished'] } // Only count completed appointments
+        status: { $in: ['approved', 'finished'] } // Only count confirmed or completed visits
       });
 
       return {
         ...doctor._doc,
         isAvailable: doctor.isAvailable || false,
-        totalPatients: appointmentCount
+        totalPatients: patients.length
       };
     }));
 
@@ -288,16 +266,16 @@ export const getTopRatedDoctors = async (req, res) => {
       .sort({ averageRating: -1 }) // Sort by rating in descending order
       .limit(3); // Get only top 3
 
-    // For each doctor, get their total appointments count
+    // For each doctor, count the patients they have seen
     const doctorsWithCounts = await Promise.all(doctors.map(async (doctor) => {
-      const appointmentCount = await mongoose.model('Booking').countDocuments({
+      const patients = await mongoose.model('Booking').distinct('user', {
         doctor: doctor._id,
-        status: { $in: ['approved', 'finished'] } // Only count completed appointments
+        status: { $in: ['approved', 'finished'] } // Only count confirmed or completed visits
       });
 
       return {
         ...doctor.toObject(),
-        totalPatients: appointmentCount
+        totalPatients: patients.length
       };
     }));
 
@@ -354,4 +332,214 @@ export const updateAvailability = async (req, res) => {
       error: err.message
     });
   }
+};
+
+export const getDoctorSlots = async (req, res) => {
+  const { id } = req.params;
+  const dateKey = toDateKey(req.query.date);
+
+  if (!dateKey) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid date (YYYY-MM-DD) is required"
+    });
+  }
+
+  try {
+    const doctor = await Doctor.findById(id).select("-password");
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found"
+      });
+    }
+
+    // Unavailable doctors have nothing to offer on any date
+    const slots = doctor.isAvailable ? await getAvailableSlots(doctor, dateKey) : [];
+    const blackout = findBlackout(doctor, dateKey);
+
+    res.status(200).json({
+      success: true,
+      message: "Slots fetched successfully",
+      data: {
+        date: dateKey,
+        slotDuration: doctor.slotDuration,
+        onLeave: !!blackout,
+        leaveReason: blackout ? blackout.reason : null,
+        slots
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch slots",
+      error: err.message
+    });
+  }
+};
+
+export const updateSchedule = async (req, res) => {
+  const { id } = req.params;
+  const { weeklySchedule, slotDuration, breaks } = req.body;
+
+  if (id !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: "You're not authorized to update this schedule"
+    });
+  }
+
+  const validationError = validateSchedule({ weeklySchedule, slotDuration, breaks });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      message: validationError
+    });
+  }
+
+  try {
+    const update = {};
+    if (weeklySchedule !== undefined) update.weeklySchedule = weeklySchedule;
+    if (slotDuration !== undefined) update.slotDuration = Number(slotDuration);
+    if (breaks !== undefined) update.breaks = breaks;
+
+    const updatedDoctor = await Doctor.findByIdAndUpdate(
+      id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select("-password");
+
+    if (!updatedDoctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Schedule updated successfully",
+      data: updatedDoctor
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update schedule",
+      error: err.message
+    });
+  }
+};
+
+export const addBlackout = async (req, res) => {
+  const { id } = req.params;
+  const { startDate, endDate, reason } = req.body;
+
+  if (id !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: "You're not authorized to manage this doctor's leave"
+    });
+  }
+
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+
+  if (!startKey || !endKey || !reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: "Start date, end date and reason are required"
+    });
+  }
+
+  if (startKey > endKey) {
+    return res.status(400).json({
+      success: false,
+      message: "End date must be on or after the start date"
+    });
+  }
+
+  try {
+    const doctor = await Doctor.findById(id).select("-password");
+
+    if (!doctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Doctor not found"
+      });
+    }
+
+    doctor.blackouts.push({
+      startDate: new Date(`${startKey}T00:00:00.000Z`),
+      endDate: new Date(`${endKey}T00:00:00.000Z`),
+      reason: reason.trim()
+    });
+    await doctor.save();
+
+    const blackout = doctor.blackouts[doctor.blackouts.length - 1];
+    const affectedBookings = await flagBookingsForBlackout(doctor, blackout);
+
+    res.status(201).json({
+      success: true,
+      message: affectedBookings.length > 0
+        ? `Leave added, ${affectedBookings.length} appointment(s) need rescheduling`
+        : "Leave added successfully",
+      data: {
+        blackout,
+        affectedBookings: affectedBookings.length
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to add leave",
+      error: err.message
+    });
+  }
+};
+
+export const removeBlackout = async (req, res) => {
+  const { id, blackoutId } = req.params;
+
+  if (id !== req.userId) {
+    return res.status(403).json({
+      success: false,
+      message: "You're not authorized to manage this doctor's leave"
+    });
+  }
+
+  if (!mongoose.isValidObjectId(blackoutId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid leave period id"
+    });
+  }
+
+  try {
+    // Only matches when the doctor has this leave period
+    const updatedDoctor = await Doctor.findOneAndUpdate(
+      { _id: id, "blackouts._id": blackoutId },
+      { $pull: { blackouts: { _id: blackoutId } } },
+      { new: true }
+    ).select("-password");
+
+    if (!updatedDoctor) {
+      return res.status(404).json({
+        success: false,
+        message: "Leave period not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Leave removed successfully",
+      data: updatedDoctor.blackouts
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove leave",
+      error: err.message
+    });
+  }
 };
\ No newline at end of file
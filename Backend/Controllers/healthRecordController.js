@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { LAB_TESTS } from '../config/labTests.js';
+import { getLabTrends, deleteReportObservations } from '../services/labTrendService.js';
+
+const DEFAULT_TREND_MONTHS = 24;
+
+export const getMyLabTrends = async (req, res) => {
+  const { months = DEFAULT_TREND_MONTHS, codes } = req.query;
+
+  // "all" returns every value on record
+  let since = null;
+  if (months !== 'all') {
+    const monthCount = Number(months);
+    if (!Number.isInteger(monthCount) || monthCount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'months must be a positive whole number or "all"'
+      });
+    }
+    since = new Date();
+    since.setMonth(since.getMonth() - monthCount);
+  }
+
+  const requestedCodes = codes ? codes.split(',').map(code => code.trim().toUpperCase()).filter(Boolean) : [];
+  const unknownCode = requestedCodes.find(code => !LAB_TESTS.some(test => test.code === code));
+  if (unknownCode) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown lab test code: ${unknownCode}`
+    });
+  }
+
+  try {
+    const trends = await getLabTrends(req.userId, { codes: requestedCodes, since });
+
+    res.status(200).json({
+      success: true,
+      message: 'Lab trends fetched successfully',
+      data: { since, trends }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch lab trends',
+      error: error.message
+    });
+  }
+};
+
+export const deleteReportFromRecords = async (req, res) => {
+  const { reportId } = req.params;
+
+  if (!mongoose.isValidObjectId(reportId)) {
+    return res.status(400).json({ success: false, message: 'Invalid report ID' });
+  }
+
+  try {
+    const deletedCount = await deleteReportObservations(req.userId, reportId);
+
+    if (deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'No lab values on record for this report' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Report removed from your health records',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove report from health records',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Hospital Directory Controller
+ * @description Manages the hospitals ambulance requests are routed to: the
+ * directory patients pick from, admin upkeep of details and bed availability,
+ * and suggestions of where to take a patient
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Hospital from '../models/Hospital.js';
+import { suggestHospitals as findSuggestedHospitals } from '../services/hospitalRoutingService.js';
+import { HOSPITAL_SPECIALITIES } from '../config/hospitalRouting.js';
+import { validateCoordinates } from '../config/dispatchPolicy.js';
+
+/**
+ * Hospital fields from a request body, with latitude and longitude turned
+ * into the GeoJSON position
+ * @param {Object} body - Request body
+ * @returns {{fields: Object, error: string|null}}
+ */
+const hospitalFields = (body) => {
+    // Beds are changed through their own endpoint so the update time stays true
+    const { latitude, longitude, position, beds, _id, createdAt, ...fields } = body;
+
+    if (latitude !== undefined || longitude !== undefined) {
+        const error = validateCoordinates(latitude, longitude);
+        if (error) return { fields, error };
+        fields.position = { type: 'Point', coordinates: [Number(longitude), Number(latitude)] };
+    }
+
+    return { fields, error: null };
+};
+
+/**
+ * Check a bed count update
+ * @param {*} available - Free beds
+ * @param {*} total - All beds, if given
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateBeds = (available, total) => {
+    if (!Number.isInteger(Number(available)) || Number(available) < 0) {
+        return 'Available beds must be a whole number of zero or more';
+    }
+    if (total !== undefined && total !== null && total !== '') {
+        if (!Number.isInteger(Number(total)) || Number(total) < 0) {
+            return 'Total beds must be a whole number of zero or more';
+        }
+        if (Number(available) > Number(total)) {
+            return 'Available beds cannot exceed total beds';
+        }
+    }
+    return null;
+};
+
+/**
+ * List hospitals in the directory
+ * @async
+ * @function getAllHospitals
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Filters
+ * @param {string} [req.query.division] - Only hospitals in this division
+ * @param {string} [req.query.speciality] - Only hospitals offering this speciality
+ * @param {string} [req.query.includeInactive] - "true" to include hospitals ambulances are not sent to
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Hospitals sorted by division and name
+ */
+export const getAllHospitals = async (req, res) => {
+    try {
+        const { division, speciality, includeInactive } = req.query;
+
+        const query = {};
+        if (includeInactive !== 'true') query.active = true;
+        if (division) query.division = division;
+        if (speciality) query.specialities = speciality;
+
+        const hospitals = await Hospital.find(query).select('-__v').sort({ division: 1, name: 1 });
+
+        res.status(200).json({
+            success: true,
+            data: hospitals
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Suggest hospitals for an emergency
+ * @async
+ * @function suggestHospitals
+ * @param {Object} req - Express request object
+ * @param {Object} req.query - Query parameters
+ * @param {number} req.query.latitude - Pickup latitude
+ * @param {number} req.query.longitude - Pickup longitude
+ * @param {string} [req.query.emergencyType] - Emergency type, which decides the speciality needed
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Hospitals best first with their distance, the
+ * speciality needed and whether the suggestions have it
+ * @description Suggests the nearest active hospitals with an emergency
+ * department, a free bed and the speciality the emergency needs. When none
+ * nearby has the speciality, the nearest that can take any emergency are
+ * suggested and specialityMatched is false.
+ */
+export const suggestHospitals = async (req, res) => {
+    try {
+        const { latitude, longitude, emergencyType } = req.query;
+
+        const coordinatesError = validateCoordinates(latitude, longitude);
+        if (coordinatesError) {
+            return res.status(400).json({
+                success: false,
+                message: coordinatesError
+            });
+        }
+
+        const { speciality, specialityMatched, hospitals } = await findSuggestedHospitals(
+            { latitude, longitude },
+            emergencyType
+        );
+
+        res.status(200).json({
+            success: true,
+            data: hospitals,
+            speciality,
+            specialityMatched
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Get a hospital by ID
+ * @async
+ * @function getHospitalById
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hospital ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Hospital details
+ */
+export const getHospitalById = async (req, res) => {
+    try {
+        const hospital = mongoose.isValidObjectId(req.params.id)
+            ? await Hospital.findById(req.params.id).select('-__v')
+            : null;
+
+        if (!hospital) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hospital not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: hospital
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Add a hospital to the directory
+ * @async
+ * @function createHospital
+ * @param {Object} req - Express request object
+ * @param {Object} req.body - Hospital details, with latitude and longitude
+ * @param {Object} [req.body.beds] - Starting bed availability ({ available, total })
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Created hospital
+ */
+export const createHospital = async (req, res) => {
+    try {
+        const { fields, error } = hospitalFields(req.body);
+        const bedsError = req.body.beds ? validateBeds(req.body.beds.available, req.body.beds.total) : null;
+        if (error || bedsError || !fields.position) {
+            return res.status(400).json({
+                success: false,
+                message: error || bedsError || 'Latitude and longitude are required'
+            });
+        }
+
+        const hospital = new Hospital(fields);
+        if (req.body.beds) {
+            hospital.beds = {
+                available: Number(req.body.beds.available),
+                total: req.body.beds.total === '' ? undefined : req.body.beds.total,
+                updatedAt: new Date()
+            };
+        }
+        await hospital.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Hospital added successfully',
+            data: hospital
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A hospital with this name already exists'
+            });
+        }
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Update a hospital's details
+ * @async
+ * @function updateHospital
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hospital ID
+ * @param {Object} req.body - Fields to update; bed availability has its own endpoint
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Updated hospital
+ */
+export const updateHospital = async (req, res) => {
+    try {
+        const { fields, error } = hospitalFields(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const hospital = mongoose.isValidObjectId(req.params.id) ? await Hospital.findById(req.params.id) : null;
+        if (!hospital) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hospital not found'
+            });
+        }
+
+        hospital.set(fields);
+        await hospital.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Hospital updated successfully',
+            data: hospital
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'A hospital with this name already exists'
+            });
+        }
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Update a hospital's bed availability
+ * @async
+ * @function updateHospitalBeds
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hospital ID
+ * @param {number} req.body.available - Free beds
+ * @param {number} [req.body.total] - All beds; unchanged when left out
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Updated hospital
+ * @description Hospitals without a free bed are no longer suggested for
+ * ambulance requests until an admin reports one again
+ */
+export const updateHospitalBeds = async (req, res) => {
+    try {
+        const { available, total } = req.body;
+
+        const hospital = mongoose.isValidObjectId(req.params.id) ? await Hospital.findById(req.params.id) : null;
+        if (!hospital) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hospital not found'
+            });
+        }
+
+        const bedsError = validateBeds(available, total ?? hospital.beds?.total);
+        if (bedsError) {
+            return res.status(400).json({
+                success: false,
+                message: bedsError
+            });
+        }
+
+        hospital.beds.available = Number(available);
+        if (total !== undefined && total !== '') hospital.beds.total = Number(total);
+        hospital.beds.updatedAt = new Date();
+        await hospital.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Bed availability updated',
+            data: hospital
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Remove a hospital from the directory
+ * @async
+ * @function deleteHospital
+ * @param {Object} req - Express request object
+ * @param {string} req.params.id - Hospital ID
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Success message
+ * @description Requests already routed to the hospital keep its name; to
+ * stop sending ambulances for a while, set it inactive instead
+ */
+export const deleteHospital = async (req, res) => {
+    try {
+        const hospital = mongoose.isValidObjectId(req.params.id)
+            ? await Hospital.findByIdAndDelete(req.params.id)
+            : null;
+
+        if (!hospital) {
+            return res.status(404).json({
+                success: false,
+                message: 'Hospital not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Hospital removed successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List the specialities hospitals can offer
+ * @function getHospitalSpecialities
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Speciality values
+ */
+export const getHospitalSpecialities = (req, res) => {
+    res.status(200).json({
+        success: true,
+        data: HOSPITAL_SPECIALITIES
+    });
+};
@@ -1,4 +1,10 @@
 import Medicine from '../models/Medicine.js';
+import Order from '../models/Order.js';
+import { getInventoryReport as buildInventoryReport } from '../services/inventoryService.js';
+import { readCatalogFile, importCatalog, exportCatalog, toDottedPaths } from '../services/medicineCatalogService.js';
+
+// Orders in these states still need their medicines to exist
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'return_requested'];
 
 // Standardized medicine categories
 export const medicineCategories = [
@@ -54,9 +60,53 @@ export const createMedicine = async (req, res) => {
     }
 };
 
+// Update medicine details (stock is changed through the batch endpoints)
+export const updateMedicine = async (req, res) => {
+    try {
+        const { batches, _id, ...updates } = req.body;
+
+        const medicine = await Medicine.findById(req.params.id);
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medicine not found'
+            });
+        }
+
+        // Only the subfields sent change, e.g. description.text alone
+        medicine.set(toDottedPaths(updates));
+        const savedMedicine = await medicine.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Medicine updated successfully',
+            data: savedMedicine
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message || 'Failed to update medicine'
+        });
+    }
+};
+
 // Delete medicine
 export const deleteMedicine = async (req, res) => {
     try {
+        const openOrders = await Order.countDocuments({
+            'items.medicine': req.params.id,
+            status: { $in: OPEN_ORDER_STATUSES }
+        });
+
+        if (openOrders > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `This medicine is in ${openOrders} open order(s) and can't be deleted until they are delivered or cancelled`
+            });
+        }
+
         const medicine = await Medicine.findByIdAndDelete(req.params.id);
         
         if (!medicine) {
@@ -119,4 +169,202 @@ export const getMedicineById = async (req, res) => {
             message: error.message || 'Failed to fetch medicine details'
         });
     }
-}; 
\ No newline at end of file
+}; 
+// Receive a new batch of stock
+export const addBatch = async (req, res) => {
+    const { batchNumber, quantity, expiryDate } = req.body;
+
+    if (!batchNumber || !expiryDate || !Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+        return res.status(400).json({
+            success: false,
+            message: 'Batch number, a positive quantity and an expiry date are required'
+        });
+    }
+
+    if (new Date(expiryDate) <= new Date()) {
+        return res.status(400).json({
+            success: false,
+            message: 'This batch has already expired'
+        });
+    }
+
+    try {
+        const medicine = await Medicine.findById(req.params.id);
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medicine not found'
+            });
+        }
+
+        if (medicine.batches.some(batch => batch.batchNumber === batchNumber.trim())) {
+            return res.status(409).json({
+                success: false,
+                message: `Batch ${batchNumber} is already recorded for this medicine`
+            });
+        }
+
+        medicine.batches.push({ batchNumber, quantity: Number(quantity), expiryDate });
+        await medicine.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Batch added successfully',
+            data: medicine
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to add batch'
+        });
+    }
+};
+
+// Correct a batch's quantity after a stock count, or write off an expired one
+export const updateBatch = async (req, res) => {
+    const { quantity } = req.body;
+
+    if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Quantity must be zero or more'
+        });
+    }
+
+    try {
+        const medicine = await Medicine.findOneAndUpdate(
+            { _id: req.params.id, 'batches._id': req.params.batchId },
+            { $set: { 'batches.$.quantity': Number(quantity) } },
+            { new: true }
+        );
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Batch updated successfully',
+            data: medicine
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to update batch'
+        });
+    }
+};
+
+export const removeBatch = async (req, res) => {
+    try {
+        const medicine = await Medicine.findOneAndUpdate(
+            { _id: req.params.id, 'batches._id': req.params.batchId },
+            { $pull: { batches: { _id: req.params.batchId } } },
+            { new: true }
+        );
+
+        if (!medicine) {
+            return res.status(404).json({
+                success: false,
+                message: 'Batch not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Batch removed successfully',
+            data: medicine
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to remove batch'
+        });
+    }
+};
+
+// Low stock and near-expiry report for the admin dashboard
+export const getInventoryReport = async (req, res) => {
+    try {
+        const days = Math.max(1, parseInt(req.query.days, 10) || 30);
+        const report = await buildInventoryReport(days);
+
+        res.status(200).json({
+            success: true,
+            message: 'Inventory report fetched successfully',
+            data: { ...report, days }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to fetch inventory report'
+        });
+    }
+};
+
+// Bulk import a CSV or JSON catalog; ?dryRun=true only validates
+export const importMedicines = async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please upload a .csv or .json file'
+        });
+    }
+
+    const { rows, error } = readCatalogFile(req.file.buffer, req.file.originalname);
+    if (error) {
+        return res.status(400).json({
+            success: false,
+            message: error
+        });
+    }
+
+    if (rows.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'The file has no medicines in it'
+        });
+    }
+
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        const result = await importCatalog(rows, { dryRun });
+        const applied = result.created + result.updated;
+
+        res.status(200).json({
+            success: true,
+            message: dryRun
+                ? `${applied} row(s) ready to import, ${result.failed} with errors`
+                : `Imported ${result.created} new and updated ${result.updated} medicine(s), ${result.failed} row(s) skipped`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Medicine import error:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to import medicines'
+        });
+    }
+};
+
+// Download the catalog as CSV or JSON in the import layout
+export const exportMedicines = async (req, res) => {
+    try {
+        const format = req.query.format === 'json' ? 'json' : 'csv';
+        const content = await exportCatalog(format);
+        const date = new Date().toISOString().split('T')[0];
+
+        res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="medicines-${date}.${format}"`);
+        res.status(200).send(content);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message || 'Failed to export medicines'
+        });
+    }
+};
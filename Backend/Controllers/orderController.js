@@ -1,10 +1,89 @@
 import Order from '../models/Order.js';
 import Cart from '../models/Cart.js';
+import Consultation from '../models/ConsultationSchema.js';
+import { notifyUser } from '../services/notificationService.js';
+import { reserveStock, releaseStock } from '../services/inventoryService.js';
+import {
+    ADMIN_STATUSES,
+    PATIENT_CANCELLABLE_STATUSES,
+    validateOrderStatusChange,
+    validateReturnRequest
+} from '../config/orderPolicy.js';
+
+// How long an in-platform prescription can be used to buy medicines
+const PRESCRIPTION_VALID_DAYS = 180;
+
+// Order statuses that need a verified prescription first
+const FULFILMENT_STATUSES = ['confirmed', 'shipped', 'delivered'];
+
+const orderNumber = (order) => order._id.toString().slice(-6);
+
+/**
+ * Save a status change, but only while the order is still in the status it
+ * was read in. A double-submitted or concurrent change finds nothing to
+ * update, so it cannot release the order's stock a second time.
+ * Returns the updated order, or null when someone else changed it first.
+ */
+const saveStatusChange = (order, { status, actor, actorRole, note }, fields = {}) =>
+    Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+            $set: { status, ...fields },
+            $push: { statusHistory: { status, actor, actorRole, note } }
+        },
+        { new: true }
+    );
+
+const changedMeanwhile = (res) => res.status(400).json({
+    success: false,
+    message: 'This order was changed in the meantime, please reload it'
+});
+
+/**
+ * Check the prescription a patient attached at checkout
+ * Returns the order's prescription data, or an error message
+ */
+const validatePrescription = async (userId, prescription, rxMedicines) => {
+    if (!prescription || (!prescription.fileUrl && !prescription.consultationId)) {
+        const names = rxMedicines.map(medicine => medicine.productName).join(', ');
+        return { error: `A prescription is required for: ${names}` };
+    }
+
+    if (prescription.consultationId) {
+        const consultation = await Consultation.findById(prescription.consultationId);
+
+        if (!consultation || consultation.patient.toString() !== userId) {
+            return { error: 'Prescription not found' };
+        }
+
+        const validUntil = new Date(consultation.updatedAt);
+        validUntil.setDate(validUntil.getDate() + PRESCRIPTION_VALID_DAYS);
+        if (validUntil < new Date()) {
+            return { error: `This prescription is older than ${PRESCRIPTION_VALID_DAYS} days, please attach a recent one` };
+        }
+
+        const prescribed = new Set(consultation.prescription.map(item => item.medicine.toString()));
+        const missing = rxMedicines.filter(medicine => !prescribed.has(medicine._id.toString()));
+        if (missing.length > 0) {
+            return {
+                error: `The selected prescription does not include: ${missing.map(medicine => medicine.productName).join(', ')}`
+            };
+        }
+
+        return { data: { source: 'consultation', consultation: consultation._id, status: 'pending' } };
+    }
+
+    if (!/^https?:\/\//.test(prescription.fileUrl)) {
+        return { error: 'Invalid prescription file' };
+    }
+
+    return { data: { source: 'upload', fileUrl: prescription.fileUrl, status: 'pending' } };
+};
 
 export const createOrder = async (req, res) => {
     try {
         const userId = req.userId;  // This comes from the authenticate middleware
-        const { shippingAddress } = req.body;
+        const { shippingAddress, prescription } = req.body;
 
         if (!userId) {
             return res.status(401).json({
@@ -23,21 +102,52 @@ export const createOrder = async (req, res) => {
             });
         }
 
-        // Create order items from cart items
-        const orderItems = cart.items.map(item => ({
+        // Prescription-only medicines need a prescription the pharmacist can verify
+        const rxMedicines = cart.items
+            .map(item => item.medicine)
+            .filter(medicine => medicine?.requiresPrescription);
+
+        let orderPrescription;
+        if (rxMedicines.length > 0) {
+            const { data, error } = await validatePrescription(userId, prescription, rxMedicines);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                    requiresPrescription: true
+                });
+            }
+            orderPrescription = data;
+        }
+
+        // Take the stock now so it can't be sold twice while the order is open
+        const { items: orderItems, error: stockError } = await reserveStock(cart.items.map(item => ({
             medicine: item.medicine._id,
             quantity: item.quantity,
             price: item.medicine.price
-        }));
+        })));
+        if (stockError) {
+            return res.status(400).json({
+                success: false,
+                message: stockError
+            });
+        }
 
         // Create new order
-        const order = await Order.create({
-            user: userId,
-            items: orderItems,
-            totalAmount: cart.totalAmount,
-            shippingAddress,
-            paymentMethod: 'cod'
-        });
+        let order;
+        try {
+            order = await Order.create({
+                user: userId,
+                items: orderItems,
+                totalAmount: cart.totalAmount,
+                shippingAddress,
+                prescription: orderPrescription,
+                paymentMethod: 'cod'
+            });
+        } catch (error) {
+            await releaseStock(orderItems);
+            throw error;
+        }
 
         // Clear the cart after order is created
         await Cart.findOneAndUpdate(
@@ -51,7 +161,9 @@ export const createOrder = async (req, res) => {
 
         res.status(201).json({
             success: true,
-            message: 'Order placed successfully',
+            message: orderPrescription
+                ? 'Order placed, it will be confirmed once your prescription is verified'
+                : 'Order placed successfully',
             data: order
         });
     } catch (error) {
@@ -135,13 +247,16 @@ export const getOrderDetails = async (req, res) => {
 
 export const updateOrderStatus = async (req, res) => {
     try {
-        const { status } = req.body;
-        const order = await Order.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        ).populate('user', 'name email')
-         .populate('items.medicine');
+        const { status, note } = req.body;
+
+        if (!ADMIN_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${ADMIN_STATUSES.join(', ')}`
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
 
         if (!order) {
             return res.status(404).json({
@@ -150,10 +265,42 @@ export const updateOrderStatus = async (req, res) => {
             });
         }
 
+        const transitionError = validateOrderStatusChange(order, status);
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        if (FULFILMENT_STATUSES.includes(status) && order.prescription?.status && order.prescription.status !== 'approved') {
+            return res.status(400).json({
+                success: false,
+                message: 'The prescription for this order has to be approved first'
+            });
+        }
+
+        const updated = await saveStatusChange(order, { status, actor: req.userId, actorRole: 'admin', note });
+        if (!updated) return changedMeanwhile(res);
+
+        if (status === 'cancelled') {
+            await releaseStock(updated.items);
+
+            await notifyUser(order.user, {
+                type: 'order',
+                order: order._id,
+                title: 'Order cancelled',
+                message: `Your order #${orderNumber(order)} was cancelled by the pharmacy${note ? `: ${note}` : '.'}`
+            });
+        }
+
+        await updated.populate('user', 'name email');
+        await updated.populate('items.medicine');
+
         res.status(200).json({
             success: true,
             message: 'Order status updated successfully',
-            data: order
+            data: updated
         });
     } catch (error) {
         res.status(500).json({
@@ -162,4 +309,283 @@ export const updateOrderStatus = async (req, res) => {
             error: error.message
         });
     }
-}; 
\ No newline at end of file
+};
+
+// Load one of the patient's own orders
+const findOwnOrder = async (req, res) => {
+    const order = await Order.findById(req.params.id);
+
+    if (!order || order.user.toString() !== req.userId) {
+        res.status(404).json({
+            success: false,
+            message: 'Order not found'
+        });
+        return null;
+    }
+
+    return order;
+};
+
+// Patients can cancel until the order ships
+export const cancelOrder = async (req, res) => {
+    try {
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+
+        if (!PATIENT_CANCELLABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: order.status === 'cancelled'
+                    ? 'This order is already cancelled'
+                    : 'Orders can only be cancelled before they are shipped'
+            });
+        }
+
+        const cancelled = await saveStatusChange(order, { status: 'cancelled', actor: req.userId, actorRole: 'patient', note: req.body.reason });
+        if (!cancelled) return changedMeanwhile(res);
+
+        await releaseStock(cancelled.items);
+        await cancelled.populate('items.medicine');
+
+        res.status(200).json({
+            success: true,
+            message: 'Order cancelled successfully',
+            data: cancelled
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order',
+            error: error.message
+        });
+    }
+};
+
+export const requestReturn = async (req, res) => {
+    const { reason } = req.body;
+
+    if (!reason?.trim()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please tell us why you are returning this order'
+        });
+    }
+
+    try {
+        const order = await findOwnOrder(req, res);
+        if (!order) return;
+
+        const returnError = validateReturnRequest(order);
+        if (returnError) {
+            return res.status(400).json({
+                success: false,
+                message: returnError
+            });
+        }
+
+        order.returnRequest = { reason: reason.trim(), requestedAt: new Date() };
+        order.setStatus('return_requested', { actor: req.userId, actorRole: 'patient', note: reason.trim() });
+        await order.save();
+        await order.populate('items.medicine');
+
+        res.status(200).json({
+            success: true,
+            message: 'Return requested, the pharmacy will review it shortly',
+            data: order
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to request return',
+            error: error.message
+        });
+    }
+};
+
+// Approve a return (order becomes returned) or reject it (order stays delivered)
+export const resolveReturn = async (req, res) => {
+    const { decision, note } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Decision must be approved or rejected'
+        });
+    }
+
+    if (decision === 'rejected' && !note) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please give a reason for rejecting the return'
+        });
+    }
+
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'return_requested') {
+            return res.status(400).json({
+                success: false,
+                message: 'This order has no return waiting for review'
+            });
+        }
+
+        // Returned medicines are not put back on sale, so stock is left as it is
+        order.returnRequest.resolvedBy = req.userId;
+        order.returnRequest.resolvedAt = new Date();
+        order.returnRequest.resolutionNote = note;
+        order.setStatus(decision === 'approved' ? 'returned' : 'delivered', {
+            actor: req.userId,
+            actorRole: 'admin',
+            note: note || (decision === 'approved' ? 'Return approved' : undefined)
+        });
+        await order.save();
+
+        await notifyUser(order.user, {
+            type: 'order',
+            order: order._id,
+            title: decision === 'approved' ? 'Return approved' : 'Return rejected',
+            message: decision === 'approved'
+                ? `Your return for order #${orderNumber(order)} was approved.${note ? ` ${note}` : ''}`
+                : `Your return for order #${orderNumber(order)} was rejected: ${note}`
+        });
+
+        await order.populate('user', 'name email');
+        await order.populate('items.medicine');
+
+        res.status(200).json({
+            success: true,
+            message: decision === 'approved' ? 'Return approved' : 'Return rejected',
+            data: order
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve return',
+            error: error.message
+        });
+    }
+};
+
+// Orders waiting for a pharmacist to check their prescription, oldest first
+export const getPrescriptionQueue = async (req, res) => {
+    try {
+        const orders = await Order.find({ 'prescription.status': 'pending', status: 'pending' })
+            .populate('user', 'name email')
+            .populate('items.medicine')
+            .populate({
+                path: 'prescription.consultation',
+                select: 'prescription diagnoses updatedAt doctor',
+                populate: { path: 'doctor', select: 'name specialization' }
+            })
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            success: true,
+            message: 'Prescription queue fetched successfully',
+            data: orders
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch prescription queue',
+            error: error.message
+        });
+    }
+};
+
+// Approve or reject the prescription attached to an order
+export const reviewPrescription = async (req, res) => {
+    const { decision, reason } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Decision must be approved or rejected'
+        });
+    }
+
+    if (decision === 'rejected' && !reason) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please give a reason for rejecting the prescription'
+        });
+    }
+
+    try {
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Only orders still waiting on the pharmacist; a cancelled order must not
+        // come back to life, nor have its stock released a second time
+        if (order.status !== 'pending' || order.prescription?.status !== 'pending') {
+            return res.status(400).json({
+                success: false,
+                message: 'This order has no prescription waiting for review'
+            });
+        }
+
+        const nextStatus = decision === 'approved' ? 'confirmed' : 'cancelled';
+        const transitionError = validateOrderStatusChange(order, nextStatus);
+        if (transitionError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionError
+            });
+        }
+
+        const reviewed = await saveStatusChange(order, {
+            status: nextStatus,
+            actor: req.userId,
+            actorRole: 'admin',
+            note: decision === 'approved' ? 'Prescription verified' : `Prescription rejected: ${reason}`
+        }, {
+            'prescription.status': decision,
+            'prescription.reviewedBy': req.userId,
+            'prescription.reviewedAt': new Date(),
+            ...(decision === 'rejected' && { 'prescription.rejectionReason': reason })
+        });
+        if (!reviewed) return changedMeanwhile(res);
+
+        if (reviewed.status === 'cancelled') {
+            await releaseStock(reviewed.items);
+        }
+
+        await notifyUser(reviewed.user, {
+            type: 'order',
+            order: reviewed._id,
+            title: decision === 'approved' ? 'Prescription verified' : 'Prescription rejected',
+            message: decision === 'approved'
+                ? `Your prescription for order #${orderNumber(reviewed)} was verified and the order is confirmed.`
+                : `Your prescription for order #${orderNumber(reviewed)} was rejected (${reason}) and the order was cancelled.`
+        });
+
+        await reviewed.populate('user', 'name email');
+        await reviewed.populate('items.medicine');
+
+        res.status(200).json({
+            success: true,
+            message: decision === 'approved' ? 'Prescription approved, order confirmed' : 'Prescription rejected, order cancelled',
+            data: reviewed
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review prescription',
+            error: error.message
+        });
+    }
+};
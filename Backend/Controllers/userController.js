@@ -2,7 +2,7 @@ import User from '../models/UserSchema.js';
 import BookingSchema from '../models/BookingSchema.js';
 import Doctor from '../models/DoctorSchema.js';
 import Booking from '../models/BookingSchema.js';
-import PatientDoctor from '../models/PatientDoctorSchema.js';
+import Notification from '../models/NotificationSchema.js';
 
 export const updateUser = async (req, res) => {
   const id = req.params.id;
@@ -136,25 +136,10 @@ export const getUserProfile = async (req, res) => {
 
 export const getMyAppointments = async (req, res) => {
   try {
-    // Get both current bookings and history
-    const bookings = await Booking.find({ user: req.userId })
-      .populate('doctor', 'name specialization');
-
-    const patientDoctorRecords = await PatientDoctor.find({ 
-      patient: req.userId 
-    }).populate('doctor', 'name specialization');
-
-    // Combine and format the data
-    const allAppointments = [
-      ...bookings,
-      ...patientDoctorRecords.flatMap(record => 
-        record.history.map(hist => ({
-          ...hist,
-          doctor: record.doctor,
-          status: 'finished'
-        }))
-      )
-    ].sort((a, b) => new Date(b.appointmentDate) - new Date(a.appointmentDate));
+    // Bookings are kept after the visit, so they hold the full history
+    const allAppointments = await Booking.find({ user: req.userId })
+      .populate('doctor', 'name specialization')
+      .sort({ appointmentDate: -1 });
 
     res.status(200).json({
       success: true,
@@ -194,28 +179,15 @@ export const getMyBookings = async (req, res) => {
   }
 };
 
-// Get booking history from PatientDoctor
+// Get finished appointments
 export const getBookingHistory = async (req, res) => {
   try {
-    const patientDoctorRecords = await PatientDoctor.find({ 
-      patient: req.userId 
-    }).populate('doctor', 'name specialization photo');
-
-    // Extract and flatten all history entries
-    const history = patientDoctorRecords.flatMap(record => 
-      record.history.map(hist => ({
-        ...hist.toObject(),
-        doctor: record.doctor
-      }))
-    ).sort((a, b) => {
-      // Sort by date in descending order
-      const dateComparison = new Date(b.appointmentDate) - new Date(a.appointmentDate);
-      // If dates are same, sort by time
-      if (dateComparison === 0) {
-        return b.appointmentTime.localeCompare(a.appointmentTime);
-      }
-      return dateComparison;
-    });
+    const history = await Booking.find({
+      user: req.userId,
+      status: 'finished'
+    })
+    .populate('doctor', 'name specialization photo')
+    .sort({ appointmentDate: -1, appointmentTime: -1 });
 
     res.status(200).json({
       success: true,
@@ -229,4 +201,60 @@ export const getBookingHistory = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Get the logged-in user's notifications, newest first
+export const getMyNotifications = async (req, res) => {
+  try {
+    const notifications = await Notification.find({ user: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const unreadCount = await Notification.countDocuments({
+      user: req.userId,
+      isRead: false
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications fetched successfully",
+      data: notifications,
+      unreadCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+      error: error.message
+    });
+  }
+};
+
+export const markNotificationAsRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.notificationId, user: req.userId },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found"
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: notification
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification",
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,378 @@
+import Waitlist from '../models/WaitlistSchema.js';
+import Booking from '../models/BookingSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import PatientDoctor from '../models/PatientDoctorSchema.js';
+import { getAvailableSlots, findBlackout, toDateKey } from '../services/availabilityService.js';
+import { closeOffer, expireOffers } from '../services/waitlistService.js';
+import { validateBookingDate } from '../config/bookingPolicy.js';
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+
+export const joinWaitlist = async (req, res) => {
+  const { doctorId } = req.params;
+  const { date, problem } = req.body;
+  const dateKey = toDateKey(date);
+
+  if (!dateKey || !problem) {
+    return res.status(400).json({
+      success: false,
+      message: 'Date and problem are required'
+    });
+  }
+
+  const dateError = validateBookingDate(dateKey);
+  if (dateError) {
+    return res.status(400).json({
+      success: false,
+      message: dateError
+    });
+  }
+
+  try {
+    const doctor = await Doctor.findById(doctorId);
+    if (!doctor || !doctor.isAvailable) {
+      return res.status(404).json({ success: false, message: 'Doctor not available' });
+    }
+
+    const blackout = findBlackout(doctor, dateKey);
+    if (blackout) {
+      return res.status(400).json({
+        success: false,
+        message: `Doctor is on leave on this date (${blackout.reason})`
+      });
+    }
+
+    const slots = await getAvailableSlots(doctor, dateKey);
+    if (slots.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Doctor does not work on this date'
+      });
+    }
+
+    if (slots.some(slot => slot.available)) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are still free slots on this date, please book one directly'
+      });
+    }
+
+    const existingEntry = await Waitlist.findOne({
+      doctor: doctorId,
+      user: req.userId,
+      date: dateKey,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (existingEntry) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already on the waitlist for this date'
+      });
+    }
+
+    const existingBooking = await Booking.exists({
+      doctor: doctorId,
+      user: req.userId,
+      appointmentDate: new Date(`${dateKey}T00:00:00.000Z`),
+      status: { $ne: 'cancelled' }
+    });
+    if (existingBooking) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a booking with this doctor on that date'
+      });
+    }
+
+    const entry = await Waitlist.create({
+      doctor: doctorId,
+      user: req.userId,
+      date: dateKey,
+      problem
+    });
+
+    const position = await Waitlist.countDocuments({
+      doctor: doctorId,
+      date: dateKey,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${position} on the waitlist`,
+      data: { ...entry.toObject(), position }
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: error.message
+    });
+  }
+};
+
+export const getMyWaitlist = async (req, res) => {
+  try {
+    // Settle stale offers first so the patient never sees one that is already gone
+    await expireOffers();
+
+    const entries = await Waitlist.find({
+      user: req.userId,
+      status: { $in: ACTIVE_STATUSES }
+    })
+      .populate('doctor', 'name specialization photo')
+      .sort({ date: 1 });
+
+    const entriesWithPosition = await Promise.all(entries.map(async (entry) => {
+      const position = entry.status === 'waiting'
+        ? await Waitlist.countDocuments({
+          doctor: entry.doctor._id,
+          date: entry.date,
+          status: 'waiting',
+          createdAt: { $lte: entry.createdAt }
+        })
+        : null;
+
+      return { ...entry.toObject(), position };
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist fetched successfully',
+      data: entriesWithPosition
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist',
+      error: error.message
+    });
+  }
+};
+
+const findOwnEntry = async (req, res) => {
+  const entry = await Waitlist.findById(req.params.entryId);
+
+  if (!entry) {
+    res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+    return null;
+  }
+
+  if (entry.user.toString() !== req.userId) {
+    res.status(403).json({ success: false, message: 'You are not authorized to change this entry' });
+    return null;
+  }
+
+  return entry;
+};
+
+export const acceptOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open offer for this entry'
+      });
+    }
+
+    if (entry.offer.expiresAt <= new Date()) {
+      await closeOffer(entry, 'expired');
+      return res.status(400).json({
+        success: false,
+        message: 'This offer has expired'
+      });
+    }
+
+    const doctor = await Doctor.findById(entry.doctor);
+    const patientDoctor = await PatientDoctor.findOne({
+      doctor: entry.doctor,
+      patient: entry.user
+    });
+
+    const visitType = patientDoctor ? patientDoctor.nextVisitType : 'first';
+
+    // Calculate fee based on visit type
+    let fee = doctor.ticketPrice;
+    if (visitType === 'second') {
+      fee *= 0.75; // 25% discount
+    } else if (visitType === 'free') {
+      fee = 0;
+    }
+
+    // Claim the offer before booking, so a second accept, a decline or the
+    // sweeper cannot act on it too
+    const claimed = await Waitlist.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { status: 'accepted' },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer open'
+      });
+    }
+
+    // The slot is already reserved under this booking id
+    const booking = new Booking({
+      _id: claimed.offer.bookingId,
+      doctor: claimed.doctor,
+      user: claimed.user,
+      appointmentDate: claimed.date,
+      appointmentTime: claimed.offer.label,
+      problem: claimed.problem,
+      visitType,
+      fee
+    });
+
+    try {
+      await booking.save();
+    } catch (error) {
+      // This request claimed the offer, so the slot is ours to give back
+      await closeOffer(claimed, 'cancelled');
+      throw error;
+    }
+
+    await PatientDoctor.findOneAndUpdate(
+      {
+        doctor: entry.doctor,
+        patient: entry.user
+      },
+      {
+        $inc: { totalVisits: 1 },
+        nextVisitType: 'first'
+      },
+      {
+        upsert: true,
+        new: true
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot accepted, your appointment request has been sent',
+      data: booking
+    });
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept offer',
+      error: error.message
+    });
+  }
+};
+
+export const declineOffer = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    if (entry.status !== 'offered') {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no open offer for this entry'
+      });
+    }
+
+    if (!await closeOffer(entry, 'declined')) {
+      return res.status(400).json({
+        success: false,
+        message: 'This offer is no longer open'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline offer',
+      error: error.message
+    });
+  }
+};
+
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await findOwnEntry(req, res);
+    if (!entry) return;
+
+    const left = entry.status === 'offered'
+      ? await closeOffer(entry, 'cancelled')
+      : await Waitlist.findOneAndUpdate({ _id: entry._id, status: 'waiting' }, { status: 'cancelled' });
+
+    if (!left) {
+      return res.status(400).json({
+        success: false,
+        message: 'This entry is no longer on the waitlist'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: error.message
+    });
+  }
+};
+
+// Admin overview: how many patients are queued for each doctor
+export const getWaitlistSummary = async (req, res) => {
+  try {
+    const summary = await Waitlist.aggregate([
+      { $match: { status: { $in: ACTIVE_STATUSES } } },
+      {
+        $group: {
+          _id: '$doctor',
+          waiting: { $sum: { $cond: [{ $eq: ['$status', 'waiting'] }, 1, 0] } },
+          offered: { $sum: { $cond: [{ $eq: ['$status', 'offered'] }, 1, 0] } },
+          dates: { $addToSet: '$date' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'doctors',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'doctor'
+        }
+      },
+      { $unwind: '$doctor' },
+      {
+        $project: {
+          _id: 0,
+          doctor: { _id: '$doctor._id', name: '$doctor.name', specialization: '$doctor.specialization' },
+          waiting: 1,
+          offered: 1,
+          total: { $add: ['$waiting', '$offered'] },
+          dates: 1
+        }
+      },
+      { $sort: { total: -1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist summary fetched successfully',
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist summary',
+      error: error.message
+    });
+  }
+};
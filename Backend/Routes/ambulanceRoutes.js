@@ -7,7 +7,7 @@
  */
 
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, restrict, denyRoles } from '../middleware/authMiddleware.js';
 
 // Import ambulance service controllers
 import {
@@ -18,6 +18,8 @@ import {
     getAllRequests,     // Get all requests (admin)
     updateRequestStatus,// Update request status
     assignDriver,       // Assign driver to request
+    acceptOffer,        // Driver accepts a dispatch offer
+    declineOffer,       // Driver declines a dispatch offer
     completeRequest,    // Complete ambulance request
     cancelRequest,      // Cancel request
     
@@ -29,31 +31,45 @@ import {
     deleteDriver,       // Remove driver
     updateDriverStatus, // Update driver availability
     updateDriverLocation,// Update driver location
-    getNearbyDrivers    // Find nearby available drivers
+    getNearbyDrivers,   // Find nearby available drivers
+
+    // Driver app controllers
+    driverLogin,        // Driver signs in
+    getMyDriverProfile, // Signed-in driver's record
+    getDriverRequests   // Signed-in driver's offers and active requests
 } from '../Controllers/ambulanceController.js';
 
 // Create Express router instance
 const router = express.Router();
 
+// Drivers may only use the routes for their own record and their requests
+const notDrivers = denyRoles(['driver']);
+
+// Dispatch and driver management are for admins only
+const adminOnly = restrict(['admin']);
+
 // ==================== Request Routes ====================
 
 /**
  * @route POST /api/v1/ambulance/request
  * @description Create new ambulance request
  * @access Private
- * @body {string} name - Patient's name
- * @body {string} phone - Contact number
+ * @body {string} [name] - Patient's name (defaults to the profile name)
+ * @body {string} [phone] - Contact number (defaults to the profile phone)
  * @body {string} pickupLocation - Pickup location
  * @body {Object} coordinates - Location coordinates
  * @body {string} emergencyType - Type of emergency
- * @body {string} [preferredHospital] - Preferred hospital
+ * @body {string} [hospitalId] - Hospital from the directory to be taken to
+ * @body {string} [preferredHospital] - Hospital name; without either, the nearest
+ * suitable hospital for the emergency is chosen (GET /api/v1/hospitals/suggest)
+ * @body {string} [chatSessionId] - Chatbot session the request was made from
  */
-router.post('/request', protect, createRequest);
+router.post('/request', protect, notDrivers, createRequest);
 
 /**
  * @route GET /api/v1/ambulance/request/:id
  * @description Get status of specific ambulance request
- * @access Private
+ * @access Private (drivers only for requests assigned or offered to them)
  * @param {string} id - Request ID
  */
 router.get('/request/:id', protect, getRequestStatus);
@@ -63,39 +79,56 @@ router.get('/request/:id', protect, getRequestStatus);
  * @description Get all requests made by authenticated user
  * @access Private
  */
-router.get('/requests/user', protect, getUserRequests);
+router.get('/requests/user', protect, notDrivers, getUserRequests);
 
 /**
  * @route GET /api/v1/ambulance/requests
  * @description Get all ambulance requests (admin only)
  * @access Private (Admin)
  */
-router.get('/requests', protect, getAllRequests);
+router.get('/requests', protect, adminOnly, getAllRequests);
 
 /**
  * @route PUT /api/v1/ambulance/request/:id/status
- * @description Update request status
- * @access Private
+ * @description Move an assigned request along (en_route/arrived/transporting/completed)
+ * @access Private (Admin, or the assigned driver)
  * @param {string} id - Request ID
  * @body {string} status - New status
+ * @body {string} [note] - Note kept in the status history
  */
 router.put('/request/:id/status', protect, updateRequestStatus);
 
 /**
  * @route PUT /api/v1/ambulance/request/:id/assign
- * @description Assign driver to request
+ * @description Assign driver to request, overriding any automatic dispatch offer
  * @access Private (Admin)
  * @param {string} id - Request ID
  * @body {string} driverId - Driver to assign
  */
-router.put('/request/:id/assign', protect, assignDriver);
+router.put('/request/:id/assign', protect, adminOnly, assignDriver);
+
+/**
+ * @route PUT /api/v1/ambulance/request/:id/offer/accept
+ * @description Accept a dispatch offer before it expires
+ * @access Private (the driver it was offered to)
+ * @param {string} id - Request ID
+ */
+router.put('/request/:id/offer/accept', protect, acceptOffer);
+
+/**
+ * @route PUT /api/v1/ambulance/request/:id/offer/decline
+ * @description Decline a dispatch offer, passing it to the next closest driver
+ * @access Private (the driver it was offered to)
+ * @param {string} id - Request ID
+ */
+router.put('/request/:id/offer/decline', protect, declineOffer);
 
 /**
  * @route POST /api/v1/ambulance/request/:id/complete
  * @description Mark request as completed
- * @access Private
+ * @access Private (Admin, or the assigned driver)
  * @param {string} id - Request ID
- * @body {string} driverId - Driver who completed
+ * @body {string} [driverId] - Driver who completed, if the request has none recorded
  */
 router.post('/request/:id/complete', protect, completeRequest);
 
@@ -105,7 +138,7 @@ router.post('/request/:id/complete', protect, completeRequest);
  * @access Private
  * @param {string} id - Request ID to cancel
  */
-router.delete('/request/:id', protect, cancelRequest);
+router.delete('/request/:id', protect, notDrivers, cancelRequest);
 
 // ==================== Driver Routes ====================
 
@@ -118,19 +151,31 @@ router.delete('/request/:id', protect, cancelRequest);
  * @body {string} licenseNumber - Driver's license
  * @body {string} vehicleNumber - Ambulance number
  */
-router.post('/drivers', protect, createDriver);
+router.post('/drivers', protect, adminOnly, createDriver);
 
 /**
  * @route GET /api/v1/ambulance/drivers
  * @description Get all registered drivers
- * @access Private
+ * @access Private (Admin)
+ */
+router.get('/drivers', protect, adminOnly, getAllDrivers);
+
+/**
+ * @route GET /api/v1/ambulance/drivers/nearby
+ * @description Find nearby available drivers, closest first
+ * @access Private (Admin)
+ * @query {number} latitude - Search center latitude
+ * @query {number} longitude - Search center longitude
+ * @query {number} [radius] - Search radius in meters; without it the search
+ * widens from AMBULANCE_SEARCH_RADIUS_KM as in config/dispatchPolicy.js
  */
-router.get('/drivers', protect, getAllDrivers);
+// Declared before /drivers/:id so "nearby" is not taken for a driver ID
+router.get('/drivers/nearby', protect, adminOnly, getNearbyDrivers);
 
 /**
  * @route GET /api/v1/ambulance/drivers/:id
  * @description Get specific driver details
- * @access Private
+ * @access Private (drivers only their own)
  * @param {string} id - Driver ID
  */
 router.get('/drivers/:id', protect, getDriverById);
@@ -141,8 +186,9 @@ router.get('/drivers/:id', protect, getDriverById);
  * @access Private (Admin)
  * @param {string} id - Driver ID
  * @body {Object} updates - Fields to update
+ * @body {string} [password] - New driver app password; empty keeps the current one
  */
-router.put('/drivers/:id', protect, updateDriver);
+router.put('/drivers/:id', protect, adminOnly, updateDriver);
 
 /**
  * @route DELETE /api/v1/ambulance/drivers/:id
@@ -150,12 +196,12 @@ router.put('/drivers/:id', protect, updateDriver);
  * @access Private (Admin)
  * @param {string} id - Driver ID to remove
  */
-router.delete('/drivers/:id', protect, deleteDriver);
+router.delete('/drivers/:id', protect, adminOnly, deleteDriver);
 
 /**
  * @route PUT /api/v1/ambulance/drivers/:id/status
  * @description Update driver availability status
- * @access Private
+ * @access Private (Admin, or the driver themselves setting available/offline)
  * @param {string} id - Driver ID
  * @body {string} status - New status (available/busy/offline)
  */
@@ -164,21 +210,37 @@ router.put('/drivers/:id/status', protect, updateDriverStatus);
 /**
  * @route PUT /api/v1/ambulance/drivers/:id/location
  * @description Update driver's current location
- * @access Private
+ * @access Private (Admin, or the driver themselves)
  * @param {string} id - Driver ID
  * @body {number} latitude - Current latitude
  * @body {number} longitude - Current longitude
+ * @body {number} [heading] - Direction of travel in degrees from north
  */
 router.put('/drivers/:id/location', protect, updateDriverLocation);
 
+// ==================== Driver App Routes ====================
+
 /**
- * @route GET /api/v1/ambulance/drivers/nearby
- * @description Find nearby available drivers
- * @access Private
- * @query {number} latitude - Search center latitude
- * @query {number} longitude - Search center longitude
- * @query {number} [radius=5000] - Search radius in meters
+ * @route POST /api/v1/ambulance/driver/login
+ * @description Sign in to the driver app
+ * @access Public
+ * @body {string} phone - Driver's phone number
+ * @body {string} password - Password set by an admin
+ */
+router.post('/driver/login', driverLogin);
+
+/**
+ * @route GET /api/v1/ambulance/driver/me
+ * @description Get the signed-in driver's record
+ * @access Private (Driver)
+ */
+router.get('/driver/me', protect, getMyDriverProfile);
+
+/**
+ * @route GET /api/v1/ambulance/driver/requests
+ * @description Get the signed-in driver's open offers and active requests
+ * @access Private (Driver)
  */
-router.get('/drivers/nearby', protect, getNearbyDrivers);
+router.get('/driver/requests', protect, getDriverRequests);
 
-export default router; 
\ No newline at end of file
+export default router;
\ No newline at end of file
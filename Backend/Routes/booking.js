@@ -7,7 +7,10 @@ import {
   checkVisitType,
   searchPatients,
   updatePatientVisitType,
-  markAppointmentAsViewed
+  markAppointmentAsViewed,
+  getPolicy,
+  cancelBooking,
+  rescheduleBooking
 } from '../Controllers/bookingController.js';
 import { authenticate, restrict } from '../auth/verifyToken.js';
 
@@ -15,6 +18,9 @@ const router = express.Router();
 
 // Patient routes
 router.post('/checkout-session/:doctorId', authenticate, getCheckoutSession);
+router.get('/policy', getPolicy);
+router.put('/:appointmentId/cancel', authenticate, restrict(['patient']), cancelBooking);
+router.put('/:appointmentId/reschedule', authenticate, restrict(['patient']), rescheduleBooking);
 
 // Doctor routes
 router.get('/doctor-appointments', authenticate, restrict(['doctor']), getDoctorAppointments);
@@ -20,13 +20,18 @@ router.patch('/end/:sessionId', ChatbotController.endChatSession);
 
 // Messaging
 router.post('/message', ChatbotController.sendMessage);
+router.post('/message/stream', ChatbotController.streamMessage);
 
 // File upload and analysis
 router.post('/upload', upload.single('file'), ChatbotController.uploadMedicalReport);
+router.get('/documents/stats', ChatbotController.getDocumentStats);
 
 // Delete chat session
 router.delete('/session/:sessionId', ChatbotController.deleteChatSession);
 
+// Our doctors who fit the conversation, for booking
+router.get('/session/:sessionId/doctors', ChatbotController.getDoctorRecommendations);
+
 // Quick symptom check (standalone)
 router.post('/symptom-check', ChatbotController.quickSymptomCheck);
 
@@ -0,0 +1,24 @@
+import express from 'express';
+import { authenticate, restrict } from '../auth/verifyToken.js';
+import {
+  saveConsultation,
+  getConsultation,
+  getMyConsultations,
+  downloadPrescription,
+  addPrescriptionToCart
+} from '../Controllers/consultationController.js';
+
+const router = express.Router();
+
+// Doctor and patient of the booking
+router.get('/booking/:bookingId', authenticate, restrict(['doctor', 'patient']), getConsultation);
+router.get('/booking/:bookingId/pdf', authenticate, restrict(['doctor', 'patient']), downloadPrescription);
+
+// Doctor routes
+router.put('/booking/:bookingId', authenticate, restrict(['doctor']), saveConsultation);
+
+// Patient routes
+router.get('/me', authenticate, restrict(['patient']), getMyConsultations);
+router.post('/booking/:bookingId/cart', authenticate, restrict(['patient']), addPrescriptionToCart);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 
-import { getSingleDoctor, getAllDoctor, updateDoctor, deleteDoctor, getDoctorProfile, getDoctorsBySpecialization, createDoctor, updateAvailability, getTopRatedDoctors } from "../Controllers/doctorController.js";
+import { getSingleDoctor, getAllDoctor, updateDoctor, deleteDoctor, getDoctorProfile, getDoctorsBySpecialization, createDoctor, updateAvailability, getTopRatedDoctors, getDoctorSlots, updateSchedule, addBlackout, removeBlackout } from "../Controllers/doctorController.js";
 
 import { authenticate, restrict } from "../auth/verifyToken.js";
 
@@ -11,6 +11,7 @@ const DoctorRoute = express.Router();
 DoctorRoute.use('/:doctorId/reviews', reviewRoute);
 
 DoctorRoute.get('/top-rated', getTopRatedDoctors);
+DoctorRoute.get('/:id/slots', getDoctorSlots);
 DoctorRoute.get('/:id', getSingleDoctor);
 DoctorRoute.get('/', getAllDoctor);
 DoctorRoute.put('/:id', authenticate, restrict(["doctor"]), updateDoctor);
@@ -23,5 +24,8 @@ DoctorRoute.get('/specialization/:specialization', getDoctorsBySpecialization);
 DoctorRoute.post('/', authenticate, restrict(["admin"]), createDoctor);
 
 DoctorRoute.patch('/:id/availability', authenticate, restrict(["doctor", "admin"]), updateAvailability);
+DoctorRoute.put('/:id/schedule', authenticate, restrict(["doctor"]), updateSchedule);
+DoctorRoute.post('/:id/blackouts', authenticate, restrict(["doctor"]), addBlackout);
+DoctorRoute.delete('/:id/blackouts/:blackoutId', authenticate, restrict(["doctor"]), removeBlackout);
 
 export default DoctorRoute;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getMyLabTrends, deleteReportFromRecords } from '../Controllers/healthRecordController.js';
+import { authenticate, restrict } from '../auth/verifyToken.js';
+
+const router = express.Router();
+
+// Patient routes
+router.get('/lab-trends', authenticate, restrict(['patient']), getMyLabTrends);
+router.delete('/reports/:reportId', authenticate, restrict(['patient']), deleteReportFromRecords);
+
+export default router;
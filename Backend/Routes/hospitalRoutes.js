@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Hospital Directory Routes
+ * @description Express router for the hospital directory ambulance requests
+ * are routed to: listing, suggestions for an emergency, and admin upkeep of
+ * hospital details and bed availability
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import express from 'express';
+import { authenticate, restrict } from '../auth/verifyToken.js';
+import {
+    getAllHospitals,
+    suggestHospitals,
+    getHospitalSpecialities,
+    getHospitalById,
+    createHospital,
+    updateHospital,
+    updateHospitalBeds,
+    deleteHospital
+} from '../Controllers/hospitalController.js';
+
+const router = express.Router();
+
+router.get('/', getAllHospitals);  // Directory; ?division, ?speciality, ?includeInactive=true
+router.get('/suggest', suggestHospitals);  // ?latitude&longitude&emergencyType, best first
+router.get('/specialities', getHospitalSpecialities);  // Specialities hospitals can offer
+router.get('/:id', getHospitalById);
+router.post('/', authenticate, restrict(['admin']), createHospital);
+router.put('/:id', authenticate, restrict(['admin']), updateHospital);
+router.put('/:id/beds', authenticate, restrict(['admin']), updateHospitalBeds);  // { available, total }
+router.delete('/:id', authenticate, restrict(['admin']), deleteHospital);
+
+export default router;
@@ -1,12 +1,53 @@
 import express from 'express';
-import { getAllMedicines, getMedicineById, createMedicine, getMedicineCategories } from '../Controllers/medicineController.js';
+import multer from 'multer';
+import {
+    getAllMedicines,
+    getMedicineById,
+    createMedicine,
+    updateMedicine,
+    deleteMedicine,
+    getMedicineCategories,
+    importMedicines,
+    exportMedicines,
+    addBatch,
+    updateBatch,
+    removeBatch,
+    getInventoryReport
+} from '../Controllers/medicineController.js';
 import { authenticate, restrict } from '../auth/verifyToken.js';
 
 const router = express.Router();
 
+// Catalog files are parsed straight from memory
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 router.get('/', getAllMedicines);  // Public route to get all medicines
 router.get('/categories', getMedicineCategories);  // Get all medicine categories
+router.get('/reports/inventory', authenticate, restrict(['admin']), getInventoryReport);  // Low stock and near expiry
+router.get('/export', authenticate, restrict(['admin']), exportMedicines);  // Download catalog as CSV/JSON
+router.post('/import', authenticate, restrict(['admin']), catalogUpload.single('file'), importMedicines);  // Bulk upsert, ?dryRun=true to validate
 router.get('/:id', getMedicineById);  // Get medicine by ID
 router.post('/', authenticate, restrict(['admin']), createMedicine);
+router.put('/:id', authenticate, restrict(['admin']), updateMedicine);
+router.delete('/:id', authenticate, restrict(['admin']), deleteMedicine);
+
+// Stock batches
+router.post('/:id/batches', authenticate, restrict(['admin']), addBatch);
+router.patch('/:id/batches/:batchId', authenticate, restrict(['admin']), updateBatch);
+router.delete('/:id/batches/:batchId', authenticate, restrict(['admin']), removeBatch);
+
+// Upload errors from the catalog import
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE' ? 'Catalog file is too large. Maximum size is 5MB.' : error.message
+        });
+    }
+    next(error);
+});
 
 export default router; 
\ No newline at end of file
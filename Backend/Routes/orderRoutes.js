@@ -5,7 +5,12 @@ import {
     getUserOrders, 
     getAllOrders,
     updateOrderStatus,
-    getOrderDetails
+    getOrderDetails,
+    getPrescriptionQueue,
+    reviewPrescription,
+    cancelOrder,
+    requestReturn,
+    resolveReturn
 } from '../Controllers/orderController.js';
 
 const router = express.Router();
@@ -14,10 +19,15 @@ const router = express.Router();
 router.use(authenticate);
 router.post('/create', createOrder);
 router.get('/user-orders', getUserOrders);
+router.patch('/:id/cancel', restrict(['patient']), cancelOrder);
+router.post('/:id/return', restrict(['patient']), requestReturn);
 
 // Admin routes
 router.get('/all', authenticate, restrict(['admin']), getAllOrders);
+router.get('/prescriptions/queue', authenticate, restrict(['admin']), getPrescriptionQueue);
+router.patch('/:id/prescription', authenticate, restrict(['admin']), reviewPrescription);
 router.get('/:id', authenticate, restrict(['admin']), getOrderDetails);
 router.patch('/:id/status', authenticate, restrict(['admin']), updateOrderStatus);
+router.patch('/:id/return', authenticate, restrict(['admin']), resolveReturn);
 
 export default router; 
\ No newline at end of file
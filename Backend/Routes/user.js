@@ -1,6 +1,6 @@
 import express from "express";
 
-import { getSingleUser, getAllUser, updateUser, deleteUser,getUserProfile, getMyAppointments, getMyBookings, getBookingHistory } from "../Controllers/userController.js";
+import { getSingleUser, getAllUser, updateUser, deleteUser,getUserProfile, getMyAppointments, getMyBookings, getBookingHistory, getMyNotifications, markNotificationAsRead } from "../Controllers/userController.js";
 import { authenticate, restrict } from "../auth/verifyToken.js";
 
 
@@ -14,5 +14,7 @@ userRoute.delete('/:id', authenticate, restrict(["patient"]), deleteUser);
 userRoute.get('/profile/me', authenticate, restrict(["patient"]), getUserProfile);
 userRoute.get('/appointments/my-bookings', authenticate, getMyBookings);
 userRoute.get('/appointments/history', authenticate, getBookingHistory);
+userRoute.get('/notifications/me', authenticate, restrict(["patient"]), getMyNotifications);
+userRoute.put('/notifications/:notificationId/read', authenticate, restrict(["patient"]), markNotificationAsRead);
 
 export default userRoute;
\ No newline at end of file
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  getWaitlistSummary
+} from '../Controllers/waitlistController.js';
+import { authenticate, restrict } from '../auth/verifyToken.js';
+import { verifyAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin routes
+router.get('/summary', verifyAdmin, getWaitlistSummary);
+
+// Patient routes
+router.get('/me', authenticate, restrict(['patient']), getMyWaitlist);
+router.post('/doctor/:doctorId', authenticate, restrict(['patient']), joinWaitlist);
+router.put('/:entryId/accept', authenticate, restrict(['patient']), acceptOffer);
+router.put('/:entryId/decline', authenticate, restrict(['patient']), declineOffer);
+router.delete('/:entryId', authenticate, restrict(['patient']), leaveWaitlist);
+
+export default router;
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Ambulance Route Access
+ * @description Dispatch and driver management are for admins only: patients
+ * and drivers must not be able to list, create or change driver accounts.
+ * Moving a request along, and a driver's status and position, are for admins
+ * and the driver concerned.
+ * @author Healthcare System Team
+ */
+
+import express from 'express';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import ambulanceRoutes from '../Routes/ambulanceRoutes.js';
+import User from '../models/UserSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import AmbulanceDriver from '../models/AmbulanceDriver.js';
+import AmbulanceRequest from '../models/AmbulanceRequest.js';
+
+const PATIENT_ID = '507f1f77bcf86cd799439011';
+const ADMIN_ID = '507f1f77bcf86cd799439012';
+const DRIVER_ID = '507f1f77bcf86cd799439013';
+const OTHER_DRIVER_ID = '507f1f77bcf86cd799439014';
+
+const roles = { [PATIENT_ID]: 'patient', [ADMIN_ID]: 'admin' };
+
+const app = express();
+app.use(express.json());
+app.use('/api/v1/ambulance', ambulanceRoutes);
+
+const tokenFor = (id, role) => `Bearer ${jwt.sign({ id, role }, process.env.JWT_SECRET_KEY)}`;
+
+const originals = {};
+
+beforeAll(() => {
+  process.env.JWT_SECRET_KEY = 'test-secret';
+  originals.userFindById = User.findById;
+  originals.doctorFindById = Doctor.findById;
+  originals.driverFind = AmbulanceDriver.find;
+  originals.requestFindById = AmbulanceRequest.findById;
+
+  // Admins and patients live in the User collection; drivers in neither
+  User.findById = async (id) => (roles[id] ? { _id: id, role: roles[id] } : null);
+  Doctor.findById = async () => null;
+  AmbulanceDriver.find = async () => [];
+  // Every request is assigned to DRIVER_ID
+  AmbulanceRequest.findById = async (id) => ({ _id: id, status: 'assigned', driverId: DRIVER_ID });
+});
+
+afterAll(() => {
+  User.findById = originals.userFindById;
+  Doctor.findById = originals.doctorFindById;
+  AmbulanceDriver.find = originals.driverFind;
+  AmbulanceRequest.findById = originals.requestFindById;
+});
+
+describe('Ambulance admin routes', () => {
+  test.each([
+    ['get', '/api/v1/ambulance/drivers'],
+    ['post', '/api/v1/ambulance/drivers'],
+    ['put', `/api/v1/ambulance/drivers/${DRIVER_ID}`],
+    ['delete', `/api/v1/ambulance/drivers/${DRIVER_ID}`],
+    ['get', '/api/v1/ambulance/drivers/nearby?latitude=23.8&longitude=90.4'],
+    ['get', '/api/v1/ambulance/requests'],
+    ['put', `/api/v1/ambulance/request/${PATIENT_ID}/assign`]
+  ])('%s %s refuses a patient with 403', async (method, path) => {
+    const response = await request(app)[method](path)
+      .set('Authorization', tokenFor(PATIENT_ID, 'patient'))
+      .send({ password: 'taken-over', driverId: DRIVER_ID });
+
+    expect(response.status).toBe(403);
+    expect(response.body.success).toBe(false);
+  });
+
+  test('a driver cannot set driver passwords either', async () => {
+    const response = await request(app)
+      .put(`/api/v1/ambulance/drivers/${DRIVER_ID}`)
+      .set('Authorization', tokenFor(DRIVER_ID, 'driver'))
+      .send({ password: 'taken-over' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('an admin can list drivers', async () => {
+    const response = await request(app)
+      .get('/api/v1/ambulance/drivers')
+      .set('Authorization', tokenFor(ADMIN_ID, 'admin'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual([]);
+  });
+});
+
+describe('Ambulance driver routes', () => {
+  test.each([
+    ['put', `/api/v1/ambulance/request/${PATIENT_ID}/status`],
+    ['post', `/api/v1/ambulance/request/${PATIENT_ID}/complete`],
+    ['put', `/api/v1/ambulance/drivers/${DRIVER_ID}/status`],
+    ['put', `/api/v1/ambulance/drivers/${DRIVER_ID}/location`]
+  ])('%s %s refuses a patient with 403', async (method, path) => {
+    const response = await request(app)[method](path)
+      .set('Authorization', tokenFor(PATIENT_ID, 'patient'))
+      .send({ status: 'en_route', latitude: 23.8, longitude: 90.4 });
+
+    expect(response.status).toBe(403);
+    expect(response.body.success).toBe(false);
+  });
+
+  test.each([
+    ['put', `/api/v1/ambulance/request/${PATIENT_ID}/status`],
+    ['put', `/api/v1/ambulance/drivers/${DRIVER_ID}/location`]
+  ])('%s %s refuses another driver with 403', async (method, path) => {
+    const response = await request(app)[method](path)
+      .set('Authorization', tokenFor(OTHER_DRIVER_ID, 'driver'))
+      .send({ status: 'en_route', latitude: 23.8, longitude: 90.4 });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Doctor Slot Generation
+ * @description Which slots a doctor's weekly schedule, slot length, breaks
+ * and legacy time slots produce on a given date.
+ * @author Healthcare System Team
+ */
+
+import { generateSlots, parseLegacySlot, validateSchedule } from '../services/availabilityService.js';
+
+// 2025-01-27 is a Monday
+const MONDAY = '2025-01-27';
+const TUESDAY = '2025-01-28';
+
+const starts = (doctor, date) => generateSlots(doctor, date).map(slot => slot.start);
+
+describe('Slot generation - weekly schedule', () => {
+  test.each([
+    [
+      'hours cut into 30 minute slots by default',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '11:00' }] },
+      MONDAY,
+      ['09:00', '09:30', '10:00', '10:30']
+    ],
+    [
+      'a custom slot length',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '11:00' }], slotDuration: 45 },
+      MONDAY,
+      ['09:00', '09:45']
+    ],
+    [
+      'no slots on a day without hours',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '11:00' }] },
+      TUESDAY,
+      []
+    ],
+    [
+      'a break on every day',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '11:00' }], breaks: [{ start: '09:30', end: '10:00' }] },
+      MONDAY,
+      ['09:00', '10:00', '10:30']
+    ],
+    [
+      'a break on another day is ignored',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '10:00' }], breaks: [{ day: 2, start: '09:00', end: '09:30' }] },
+      MONDAY,
+      ['09:00', '09:30']
+    ],
+    [
+      'a slot overlapping a break is dropped',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '10:00' }], breaks: [{ start: '09:15', end: '09:20' }] },
+      MONDAY,
+      ['09:30']
+    ],
+    [
+      'split shifts in start order',
+      { weeklySchedule: [{ day: 1, start: '16:00', end: '17:00' }, { day: 1, start: '09:00', end: '10:00' }] },
+      MONDAY,
+      ['09:00', '09:30', '16:00', '16:30']
+    ],
+    [
+      'overlapping entries without duplicates',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '10:00' }, { day: 1, start: '09:30', end: '10:30' }] },
+      MONDAY,
+      ['09:00', '09:30', '10:00']
+    ],
+    [
+      'a short tail that does not fit a slot is left out',
+      { weeklySchedule: [{ day: 1, start: '09:00', end: '09:50' }] },
+      MONDAY,
+      ['09:00']
+    ]
+  ])('%s', (name, doctor, date, expected) => {
+    expect(starts(doctor, date)).toEqual(expected);
+  });
+
+  test('slots carry an end time and a 12 hour label', () => {
+    const [slot] = generateSlots({ weeklySchedule: [{ day: 1, start: '12:30', end: '13:00' }] }, MONDAY);
+
+    expect(slot).toEqual({ start: '12:30', end: '13:00', label: '12:30 PM - 01:00 PM' });
+  });
+
+  test.each([
+    ['not a date'],
+    [''],
+    [undefined]
+  ])('an invalid date %p has no slots', (date) => {
+    expect(generateSlots({ weeklySchedule: [{ day: 1, start: '09:00', end: '10:00' }] }, date)).toEqual([]);
+  });
+});
+
+describe('Slot generation - legacy time slots', () => {
+  test('each legacy slot is one slot on every day', () => {
+    const doctor = { timeSlots: ['02:00 PM - 03:00 PM', '09:00 AM - 10:00 AM'] };
+
+    expect(starts(doctor, MONDAY)).toEqual(['09:00', '14:00']);
+    expect(starts(doctor, TUESDAY)).toEqual(['09:00', '14:00']);
+  });
+
+  test('unreadable legacy slots are skipped', () => {
+    expect(starts({ timeSlots: ['mornings', '09:00 AM - 10:00 AM'] }, MONDAY)).toEqual(['09:00']);
+  });
+
+  test('a weekly schedule replaces legacy slots', () => {
+    const doctor = {
+      timeSlots: ['09:00 AM - 10:00 AM'],
+      weeklySchedule: [{ day: 2, start: '14:00', end: '14:30' }]
+    };
+
+    expect(starts(doctor, MONDAY)).toEqual([]);
+    expect(starts(doctor, TUESDAY)).toEqual(['14:00']);
+  });
+
+  test.each([
+    ['09:00 AM - 10:00 AM', { start: '09:00', end: '10:00' }],
+    ['12:00 PM - 01:30 PM', { start: '12:00', end: '13:30' }],
+    ['12:00 AM - 1:00 AM', { start: '00:00', end: '01:00' }],
+    ['9:00am-10:00am', { start: '09:00', end: '10:00' }],
+    ['09:00 - 10:00', null],
+    [undefined, null]
+  ])('parses %p', (slot, expected) => {
+    expect(parseLegacySlot(slot)).toEqual(expected);
+  });
+});
+
+describe('Schedule validation', () => {
+  test.each([
+    [{ weeklySchedule: [{ day: 1, start: '09:00', end: '17:00' }], slotDuration: 30 }, null],
+    [{ weeklySchedule: [], breaks: [{ start: '13:00', end: '14:00' }] }, null],
+    [{ slotDuration: 4 }, 'Slot duration must be between 5 and 240 minutes'],
+    [{ slotDuration: 241 }, 'Slot duration must be between 5 and 240 minutes'],
+    [{ slotDuration: 12.5 }, 'Slot duration must be between 5 and 240 minutes'],
+    [{ weeklySchedule: [{ start: '09:00', end: '10:00' }] }, 'Every schedule entry needs a day'],
+    [{ weeklySchedule: [{ day: 7, start: '09:00', end: '10:00' }] }, 'Invalid day in schedule'],
+    [{ weeklySchedule: [{ day: 1, start: '9:00', end: '10:00' }] }, 'Times in schedule must use HH:mm format'],
+    [{ weeklySchedule: [{ day: 1, start: '10:00', end: '10:00' }] }, 'Each schedule entry must end after it starts'],
+    [{ breaks: [{ start: '14:00', end: '13:00' }] }, 'Each breaks entry must end after it starts']
+  ])('%j -> %p', (schedule, expected) => {
+    expect(validateSchedule(schedule)).toBe(expected);
+  });
+});
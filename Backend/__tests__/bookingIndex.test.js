@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Booking Uniqueness
+ * @description A patient has at most one live booking per doctor and day,
+ * but a cancelled booking must not stop them from booking that day again.
+ * @author Healthcare System Team
+ */
+
+import Booking from '../models/BookingSchema.js';
+
+const uniqueIndex = () => Booking.schema.indexes()
+  .find(([fields, options]) => options.unique && fields.doctor && fields.user && fields.appointmentDate);
+
+describe('Booking unique index', () => {
+  test('covers doctor, patient and day', () => {
+    expect(uniqueIndex()[0]).toEqual({ doctor: 1, user: 1, appointmentDate: 1 });
+  });
+
+  test.each([
+    ['pending', true],
+    ['approved', true],
+    ['finished', true],
+    ['needs_reschedule', true],
+    ['cancelled', false]
+  ])('a %s booking counts: %s', (status, counted) => {
+    const { partialFilterExpression } = uniqueIndex()[1];
+    expect(partialFilterExpression.status.$in.includes(status)).toBe(counted);
+  });
+
+  test('every status is either counted or cancelled', () => {
+    const { partialFilterExpression } = uniqueIndex()[1];
+    const statuses = Booking.schema.path('status').enumValues;
+    expect([...partialFilterExpression.status.$in, 'cancelled'].sort()).toEqual([...statuses].sort());
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Appointment Booking Policy
+ * @description When patients may book, cancel and reschedule appointments,
+ * using a fixed policy so the cases don't depend on the environment.
+ * @author Healthcare System Team
+ */
+
+import { getBookingPolicy, validateBookingChange, validateBookingDate } from '../config/bookingPolicy.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const policy = { minAdvanceDays: 2, changeCutoffHours: 24, maxReschedules: 2, waitlistOfferMinutes: 60 };
+
+// A booking starting the given number of hours from now
+const bookingIn = (hours, fields = {}) => ({
+  status: 'approved',
+  appointmentDate: new Date(Date.now() + hours * HOUR),
+  rescheduleCount: 0,
+  ...fields
+});
+
+describe('Booking policy - changes', () => {
+  test.each([
+    // Status
+    ['a pending booking can be cancelled', bookingIn(72, { status: 'pending' }), 'cancel', null],
+    ['an approved booking can be rescheduled', bookingIn(72), 'reschedule', null],
+    ['a finished booking cannot change', bookingIn(72, { status: 'finished' }), 'cancel', 'A finished appointment can no longer be changed'],
+    ['a cancelled booking cannot change', bookingIn(72, { status: 'cancelled' }), 'reschedule', 'A cancelled appointment can no longer be changed'],
+
+    // Cutoff
+    ['just outside the cutoff', bookingIn(25), 'cancel', null],
+    ['inside the cutoff', bookingIn(23), 'cancel', 'Appointments cannot be changed within 24 hours of the visit'],
+    ['already started', bookingIn(-1), 'reschedule', 'Appointments cannot be changed within 24 hours of the visit'],
+
+    // Reschedule limit
+    ['one reschedule left', bookingIn(72, { rescheduleCount: 1 }), 'reschedule', null],
+    ['no reschedules left', bookingIn(72, { rescheduleCount: 2 }), 'reschedule', 'An appointment can only be rescheduled 2 time(s)'],
+    ['the limit does not stop a cancellation', bookingIn(72, { rescheduleCount: 2 }), 'cancel', null],
+
+    // Moves the doctor asked for skip the patient limits
+    ['needs_reschedule inside the cutoff', bookingIn(2, { status: 'needs_reschedule' }), 'reschedule', null],
+    ['needs_reschedule over the limit', bookingIn(72, { status: 'needs_reschedule', rescheduleCount: 5 }), 'reschedule', null]
+  ])('%s', (name, booking, action, expected) => {
+    expect(validateBookingChange(booking, action, policy)).toBe(expected);
+  });
+
+  test('the slot start time counts towards the cutoff', () => {
+    // The next UTC midnight is less than 24 hours away
+    const nextMidnight = new Date(Date.now() + 24 * HOUR);
+    nextMidnight.setUTCHours(0, 0, 0, 0);
+
+    // Its first slot is always inside a 48 hour cutoff; 11 PM two days later never is
+    const early = { status: 'approved', appointmentDate: nextMidnight, appointmentTime: '12:00 AM - 12:30 AM' };
+    const late = { status: 'approved', appointmentDate: new Date(nextMidnight.getTime() + 48 * HOUR), appointmentTime: '11:00 PM - 11:30 PM' };
+    const strict = { ...policy, changeCutoffHours: 48 };
+
+    expect(validateBookingChange(early, 'cancel', strict)).toMatch(/within 48 hours/);
+    expect(validateBookingChange(late, 'cancel', strict)).toBeNull();
+  });
+});
+
+describe('Booking policy - clinic time zone', () => {
+  // A booking starting the given number of hours from now, stored as the
+  // clinic's calendar day with the slot's wall-clock time in that zone
+  const slotIn = (hours, utcOffsetHours) => {
+    const local = new Date(Date.now() + (hours + utcOffsetHours) * HOUR);
+    const pad = (value) => String(value).padStart(2, '0');
+    return {
+      status: 'approved',
+      appointmentDate: new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate())),
+      appointmentTime: `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())} - later`
+    };
+  };
+
+  test.each([
+    // Read as UTC these would land on the other side of the 24 hour cutoff
+    ['Asia/Dhaka', 6, 20, 'Appointments cannot be changed within 24 hours of the visit'],
+    ['Asia/Dhaka', 6, 28, null],
+    ['America/Bogota', -5, 20, 'Appointments cannot be changed within 24 hours of the visit'],
+    ['America/Bogota', -5, 28, null],
+    ['UTC', 0, 23, 'Appointments cannot be changed within 24 hours of the visit'],
+    ['UTC', 0, 25, null]
+  ])('%s (UTC%i): a slot %i hours away', (timeZone, utcOffsetHours, hours, expected) => {
+    const booking = slotIn(hours, utcOffsetHours);
+
+    expect(validateBookingChange(booking, 'cancel', { ...policy, timeZone })).toBe(expected);
+  });
+
+  test('slot times are read in Dhaka time unless configured', () => {
+    const booking = slotIn(20, 6);
+
+    expect(validateBookingChange(booking, 'cancel', policy)).toMatch(/within 24 hours/);
+  });
+
+  test('the environment can change the time zone', () => {
+    process.env.BOOKING_TIME_ZONE = 'America/Bogota';
+    try {
+      expect(getBookingPolicy().timeZone).toBe('America/Bogota');
+      expect(validateBookingChange(slotIn(28, -5), 'cancel')).toBeNull();
+    } finally {
+      delete process.env.BOOKING_TIME_ZONE;
+    }
+  });
+
+  test('an unknown time zone falls back to the default', () => {
+    process.env.BOOKING_TIME_ZONE = 'Mars/Olympus';
+    try {
+      expect(getBookingPolicy().timeZone).toBe('Asia/Dhaka');
+    } finally {
+      delete process.env.BOOKING_TIME_ZONE;
+    }
+  });
+});
+
+describe('Booking policy - dates', () => {
+  test.each([
+    ['three days ahead', new Date(Date.now() + 72 * HOUR), null],
+    ['tomorrow', new Date(Date.now() + 24 * HOUR), 'Appointments must be booked at least 2 days in advance'],
+    ['in the past', new Date(Date.now() - 24 * HOUR), 'Appointments must be booked at least 2 days in advance'],
+    ['not a date', 'soon', 'A valid appointment date is required']
+  ])('%s', (name, date, expected) => {
+    expect(validateBookingDate(date, policy)).toBe(expected);
+  });
+
+  test('the environment can change the limits', () => {
+    process.env.BOOKING_MIN_ADVANCE_DAYS = '0';
+    try {
+      expect(validateBookingDate(new Date(Date.now() + HOUR))).toBeNull();
+    } finally {
+      delete process.env.BOOKING_MIN_ADVANCE_DAYS;
+    }
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Cart Quantity
+ * @description Quantities from the request body are numbers before they are
+ * added to what the cart already holds and checked against stock.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { addToCart } from '../Controllers/cartController.js';
+import Cart from '../models/Cart.js';
+import Medicine from '../models/Medicine.js';
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const medicineId = new mongoose.Types.ObjectId();
+
+const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+// 5 on the shelf, 3 of them already in the cart
+const medicine = new Medicine({
+  _id: medicineId,
+  productName: 'Napa',
+  batches: [{ batchNumber: 'B1', quantity: 5, expiryDate: nextYear }]
+});
+
+let cart;
+const originals = {};
+
+const add = async (quantity) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await addToCart({ userId: USER_ID, body: { medicineId: medicineId.toString(), quantity } }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.findOne = Cart.findOne;
+  originals.save = Cart.prototype.save;
+  originals.populate = Cart.prototype.populate;
+  originals.findById = Medicine.findById;
+
+  Cart.findOne = async () => cart;
+  Cart.prototype.save = async function () { return this; };
+  Cart.prototype.populate = async function () { return this; };
+  Medicine.findById = () => ({ select: async () => medicine });
+});
+
+afterAll(() => {
+  Cart.findOne = originals.findOne;
+  Cart.prototype.save = originals.save;
+  Cart.prototype.populate = originals.populate;
+  Medicine.findById = originals.findById;
+});
+
+beforeEach(() => {
+  cart = new Cart({ user: USER_ID, items: [{ medicine: medicineId, quantity: 3 }] });
+});
+
+describe('Add to cart - quantity', () => {
+  test('a quantity sent as text is added as a number', async () => {
+    const res = await add('2');
+
+    expect(res.statusCode).toBe(200);
+    expect(cart.items[0].quantity).toBe(5);
+  });
+
+  test('a text quantity over the stock is refused', async () => {
+    const res = await add('3');
+
+    expect(res.statusCode).toBe(400);
+    expect(cart.items[0].quantity).toBe(3);
+  });
+
+  test.each([
+    [0],
+    [-1],
+    [1.5],
+    ['two'],
+    [''],
+    [undefined]
+  ])('quantity %p is refused', async (quantity) => {
+    const res = await add(quantity);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/whole number/);
+    expect(cart.items[0].quantity).toBe(3);
+  });
+});
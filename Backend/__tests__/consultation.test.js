@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Consultation Notes
+ * @description A consultation body with diagnoses or a prescription that are
+ * not lists, or a prescription naming a malformed medicine id, is refused
+ * before anything is saved.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { saveConsultation } from '../Controllers/consultationController.js';
+import Booking from '../models/BookingSchema.js';
+import Consultation from '../models/ConsultationSchema.js';
+
+const DOCTOR_ID = '507f1f77bcf86cd799439014';
+
+let saves;
+const originals = {};
+
+const save = async (body) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await saveConsultation({ params: { bookingId: new mongoose.Types.ObjectId().toString() }, body, userId: DOCTOR_ID, role: 'doctor' }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.findById = Booking.findById;
+  originals.findOneAndUpdate = Consultation.findOneAndUpdate;
+
+  Booking.findById = async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    doctor: new mongoose.Types.ObjectId(DOCTOR_ID),
+    user: new mongoose.Types.ObjectId(),
+    status: 'approved'
+  });
+  Consultation.findOneAndUpdate = async () => { saves += 1; };
+});
+
+afterAll(() => {
+  Booking.findById = originals.findById;
+  Consultation.findOneAndUpdate = originals.findOneAndUpdate;
+});
+
+beforeEach(() => {
+  saves = 0;
+});
+
+describe('Consultation notes - lists', () => {
+  test.each([
+    ['diagnoses as an object', { diagnoses: { description: 'Tonsillitis' } }],
+    ['diagnoses as text', { diagnoses: 'Tonsillitis' }],
+    ['diagnoses as null', { diagnoses: null }],
+    ['prescription as an object', { prescription: { medicine: '507f1f77bcf86cd799439015', dose: '500 mg' } }],
+    ['prescription as a number', { prescription: 2 }]
+  ])('%s is refused with 400', async (name, body) => {
+    const res = await save(body);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Diagnoses and prescription must be lists' });
+    expect(saves).toBe(0);
+  });
+
+  test('a diagnosis without a description is still refused', async () => {
+    const res = await save({ diagnoses: [{ code: 'J03.90' }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/Every diagnosis needs a description/);
+  });
+
+  test.each([
+    ['a malformed id', 'not-an-id'],
+    ['an object', { $gt: '' }],
+    ['no id', undefined]
+  ])('a prescribed medicine with %s is refused with 400', async (name, medicine) => {
+    const res = await save({ prescription: [{ medicine, dose: '500 mg', frequency: '1+0+1', duration: '5 days' }] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/every medicine needs a valid id/);
+    expect(saves).toBe(0);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Booking Creation
+ * @description Booking a doctor the patient already has an open booking with
+ * moves that booking to the new slot. Finished and cancelled bookings are
+ * history: a new booking is made and they keep their status.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { createBooking } from '../Controllers/bookingController.js';
+import { toDateKey } from '../services/availabilityService.js';
+import Booking from '../models/BookingSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import User from '../models/UserSchema.js';
+import SlotReservation from '../models/SlotReservationSchema.js';
+
+const PATIENT_ID = '507f1f77bcf86cd799439011';
+const DOCTOR_ID = new mongoose.Types.ObjectId();
+const DATE = toDateKey(new Date(Date.now() + 5 * 24 * 60 * 60 * 1000));
+
+// Open 09:00 to 10:00 every day
+const doctor = {
+  _id: DOCTOR_ID,
+  isAvailable: true,
+  ticketPrice: 500,
+  weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '09:00', end: '10:00' }))
+};
+
+let bookings;
+let reservations;
+const originals = {};
+
+const statusMatches = (status, condition) => {
+  if (condition.$nin) return !condition.$nin.includes(status);
+  if (condition.$ne) return status !== condition.$ne;
+  return status === condition;
+};
+
+const existingBooking = (status) => new Booking({
+  doctor: DOCTOR_ID,
+  user: PATIENT_ID,
+  ticketPrice: 500,
+  appointmentDate: DATE,
+  appointmentTime: '09:00 AM - 09:30 AM',
+  status
+});
+
+const book = async () => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await createBooking({
+    body: { doctor: DOCTOR_ID.toString(), appointmentDate: DATE, appointmentTime: '09:30', problem: 'Follow-up' },
+    userId: PATIENT_ID
+  }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.doctorFindById = Doctor.findById;
+  originals.doctorFindByIdAndUpdate = Doctor.findByIdAndUpdate;
+  originals.userFindById = User.findById;
+  originals.bookingFindOne = Booking.findOne;
+  originals.bookingSave = Booking.prototype.save;
+  originals.reservationFindOne = SlotReservation.findOne;
+  originals.reservationCreate = SlotReservation.create;
+  originals.reservationDeleteMany = SlotReservation.deleteMany;
+
+  Doctor.findById = async () => doctor;
+  Doctor.findByIdAndUpdate = async () => doctor;
+  User.findById = async () => ({ name: 'Patient', email: 'patient@example.com' });
+  Booking.findOne = async (query) => bookings.find(booking =>
+    booking.doctor.equals(query.doctor) &&
+    booking.user.toString() === query.user &&
+    statusMatches(booking.status, query.status)
+  ) || null;
+  Booking.prototype.save = async function () {
+    if (!bookings.includes(this)) bookings.push(this);
+    return this;
+  };
+  SlotReservation.findOne = async ({ booking, start }) =>
+    reservations.find(r => r.booking.equals(booking) && r.start === start) || null;
+  SlotReservation.create = async (reservation) => {
+    const created = { _id: new mongoose.Types.ObjectId(), ...reservation };
+    reservations.push(created);
+    return created;
+  };
+  SlotReservation.deleteMany = async ({ booking, _id }) => {
+    reservations = reservations.filter(r => !(r.booking.equals(booking) && !r._id.equals(_id?.$ne)));
+  };
+});
+
+afterAll(() => {
+  Doctor.findById = originals.doctorFindById;
+  Doctor.findByIdAndUpdate = originals.doctorFindByIdAndUpdate;
+  User.findById = originals.userFindById;
+  Booking.findOne = originals.bookingFindOne;
+  Booking.prototype.save = originals.bookingSave;
+  SlotReservation.findOne = originals.reservationFindOne;
+  SlotReservation.create = originals.reservationCreate;
+  SlotReservation.deleteMany = originals.reservationDeleteMany;
+});
+
+beforeEach(() => {
+  bookings = [];
+  reservations = [];
+});
+
+describe('Booking creation - an earlier booking with the same doctor', () => {
+  test.each(['pending', 'approved'])('a %s booking is moved to the new slot', async (status) => {
+    const earlier = existingBooking(status);
+    bookings = [earlier];
+    reservations = [{ _id: new mongoose.Types.ObjectId(), booking: earlier._id, date: DATE, start: '09:00' }];
+
+    const res = await book();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Booking updated successfully');
+    expect(bookings).toHaveLength(1);
+    expect(earlier.appointmentTime).toBe('09:30 AM - 10:00 AM');
+    expect(reservations.map(r => [r.booking, r.start])).toEqual([[earlier._id, '09:30']]);
+  });
+
+  test.each(['cancelled', 'finished'])('a %s booking is left alone and a new one is made', async (status) => {
+    const earlier = existingBooking(status);
+    bookings = [earlier];
+
+    const res = await book();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Booking created successfully');
+    expect(earlier.status).toBe(status);
+    expect(earlier.appointmentTime).toBe('09:00 AM - 09:30 AM');
+
+    const created = bookings[1];
+    expect(created.status).toBe('pending');
+    expect(reservations.map(r => r.booking)).toEqual([created._id]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Dispatch Offer Races
+ * @description An offer ends exactly once: a driver accepting just as the
+ * offer expires either gets the request or is told it is gone, and a
+ * dispatcher can only assign drivers who are available.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { acceptOffer, assignDriver } from '../Controllers/ambulanceController.js';
+import { expireOffers } from '../services/ambulanceDispatchService.js';
+import AmbulanceRequest from '../models/AmbulanceRequest.js';
+import AmbulanceDriver from '../models/AmbulanceDriver.js';
+
+const DRIVER_ID = new mongoose.Types.ObjectId();
+const ADMIN_ID = '507f1f77bcf86cd799439012';
+
+const buildRequest = ({ status = 'offered', expiresInSeconds = 30 } = {}) => {
+  const offeredAt = new Date();
+  return new AmbulanceRequest({
+    name: 'Patient',
+    phone: '01700000000',
+    pickupLocation: 'Dhanmondi',
+    coordinates: { latitude: 23.75, longitude: 90.38 },
+    emergencyType: 'Accident',
+    userId: new mongoose.Types.ObjectId(),
+    status,
+    offer: status === 'offered'
+      ? { driverId: DRIVER_ID, offeredAt, expiresAt: new Date(offeredAt.getTime() + expiresInSeconds * 1000) }
+      : undefined
+  });
+};
+
+const respond = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(payload) { this.body = payload; return this; }
+});
+
+let request;
+let driver;
+let requestUpdates;
+let driverUpdates;
+let openOffers;
+const originals = {};
+
+beforeAll(() => {
+  originals.requestFindById = AmbulanceRequest.findById;
+  originals.requestFind = AmbulanceRequest.find;
+  originals.requestFindOneAndUpdate = AmbulanceRequest.findOneAndUpdate;
+  originals.requestDistinct = AmbulanceRequest.distinct;
+  originals.requestSave = AmbulanceRequest.prototype.save;
+  originals.requestPopulate = AmbulanceRequest.prototype.populate;
+  originals.driverFindById = AmbulanceDriver.findById;
+  originals.driverFindOneAndUpdate = AmbulanceDriver.findOneAndUpdate;
+  originals.driverFindByIdAndUpdate = AmbulanceDriver.findByIdAndUpdate;
+  originals.driverAggregate = AmbulanceDriver.aggregate;
+
+  AmbulanceRequest.findById = async () => request;
+  AmbulanceRequest.find = async () => openOffers;
+  // Only offers listed in openOffers are still open in the "database"
+  AmbulanceRequest.findOneAndUpdate = async (query, update) => {
+    requestUpdates.push({ query, update });
+    const open = openOffers.find(offer => offer._id.equals(query._id));
+    if (!open) return null;
+    openOffers = openOffers.filter(offer => offer !== open);
+    return open;
+  };
+  AmbulanceRequest.distinct = async () => [];
+  AmbulanceRequest.prototype.save = async function () { return this; };
+  AmbulanceRequest.prototype.populate = async function () { return this; };
+  AmbulanceDriver.findById = async () => driver;
+  AmbulanceDriver.findOneAndUpdate = async (query) => {
+    driverUpdates.push(query);
+    return driver.status === query.status ? driver : null;
+  };
+  AmbulanceDriver.findByIdAndUpdate = async (id, update) => { driverUpdates.push(update); };
+  // Nobody else nearby to pass offers on to
+  AmbulanceDriver.aggregate = async () => [];
+});
+
+afterAll(() => {
+  AmbulanceRequest.findById = originals.requestFindById;
+  AmbulanceRequest.find = originals.requestFind;
+  AmbulanceRequest.findOneAndUpdate = originals.requestFindOneAndUpdate;
+  AmbulanceRequest.distinct = originals.requestDistinct;
+  AmbulanceRequest.prototype.save = originals.requestSave;
+  AmbulanceRequest.prototype.populate = originals.requestPopulate;
+  AmbulanceDriver.findById = originals.driverFindById;
+  AmbulanceDriver.findOneAndUpdate = originals.driverFindOneAndUpdate;
+  AmbulanceDriver.findByIdAndUpdate = originals.driverFindByIdAndUpdate;
+  AmbulanceDriver.aggregate = originals.driverAggregate;
+});
+
+beforeEach(() => {
+  requestUpdates = [];
+  driverUpdates = [];
+  openOffers = [];
+  driver = { _id: DRIVER_ID, driverName: 'Rahim', status: 'available' };
+});
+
+describe('Accepting an offer', () => {
+  test('assigns the request only while the offer is open and unexpired', async () => {
+    request = buildRequest();
+    openOffers = [request];
+    const res = respond();
+
+    await acceptOffer({ params: { id: request._id.toString() }, userId: DRIVER_ID.toString() }, res);
+
+    expect(res.statusCode).toBe(200);
+    const [{ query, update }] = requestUpdates;
+    expect(query).toMatchObject({ _id: request._id, status: 'offered', 'offer.driverId': DRIVER_ID });
+    expect(query['offer.expiresAt'].$gt).toBeInstanceOf(Date);
+    expect(update.$set).toEqual({ status: 'assigned', driverId: DRIVER_ID });
+    expect(update.$push.pastOffers.outcome).toBe('accepted');
+  });
+
+  test('an offer closed while the driver was answering is refused and the driver freed', async () => {
+    request = buildRequest();
+    // The sweeper expired it between loading and accepting
+    openOffers = [];
+    const res = respond();
+
+    await acceptOffer({ params: { id: request._id.toString() }, userId: DRIVER_ID.toString() }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('This offer is no longer open');
+    expect(driverUpdates).toContainEqual({ status: 'available' });
+  });
+});
+
+describe('Expiring offers', () => {
+  test('only offers still open and past their time are expired', async () => {
+    const expired = buildRequest({ expiresInSeconds: -5 });
+    const accepted = buildRequest({ expiresInSeconds: -5 });
+    // Loaded by the sweep, but accepted before the sweep got to it
+    openOffers = [expired];
+    AmbulanceRequest.find = async () => [expired, accepted];
+
+    const count = await expireOffers();
+
+    AmbulanceRequest.find = async () => openOffers;
+    expect(count).toBe(1);
+    expect(requestUpdates).toHaveLength(2);
+    requestUpdates.forEach(({ query, update }) => {
+      expect(query).toMatchObject({ status: 'offered', 'offer.driverId': DRIVER_ID });
+      expect(query['offer.expiresAt'].$lte).toBeInstanceOf(Date);
+      expect(update.$push.pastOffers.outcome).toBe('expired');
+    });
+    // Nobody else nearby, so the expired one waits for a dispatcher
+    expect(expired.status).toBe('pending');
+  });
+});
+
+describe('Manual assignment', () => {
+  test.each(['busy', 'offline'])('a driver who is %s is refused with 400', async (status) => {
+    request = buildRequest({ status: 'pending' });
+    driver.status = status;
+    const res = respond();
+
+    await assignDriver({ params: { id: request._id.toString() }, body: { driverId: DRIVER_ID.toString() }, userId: ADMIN_ID }, res);
+
+    expect(res.statusCode).toBe(400);
+    expect(request.status).toBe('pending');
+    expect(request.driverId).toBeUndefined();
+  });
+
+  test('an available driver is assigned and marked busy', async () => {
+    request = buildRequest({ status: 'pending' });
+    const res = respond();
+
+    await assignDriver({ params: { id: request._id.toString() }, body: { driverId: DRIVER_ID.toString() }, userId: ADMIN_ID }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(request.status).toBe('assigned');
+    expect(driverUpdates).toContainEqual({ _id: DRIVER_ID, status: 'available' });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Doctor Leave Removal
+ * @description Removing a leave period only succeeds when the doctor has it.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { removeBlackout } from '../Controllers/doctorController.js';
+import Doctor from '../models/DoctorSchema.js';
+
+const DOCTOR_ID = '507f1f77bcf86cd799439014';
+const blackoutId = new mongoose.Types.ObjectId();
+
+let blackouts;
+let updates;
+let originalFindOneAndUpdate;
+
+const remove = async (id) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await removeBlackout({ params: { id: DOCTOR_ID, blackoutId: id }, userId: DOCTOR_ID }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originalFindOneAndUpdate = Doctor.findOneAndUpdate;
+  Doctor.findOneAndUpdate = (query) => {
+    updates += 1;
+    const found = blackouts.some(blackout => blackout._id.equals(query['blackouts._id']));
+    const remaining = blackouts.filter(blackout => !blackout._id.equals(query['blackouts._id']));
+    return { select: async () => (found ? { blackouts: remaining } : null) };
+  };
+});
+
+afterAll(() => {
+  Doctor.findOneAndUpdate = originalFindOneAndUpdate;
+});
+
+beforeEach(() => {
+  blackouts = [{ _id: blackoutId, reason: 'Conference' }];
+  updates = 0;
+});
+
+describe('Doctor leave - removal', () => {
+  test.each([
+    ['an existing leave period is removed', () => blackoutId.toString(), 200],
+    ['an unknown leave period is not found', () => new mongoose.Types.ObjectId().toString(), 404],
+    ['a malformed id is refused', () => 'not-an-id', 400]
+  ])('%s', async (name, id, status) => {
+    const res = await remove(id());
+
+    expect(res.statusCode).toBe(status);
+    expect(res.body.success).toBe(status === 200);
+  });
+
+  test('a malformed id never reaches the database', async () => {
+    await remove('42');
+
+    expect(updates).toBe(0);
+  });
+
+  test('the remaining leave periods are returned', async () => {
+    const res = await remove(blackoutId.toString());
+
+    expect(res.body.data).toEqual([]);
+  });
+});
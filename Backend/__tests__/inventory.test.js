@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Pharmacy Stock Reservation
+ * @description Which batches an order takes its units from, and what happens
+ * when stock runs out or changes under a reservation.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { reserveStock, checkStock } from '../services/inventoryService.js';
+import Medicine from '../models/Medicine.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const inDays = (days) => new Date(Date.now() + days * DAY);
+
+const buildMedicine = (batches) => new Medicine({
+  productName: 'Napa',
+  batches: batches.map(([batchNumber, quantity, expiresInDays]) => ({
+    batchNumber,
+    quantity,
+    expiryDate: inDays(expiresInDays)
+  }))
+});
+
+let medicines;
+let conflicts;
+let updates;
+let releases;
+const originals = {};
+
+beforeAll(() => {
+  originals.findById = Medicine.findById;
+  originals.findOneAndUpdate = Medicine.findOneAndUpdate;
+  originals.updateOne = Medicine.updateOne;
+
+  Medicine.findById = (id) => {
+    const medicine = medicines.find(m => m._id.equals(id)) || null;
+    // checkStock selects fields, reserveStock awaits directly
+    const query = Promise.resolve(medicine);
+    query.select = async () => medicine;
+    return query;
+  };
+  // Lose the race the first `conflicts` times
+  Medicine.findOneAndUpdate = async (query, update) => {
+    updates.push(update);
+    if (conflicts > 0) {
+      conflicts -= 1;
+      return null;
+    }
+    return {};
+  };
+  Medicine.updateOne = async (query, update) => { releases.push({ medicine: query._id, inc: update.$inc }); };
+});
+
+afterAll(() => {
+  Medicine.findById = originals.findById;
+  Medicine.findOneAndUpdate = originals.findOneAndUpdate;
+  Medicine.updateOne = originals.updateOne;
+});
+
+beforeEach(() => {
+  medicines = [];
+  conflicts = 0;
+  updates = [];
+  releases = [];
+});
+
+describe('Stock reservation - batch allocation', () => {
+  test.each([
+    [
+      'one batch covers the order',
+      [['A', 10, 30]], 4,
+      [['A', 4]]
+    ],
+    [
+      'the batch expiring first is used first',
+      [['LATE', 10, 90], ['SOON', 10, 10]], 4,
+      [['SOON', 4]]
+    ],
+    [
+      'an order spills into the next batch',
+      [['LATE', 10, 90], ['SOON', 3, 10]], 5,
+      [['SOON', 3], ['LATE', 2]]
+    ],
+    [
+      'expired batches are skipped',
+      [['OLD', 50, -1], ['NEW', 5, 30]], 5,
+      [['NEW', 5]]
+    ],
+    [
+      'empty batches are skipped',
+      [['EMPTY', 0, 5], ['FULL', 5, 30]], 2,
+      [['FULL', 2]]
+    ],
+    [
+      'exactly all of the stock',
+      [['A', 2, 10], ['B', 3, 20]], 5,
+      [['A', 2], ['B', 3]]
+    ]
+  ])('%s', async (name, batches, quantity, expected) => {
+    const medicine = buildMedicine(batches);
+    medicines = [medicine];
+
+    const result = await reserveStock([{ medicine: medicine._id, quantity }]);
+
+    expect(result.error).toBeUndefined();
+    expect(result.items[0].batches.map(b => [b.batchNumber, b.quantity])).toEqual(expected);
+    // Each allocated batch is decremented by what was taken from it
+    expect(Object.values(updates[0].$inc)).toEqual(expected.map(([, taken]) => -taken));
+  });
+
+  test.each([
+    ['not enough unexpired stock', [['OLD', 50, -1], ['NEW', 2, 30]], 3, 'Only 2 of Napa left in stock'],
+    ['nothing left at all', [['OLD', 50, -1]], 1, 'Napa is out of stock'],
+    ['no batches', [], 1, 'Napa is out of stock']
+  ])('%s', async (name, batches, quantity, message) => {
+    const medicine = buildMedicine(batches);
+    medicines = [medicine];
+
+    const result = await reserveStock([{ medicine: medicine._id, quantity }]);
+
+    expect(result).toEqual({ error: message });
+    expect(updates).toHaveLength(0);
+  });
+
+  test('a medicine removed from the catalog is reported', async () => {
+    const result = await reserveStock([{ medicine: new mongoose.Types.ObjectId(), quantity: 1 }]);
+
+    expect(result.error).toBe('One of the medicines in your cart is no longer available');
+  });
+});
+
+describe('Stock reservation - concurrent orders', () => {
+  test.each([
+    [0, true],
+    [2, true],
+    [3, false]
+  ])('losing the race %i time(s) succeeds: %s', async (lost, succeeds) => {
+    const medicine = buildMedicine([['A', 10, 30]]);
+    medicines = [medicine];
+    conflicts = lost;
+
+    const result = await reserveStock([{ medicine: medicine._id, quantity: 1 }]);
+
+    if (succeeds) {
+      expect(result.items).toHaveLength(1);
+    } else {
+      expect(result).toEqual({ error: 'Stock is changing too quickly, please try again' });
+    }
+  });
+
+  test('lines already reserved are released when a later line fails', async () => {
+    const inStock = buildMedicine([['A', 10, 30]]);
+    const soldOut = buildMedicine([['B', 0, 30]]);
+    medicines = [inStock, soldOut];
+
+    const result = await reserveStock([
+      { medicine: inStock._id, quantity: 3 },
+      { medicine: soldOut._id, quantity: 1 }
+    ]);
+
+    expect(result.error).toBe('Napa is out of stock');
+    expect(releases).toHaveLength(1);
+    expect(releases[0].medicine).toEqual(inStock._id);
+    expect(Object.values(releases[0].inc)).toEqual([3]);
+  });
+});
+
+describe('Cart stock check', () => {
+  test.each([
+    [5, null],
+    [6, 'Only 5 of Napa left in stock']
+  ])('%i units -> %p', async (quantity, expected) => {
+    const medicine = buildMedicine([['A', 5, 30], ['OLD', 20, -2]]);
+    medicines = [medicine];
+
+    expect(await checkStock(medicine._id, quantity)).toBe(expected);
+  });
+});
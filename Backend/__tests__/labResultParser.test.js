@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Lab Result Parser
+ * @description Report lines and the lab values each should yield. Add a line
+ * here whenever a test, alias or unit in config/labTests.js changes.
+ * @author Healthcare System Team
+ */
+
+import { parseLabResults, flagValue } from '../services/labResultParser.js';
+
+const parseLine = (line) => parseLabResults(line)[0] || null;
+
+describe('Lab results - values and units', () => {
+  test.each([
+    // Name, value, unit and range
+    ['Hemoglobin 11.2 g/dL 13.0 - 17.0', 'HGB', 11.2, 'g/dL', 'low'],
+    ['Haemoglobin (Hb) 14.5 gm/dl 13-17', 'HGB', 14.5, 'gm/dl', 'normal'],
+    ['1. Hb : 9.8 g% 12 - 16', 'HGB', 9.8, 'g%', 'low'],
+    ['Hemoglobin 135 g/L 120 - 160', 'HGB', 13.5, 'g/L', 'normal'],
+
+    // Cell counts in other units are converted
+    ['Total WBC Count 7,500 /cumm 4000 - 11000', 'WBC', 7.5, '/cumm', 'normal'],
+    ['WBC 12.4 x10^9/L 4.0-11.0', 'WBC', 12.4, 'x10^9/L', 'high'],
+    ['Platelet Count 2.5 lakh/cumm 1.5 - 4.5', 'PLT', 250, 'lakh/cumm', 'normal'],
+    ['Platelets 140 10^3/µL 150 - 450', 'PLT', 140, '10^3/µL', 'low'],
+
+    // Ranges written as limits
+    ['Total Cholesterol 245 mg/dL < 200', 'CHOL', 245, 'mg/dL', 'high'],
+    ['HDL Cholesterol 35 mg/dl > 40', 'HDL', 35, 'mg/dl', 'low'],
+    ['Triglycerides 140 mg/dL up to 150', 'TRIG', 140, 'mg/dL', 'normal'],
+
+    // Longer names win over the names they contain
+    ['LDL Cholesterol 160 mg/dL < 130', 'LDL', 160, 'mg/dL', 'high'],
+    ['HbA1c 7.2 % 4.0 - 5.6', 'HBA1C', 7.2, '%', 'high'],
+
+    // SI units
+    ['Cholesterol 5.2 mmol/L', 'CHOL', 201.08, 'mmol/L', 'high'],
+    ['Fasting Blood Sugar 5,4 mmol/L 3.9 - 5.6', 'FBG', 97.29, 'mmol/L', 'normal'],
+    ['HbA1c 53 mmol/mol', 'HBA1C', 7, 'mmol/mol', 'high'],
+    ['TSH 2.1 µIU/mL 0.4 - 4.0', 'TSH', 2.1, 'µIU/mL', 'normal']
+  ])('"%s"', (line, code, value, originalUnit, flag) => {
+    const observation = parseLine(line);
+
+    expect(observation).toMatchObject({ code, value, originalUnit, flag });
+  });
+
+  test.each([
+    // No unit: taken as is when plausible in the catalog unit
+    ['Hemoglobin 13.1', 'HGB', 13.1],
+    // No unit and implausible as is: the unit that makes sense is used
+    ['WBC 8200', 'WBC', 8.2]
+  ])('"%s" without a unit', (line, code, value) => {
+    expect(parseLine(line)).toMatchObject({ code, value, originalUnit: null });
+  });
+});
+
+describe('Lab results - reference ranges and flags', () => {
+  test('the range printed on the report is converted with the value', () => {
+    const { referenceRange } = parseLine('Total WBC Count 7,500 /cumm 4000 - 11000');
+
+    expect(referenceRange).toEqual({ low: 4, high: 11, text: '4000 - 11000', source: 'report' });
+  });
+
+  test('without a printed range the catalog range applies', () => {
+    const { referenceRange, flag } = parseLine('Hemoglobin 18.2 g/dL');
+
+    expect(referenceRange).toEqual({ low: 12, high: 17.5, text: null, source: 'default' });
+    expect(flag).toBe('high');
+  });
+
+  test.each([
+    ['Hemoglobin 12.5 g/dL L', 'low'],
+    ['Hemoglobin 16.9 g/dL High', 'high']
+  ])('"%s": the lab flag is trusted without a range', (line, flag) => {
+    expect(parseLine(line).flag).toBe(flag);
+  });
+
+  test('a printed range beats the lab flag', () => {
+    expect(parseLine('Hemoglobin 12.5 g/dL L 12 - 16').flag).toBe('normal');
+  });
+
+  test.each([
+    [5, { low: 10, high: 20 }, 'low'],
+    [25, { low: 10, high: 20 }, 'high'],
+    [10, { low: 10, high: 20 }, 'normal'],
+    [20, { low: 10, high: 20 }, 'normal'],
+    [500, { low: null, high: null }, 'normal'],
+    [300, { low: null, high: 200 }, 'high'],
+    [30, { low: 40, high: undefined }, 'low']
+  ])('%p against %j is %s', (value, range, expected) => {
+    expect(flagValue(value, range)).toBe(expected);
+  });
+});
+
+describe('Lab results - lines that are not results', () => {
+  test.each([
+    ['Patient Name: Rahim Uddin'],
+    ['Hemoglobin'],
+    ['Hemoglobin pending'],
+    ['Hemoglobin 250 g/dL'],
+    // Implausible once converted from the printed unit
+    ['Cholesterol 180 mmol/L'],
+    ['Cholesterol/HDL Ratio 4.2'],
+    ['Hbx 12'],
+    ['']
+  ])('%p', (line) => {
+    expect(parseLabResults(line)).toEqual([]);
+  });
+});
+
+describe('Lab results - whole reports', () => {
+  const report = [
+    '--- Page 1 ---',
+    'COMPLETE BLOOD COUNT',
+    'Test Result Unit Reference',
+    'Hemoglobin 11.2 g/dL 13.0 - 17.0',
+    'WBC 12.4 x10^9/L 4.0-11.0',
+    '--- Page 2 ---',
+    'LIPID PROFILE',
+    'LDL Cholesterol 160 mg/dL < 130',
+    'Hemoglobin 13.0 g/dL 13.0 - 17.0'
+  ].join('\n');
+
+  test('results keep report order and the page they were on', () => {
+    const observations = parseLabResults(report);
+
+    expect(observations.map(({ code, page }) => [code, page])).toEqual([
+      ['HGB', 1],
+      ['WBC', 1],
+      ['LDL', 2]
+    ]);
+  });
+
+  test('the first result for a test wins', () => {
+    const hemoglobin = parseLabResults(report).find(({ code }) => code === 'HGB');
+
+    expect(hemoglobin.value).toBe(11.2);
+  });
+
+  test('panels and catalog names are filled in', () => {
+    const [observation] = parseLabResults('tlc 6.1 x10^3/ul');
+
+    expect(observation).toMatchObject({
+      code: 'WBC',
+      name: 'White Blood Cells',
+      panel: 'Complete Blood Count',
+      unit: '10^3/µL',
+      originalValue: 6.1,
+      page: null
+    });
+  });
+
+  test.each([[null], [undefined], ['']])('%p has no results', (text) => {
+    expect(parseLabResults(text)).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Medicine Catalog Import
+ * @description How catalog files are read into medicine fields, and that
+ * importing a row updates only the columns it fills in; blank columns,
+ * including parts of the description, keep the stored value.
+ * @author Healthcare System Team
+ */
+
+import { importCatalog, parseCsv, readCatalogFile, toMedicineData } from '../services/medicineCatalogService.js';
+import { updateMedicine } from '../Controllers/medicineController.js';
+import Medicine from '../models/Medicine.js';
+
+const storedMedicine = () => new Medicine({
+  productName: 'Napa',
+  genericName: 'Paracetamol',
+  category: 'Pain & Fever',
+  price: 12,
+  dosageMg: 500,
+  photo: 'https://example.com/napa.png',
+  description: {
+    text: 'Pain and fever relief',
+    keyBenefits: 'Fast acting',
+    recommendedFor: 'Adults and children over 12'
+  },
+  usageInstruction: 'One tablet every 6 hours',
+  sideEffects: 'Rare',
+  storage: 'Below 30°C'
+});
+
+let existing;
+let saved;
+const originals = {};
+
+beforeAll(() => {
+  originals.findOne = Medicine.findOne;
+  originals.findById = Medicine.findById;
+  originals.save = Medicine.prototype.save;
+
+  Medicine.findOne = () => ({ collation: async () => existing });
+  Medicine.findById = async () => existing;
+  Medicine.prototype.save = async function () { saved = this; return this; };
+});
+
+afterAll(() => {
+  Medicine.findOne = originals.findOne;
+  Medicine.findById = originals.findById;
+  Medicine.prototype.save = originals.save;
+});
+
+beforeEach(() => {
+  existing = storedMedicine();
+  // As if loaded from the database
+  existing.isNew = false;
+  saved = null;
+});
+
+describe('Catalog files - CSV parsing', () => {
+  test.each([
+    ['plain fields', 'a,b,c', [['a', 'b', 'c']]],
+    ['several lines', 'a,b\nc,d', [['a', 'b'], ['c', 'd']]],
+    ['Windows line endings', 'a,b\r\nc,d\r\n', [['a', 'b'], ['c', 'd']]],
+    ['a quoted comma', '"Pain, fever",b', [['Pain, fever', 'b']]],
+    ['an escaped quote', '"The ""fast"" one",b', [['The "fast" one', 'b']]],
+    ['a line break inside quotes', '"line one\nline two",b', [['line one\nline two', 'b']]],
+    ['empty fields', 'a,,c,', [['a', '', 'c', '']]],
+    ['blank lines are dropped', 'a,b\n\n , \nc,d', [['a', 'b'], ['c', 'd']]],
+    ['nothing at all', '', []]
+  ])('%s', (name, text, expected) => {
+    expect(parseCsv(text)).toEqual(expected);
+  });
+});
+
+describe('Catalog files - row fields', () => {
+  test.each([
+    [
+      'numbers and flags are converted',
+      { productName: ' Napa ', price: '12.5', dosageMg: '500', requiresPrescription: 'Yes' },
+      { productName: 'Napa', price: 12.5, dosageMg: 500, requiresPrescription: true }
+    ],
+    [
+      'flags other than yes are false',
+      { requiresPrescription: 'no' },
+      { requiresPrescription: false }
+    ],
+    [
+      'JSON booleans are kept',
+      { requiresPrescription: true },
+      { requiresPrescription: true }
+    ],
+    [
+      'non-numbers are left for validation',
+      { price: 'cheap' },
+      { price: 'cheap' }
+    ],
+    [
+      'dotted columns become a nested description',
+      { 'description.text': 'Relief', 'description.keyBenefits': 'Fast' },
+      { description: { text: 'Relief', keyBenefits: 'Fast' } }
+    ],
+    [
+      'nested JSON is read the same way',
+      { description: { recommendedFor: 'Adults' } },
+      { description: { recommendedFor: 'Adults' } }
+    ],
+    [
+      'blank and missing values are left out',
+      { productName: 'Napa', genericName: '  ', price: '', category: null },
+      { productName: 'Napa' }
+    ],
+    [
+      'unknown columns and stock are ignored',
+      { productName: 'Napa', stock: '50', colour: 'red' },
+      { productName: 'Napa' }
+    ]
+  ])('%s', (name, raw, expected) => {
+    expect(toMedicineData(raw)).toEqual(expected);
+  });
+
+  test.each([
+    ['catalog.txt', 'a,b', { error: 'Only .csv and .json files can be imported' }],
+    ['catalog.csv', '', { error: 'The CSV file is empty' }],
+    ['catalog.csv', 'productName,price\nNapa,12', { error: 'Missing required column(s): genericName, dosageMg' }],
+    ['catalog.json', '{', { error: expect.stringMatching(/^Invalid JSON/) }],
+    ['catalog.json', '{"items": []}', { error: 'JSON must be an array of medicines or { "medicines": [...] }' }]
+  ])('%s %p is refused', (filename, text, expected) => {
+    expect(readCatalogFile(Buffer.from(text), filename)).toEqual(expected);
+  });
+
+  test('CSV rows are numbered from the line after the header', () => {
+    const csv = '\uFEFFproductName,genericName,dosageMg\nNapa,Paracetamol,500\nAce,Paracetamol,250\n';
+
+    expect(readCatalogFile(Buffer.from(csv), 'Catalog.CSV')).toEqual({
+      rows: [
+        { line: 2, raw: { productName: 'Napa', genericName: 'Paracetamol', dosageMg: '500' } },
+        { line: 3, raw: { productName: 'Ace', genericName: 'Paracetamol', dosageMg: '250' } }
+      ]
+    });
+  });
+
+  test('JSON may wrap the list in { medicines }', () => {
+    const json = JSON.stringify({ medicines: [{ productName: 'Napa' }] });
+
+    expect(readCatalogFile(Buffer.from(json), 'catalog.json')).toEqual({
+      rows: [{ line: 1, raw: { productName: 'Napa' } }]
+    });
+  });
+});
+
+describe('Catalog import - partial rows', () => {
+  test('a row with only description.text keeps the rest of the description', async () => {
+    const rows = [{
+      line: 2,
+      raw: {
+        productName: 'Napa',
+        genericName: 'Paracetamol',
+        dosageMg: '500',
+        'description.text': 'Relieves pain and fever',
+        'description.keyBenefits': '',
+        price: ''
+      }
+    }];
+
+    const result = await importCatalog(rows);
+
+    expect(result).toMatchObject({ total: 1, updated: 1, created: 0, failed: 0 });
+    expect(saved.description.text).toBe('Relieves pain and fever');
+    expect(saved.description.keyBenefits).toBe('Fast acting');
+    expect(saved.description.recommendedFor).toBe('Adults and children over 12');
+    expect(saved.price).toBe(12);
+  });
+
+  test('a nested JSON description is merged the same way', async () => {
+    const rows = [{
+      line: 1,
+      raw: {
+        productName: 'Napa',
+        genericName: 'Paracetamol',
+        dosageMg: 500,
+        description: { recommendedFor: 'Adults' }
+      }
+    }];
+
+    const result = await importCatalog(rows);
+
+    expect(result.failed).toBe(0);
+    expect(saved.description.recommendedFor).toBe('Adults');
+    expect(saved.description.text).toBe('Pain and fever relief');
+  });
+});
+
+describe('Medicine update - partial description', () => {
+  test('updating description.text alone keeps the other fields', async () => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; }
+    };
+
+    await updateMedicine({ params: { id: existing._id.toString() }, body: { description: { text: 'New text' } } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(existing.description.text).toBe('New text');
+    expect(existing.description.keyBenefits).toBe('Fast acting');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Medicine Stock Migration
+ * @description Medicines saved before batches existed must still be for sale
+ * after the migration. The raw collection is kept in memory here.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { migrate } from '../scripts/migrateMedicineStock.js';
+import Medicine from '../models/Medicine.js';
+
+const expiryDate = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+// A medicine as the baseline schema saved it: no stock field, no batches
+const baselineMedicine = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  productName: 'Napa',
+  genericName: 'Paracetamol',
+  category: 'Pain Relief',
+  price: 12,
+  dosageMg: 500,
+  photo: 'napa.png',
+  description: { text: 'Fever and pain', keyBenefits: 'Fast', recommendedFor: 'Adults' },
+  usageInstruction: 'After meals',
+  sideEffects: 'Rare',
+  storage: 'Dry place',
+  createdAt: new Date('2024-01-15'),
+  updatedAt: new Date('2024-01-15'),
+  ...fields
+});
+
+const matches = (doc, query) => query.$or.some(condition => {
+  const [[field, test]] = Object.entries(condition);
+  if ('$exists' in test) return (doc[field] !== undefined) === test.$exists;
+  return Array.isArray(doc[field]) && doc[field].length === test.$size;
+});
+
+let documents;
+let originalFind;
+let originalUpdateOne;
+let originalLog;
+
+beforeAll(() => {
+  originalFind = Medicine.collection.find;
+  originalUpdateOne = Medicine.collection.updateOne;
+  originalLog = console.log;
+  console.log = () => {};
+
+  Medicine.collection.find = (query) => ({
+    toArray: async () => documents.filter(doc => matches(doc, query)).map(doc => ({ ...doc }))
+  });
+  Medicine.collection.updateOne = async ({ _id }, update) => {
+    const doc = documents.find(d => d._id.equals(_id));
+    if (update.$push) doc.batches = [...(doc.batches || []), update.$push.batches];
+    if (update.$unset) delete doc.stock;
+  };
+});
+
+afterAll(() => {
+  Medicine.collection.find = originalFind;
+  Medicine.collection.updateOne = originalUpdateOne;
+  console.log = originalLog;
+});
+
+beforeEach(() => {
+  documents = [];
+});
+
+describe('Medicine stock migration', () => {
+  test('a baseline medicine gets an opening batch and is in stock', async () => {
+    const medicine = baselineMedicine();
+    documents = [medicine];
+
+    const stats = await migrate({ expiryDate, quantity: 100 });
+
+    expect(stats).toEqual({ moved: 1, cleared: 0, skipped: 0, failed: 0 });
+    expect(documents[0].batches).toEqual([expect.objectContaining({
+      batchNumber: 'OPENING',
+      quantity: 100,
+      expiryDate,
+      receivedAt: medicine.updatedAt
+    })]);
+
+    const migrated = new Medicine(documents[0]);
+    expect(migrated.stock).toBe(100);
+    expect(migrated.inStock).toBe(true);
+  });
+
+  test.each([
+    ['no batches field', {}, 100, 100],
+    ['an empty batches array', { batches: [] }, 25, 25],
+    ['the old stock number is carried over', { stock: 40 }, 100, 40],
+    ['a fractional old stock is rounded down', { stock: 7.8 }, 100, 7]
+  ])('%s', async (name, fields, quantity, expected) => {
+    documents = [baselineMedicine(fields)];
+
+    await migrate({ expiryDate, quantity });
+
+    expect(documents[0].batches.map(batch => batch.quantity)).toEqual([expected]);
+    expect(documents[0].stock).toBeUndefined();
+  });
+
+  test('medicines that already have batches keep them', async () => {
+    const batch = { _id: new mongoose.Types.ObjectId(), batchNumber: 'B1', quantity: 5, expiryDate };
+    documents = [baselineMedicine({ batches: [batch] }), baselineMedicine({ batches: [batch], stock: 9 })];
+
+    const stats = await migrate({ expiryDate, quantity: 100 });
+
+    expect(stats.moved).toBe(0);
+    expect(documents.map(doc => doc.batches)).toEqual([[batch], [batch]]);
+    expect(documents[1].stock).toBeUndefined();
+  });
+
+  test('a second run changes nothing', async () => {
+    documents = [baselineMedicine()];
+
+    await migrate({ expiryDate, quantity: 100 });
+    const stats = await migrate({ expiryDate, quantity: 100 });
+
+    expect(stats).toEqual({ moved: 0, cleared: 0, skipped: 0, failed: 0 });
+    expect(documents[0].batches).toHaveLength(1);
+  });
+
+  test('a dry run writes nothing', async () => {
+    documents = [baselineMedicine()];
+
+    const stats = await migrate({ expiryDate, quantity: 100, dryRun: true });
+
+    expect(stats.moved).toBe(1);
+    expect(documents[0].batches).toBeUndefined();
+  });
+});
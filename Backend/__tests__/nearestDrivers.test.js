@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Nearest Driver Search
+ * @description How the search radius widens, which drivers come back for a
+ * pickup point, and which positions are accepted. The geo query itself runs
+ * in MongoDB, so AmbulanceDriver.aggregate stands in for it here.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { searchRadii, findNearestDrivers } from '../services/ambulanceDispatchService.js';
+import { validateCoordinates } from '../config/dispatchPolicy.js';
+import AmbulanceDriver from '../models/AmbulanceDriver.js';
+
+const PICKUP = { latitude: 23.7465, longitude: 90.3760 };
+
+// Drivers the database would find, closest first, by distance in km
+let nearby;
+let pipelines;
+let originalAggregate;
+
+const driverAt = (km) => ({ _id: new mongoose.Types.ObjectId(), driverName: `Driver at ${km} km`, distanceMeters: km * 1000 });
+
+beforeAll(() => {
+  originalAggregate = AmbulanceDriver.aggregate;
+  AmbulanceDriver.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    const { maxDistance } = pipeline[0].$geoNear;
+    const { $limit } = pipeline.find(stage => stage.$limit);
+    return nearby.filter(driver => driver.distanceMeters <= maxDistance).slice(0, $limit);
+  };
+});
+
+afterAll(() => {
+  AmbulanceDriver.aggregate = originalAggregate;
+});
+
+beforeEach(() => {
+  nearby = [];
+  pipelines = [];
+});
+
+describe('Driver search - radii', () => {
+  test.each([
+    [{ searchRadiusKm: 5, maxSearchRadiusKm: 40, radiusGrowthFactor: 2 }, [5, 10, 20, 40]],
+    [{ searchRadiusKm: 5, maxSearchRadiusKm: 30, radiusGrowthFactor: 2 }, [5, 10, 20, 30]],
+    [{ searchRadiusKm: 3, maxSearchRadiusKm: 30, radiusGrowthFactor: 3 }, [3, 9, 27, 30]],
+    [{ searchRadiusKm: 10, maxSearchRadiusKm: 10, radiusGrowthFactor: 2 }, [10]],
+    [{ searchRadiusKm: 2, maxSearchRadiusKm: 3, radiusGrowthFactor: 2 }, [2, 3]]
+  ])('%j -> %j', (policy, expected) => {
+    expect(searchRadii(policy)).toEqual(expected);
+  });
+});
+
+describe('Driver search - nearest drivers', () => {
+  test.each([
+    ['everyone inside the first radius', [1, 3, 4.5, 8], [1, 3, 4.5], 5],
+    ['the search widens to the closest driver', [7, 9, 15], [7, 9], 10],
+    ['only drivers inside the radius that found the first', [12, 19, 21, 35], [12, 19], 20],
+    ['the last radius is the maximum', [25, 39], [25, 39], 40],
+    ['nobody within the maximum', [45], [], 40],
+    ['nobody at all', [], [], 40]
+  ])('%s', async (name, distancesKm, expectedKm, radiusKm) => {
+    nearby = distancesKm.map(driverAt);
+
+    const result = await findNearestDrivers(PICKUP);
+
+    expect(result.drivers.map(driver => driver.distanceMeters / 1000)).toEqual(expectedKm);
+    expect(result.radiusKm).toBe(radiusKm);
+  });
+
+  test('one geo query out to the maximum radius, for available drivers only', async () => {
+    await findNearestDrivers(PICKUP);
+
+    const [[{ $geoNear }, { $limit }, { $project }]] = pipelines;
+    expect(pipelines).toHaveLength(1);
+    expect($geoNear).toMatchObject({
+      near: { type: 'Point', coordinates: [90.376, 23.7465] },
+      key: 'position',
+      maxDistance: 40000,
+      spherical: true,
+      query: { status: 'available' }
+    });
+    expect($limit).toBe(10);
+    expect($project.password).toBe(0);
+  });
+
+  test('options replace the policy radius, maximum and limit', async () => {
+    nearby = [2, 4, 6, 8].map(driverAt);
+
+    const result = await findNearestDrivers(PICKUP, { radiusKm: 3, maxRadiusKm: 6, limit: 2 });
+
+    expect(result.drivers.map(driver => driver.distanceMeters / 1000)).toEqual([2]);
+    expect(result.radiusKm).toBe(3);
+    expect(pipelines[0][0].$geoNear.maxDistance).toBe(6000);
+    expect(pipelines[0][1].$limit).toBe(2);
+  });
+
+  test('drivers already offered the request are left out', async () => {
+    const excluded = [new mongoose.Types.ObjectId()];
+
+    await findNearestDrivers(PICKUP, { excludeDriverIds: excluded });
+
+    expect(pipelines[0][0].$geoNear.query).toEqual({ status: 'available', _id: { $nin: excluded } });
+  });
+
+  test('the environment can change the search', async () => {
+    process.env.AMBULANCE_SEARCH_RADIUS_KM = '2';
+    process.env.AMBULANCE_MAX_SEARCH_RADIUS_KM = '8';
+    nearby = [3, 7].map(driverAt);
+    try {
+      const result = await findNearestDrivers(PICKUP);
+
+      expect(result.radiusKm).toBe(4);
+      expect(result.drivers.map(driver => driver.distanceMeters / 1000)).toEqual([3]);
+    } finally {
+      delete process.env.AMBULANCE_SEARCH_RADIUS_KM;
+      delete process.env.AMBULANCE_MAX_SEARCH_RADIUS_KM;
+    }
+  });
+});
+
+describe('Driver search - coordinates', () => {
+  test.each([
+    [23.7465, 90.376, null],
+    ['23.7465', '90.376', null],
+    [-90, 180, null],
+    [0, 0, null],
+    [91, 90, 'Latitude must be a number between -90 and 90'],
+    ['', 90, 'Latitude must be a number between -90 and 90'],
+    [null, 90, 'Latitude must be a number between -90 and 90'],
+    ['north', 90, 'Latitude must be a number between -90 and 90'],
+    [23, -181, 'Longitude must be a number between -180 and 180'],
+    [23, undefined, 'Longitude must be a number between -180 and 180']
+  ])('%p, %p -> %p', (latitude, longitude, expected) => {
+    expect(validateCoordinates(latitude, longitude)).toBe(expected);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Order Cancellation Races
+ * @description An order is cancelled once: a double-submitted cancel, or a
+ * patient and the pharmacy cancelling at the same time, must put the units
+ * back into stock only once.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { cancelOrder, updateOrderStatus } from '../Controllers/orderController.js';
+import Order from '../models/Order.js';
+import Medicine from '../models/Medicine.js';
+import Notification from '../models/NotificationSchema.js';
+
+const PATIENT_ID = '507f1f77bcf86cd799439011';
+const ADMIN_ID = '507f1f77bcf86cd799439012';
+
+// The order as stored; each read gets its own copy
+let order;
+let stockReleases;
+const originals = {};
+
+const buildOrder = (status) => new Order({
+  user: PATIENT_ID,
+  items: [{
+    medicine: new mongoose.Types.ObjectId(),
+    quantity: 2,
+    price: 50,
+    batches: [{ batch: new mongoose.Types.ObjectId(), batchNumber: 'B1', quantity: 2 }]
+  }],
+  totalAmount: 100,
+  status
+});
+
+const respond = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(payload) { this.body = payload; return this; }
+});
+
+const patientCancels = async () => {
+  const res = respond();
+  await cancelOrder({ params: { id: order._id.toString() }, body: { reason: 'Ordered twice' }, userId: PATIENT_ID }, res);
+  return res;
+};
+
+const pharmacyCancels = async () => {
+  const res = respond();
+  await updateOrderStatus({ params: { id: order._id.toString() }, body: { status: 'cancelled' }, userId: ADMIN_ID }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.findById = Order.findById;
+  originals.findOneAndUpdate = Order.findOneAndUpdate;
+  originals.populate = Order.prototype.populate;
+  originals.updateOne = Medicine.updateOne;
+  originals.create = Notification.create;
+
+  Order.findById = async () => Order.hydrate(order.toObject());
+  // Applied only while the stored order is still in the status it was read in
+  Order.findOneAndUpdate = async (query, { $set, $push }) => {
+    if (order.status !== query.status) return null;
+    Object.entries($set).forEach(([path, value]) => order.set(path, value));
+    order.statusHistory.push($push.statusHistory);
+    return order;
+  };
+  Order.prototype.populate = async function () { return this; };
+  Medicine.updateOne = async () => { stockReleases += 1; };
+  Notification.create = async () => ({});
+});
+
+afterAll(() => {
+  Order.findById = originals.findById;
+  Order.findOneAndUpdate = originals.findOneAndUpdate;
+  Order.prototype.populate = originals.populate;
+  Medicine.updateOne = originals.updateOne;
+  Notification.create = originals.create;
+});
+
+beforeEach(() => {
+  stockReleases = 0;
+});
+
+describe('Order cancellation', () => {
+  test.each([
+    ['the patient cancels twice', patientCancels, patientCancels],
+    ['the pharmacy cancels twice', pharmacyCancels, pharmacyCancels],
+    ['the patient and the pharmacy cancel together', patientCancels, pharmacyCancels]
+  ])('%s: the stock is released once', async (name, first, second) => {
+    order = buildOrder('confirmed');
+
+    const responses = await Promise.all([first(), second()]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(order.status).toBe('cancelled');
+    expect(order.statusHistory.filter(entry => entry.status === 'cancelled')).toHaveLength(1);
+    expect(stockReleases).toBe(1);
+  });
+
+  test('a cancelled order records who cancelled it and why', async () => {
+    order = buildOrder('pending');
+
+    const res = await patientCancels();
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.statusHistory.at(-1)).toMatchObject({
+      status: 'cancelled',
+      actorRole: 'patient',
+      note: 'Ordered twice'
+    });
+  });
+
+  test.each([
+    ['cancelled', 'This order is already cancelled'],
+    ['shipped', 'Orders can only be cancelled before they are shipped']
+  ])('a %s order cannot be cancelled by the patient', async (status, message) => {
+    order = buildOrder(status);
+
+    const res = await patientCancels();
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(message);
+    expect(stockReleases).toBe(0);
+  });
+});
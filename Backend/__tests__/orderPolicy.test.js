@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Pharmacy Order Policy
+ * @description Every status change an order can and cannot make, and when a
+ * delivered order can still be returned.
+ * @author Healthcare System Team
+ */
+
+import { ORDER_STATUSES, validateOrderStatusChange, validateReturnRequest } from '../config/orderPolicy.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const ALLOWED = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['return_requested'],
+  return_requested: ['returned', 'delivered'],
+  returned: [],
+  cancelled: []
+};
+
+// Every pair of statuses, with whether the change is allowed
+const transitions = ORDER_STATUSES.flatMap(from =>
+  ORDER_STATUSES.map(to => [from, to, ALLOWED[from].includes(to)])
+);
+
+describe('Order policy - status changes', () => {
+  test.each(transitions)('%s -> %s allowed: %s', (from, to, allowed) => {
+    const error = validateOrderStatusChange({ status: from }, to);
+
+    if (allowed) {
+      expect(error).toBeNull();
+    } else {
+      expect(error).toBe(`A ${from.replace('_', ' ')} order cannot be marked ${to.replace('_', ' ')}`);
+    }
+  });
+});
+
+describe('Order policy - returns', () => {
+  const now = new Date('2025-03-10T12:00:00Z');
+  const deliveredOn = (daysAgo, fields = {}) => ({
+    status: 'delivered',
+    statusHistory: [
+      { status: 'pending', at: new Date(now.getTime() - (daysAgo + 3) * DAY) },
+      { status: 'delivered', at: new Date(now.getTime() - daysAgo * DAY) }
+    ],
+    updatedAt: now,
+    ...fields
+  });
+
+  test.each([
+    ['delivered today', deliveredOn(0), null],
+    ['delivered 6 days ago', deliveredOn(6), null],
+    ['delivered 8 days ago', deliveredOn(8), 'Returns must be requested within 7 days of delivery'],
+    ['still shipping', { ...deliveredOn(1), status: 'shipped' }, 'Only delivered orders can be returned'],
+    ['already requested', deliveredOn(1, { returnRequest: { requestedAt: now } }), 'A return has already been requested for this order'],
+    ['no delivery in the history falls back to the last update', deliveredOn(0, { statusHistory: [], updatedAt: new Date(now.getTime() - 8 * DAY) }), 'Returns must be requested within 7 days of delivery']
+  ])('%s', (name, order, expected) => {
+    expect(validateReturnRequest(order, now)).toBe(expected);
+  });
+
+  test('the environment can change the return window', () => {
+    process.env.ORDER_RETURN_WINDOW_DAYS = '14';
+    try {
+      expect(validateReturnRequest(deliveredOn(10), now)).toBeNull();
+    } finally {
+      delete process.env.ORDER_RETURN_WINDOW_DAYS;
+    }
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Prescription Review
+ * @description A pharmacist can only review the prescription of an order
+ * that is still pending. Orders cancelled in the meantime must not be
+ * confirmed again, nor have their stock released twice.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { reviewPrescription } from '../Controllers/orderController.js';
+import Order from '../models/Order.js';
+import Medicine from '../models/Medicine.js';
+import Notification from '../models/NotificationSchema.js';
+
+const ADMIN_ID = '507f1f77bcf86cd799439012';
+
+// The order as stored; each read gets its own copy
+let order;
+let stockReleases;
+const originals = {};
+
+const buildOrder = ({ status, prescriptionStatus }) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  items: [{
+    medicine: new mongoose.Types.ObjectId(),
+    quantity: 2,
+    price: 50,
+    batches: [{ batch: new mongoose.Types.ObjectId(), batchNumber: 'B1', quantity: 2 }]
+  }],
+  totalAmount: 100,
+  status,
+  prescription: { source: 'upload', fileUrl: 'https://example.com/rx.pdf', status: prescriptionStatus }
+});
+
+const review = async (body) => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await reviewPrescription({ params: { id: order._id.toString() }, body, userId: ADMIN_ID }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.findById = Order.findById;
+  originals.findOneAndUpdate = Order.findOneAndUpdate;
+  originals.save = Order.prototype.save;
+  originals.populate = Order.prototype.populate;
+  originals.updateOne = Medicine.updateOne;
+  originals.create = Notification.create;
+
+  Order.findById = async () => Order.hydrate(order.toObject());
+  // Applied only while the stored order is still in the status it was read in
+  Order.findOneAndUpdate = async (query, { $set, $push }) => {
+    if (order.status !== query.status) return null;
+    Object.entries($set).forEach(([path, value]) => order.set(path, value));
+    order.statusHistory.push($push.statusHistory);
+    return order;
+  };
+  Order.prototype.save = async function () { return this; };
+  Order.prototype.populate = async function () { return this; };
+  Medicine.updateOne = async () => { stockReleases += 1; };
+  Notification.create = async () => ({});
+});
+
+afterAll(() => {
+  Order.findById = originals.findById;
+  Order.findOneAndUpdate = originals.findOneAndUpdate;
+  Order.prototype.save = originals.save;
+  Order.prototype.populate = originals.populate;
+  Medicine.updateOne = originals.updateOne;
+  Notification.create = originals.create;
+});
+
+beforeEach(() => {
+  stockReleases = 0;
+});
+
+describe('Prescription review', () => {
+  test('approving a pending order confirms it', async () => {
+    order = buildOrder({ status: 'pending', prescriptionStatus: 'pending' });
+
+    const res = await review({ decision: 'approved' });
+
+    expect(res.statusCode).toBe(200);
+    expect(order.status).toBe('confirmed');
+    expect(order.prescription.status).toBe('approved');
+    expect(stockReleases).toBe(0);
+  });
+
+  test('rejecting a pending order cancels it and releases its stock once', async () => {
+    order = buildOrder({ status: 'pending', prescriptionStatus: 'pending' });
+
+    const res = await review({ decision: 'rejected', reason: 'Unreadable' });
+
+    expect(res.statusCode).toBe(200);
+    expect(order.status).toBe('cancelled');
+    expect(stockReleases).toBe(1);
+  });
+
+  test.each([
+    ['approved', undefined],
+    ['rejected', 'Unreadable']
+  ])('a cancelled order cannot be %s', async (decision, reason) => {
+    // The patient cancelled while the prescription was still in the queue
+    order = buildOrder({ status: 'cancelled', prescriptionStatus: 'pending' });
+
+    const res = await review({ decision, reason });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(order.status).toBe('cancelled');
+    expect(order.prescription.status).toBe('pending');
+    expect(stockReleases).toBe(0);
+  });
+
+  test('two rejections at once release the stock once', async () => {
+    order = buildOrder({ status: 'pending', prescriptionStatus: 'pending' });
+
+    const responses = await Promise.all([
+      review({ decision: 'rejected', reason: 'Unreadable' }),
+      review({ decision: 'rejected', reason: 'Unreadable' })
+    ]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(stockReleases).toBe(1);
+  });
+
+  test('an already reviewed prescription cannot be reviewed again', async () => {
+    order = buildOrder({ status: 'confirmed', prescriptionStatus: 'approved' });
+
+    const res = await review({ decision: 'rejected', reason: 'Changed my mind' });
+
+    expect(res.statusCode).toBe(400);
+    expect(order.status).toBe('confirmed');
+    expect(stockReleases).toBe(0);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview LLM Request Policy and Failover
+ * @description Which failures are retried and how often, how calls are
+ * spaced out, and how the assistant moves along the provider chain when a
+ * provider fails. Delays are kept to a few milliseconds.
+ * @author Healthcare System Team
+ */
+
+import { createRequestPolicy, isRetryableError } from '../services/requestPolicy.js';
+import { registerLLMProvider, getLLMProviderChain } from '../services/llmProviders.js';
+import medicalAssistantService from '../services/medicalAssistantService.js';
+
+const httpError = (status, fields = {}) => Object.assign(new Error(`HTTP ${status}`), { status, ...fields });
+const codeError = (code) => Object.assign(new Error(code), { code });
+const abortError = () => Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+// A call that throws the given errors in turn, then answers
+const failing = (...errors) => {
+  const call = async () => {
+    call.attempts += 1;
+    const error = errors[call.attempts - 1];
+    if (error) throw error;
+    return 'ok';
+  };
+  call.attempts = 0;
+  return call;
+};
+
+let originalWarn;
+let originalError;
+
+beforeAll(() => {
+  // Retries and failovers log on purpose; keep the test output readable
+  originalWarn = console.warn;
+  originalError = console.error;
+  console.warn = () => {};
+  console.error = () => {};
+});
+
+afterAll(() => {
+  console.warn = originalWarn;
+  console.error = originalError;
+});
+
+describe('Request policy - retryable errors', () => {
+  test.each([
+    ['408 timeout', true, httpError(408)],
+    ['429 rate limit', true, httpError(429)],
+    ['500 server error', true, httpError(500)],
+    ['503 unavailable', true, httpError(503)],
+    ['400 bad request', false, httpError(400)],
+    ['401 bad key', false, httpError(401)],
+    ['404 unknown model', false, httpError(404)],
+    ['connection reset', true, codeError('ECONNRESET')],
+    ['DNS failure', true, codeError('EAI_AGAIN')],
+    ['code on the cause', true, Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } })],
+    ['fetch network failure', true, new TypeError('fetch failed')],
+    ['abort', false, abortError()],
+    ['a bug in our code', false, new Error('Cannot read properties of undefined')]
+  ])('%s retryable: %s', (name, expected, error) => {
+    expect(isRetryableError(error)).toBe(expected);
+  });
+});
+
+describe('Request policy - retries', () => {
+  const policy = () => createRequestPolicy({ name: 'test', maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 });
+
+  test.each([
+    ['answers first time', [], 1, 'ok'],
+    ['recovers after one failure', [httpError(503)], 2, 'ok'],
+    ['recovers on the last retry', [httpError(429), codeError('ETIMEDOUT')], 3, 'ok'],
+    ['gives up after the retries', [httpError(503), httpError(503), httpError(503)], 3, 'HTTP 503'],
+    ['does not retry a client error', [httpError(400)], 1, 'HTTP 400'],
+    ['does not retry an abort', [abortError()], 1, 'aborted']
+  ])('%s', async (name, errors, attempts, outcome) => {
+    const call = failing(...errors);
+    const result = policy().run(call);
+
+    if (outcome === 'ok') {
+      await expect(result).resolves.toBe('ok');
+    } else {
+      await expect(result).rejects.toThrow(outcome);
+    }
+    expect(call.attempts).toBe(attempts);
+  });
+
+  test('a Retry-After hint longer than the backoff is waited out', async () => {
+    const call = failing(httpError(429, { retryAfterMs: 60 }));
+    const started = Date.now();
+
+    await createRequestPolicy({ baseDelayMs: 1, maxDelayMs: 1000 }).run(call);
+
+    expect(Date.now() - started).toBeGreaterThanOrEqual(55);
+  });
+
+  test('aborting during the backoff stops the retries', async () => {
+    const controller = new AbortController();
+    const call = failing(httpError(503), httpError(503));
+    const result = createRequestPolicy({ baseDelayMs: 1000 }).run(call, { signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 10);
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    expect(call.attempts).toBe(1);
+  });
+
+  test('calls are spaced by the minimum interval', async () => {
+    const policy = createRequestPolicy({ minIntervalMs: 40 });
+    const starts = [];
+    const call = async () => { starts.push(Date.now()); };
+
+    await Promise.all([policy.run(call), policy.run(call), policy.run(call)]);
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(35);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(35);
+  });
+});
+
+describe('Provider failover', () => {
+  const answers = {};
+
+  // Providers that answer or fail as the current test sets up
+  const fakeProvider = (name, configured = true) => () => ({
+    name,
+    model: `${name}-model`,
+    isConfigured: () => configured,
+    generate: async () => {
+      const answer = answers[name];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  });
+
+  beforeAll(() => {
+    registerLLMProvider('first', fakeProvider('first'));
+    registerLLMProvider('second', fakeProvider('second'));
+    registerLLMProvider('unconfigured', fakeProvider('unconfigured', false));
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_PROVIDERS;
+  });
+
+  test.each([
+    ['first,second', ['first', 'second']],
+    ['second, first', ['second', 'first']],
+    ['first,unconfigured,second', ['first', 'second']],
+    ['first,nonexistent', ['first']],
+    ['unconfigured', []]
+  ])('LLM_PROVIDERS=%s gives the chain %j', (order, expected) => {
+    process.env.LLM_PROVIDERS = order;
+
+    expect(getLLMProviderChain().map(provider => provider.name)).toEqual(expected);
+  });
+
+  test.each([
+    ['the first provider answers', 'answer one', 'answer two', 'answer one'],
+    ['a failing provider is skipped', httpError(503), 'answer two', 'answer two'],
+    ['a provider with a bad key is skipped', httpError(401), 'answer two', 'answer two']
+  ])('%s', async (name, first, second, expected) => {
+    process.env.LLM_PROVIDERS = 'first,second';
+    answers.first = first;
+    answers.second = second;
+
+    const result = await medicalAssistantService.withFailover(provider => provider.generate('prompt'), 'Test');
+
+    expect(result).toBe(expected);
+  });
+
+  test('the last error is thrown when every provider fails', async () => {
+    process.env.LLM_PROVIDERS = 'first,second';
+    answers.first = httpError(503);
+    answers.second = httpError(429);
+
+    await expect(medicalAssistantService.withFailover(provider => provider.generate('prompt'), 'Test'))
+      .rejects.toThrow('HTTP 429');
+  });
+
+  test('an abort is not passed on to the next provider', async () => {
+    process.env.LLM_PROVIDERS = 'first,second';
+    answers.first = abortError();
+    answers.second = 'answer two';
+
+    await expect(medicalAssistantService.withFailover(provider => provider.generate('prompt'), 'Test'))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('an empty chain is an error', async () => {
+    process.env.LLM_PROVIDERS = 'unconfigured';
+
+    await expect(medicalAssistantService.withFailover(provider => provider.generate('prompt'), 'Test'))
+      .rejects.toThrow('No LLM provider is configured');
+  });
+});
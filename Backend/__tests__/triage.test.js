@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Symptom Triage Vignettes
+ * @description Short patient descriptions and the triage each should get.
+ * Add a vignette here whenever a rule in config/triageRules.js changes.
+ * @author Healthcare System Team
+ */
+
+import { triageSymptoms } from '../services/triageService.js';
+
+describe('Symptom triage - levels', () => {
+  test.each([
+    // Emergencies
+    ['I have crushing chest pain going down my left arm', 'emergency', 'chest_pain'],
+    ["I can't breathe properly and my lips are turning blue", 'emergency', 'severe_breathing_difficulty'],
+    ['My father has slurred speech and his face is drooping', 'emergency', 'stroke_signs'],
+    ['My son is having a seizure', 'emergency', 'seizure'],
+    ['I was stung by a bee and my throat is swelling', 'emergency', 'anaphylaxis'],
+    ['I took too many pills', 'emergency', 'poisoning'],
+    ['I feel suicidal', 'emergency', 'self_harm'],
+    ['This is the worst headache of my life', 'emergency', 'thunderclap_headache'],
+    ['I have been vomiting blood since this morning', 'emergency', 'severe_bleeding'],
+    ['He is not breathing', 'emergency', 'severe_breathing_difficulty'],
+    ['My husband stopped breathing', 'emergency', 'severe_breathing_difficulty'],
+    ['There is no pulse', 'emergency', 'unconscious'],
+    ['He is not responding', 'emergency', 'unconscious'],
+    ['I think his heart stopped', 'emergency', 'unconscious'],
+
+    // Urgent
+    ['I have been short of breath when climbing stairs', 'urgent', 'shortness_of_breath'],
+    ['High fever and a stiff neck', 'urgent', 'high_fever'],
+    ['I fainted at work today', 'urgent', 'fainting'],
+    ['There is blood in my stool', 'urgent', 'blood_in_stool'],
+    ['I think I have a broken wrist after falling', 'urgent', 'broken_bone'],
+
+    // Routine
+    ['I have had a headache on and off', 'routine', 'headache'],
+    ['I have a fever', 'routine', 'fever'],
+    ['There is an itchy rash on my arm', 'routine', 'rash'],
+
+    // Self-care
+    ['I have a runny nose and keep sneezing', 'self_care', 'cold_symptoms'],
+    ['Mild headache after working late', 'self_care', 'mild_headache'],
+    ['I have a dry cough', 'self_care', 'persistent_cough']
+  ])('"%s" is %s', (description, level, symptomId) => {
+    const triage = triageSymptoms(description);
+
+    expect(triage.level).toBe(level);
+    expect(triage.symptoms[0].id).toBe(symptomId);
+  });
+
+  test('a description with no recognised symptoms gets a routine level with low confidence', () => {
+    const triage = triageSymptoms('Hello, I have a question about my appointment');
+
+    expect(triage.level).toBe('routine');
+    expect(triage.symptoms).toEqual([]);
+    expect(triage.confidence).toBe(0.3);
+  });
+
+  test('the most urgent symptom decides the level', () => {
+    const triage = triageSymptoms('Runny nose, a fever and now chest pain');
+
+    expect(triage.level).toBe('emergency');
+    expect(triage.symptoms.map(symptom => symptom.id)).toEqual(['chest_pain', 'fever', 'cold_symptoms']);
+    expect(triage.redFlags.map(flag => flag.id)).toEqual(['chest_pain']);
+  });
+
+  test('a longer phrase wins over the shorter one inside it', () => {
+    const triage = triageSymptoms('Severe abdominal pain since last night');
+
+    expect(triage.symptoms.map(symptom => symptom.id)).toEqual(['severe_abdominal_pain']);
+  });
+});
+
+describe('Symptom triage - negation', () => {
+  test.each([
+    ['No chest pain, just a runny nose', 'self_care', ['chest_pain']],
+    ["I don't have chest pain or shortness of breath, only a sore throat", 'self_care', ['chest_pain', 'shortness_of_breath']],
+    ['Denies fever. Mild headache since yesterday', 'self_care', ['fever']],
+    ['Without any vomiting, I have diarrhoea', 'routine', ['vomiting']]
+  ])('"%s" ignores the negated symptoms', (description, level, negatedIds) => {
+    const triage = triageSymptoms(description);
+
+    expect(triage.level).toBe(level);
+    expect(triage.negated.map(item => item.id)).toEqual(negatedIds);
+  });
+
+  test.each([
+    ['No fever but chest pain', 'emergency'],
+    ['No fever, chest pain since the morning', 'emergency'],
+    ['No relief from chest pain after resting', 'emergency'],
+    ["I don't know why but I can't breathe", 'emergency'],
+    ['I am not sure, maybe chest tightness', 'emergency'],
+    ['I have no appetite and I fainted yesterday', 'urgent']
+  ])('"%s" keeps the symptom that is not negated', (description, level) => {
+    expect(triageSymptoms(description).level).toBe(level);
+  });
+
+  test('a symptom mentioned both negated and present counts as present', () => {
+    const triage = triageSymptoms('I had no fever yesterday but today I have a fever');
+
+    expect(triage.symptoms.map(symptom => symptom.id)).toEqual(['fever']);
+    expect(triage.negated).toEqual([]);
+  });
+
+  test.each([
+    ['He is not moving, not breathing'],
+    ['Not moving not breathing'],
+    ['She has no fever and no pulse'],
+    ["He isn't responding and isn't breathing"]
+  ])('"%s" keeps the symptoms worded as negations', (description) => {
+    expect(triageSymptoms(description).level).toBe('emergency');
+  });
+
+  test('phrases that contain a negation word are not negated by it', () => {
+    const triage = triageSymptoms('I am not able to breathe');
+
+    expect(triage.level).toBe('emergency');
+    expect(triage.negated).toEqual([]);
+  });
+});
+
+describe('Symptom triage - age', () => {
+  test.each([
+    ['My 6 week old baby has a fever', 'emergency'],
+    ['My 18 month old has a fever', 'urgent'],
+    ['My 10 year old has a fever', 'routine'],
+    ["I'm 72 and I have a fever", 'urgent'],
+    ['My 1 month old has a cough', 'urgent'],
+    ['My 5 year old has a cough', 'self_care']
+  ])('"%s" is %s', (description, level) => {
+    expect(triageSymptoms(description).level).toBe(level);
+  });
+
+  test('an age passed in overrides the description', () => {
+    const triage = triageSymptoms('Vomiting since this morning', { age: 80 });
+
+    expect(triage.level).toBe('urgent');
+    expect(triage.modifiers.ageYears).toBe(80);
+    expect(triage.symptoms[0].reasons).toEqual(['in someone aged 65 or over']);
+  });
+
+  test('an age in the description is read', () => {
+    expect(triageSymptoms('I am 45 and have a headache').modifiers.ageYears).toBe(45);
+    expect(triageSymptoms('My 3-year-old has a rash').modifiers.ageYears).toBe(3);
+    expect(triageSymptoms('I am 5 days into a cold').modifiers.ageYears).toBeNull();
+  });
+});
+
+describe('Symptom triage - duration and onset', () => {
+  test.each([
+    ['Fever for 2 days', 'routine'],
+    ['Fever for 4 days', 'urgent'],
+    ['I have had a fever for a week', 'urgent'],
+    ['Cough for 10 days', 'self_care'],
+    ['Cough for 4 weeks', 'routine'],
+    ['Coughing for the past two months', 'routine'],
+    ['Tired all the time for 3 weeks', 'routine'],
+    ['Runny nose for three weeks', 'routine']
+  ])('"%s" is %s', (description, level) => {
+    expect(triageSymptoms(description).level).toBe(level);
+  });
+
+  test('the longest duration mentioned is used', () => {
+    const triage = triageSymptoms('Headache for 2 hours, but the fever has lasted 5 days');
+
+    expect(triage.modifiers.durationDays).toBe(5);
+    expect(triage.level).toBe('urgent');
+  });
+
+  test('an age is not read as a duration', () => {
+    expect(triageSymptoms('My 2 month old has a runny nose').modifiers.durationDays).toBeNull();
+  });
+
+  test.each([
+    ['Sudden shortness of breath', 'emergency'],
+    ['Shortness of breath that has been building for months', 'urgent'],
+    ['I suddenly became confused', 'emergency'],
+    ['Headache came on suddenly', 'urgent']
+  ])('"%s" is %s', (description, level) => {
+    expect(triageSymptoms(description).level).toBe(level);
+  });
+});
+
+describe('Symptom triage - result', () => {
+  test('includes the care setting, advice and an explanation', () => {
+    const triage = triageSymptoms('My 2 month old baby has a fever and no rash');
+
+    expect(triage).toMatchObject({
+      level: 'emergency',
+      careSetting: 'emergency_department',
+      advice: expect.stringContaining('999'),
+      negated: [{ id: 'rash', label: 'Rash', phrase: 'rash' }]
+    });
+    expect(triage.explanation).toBe(
+      'Emergency care is needed for fever. Fever was treated as emergency because it is in a baby under 3 months. ' +
+      'Not counted because you said you do not have it: rash.'
+    );
+  });
+
+  test.each([
+    ['emergency', 'I have chest pain', 'emergency_department'],
+    ['urgent', 'I fainted', 'urgent_care'],
+    ['routine', 'I have a rash', 'primary_care'],
+    ['self_care', 'I have a runny nose', 'self_care']
+  ])('maps %s to a care setting', (level, description, careSetting) => {
+    const triage = triageSymptoms(description);
+
+    expect(triage.level).toBe(level);
+    expect(triage.careSetting).toBe(careSetting);
+  });
+
+  test('confidence grows with corroborating symptoms and known age and duration', () => {
+    const single = triageSymptoms('I have chest pain');
+    const corroborated = triageSymptoms('I have chest pain and I cannot breathe');
+    const detailed = triageSymptoms("I'm 60 and I've had chest pain for 2 hours and I cannot breathe");
+
+    expect(single.confidence).toBe(0.6);
+    expect(corroborated.confidence).toBe(0.7);
+    expect(detailed.confidence).toBe(0.8);
+  });
+
+  test('handles empty input', () => {
+    expect(triageSymptoms('').level).toBe('routine');
+    expect(triageSymptoms(undefined).symptoms).toEqual([]);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Waitlist Offer Races
+ * @description A freed slot is offered to one waiting patient at a time, and
+ * an offer ends exactly once: two accepts, or an accept and a decline, cannot
+ * both act on it, and the slot reservation is only given back by whoever
+ * closed the offer. The collections are kept in memory here.
+ * @author Healthcare System Team
+ */
+
+import mongoose from 'mongoose';
+import { acceptOffer, declineOffer } from '../Controllers/waitlistController.js';
+import { offerFreedSlot } from '../services/waitlistService.js';
+import { toDateKey } from '../services/availabilityService.js';
+import Waitlist from '../models/WaitlistSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import Booking from '../models/BookingSchema.js';
+import PatientDoctor from '../models/PatientDoctorSchema.js';
+import SlotReservation from '../models/SlotReservationSchema.js';
+import Notification from '../models/NotificationSchema.js';
+
+const DOCTOR_ID = new mongoose.Types.ObjectId();
+const DATE = toDateKey(new Date(Date.now() + 2 * 24 * 60 * 60 * 1000));
+
+// Open 09:00 to 10:00 every day
+const doctor = {
+  _id: DOCTOR_ID,
+  name: 'Rahman',
+  isAvailable: true,
+  ticketPrice: 500,
+  weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '09:00', end: '10:00' }))
+};
+
+let entries;
+let reservations;
+let bookings;
+let failBooking;
+const originals = {};
+
+const copy = (entry) => ({ ...entry, offer: entry.offer && { ...entry.offer } });
+
+const matches = (entry, query) => Object.entries(query).every(([field, expected]) => {
+  if (field === 'offer.expiresAt') return entry.offer?.expiresAt > expected.$gt;
+  if (field === 'offer.bookingId') return entry.offer?.bookingId?.equals(expected);
+  return String(entry[field]) === String(expected);
+});
+
+const applyUpdate = (entry, { $unset, ...fields }) => {
+  Object.assign(entry, fields);
+  if ($unset) Object.keys($unset).forEach(field => delete entry[field]);
+};
+
+const waitingEntry = (minutesAgo) => ({
+  _id: new mongoose.Types.ObjectId(),
+  doctor: DOCTOR_ID,
+  user: new mongoose.Types.ObjectId(),
+  date: DATE,
+  problem: 'Back pain',
+  status: 'waiting',
+  createdAt: new Date(Date.now() - minutesAgo * 60 * 1000)
+});
+
+const respond = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(payload) { this.body = payload; return this; }
+});
+
+const callAs = async (handler, entry) => {
+  const res = respond();
+  await handler({ params: { entryId: entry._id.toString() }, userId: entry.user.toString() }, res);
+  return res;
+};
+
+beforeAll(() => {
+  originals.waitlistFindById = Waitlist.findById;
+  originals.waitlistFindOneAndUpdate = Waitlist.findOneAndUpdate;
+  originals.waitlistUpdateOne = Waitlist.updateOne;
+  originals.doctorFindById = Doctor.findById;
+  originals.bookingSave = Booking.prototype.save;
+  originals.patientDoctorFindOne = PatientDoctor.findOne;
+  originals.patientDoctorFindOneAndUpdate = PatientDoctor.findOneAndUpdate;
+  originals.reservationCreate = SlotReservation.create;
+  originals.reservationDeleteMany = SlotReservation.deleteMany;
+  originals.notificationCreate = Notification.create;
+  originals.error = console.error;
+  console.error = () => {};
+
+  // Each read is a snapshot, as it would be from the database
+  Waitlist.findById = async (id) => copy(entries.find(entry => entry._id.equals(id)));
+  Waitlist.findOneAndUpdate = async (query, update, { sort } = {}) => {
+    const candidates = entries.filter(entry => matches(entry, query));
+    if (sort) candidates.sort((a, b) => a.createdAt - b.createdAt);
+    if (candidates.length === 0) return null;
+    applyUpdate(candidates[0], update);
+    return copy(candidates[0]);
+  };
+  Waitlist.updateOne = async (query, update) => {
+    const entry = entries.find(candidate => matches(candidate, query));
+    if (entry) applyUpdate(entry, update);
+  };
+  Doctor.findById = async () => doctor;
+  Booking.prototype.save = async function () {
+    if (failBooking) throw new Error('Booking failed');
+    bookings.push(this);
+    return this;
+  };
+  PatientDoctor.findOne = async () => null;
+  PatientDoctor.findOneAndUpdate = async () => null;
+  SlotReservation.create = async (reservation) => {
+    const taken = reservations.some(r => r.date === reservation.date && r.start === reservation.start);
+    if (taken) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    reservations.push(reservation);
+    return reservation;
+  };
+  SlotReservation.deleteMany = async ({ booking }) => {
+    reservations = reservations.filter(r => !r.booking.equals(booking));
+  };
+  Notification.create = async (notification) => notification;
+});
+
+afterAll(() => {
+  Waitlist.findById = originals.waitlistFindById;
+  Waitlist.findOneAndUpdate = originals.waitlistFindOneAndUpdate;
+  Waitlist.updateOne = originals.waitlistUpdateOne;
+  Doctor.findById = originals.doctorFindById;
+  Booking.prototype.save = originals.bookingSave;
+  PatientDoctor.findOne = originals.patientDoctorFindOne;
+  PatientDoctor.findOneAndUpdate = originals.patientDoctorFindOneAndUpdate;
+  SlotReservation.create = originals.reservationCreate;
+  SlotReservation.deleteMany = originals.reservationDeleteMany;
+  Notification.create = originals.notificationCreate;
+  console.error = originals.error;
+});
+
+beforeEach(() => {
+  entries = [];
+  reservations = [];
+  bookings = [];
+  failBooking = false;
+});
+
+describe('Waitlist - offering freed slots', () => {
+  test('two slots freed at once go to two different patients', async () => {
+    entries = [waitingEntry(10), waitingEntry(5)];
+
+    await Promise.all([
+      offerFreedSlot(DOCTOR_ID, DATE, '09:00'),
+      offerFreedSlot(DOCTOR_ID, DATE, '09:30')
+    ]);
+
+    expect(entries.map(entry => entry.status)).toEqual(['offered', 'offered']);
+    expect(entries.map(entry => entry.offer.start).sort()).toEqual(['09:00', '09:30']);
+    // Every reservation is held under the booking id of an open offer
+    expect(reservations.map(r => r.booking.toString()).sort())
+      .toEqual(entries.map(entry => entry.offer.bookingId.toString()).sort());
+  });
+
+  test('with one patient waiting, the second slot is not held for nobody', async () => {
+    entries = [waitingEntry(10)];
+
+    await Promise.all([
+      offerFreedSlot(DOCTOR_ID, DATE, '09:00'),
+      offerFreedSlot(DOCTOR_ID, DATE, '09:30')
+    ]);
+
+    expect(reservations).toHaveLength(1);
+    expect(reservations[0].booking).toEqual(entries[0].offer.bookingId);
+  });
+
+  test('the first patient in line gets the slot', async () => {
+    entries = [waitingEntry(5), waitingEntry(10)];
+
+    const offered = await offerFreedSlot(DOCTOR_ID, DATE, '09:00');
+
+    expect(offered._id).toEqual(entries[1]._id);
+  });
+
+  test('a patient is put back in line when the slot was taken meanwhile', async () => {
+    entries = [waitingEntry(10)];
+    reservations = [{ doctor: DOCTOR_ID, date: DATE, start: '09:00', booking: new mongoose.Types.ObjectId() }];
+
+    const offered = await offerFreedSlot(DOCTOR_ID, DATE, '09:00');
+
+    expect(offered).toBeNull();
+    expect(entries[0].status).toBe('waiting');
+    expect(entries[0].offer).toBeUndefined();
+  });
+});
+
+describe('Waitlist - accepting and declining', () => {
+  const offerOneSlot = async () => {
+    entries = [waitingEntry(10), waitingEntry(5)];
+    await offerFreedSlot(DOCTOR_ID, DATE, '09:00');
+    return copy(entries[0]);
+  };
+
+  test('two accepts of the same offer book it once', async () => {
+    const entry = await offerOneSlot();
+
+    const responses = await Promise.all([callAs(acceptOffer, entry), callAs(acceptOffer, entry)]);
+
+    expect(responses.map(res => res.statusCode).sort()).toEqual([200, 400]);
+    expect(bookings).toHaveLength(1);
+    expect(entries[0].status).toBe('accepted');
+    // The booking keeps its reservation and nobody else is offered the slot
+    expect(reservations.map(r => r.booking)).toEqual([bookings[0]._id]);
+    expect(entries[1].status).toBe('waiting');
+  });
+
+  test('an accept racing a decline either books or declines, not both', async () => {
+    const entry = await offerOneSlot();
+
+    const [accepted, declined] = await Promise.all([callAs(acceptOffer, entry), callAs(declineOffer, entry)]);
+
+    expect([accepted.statusCode, declined.statusCode].sort()).toEqual([200, 400]);
+    if (accepted.statusCode === 200) {
+      expect(reservations.map(r => r.booking)).toEqual([bookings[0]._id]);
+      expect(entries[1].status).toBe('waiting');
+    } else {
+      expect(bookings).toHaveLength(0);
+      expect(entries[1].status).toBe('offered');
+    }
+  });
+
+  test('a failed booking gives the slot to the next patient', async () => {
+    const entry = await offerOneSlot();
+    failBooking = true;
+
+    const res = await callAs(acceptOffer, entry);
+
+    expect(res.statusCode).toBe(500);
+    expect(entries[0].status).toBe('cancelled');
+    expect(entries[1].status).toBe('offered');
+    expect(reservations.map(r => r.booking)).toEqual([entries[1].offer.bookingId]);
+  });
+
+  test('an expired offer cannot be accepted', async () => {
+    const entry = await offerOneSlot();
+    entries[0].offer.expiresAt = new Date(Date.now() - 1000);
+
+    const res = await callAs(acceptOffer, entry);
+
+    expect(res.statusCode).toBe(400);
+    expect(bookings).toHaveLength(0);
+    expect(entries[0].status).toBe('expired');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Appointment Booking Policy
+ * @description Single place for the rules that govern when appointments can be
+ * booked, cancelled or rescheduled. Every limit can be overridden with an
+ * environment variable:
+ * - BOOKING_MIN_ADVANCE_DAYS (default 2): how many days ahead a booking must be made
+ * - BOOKING_CHANGE_CUTOFF_HOURS (default 24): no patient changes this close to the visit
+ * - BOOKING_MAX_RESCHEDULES (default 2): how often a patient may move one booking
+ * - BOOKING_WAITLIST_OFFER_MINUTES (default 60): how long a waitlisted patient has to accept a freed slot
+ * - BOOKING_TIME_ZONE (default Asia/Dhaka): IANA time zone the clinic's slot times are in
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const DEFAULT_TIME_ZONE = 'Asia/Dhaka';
+
+const readTimeZone = (name, fallback) => {
+  const value = process.env[name];
+  if (!value) return fallback;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch {
+    return fallback;
+  }
+};
+
+// Statuses a patient is still allowed to cancel or move
+const CHANGEABLE_STATUSES = ['pending', 'approved', 'needs_reschedule'];
+
+// Status changes doctors and admins may make; finished and cancelled are final
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'cancelled'],
+  approved: ['finished', 'cancelled'],
+  needs_reschedule: ['cancelled'],
+  finished: [],
+  cancelled: []
+};
+
+/**
+ * Current booking policy. Read on every call because environment variables
+ * are loaded after modules are imported.
+ * @returns {{minAdvanceDays: number, changeCutoffHours: number, maxReschedules: number, waitlistOfferMinutes: number, timeZone: string}}
+ */
+export const getBookingPolicy = () => ({
+  minAdvanceDays: readNumber('BOOKING_MIN_ADVANCE_DAYS', 2),
+  changeCutoffHours: readNumber('BOOKING_CHANGE_CUTOFF_HOURS', 24),
+  maxReschedules: readNumber('BOOKING_MAX_RESCHEDULES', 2),
+  waitlistOfferMinutes: readNumber('BOOKING_WAITLIST_OFFER_MINUTES', 60),
+  timeZone: readTimeZone('BOOKING_TIME_ZONE', DEFAULT_TIME_ZONE)
+});
+
+/**
+ * Check that a date is far enough ahead to be booked
+ * @param {Date|string} appointmentDate - Requested appointment date
+ * @param {Object} [policy] - Policy to apply, defaults to the current one
+ * @returns {string|null} Error message, or null when the date is allowed
+ */
+export const validateBookingDate = (appointmentDate, policy = getBookingPolicy()) => {
+  const date = new Date(appointmentDate);
+  if (isNaN(date.getTime())) {
+    return 'A valid appointment date is required';
+  }
+
+  const minDate = new Date();
+  minDate.setDate(minDate.getDate() + policy.minAdvanceDays);
+
+  if (date < minDate) {
+    return `Appointments must be booked at least ${policy.minAdvanceDays} days in advance`;
+  }
+
+  return null;
+};
+
+/**
+ * How far a time zone is ahead of UTC at an instant, in milliseconds
+ */
+const zoneOffset = (timeZone, instant) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(instant).map(({ type, value }) => [type, Number(value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * Start of the appointment as a Date, combining the stored calendar day with
+ * the start of the time slot label (e.g. "09:30 AM - 10:00 AM"), read as a
+ * time in the clinic's time zone
+ */
+const getAppointmentStart = (booking, timeZone = DEFAULT_TIME_ZONE) => {
+  const start = new Date(booking.appointmentDate);
+  const match = /(\d{1,2}):(\d{2})\s*(AM|PM)?/i.exec(booking.appointmentTime || '');
+  if (!match) return start;
+
+  let hours = Number(match[1]);
+  if (match[3]) {
+    hours = hours % 12 + (match[3].toUpperCase() === 'PM' ? 12 : 0);
+  }
+  start.setUTCHours(hours, Number(match[2]), 0, 0);
+
+  // The slot time as if it were UTC, moved back by the clinic's offset; the
+  // offset is checked again at the result in case it changes (DST) in between
+  const wallClock = start.getTime();
+  const guess = new Date(wallClock - zoneOffset(timeZone, start));
+  return new Date(wallClock - zoneOffset(timeZone, guess));
+};
+
+/**
+ * Check whether a patient may cancel or reschedule a booking
+ * @param {Object} booking - Booking document
+ * @param {'cancel'|'reschedule'} action - Requested change
+ * @param {Object} [policy] - Policy to apply, defaults to the current one
+ * @returns {string|null} Error message, or null when the change is allowed
+ */
+export const validateBookingChange = (booking, action, policy = getBookingPolicy()) => {
+  if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+    return `A ${booking.status} appointment can no longer be changed`;
+  }
+
+  // Bookings the doctor asked to move are never held to the patient limits
+  if (booking.status === 'needs_reschedule') return null;
+
+  const hoursUntil = (getAppointmentStart(booking, policy.timeZone) - new Date()) / (1000 * 60 * 60);
+  if (hoursUntil < policy.changeCutoffHours) {
+    return `Appointments cannot be changed within ${policy.changeCutoffHours} hours of the visit`;
+  }
+
+  if (action === 'reschedule' && (booking.rescheduleCount || 0) >= policy.maxReschedules) {
+    return `An appointment can only be rescheduled ${policy.maxReschedules} time(s)`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a doctor or admin may move a booking to a new status
+ * @param {Object} booking - Booking document
+ * @param {string} status - Requested status
+ * @returns {string|null} Error message, or null when the change is allowed
+ */
+export const validateStatusChange = (booking, status) => {
+  const allowed = STATUS_TRANSITIONS[booking.status] || [];
+  if (!allowed.includes(status)) {
+    return `A ${booking.status} appointment cannot be marked ${status}`;
+  }
+
+  return null;
+};
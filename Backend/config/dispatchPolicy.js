@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Ambulance Dispatch Policy
+ * @description How far to look for available ambulance drivers around a
+ * pickup point, how automatic dispatch offers work, and the request lifecycle.
+ * The search starts small and widens until somebody is found. With automatic
+ * dispatch a new request is offered to the closest driver, who has a limited
+ * time to accept; a declined or unanswered offer goes to the next closest.
+ * Requests go pending → offered → assigned → en_route → arrived →
+ * transporting → completed; a request nobody accepts falls back to pending
+ * for a dispatcher, who can assign a driver at any point before pickup.
+ *
+ * Every limit can be overridden with an environment variable:
+ * - AMBULANCE_SEARCH_RADIUS_KM (default 5): first search radius
+ * - AMBULANCE_MAX_SEARCH_RADIUS_KM (default 40): the search stops widening here
+ * - AMBULANCE_RADIUS_GROWTH_FACTOR (default 2): radius multiplier for each wider search
+ * - AMBULANCE_NEARBY_DRIVER_LIMIT (default 10): most drivers returned
+ * - AMBULANCE_AUTO_DISPATCH (default true): set to "false" to leave every request to dispatchers
+ * - AMBULANCE_OFFER_SECONDS (default 60): how long a driver has to accept an offer
+ * - AMBULANCE_AVERAGE_SPEED_KMH (default 30): city driving speed used for arrival estimates
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const REQUEST_STATUSES = ['pending', 'offered', 'assigned', 'en_route', 'arrived', 'transporting', 'completed'];
+
+const STATUS_TRANSITIONS = {
+  pending: ['offered', 'assigned'],
+  offered: ['offered', 'pending', 'assigned'],
+  assigned: ['assigned', 'en_route', 'arrived', 'completed'],
+  en_route: ['assigned', 'arrived', 'completed'],
+  arrived: ['transporting', 'completed'],
+  transporting: ['completed'],
+  completed: []
+};
+
+// Statuses set through the status endpoint as the ambulance makes its way;
+// offers and assignments have their own endpoints
+export const PROGRESS_STATUSES = ['en_route', 'arrived', 'transporting', 'completed'];
+
+/**
+ * Current dispatch policy. Read on every call because environment variables
+ * are loaded after modules are imported.
+ * @returns {{searchRadiusKm: number, maxSearchRadiusKm: number, radiusGrowthFactor: number, nearbyDriverLimit: number, autoDispatch: boolean, offerSeconds: number, averageSpeedKmh: number}}
+ */
+export const getDispatchPolicy = () => {
+  const searchRadiusKm = readNumber('AMBULANCE_SEARCH_RADIUS_KM', 5) || 5;
+  return {
+    searchRadiusKm,
+    maxSearchRadiusKm: Math.max(searchRadiusKm, readNumber('AMBULANCE_MAX_SEARCH_RADIUS_KM', 40)),
+    // Below 1.1 the search would barely widen
+    radiusGrowthFactor: Math.max(1.1, readNumber('AMBULANCE_RADIUS_GROWTH_FACTOR', 2)),
+    nearbyDriverLimit: readNumber('AMBULANCE_NEARBY_DRIVER_LIMIT', 10) || 10,
+    autoDispatch: process.env.AMBULANCE_AUTO_DISPATCH !== 'false',
+    offerSeconds: readNumber('AMBULANCE_OFFER_SECONDS', 60) || 60,
+    averageSpeedKmh: readNumber('AMBULANCE_AVERAGE_SPEED_KMH', 30) || 30
+  };
+};
+
+/**
+ * Check that an ambulance request may move to a new status
+ * @param {Object} request - AmbulanceRequest document
+ * @param {string} status - Requested status
+ * @returns {string|null} Reason the change is not allowed, or null if it is
+ */
+export const validateRequestStatusChange = (request, status) => {
+  const allowed = STATUS_TRANSITIONS[request.status] || [];
+  if (!allowed.includes(status)) {
+    const current = request.status.replace('_', ' ');
+    return `${/^[aeiou]/.test(current) ? 'An' : 'A'} ${current} request cannot be marked ${status.replace('_', ' ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check a latitude/longitude pair
+ * @param {*} latitude - Latitude in degrees
+ * @param {*} longitude - Longitude in degrees
+ * @returns {string|null} Error message, or null when the position is valid
+ */
+export const validateCoordinates = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude === undefined || latitude === null || latitude === '' || !Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return 'Latitude must be a number between -90 and 90';
+  }
+  if (longitude === undefined || longitude === null || longitude === '' || !Number.isFinite(lng) || lng < -180 || lng > 180) {
+    return 'Longitude must be a number between -180 and 180';
+  }
+  return null;
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Hospital Routing
+ * @description Which hospitals can take an ambulance patient. Each emergency
+ * type on the ambulance form needs a speciality; other descriptions (such as
+ * the warning signs the chatbot sends) are matched by keyword. A hospital is
+ * suitable when it has an emergency department, a free bed and the speciality;
+ * when no hospital nearby has the speciality, the nearest hospital with an
+ * emergency department and a free bed is suggested instead.
+ *
+ * Limits can be overridden with environment variables:
+ * - HOSPITAL_MAX_DISTANCE_KM (default 50): hospitals further away are not suggested
+ * - HOSPITAL_SUGGESTION_LIMIT (default 3): most hospitals suggested, best first
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+export const HOSPITAL_SPECIALITIES = ['cardiac', 'stroke', 'trauma', 'maternity', 'respiratory', 'paediatric', 'burns'];
+
+export const DIVISIONS = ['Dhaka', 'Chittagong', 'Rajshahi', 'Khulna', 'Barisal', 'Sylhet', 'Rangpur', 'Mymensingh'];
+
+// Emergency types offered on the ambulance form
+const EMERGENCY_TYPE_SPECIALITIES = {
+  'accident': 'trauma',
+  'heart attack': 'cardiac',
+  'stroke': 'stroke',
+  'respiratory emergency': 'respiratory',
+  'child birth': 'maternity'
+};
+
+// Word stems for free-text emergency descriptions; first match wins
+const SPECIALITY_KEYWORDS = [
+  [/heart|cardi|chest/, 'cardiac'],
+  [/stroke|facial droop|slurred/, 'stroke'],
+  [/pregnan|labou?r|birth|deliver/, 'maternity'],
+  [/burn|scald/, 'burns'],
+  [/accident|injur|fractur|trauma|bleed|fall/, 'trauma'],
+  [/breath|chok|asthma|anaphyla|respirat/, 'respiratory']
+];
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Current routing limits. Read on every call because environment variables
+ * are loaded after modules are imported.
+ * @returns {{maxDistanceKm: number, suggestionLimit: number}}
+ */
+export const getHospitalRoutingPolicy = () => ({
+  maxDistanceKm: readNumber('HOSPITAL_MAX_DISTANCE_KM', 50),
+  suggestionLimit: Math.floor(readNumber('HOSPITAL_SUGGESTION_LIMIT', 3))
+});
+
+/**
+ * Speciality an emergency needs
+ * @param {string} emergencyType - Emergency type from the form, or a description
+ * @returns {string|null} One of HOSPITAL_SPECIALITIES, or null when any emergency department will do
+ */
+export const specialityForEmergency = (emergencyType) => {
+  const type = String(emergencyType || '').trim().toLowerCase();
+  if (EMERGENCY_TYPE_SPECIALITIES[type]) return EMERGENCY_TYPE_SPECIALITIES[type];
+
+  const match = SPECIALITY_KEYWORDS.find(([pattern]) => pattern.test(type));
+  return match ? match[1] : null;
+};
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Lab Test Catalog
+ * @description The lab tests the report parser recognises: complete blood
+ * count, lipid panel, diabetes (HbA1c and glucose) and thyroid function.
+ * For each test:
+ * - aliases: names used on reports, matched case-insensitively at the start of a line
+ * - unit: the unit results are stored in
+ * - units: accepted report units (lowercase, spaces removed, µ written as u)
+ *   mapped to a conversion into `unit`, either a factor or a function
+ * - range: adult reference range used when the report does not print one
+ * - plausible: values outside this range (after conversion) are misreads and dropped
+ *
+ * Codes are stable identifiers; lab trends are grouped by them.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+export const LAB_PANELS = {
+  CBC: 'Complete Blood Count',
+  LIPID: 'Lipid Profile',
+  DIABETES: 'Diabetes',
+  THYROID: 'Thyroid Function'
+};
+
+const CELLS_PER_UL = {
+  '10^3/ul': 1, 'x10^3/ul': 1, 'x103/ul': 1, '10^9/l': 1, 'x10^9/l': 1, 'x109/l': 1,
+  'k/ul': 1, 'thou/ul': 1, 'thou/cumm': 1, '/ul': 0.001, 'cells/ul': 0.001,
+  '/cumm': 0.001, 'cells/cumm': 0.001, '/cmm': 0.001, '/mm3': 0.001, 'cells/mm3': 0.001
+};
+
+const PERCENT = { '%': 1 };
+
+const CHOLESTEROL_MG_DL = { 'mg/dl': 1, 'mmol/l': 38.67 };
+
+export const LAB_TESTS = [
+  // Complete blood count
+  {
+    code: 'HGB',
+    name: 'Hemoglobin',
+    panel: 'CBC',
+    aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb'],
+    unit: 'g/dL',
+    units: { 'g/dl': 1, 'gm/dl': 1, 'gm%': 1, 'g%': 1, 'g/l': 0.1 },
+    range: { low: 12, high: 17.5 },
+    plausible: { low: 2, high: 25 }
+  },
+  {
+    code: 'RBC',
+    name: 'Red Blood Cells',
+    panel: 'CBC',
+    aliases: ['rbc count', 'red blood cell count', 'red blood cells', 'total rbc', 'rbc'],
+    unit: '10^6/µL',
+    units: {
+      '10^6/ul': 1, 'x10^6/ul': 1, 'x106/ul': 1, '10^12/l': 1, 'x10^12/l': 1, 'x1012/l': 1,
+      'million/ul': 1, 'million/cumm': 1, 'mill/cumm': 1, 'm/ul': 1
+    },
+    range: { low: 4.0, high: 5.9 },
+    plausible: { low: 1, high: 9 }
+  },
+  {
+    code: 'WBC',
+    name: 'White Blood Cells',
+    panel: 'CBC',
+    aliases: ['total wbc count', 'wbc count', 'total leucocyte count', 'total leukocyte count', 'white blood cell count', 'white blood cells', 'tlc', 'wbc'],
+    unit: '10^3/µL',
+    units: CELLS_PER_UL,
+    range: { low: 4.0, high: 11.0 },
+    plausible: { low: 0.5, high: 100 }
+  },
+  {
+    code: 'PLT',
+    name: 'Platelets',
+    panel: 'CBC',
+    aliases: ['platelet count', 'platelets', 'plt'],
+    unit: '10^3/µL',
+    units: { ...CELLS_PER_UL, 'lakh/cumm': 100, 'lakhs/cumm': 100, 'lakh/ul': 100, 'lakhs/ul': 100 },
+    range: { low: 150, high: 450 },
+    plausible: { low: 5, high: 1500 }
+  },
+  {
+    code: 'HCT',
+    name: 'Hematocrit',
+    panel: 'CBC',
+    aliases: ['hematocrit', 'haematocrit', 'packed cell volume', 'pcv', 'hct'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 36, high: 52 },
+    plausible: { low: 10, high: 70 }
+  },
+  {
+    code: 'MCV',
+    name: 'Mean Corpuscular Volume',
+    panel: 'CBC',
+    aliases: ['mean corpuscular volume', 'mcv'],
+    unit: 'fL',
+    units: { fl: 1, 'cu.micron': 1, 'cumicron': 1 },
+    range: { low: 80, high: 100 },
+    plausible: { low: 40, high: 150 }
+  },
+  {
+    code: 'MCH',
+    name: 'Mean Corpuscular Hemoglobin',
+    panel: 'CBC',
+    aliases: ['mean corpuscular hemoglobin', 'mean corpuscular haemoglobin', 'mch'],
+    unit: 'pg',
+    units: { pg: 1 },
+    range: { low: 27, high: 33 },
+    plausible: { low: 10, high: 50 }
+  },
+  {
+    code: 'MCHC',
+    name: 'Mean Corpuscular Hemoglobin Concentration',
+    panel: 'CBC',
+    aliases: ['mean corpuscular hemoglobin concentration', 'mean corpuscular haemoglobin concentration', 'mchc'],
+    unit: 'g/dL',
+    units: { 'g/dl': 1, 'gm/dl': 1, '%': 1, 'g/l': 0.1 },
+    range: { low: 32, high: 36 },
+    plausible: { low: 20, high: 45 }
+  },
+  {
+    code: 'RDW',
+    name: 'Red Cell Distribution Width',
+    panel: 'CBC',
+    aliases: ['red cell distribution width', 'rdw-cv', 'rdw cv', 'rdw'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 11.5, high: 14.5 },
+    plausible: { low: 5, high: 40 }
+  },
+  {
+    code: 'NEUT',
+    name: 'Neutrophils',
+    panel: 'CBC',
+    aliases: ['neutrophils', 'neutrophil', 'polymorphs', 'neut'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 40, high: 75 },
+    plausible: { low: 0, high: 100 }
+  },
+  {
+    code: 'LYMPH',
+    name: 'Lymphocytes',
+    panel: 'CBC',
+    aliases: ['lymphocytes', 'lymphocyte', 'lymph'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 20, high: 45 },
+    plausible: { low: 0, high: 100 }
+  },
+  {
+    code: 'MONO',
+    name: 'Monocytes',
+    panel: 'CBC',
+    aliases: ['monocytes', 'monocyte', 'mono'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 2, high: 10 },
+    plausible: { low: 0, high: 100 }
+  },
+  {
+    code: 'EOS',
+    name: 'Eosinophils',
+    panel: 'CBC',
+    aliases: ['eosinophils', 'eosinophil', 'eos'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 1, high: 6 },
+    plausible: { low: 0, high: 100 }
+  },
+  {
+    code: 'BASO',
+    name: 'Basophils',
+    panel: 'CBC',
+    aliases: ['basophils', 'basophil', 'baso'],
+    unit: '%',
+    units: PERCENT,
+    range: { low: 0, high: 2 },
+    plausible: { low: 0, high: 100 }
+  },
+  {
+    code: 'ESR',
+    name: 'Erythrocyte Sedimentation Rate',
+    panel: 'CBC',
+    aliases: ['erythrocyte sedimentation rate', 'esr'],
+    unit: 'mm/hr',
+    units: { 'mm/hr': 1, 'mm/h': 1, 'mm/1sthr': 1, 'mmin1sthour': 1, 'mm/1sthour': 1 },
+    range: { low: 0, high: 20 },
+    plausible: { low: 0, high: 150 }
+  },
+
+  // Lipid profile
+  {
+    code: 'CHOL',
+    name: 'Total Cholesterol',
+    panel: 'LIPID',
+    aliases: ['total cholesterol', 'serum cholesterol', 'cholesterol total', 'cholesterol'],
+    unit: 'mg/dL',
+    units: CHOLESTEROL_MG_DL,
+    range: { low: null, high: 200 },
+    plausible: { low: 50, high: 600 }
+  },
+  {
+    code: 'LDL',
+    name: 'LDL Cholesterol',
+    panel: 'LIPID',
+    aliases: ['ldl cholesterol', 'ldl-cholesterol', 'ldl-c', 'low density lipoprotein', 'ldl'],
+    unit: 'mg/dL',
+    units: CHOLESTEROL_MG_DL,
+    range: { low: null, high: 130 },
+    plausible: { low: 5, high: 500 }
+  },
+  {
+    code: 'HDL',
+    name: 'HDL Cholesterol',
+    panel: 'LIPID',
+    aliases: ['hdl cholesterol', 'hdl-cholesterol', 'hdl-c', 'high density lipoprotein', 'hdl'],
+    unit: 'mg/dL',
+    units: CHOLESTEROL_MG_DL,
+    range: { low: 40, high: null },
+    plausible: { low: 5, high: 200 }
+  },
+  {
+    code: 'VLDL',
+    name: 'VLDL Cholesterol',
+    panel: 'LIPID',
+    aliases: ['vldl cholesterol', 'vldl-cholesterol', 'vldl'],
+    unit: 'mg/dL',
+    units: CHOLESTEROL_MG_DL,
+    range: { low: 5, high: 40 },
+    plausible: { low: 1, high: 300 }
+  },
+  {
+    code: 'TRIG',
+    name: 'Triglycerides',
+    panel: 'LIPID',
+    aliases: ['triglycerides', 'triglyceride', 'serum triglycerides', 'tg'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 88.57 },
+    range: { low: null, high: 150 },
+    plausible: { low: 10, high: 5000 }
+  },
+
+  // Diabetes
+  {
+    code: 'HBA1C',
+    name: 'HbA1c',
+    panel: 'DIABETES',
+    aliases: ['glycated hemoglobin', 'glycated haemoglobin', 'glycosylated hemoglobin', 'glycosylated haemoglobin', 'hemoglobin a1c', 'haemoglobin a1c', 'hba1c', 'hb a1c', 'a1c'],
+    unit: '%',
+    // IFCC mmol/mol to NGSP percent
+    units: { '%': 1, 'mmol/mol': value => value / 10.929 + 2.15 },
+    range: { low: null, high: 5.7 },
+    plausible: { low: 3, high: 20 }
+  },
+  {
+    code: 'FBG',
+    name: 'Fasting Blood Glucose',
+    panel: 'DIABETES',
+    aliases: ['fasting blood glucose', 'fasting blood sugar', 'fasting plasma glucose', 'glucose fasting', 'blood sugar fasting', 'fbs', 'fbg', 'fpg'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 18.016 },
+    range: { low: 70, high: 100 },
+    plausible: { low: 20, high: 800 }
+  },
+  {
+    code: 'RBG',
+    name: 'Random Blood Glucose',
+    panel: 'DIABETES',
+    aliases: ['random blood glucose', 'random blood sugar', 'random plasma glucose', 'glucose random', 'rbs'],
+    unit: 'mg/dL',
+    units: { 'mg/dl': 1, 'mmol/l': 18.016 },
+    range: { low: 70, high: 140 },
+    plausible: { low: 20, high: 1000 }
+  },
+
+  // Thyroid function
+  {
+    code: 'TSH',
+    name: 'TSH',
+    panel: 'THYROID',
+    aliases: ['thyroid stimulating hormone', 'tsh'],
+    unit: 'mIU/L',
+    units: { 'miu/l': 1, 'uiu/ml': 1, 'mu/l': 1 },
+    range: { low: 0.4, high: 4.0 },
+    plausible: { low: 0.001, high: 200 }
+  },
+  {
+    code: 'FT4',
+    name: 'Free T4',
+    panel: 'THYROID',
+    aliases: ['free thyroxine', 'free t4', 'ft4'],
+    unit: 'ng/dL',
+    units: { 'ng/dl': 1, 'pmol/l': 1 / 12.87 },
+    range: { low: 0.8, high: 1.8 },
+    plausible: { low: 0.05, high: 10 }
+  },
+  {
+    code: 'FT3',
+    name: 'Free T3',
+    panel: 'THYROID',
+    aliases: ['free triiodothyronine', 'free t3', 'ft3'],
+    unit: 'pg/mL',
+    units: { 'pg/ml': 1, 'pmol/l': 0.651 },
+    range: { low: 2.3, high: 4.2 },
+    plausible: { low: 0.2, high: 30 }
+  },
+  {
+    code: 'T4',
+    name: 'Total T4',
+    panel: 'THYROID',
+    aliases: ['total thyroxine', 'total t4', 'thyroxine', 't4'],
+    unit: 'µg/dL',
+    units: { 'ug/dl': 1, 'mcg/dl': 1, 'nmol/l': 1 / 12.87 },
+    range: { low: 5, high: 12 },
+    plausible: { low: 0.5, high: 30 }
+  },
+  {
+    code: 'T3',
+    name: 'Total T3',
+    panel: 'THYROID',
+    aliases: ['total triiodothyronine', 'total t3', 'triiodothyronine', 't3'],
+    unit: 'ng/dL',
+    units: { 'ng/dl': 1, 'nmol/l': 65.1, 'ng/ml': 100 },
+    range: { low: 80, high: 200 },
+    plausible: { low: 10, high: 1000 }
+  }
+];
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview LLM Provider Settings
+ * @description Which language model providers the medical assistant uses and
+ * how hard each one may be called. Everything can be overridden with an
+ * environment variable:
+ * - LLM_PROVIDERS (default "gemini"): comma separated failover order. Providers
+ *   without credentials are skipped; when all fail the built-in fallback replies are used
+ * - GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.5-flash), GEMINI_EMBEDDING_MODEL (default text-embedding-004)
+ * - OPENAI_API_KEY, OPENAI_MODEL (default gpt-4o-mini), OPENAI_EMBEDDING_MODEL (default text-embedding-3-small),
+ *   OPENAI_BASE_URL (default https://api.openai.com/v1, any OpenAI compatible server works)
+ * - OLLAMA_URL (default http://localhost:11434), OLLAMA_MODEL (default llama3.1),
+ *   OLLAMA_EMBEDDING_MODEL (default nomic-embed-text). Any server speaking the Ollama HTTP API works
+ * - LLM_MOCK_FAIL (default false): make the offline mock provider fail, to try out failover
+ * - <PROVIDER>_MIN_INTERVAL_MS and <PROVIDER>_MAX_RETRIES, e.g. GEMINI_MIN_INTERVAL_MS:
+ *   least time between two calls and retries after a temporary failure
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Request pacing per provider; Gemini's free tier needs the most room
+const DEFAULT_POLICIES = {
+  gemini: { minIntervalMs: 2000, maxRetries: 2, baseDelayMs: 5000 },
+  openai: { minIntervalMs: 500, maxRetries: 2, baseDelayMs: 2000 },
+  ollama: { minIntervalMs: 0, maxRetries: 1, baseDelayMs: 1000 },
+  mock: { minIntervalMs: 0, maxRetries: 0, baseDelayMs: 0 }
+};
+
+/**
+ * Request policy for one provider, with environment overrides applied
+ * @param {string} provider - Provider name
+ * @returns {{name: string, minIntervalMs: number, maxRetries: number, baseDelayMs: number}}
+ */
+const readPolicy = (provider) => {
+  const defaults = DEFAULT_POLICIES[provider] || DEFAULT_POLICIES.ollama;
+  const prefix = provider.toUpperCase();
+  return {
+    name: provider,
+    minIntervalMs: readNumber(`${prefix}_MIN_INTERVAL_MS`, defaults.minIntervalMs),
+    maxRetries: readNumber(`${prefix}_MAX_RETRIES`, defaults.maxRetries),
+    baseDelayMs: defaults.baseDelayMs
+  };
+};
+
+/**
+ * Provider failover order
+ * @returns {string[]} Provider names, first choice first
+ */
+export const getProviderOrder = () =>
+  (process.env.LLM_PROVIDERS || 'gemini')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Current settings for one provider. Read on every call because environment
+ * variables are loaded after modules are imported.
+ * @param {string} provider - Provider name
+ * @returns {Object} Credentials, model names and request policy
+ */
+export const getProviderConfig = (provider) => {
+  const env = process.env;
+  const settings = {
+    gemini: {
+      apiKey: env.GEMINI_API_KEY,
+      model: env.GEMINI_MODEL || 'gemini-2.5-flash',
+      embeddingModel: env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+    },
+    openai: {
+      apiKey: env.OPENAI_API_KEY,
+      baseUrl: (env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+      model: env.OPENAI_MODEL || 'gpt-4o-mini',
+      embeddingModel: env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+    },
+    ollama: {
+      baseUrl: (env.OLLAMA_URL || 'http://localhost:11434').replace(/\/+$/, ''),
+      model: env.OLLAMA_MODEL || 'llama3.1',
+      embeddingModel: env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'
+    },
+    mock: {
+      fail: env.LLM_MOCK_FAIL === 'true'
+    }
+  };
+
+  return { ...settings[provider], policy: readPolicy(provider) };
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Medical Synonym Groups
+ * @description Lay and clinical terms that mean the same thing. The offline
+ * embedding provider maps every term in a group to one shared concept, so a
+ * patient asking about a "heart attack" retrieves text that only says
+ * "myocardial infarction". Terms are matched as whole words after lowercasing;
+ * multi-word terms must appear in order.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+const MEDICAL_SYNONYMS = [
+  ['myocardial infarction', 'heart attack', 'mi', 'coronary attack', 'crushing chest pain'],
+  ['chest pain', 'chest discomfort', 'chest tightness', 'angina', 'chest pressure'],
+  ['cerebrovascular accident', 'stroke', 'brain attack', 'face drooping', 'slurred speech'],
+  ['hypertension', 'high blood pressure', 'elevated blood pressure', 'high bp'],
+  ['hypotension', 'low blood pressure', 'low bp'],
+  ['dyspnea', 'shortness of breath', 'breathlessness', 'difficulty breathing', 'trouble breathing', 'cannot breathe', 'short of breath'],
+  ['wheezing', 'whistling breath'],
+  ['pyrexia', 'fever', 'high temperature', 'febrile', 'feverish'],
+  ['cephalalgia', 'headache', 'head pain', 'head ache'],
+  ['migraine', 'migraine headache', 'aura'],
+  ['vertigo', 'dizziness', 'spinning sensation', 'lightheaded', 'dizzy'],
+  ['syncope', 'fainting', 'passed out', 'loss of consciousness', 'blackout'],
+  ['emesis', 'vomiting', 'throwing up', 'puking'],
+  ['nausea', 'queasy', 'feeling sick', 'sick to my stomach'],
+  ['diarrhea', 'diarrhoea', 'loose stools', 'watery stools', 'runny stools'],
+  ['constipation', 'hard stools', 'difficulty passing stool'],
+  ['abdominal pain', 'stomach pain', 'stomach ache', 'stomachache', 'belly pain', 'tummy ache', 'abdominal cramps'],
+  ['dyspepsia', 'indigestion', 'upset stomach'],
+  ['gastroesophageal reflux', 'gerd', 'acid reflux', 'heartburn', 'reflux'],
+  ['hematemesis', 'vomiting blood', 'blood in vomit'],
+  ['hemoptysis', 'coughing up blood', 'blood in sputum'],
+  ['hematuria', 'blood in urine', 'bloody urine'],
+  ['polyuria', 'frequent urination', 'urinating often', 'peeing a lot'],
+  ['polydipsia', 'excessive thirst', 'always thirsty', 'increased thirst'],
+  ['diabetes mellitus', 'diabetes', 'high blood sugar', 'hyperglycemia', 'sugar disease'],
+  ['hypoglycemia', 'low blood sugar', 'hypo'],
+  ['anemia', 'anaemia', 'low hemoglobin', 'low haemoglobin', 'low iron', 'iron deficiency'],
+  ['fatigue', 'tiredness', 'exhaustion', 'lack of energy', 'always tired', 'weakness'],
+  ['insomnia', 'trouble sleeping', 'cannot sleep', 'sleeplessness', 'difficulty sleeping'],
+  ['obstructive sleep apnea', 'sleep apnea', 'sleep apnoea', 'snoring', 'stop breathing during sleep'],
+  ['pruritus', 'itching', 'itchy', 'itchiness'],
+  ['rash', 'skin rash', 'hives', 'urticaria', 'skin eruption'],
+  ['rhinitis', 'runny nose', 'stuffy nose', 'nasal congestion', 'blocked nose'],
+  ['sinusitis', 'sinus infection', 'sinus pain', 'facial pressure'],
+  ['pharyngitis', 'sore throat', 'throat pain', 'scratchy throat'],
+  ['cough', 'coughing', 'tussis'],
+  ['pneumonia', 'lung infection', 'chest infection'],
+  ['bronchitis', 'chest cold', 'inflamed airways'],
+  ['asthma', 'asthma attack', 'reactive airway'],
+  ['anaphylaxis', 'severe allergic reaction', 'allergic shock', 'throat swelling'],
+  ['allergy', 'allergies', 'allergic reaction', 'hay fever'],
+  ['arthralgia', 'joint pain', 'aching joints', 'sore joints'],
+  ['arthritis', 'joint inflammation', 'swollen joints', 'joint swelling'],
+  ['myalgia', 'muscle pain', 'muscle aches', 'body aches', 'sore muscles'],
+  ['back pain', 'backache', 'lower back pain', 'lumbago'],
+  ['nephrolithiasis', 'kidney stones', 'kidney stone', 'renal calculi', 'renal colic'],
+  ['cholelithiasis', 'gallstones', 'gallstone', 'gallbladder stones'],
+  ['urinary tract infection', 'uti', 'bladder infection', 'burning urination', 'painful urination'],
+  ['hypothyroidism', 'underactive thyroid', 'low thyroid'],
+  ['hyperthyroidism', 'overactive thyroid', 'high thyroid'],
+  ['depression', 'persistent sadness', 'feeling down', 'low mood', 'hopelessness'],
+  ['anxiety', 'anxious', 'panic', 'panic attack', 'nervousness', 'worry'],
+  ['suicidal ideation', 'thoughts of self-harm', 'want to die', 'suicidal thoughts', 'kill myself'],
+  ['tinnitus', 'ringing in ears', 'ringing ears', 'buzzing in ears'],
+  ['glaucoma', 'eye pressure', 'tunnel vision'],
+  ['blurred vision', 'blurry vision', 'vision problems', 'vision loss'],
+  ['paresthesia', 'numbness', 'tingling', 'pins and needles'],
+  ['peripheral neuropathy', 'nerve damage', 'nerve pain', 'burning feet'],
+  ['tremor', 'shaking', 'trembling', 'shaky hands'],
+  ['meningitis', 'stiff neck with fever', 'neck stiffness'],
+  ['gout', 'uric acid', 'big toe pain'],
+  ['osteoporosis', 'brittle bones', 'bone loss', 'low bone density'],
+  ['edema', 'oedema', 'swelling', 'swollen ankles', 'fluid retention'],
+  ['tachycardia', 'rapid heartbeat', 'racing heart', 'fast heart rate', 'palpitations'],
+  ['covid-19', 'covid', 'coronavirus', 'sars-cov-2'],
+  ['anosmia', 'loss of smell', 'loss of taste or smell', 'loss of taste'],
+  ['irritable bowel syndrome', 'ibs', 'spastic colon'],
+  ['bloating', 'gas', 'flatulence', 'distended abdomen'],
+  ['weight loss', 'unexplained weight loss', 'losing weight']
+];
+
+export default MEDICAL_SYNONYMS;
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Pharmacy Order Policy
+ * @description The order lifecycle and who may move an order along it.
+ * Orders go pending → confirmed → shipped → delivered. They can be cancelled
+ * until they ship, and after delivery a return can be requested, which ends
+ * in returned or, if rejected, back in delivered.
+ *
+ * Limits can be overridden with an environment variable:
+ * - ORDER_RETURN_WINDOW_DAYS (default 7): how long after delivery a return can be requested
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+const readNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'return_requested', 'returned'];
+
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['return_requested'],
+  return_requested: ['returned', 'delivered'],
+  returned: [],
+  cancelled: []
+};
+
+// Statuses an admin sets through the status endpoint; returns have their own flow
+export const ADMIN_STATUSES = ['confirmed', 'shipped', 'delivered', 'cancelled'];
+
+// Patients can cancel until the order leaves the pharmacy
+export const PATIENT_CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Current order policy. Read on every call because environment variables
+ * are loaded after modules are imported.
+ * @returns {{returnWindowDays: number}}
+ */
+export const getOrderPolicy = () => ({
+  returnWindowDays: readNumber('ORDER_RETURN_WINDOW_DAYS', 7)
+});
+
+/**
+ * Check that an order may move to a new status
+ * @param {Object} order - Order document
+ * @param {string} status - Requested status
+ * @returns {string|null} Reason the change is not allowed, or null if it is
+ */
+export const validateOrderStatusChange = (order, status) => {
+  const allowed = STATUS_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(status)) {
+    return `A ${order.status.replace('_', ' ')} order cannot be marked ${status.replace('_', ' ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a patient may still request a return for an order
+ * @param {Object} order - Order document
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string|null} Reason a return is not allowed, or null if it is
+ */
+export const validateReturnRequest = (order, now = new Date()) => {
+  if (order.status !== 'delivered') {
+    return 'Only delivered orders can be returned';
+  }
+
+  if (order.returnRequest?.requestedAt) {
+    return 'A return has already been requested for this order';
+  }
+
+  const { returnWindowDays } = getOrderPolicy();
+  const delivered = [...order.statusHistory].reverse().find(entry => entry.status === 'delivered');
+  const deliveredAt = delivered?.at || order.updatedAt;
+  const deadline = new Date(deliveredAt.getTime() + returnWindowDays * 24 * 60 * 60 * 1000);
+  if (now > deadline) {
+    return `Returns must be requested within ${returnWindowDays} days of delivery`;
+  }
+
+  return null;
+};
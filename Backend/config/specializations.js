@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Doctor Specializations
+ * @description How specialization names are matched against doctor profiles,
+ * and which specialization the chatbot suggests for a conversation:
+ * - SPECIALIZATION_KEYWORDS: the patient asks for a kind of doctor or names a
+ *   body area ("skin doctor", "my tooth"); checked first, first match wins
+ * - SYMPTOM_SPECIALIZATIONS: triage rule id (config/triageRules.js) to the
+ *   specialization that treats it; the most urgent matched symptom wins
+ * - children under CHILD_AGE_LIMIT are sent to a paediatrician unless they
+ *   asked for a specialization
+ *
+ * Specialization names are the ones doctors pick on their profile.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+export const GENERAL_SPECIALIZATION = 'General physician';
+export const CHILD_SPECIALIZATION = 'Pediatricians';
+export const CHILD_AGE_LIMIT = 16;
+
+// Word stems mapped to the spellings doctors use for that specialization
+const BASE_WORDS = {
+  'neuro': ['neurology', 'neurologist'],
+  'cardio': ['cardiology', 'cardiologist'],
+  'derma': ['dermatology', 'dermatologist'],
+  'gastro': ['gastroenterology', 'gastroenterologist'],
+  'surg': ['surgery', 'surgeon'],
+  'pediatr': ['pediatric', 'paediatric'],
+  'gyn': ['gynecolog', 'gynaecolog', 'obstetric'],
+  'ortho': ['orthopedic', 'orthopaedic']
+};
+
+/**
+ * Spellings to search doctor profiles for, so "Cardiology" also finds a
+ * "Cardiologist"
+ * @param {string} spec - Specialization as asked for
+ * @returns {string[]} Patterns to match case-insensitively; [] for no specialization
+ */
+export const normalizeSpecialization = (spec) => {
+  if (!spec) return [];
+  spec = spec.toLowerCase().trim();
+
+  for (const [base, variations] of Object.entries(BASE_WORDS)) {
+    if (spec.includes(base)) {
+      return variations;
+    }
+  }
+
+  return [spec];
+};
+
+export const SPECIALIZATION_KEYWORDS = [
+  { specialization: 'Dentist', pattern: /\b(dentist|dental|tooth|teeth|toothache|gums?)\b/ },
+  { specialization: 'Gynecologist', pattern: /\b(gyn(a)?ecologist|pregnan(t|cy)|periods?|menstrua\w*|vaginal)\b/ },
+  { specialization: 'Dermatologist', pattern: /\b(dermatologist|skin|acne|eczema|psoriasis|itch(y|ing)?)\b/ },
+  { specialization: 'Cardiology', pattern: /\b(cardiologist|heart|palpitations?|blood pressure|hypertension)\b/ },
+  { specialization: 'Neurologist', pattern: /\b(neurologist|migraines?|numbness|tingling|epilepsy)\b/ },
+  { specialization: 'Gastroenterologist', pattern: /\b(gastroenterologist|stomach|acidity|heartburn|constipation|bloating)\b/ },
+  { specialization: 'Orthopedic', pattern: /\b(orthop(a)?edic|back pain|knee|shoulder|fracture|sprain)\b/ },
+  { specialization: 'Pediatricians', pattern: /\b(p(a)?ediatrician|my (baby|son|daughter|child|kid))\b/ }
+];
+
+export const SYMPTOM_SPECIALIZATIONS = {
+  chest_pain: 'Cardiology',
+  shortness_of_breath: 'Cardiology',
+  fainting: 'Cardiology',
+  stroke_signs: 'Neurologist',
+  seizure: 'Neurologist',
+  thunderclap_headache: 'Neurologist',
+  severe_headache: 'Neurologist',
+  headache: 'Neurologist',
+  confusion: 'Neurologist',
+  vision_loss: 'Neurologist',
+  severe_dizziness: 'Neurologist',
+  dizziness: 'Neurologist',
+  severe_abdominal_pain: 'Gastroenterologist',
+  abdominal_pain: 'Gastroenterologist',
+  blood_in_stool: 'Gastroenterologist',
+  vomiting: 'Gastroenterologist',
+  diarrhea: 'Gastroenterologist',
+  nausea: 'Gastroenterologist',
+  rash: 'Dermatologist',
+  severe_burn: 'Dermatologist',
+  broken_bone: 'Orthopedic',
+  joint_pain: 'Orthopedic',
+  pregnancy_bleeding: 'Gynecologist'
+};
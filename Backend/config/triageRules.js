@@ -0,0 +1,321 @@
+/**
+ * @fileoverview Symptom Triage Rules
+ * @description Symptoms the triage engine recognises and how urgent each one
+ * is. Every rule has a base level and can be raised by modifiers:
+ * - ageEscalation: raised for patients inside an age band (first match wins)
+ * - durationEscalation: raised once the symptom has lasted at least minDays (longest match wins)
+ * - suddenLevel: raised when the description says it came on suddenly
+ *
+ * Phrases are matched as whole words after lowercasing with apostrophes
+ * removed, so write "cant breathe" rather than "can't breathe". When two
+ * phrases overlap the longer one wins, so "mild headache" beats "headache".
+ * A phrase may start with a negation word ("not breathing", "no pulse"): only
+ * words before a phrase can negate it.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+// Least to most urgent
+export const TRIAGE_LEVELS = ['self_care', 'routine', 'urgent', 'emergency'];
+
+// Where the patient should go for each level
+export const CARE_SETTINGS = {
+  emergency: {
+    id: 'emergency_department',
+    label: 'Call 999 or go to the nearest emergency department now'
+  },
+  urgent: {
+    id: 'urgent_care',
+    label: 'See a doctor today, at an urgent care clinic or a same-day appointment'
+  },
+  routine: {
+    id: 'primary_care',
+    label: 'Book an appointment with a doctor in the next few days'
+  },
+  self_care: {
+    id: 'self_care',
+    label: 'Rest and look after yourself at home; book an appointment if it gets worse or does not improve'
+  }
+};
+
+// Age bands that make common illnesses more dangerous
+const INFANT = { maxAgeYears: 0.25, reason: 'in a baby under 3 months' };
+const YOUNG_CHILD = { maxAgeYears: 2, reason: 'in a child under 2' };
+const OLDER_ADULT = { minAgeYears: 65, reason: 'in someone aged 65 or over' };
+
+const TRIAGE_RULES = [
+  // Emergencies: call 999
+  {
+    id: 'chest_pain',
+    label: 'Chest pain',
+    level: 'emergency',
+    phrases: ['chest pain', 'chest pressure', 'chest tightness', 'tight chest', 'pain in my chest', 'crushing chest', 'heart attack']
+  },
+  {
+    id: 'severe_breathing_difficulty',
+    label: 'Severe difficulty breathing',
+    level: 'emergency',
+    phrases: ['cant breathe', 'cannot breathe', 'can not breathe', 'unable to breathe', 'not able to breathe', 'difficulty breathing', 'struggling to breathe', 'gasping for air', 'lips turning blue', 'blue lips', 'not breathing', 'stopped breathing', 'isnt breathing', 'no longer breathing']
+  },
+  {
+    id: 'stroke_signs',
+    label: 'Signs of a stroke',
+    level: 'emergency',
+    phrases: ['stroke', 'face drooping', 'facial droop', 'face is drooping', 'slurred speech', 'slurring', 'weakness on one side', 'numbness on one side', 'one side of my body', 'one side of his body', 'one side of her body', 'cant lift my arm', 'arm weakness']
+  },
+  {
+    id: 'unconscious',
+    label: 'Loss of consciousness',
+    level: 'emergency',
+    phrases: ['unconscious', 'unresponsive', 'loss of consciousness', 'lost consciousness', 'collapsed', 'collapse', 'wont wake up', 'cant wake', 'not responding', 'isnt responding', 'no pulse', 'cant find a pulse', 'cant feel a pulse', 'no heartbeat', 'heart stopped', 'heart has stopped', 'cardiac arrest']
+  },
+  {
+    id: 'seizure',
+    label: 'Seizure',
+    level: 'emergency',
+    phrases: ['seizure', 'seizures', 'convulsion', 'convulsions', 'convulsing', 'fitting']
+  },
+  {
+    id: 'severe_bleeding',
+    label: 'Severe bleeding',
+    level: 'emergency',
+    phrases: ['severe bleeding', 'heavy bleeding', 'bleeding heavily', 'bleeding a lot', 'wont stop bleeding', 'bleeding wont stop', 'cant stop the bleeding', 'vomiting blood', 'throwing up blood', 'coughing up blood', 'blood in my vomit']
+  },
+  {
+    id: 'anaphylaxis',
+    label: 'Severe allergic reaction',
+    level: 'emergency',
+    phrases: ['anaphylaxis', 'anaphylactic', 'severe allergic reaction', 'throat swelling', 'throat is swelling', 'swollen throat', 'tongue swelling', 'swollen tongue', 'lips swelling', 'swollen lips']
+  },
+  {
+    id: 'choking',
+    label: 'Choking',
+    level: 'emergency',
+    phrases: ['choking', 'choked']
+  },
+  {
+    id: 'poisoning',
+    label: 'Poisoning or overdose',
+    level: 'emergency',
+    phrases: ['poisoning', 'poisoned', 'overdose', 'overdosed', 'swallowed poison', 'swallowed bleach', 'too many pills']
+  },
+  {
+    id: 'self_harm',
+    label: 'Thoughts of suicide or self-harm',
+    level: 'emergency',
+    phrases: ['suicidal', 'suicide', 'kill myself', 'end my life', 'want to die', 'hurt myself', 'self harm']
+  },
+  {
+    id: 'severe_burn',
+    label: 'Severe burn',
+    level: 'emergency',
+    phrases: ['severe burn', 'severe burns', 'large burn', 'burns on my face', 'electrical burn']
+  },
+  {
+    id: 'severe_abdominal_pain',
+    label: 'Severe abdominal pain',
+    level: 'emergency',
+    phrases: ['severe abdominal pain', 'severe stomach pain', 'severe belly pain', 'severe pain in my stomach', 'severe pain in my abdomen']
+  },
+  {
+    id: 'thunderclap_headache',
+    label: 'Sudden, very severe headache',
+    level: 'emergency',
+    phrases: ['worst headache', 'thunderclap headache', 'sudden severe headache']
+  },
+
+  // Urgent: see a doctor today
+  {
+    id: 'shortness_of_breath',
+    label: 'Shortness of breath',
+    level: 'urgent',
+    suddenLevel: 'emergency',
+    phrases: ['shortness of breath', 'short of breath', 'breathless', 'breathlessness', 'trouble breathing', 'hard to breathe', 'wheezing']
+  },
+  {
+    id: 'severe_headache',
+    label: 'Severe headache',
+    level: 'urgent',
+    suddenLevel: 'emergency',
+    phrases: ['severe headache', 'terrible headache', 'excruciating headache']
+  },
+  {
+    id: 'stiff_neck',
+    label: 'Stiff neck',
+    level: 'urgent',
+    phrases: ['stiff neck', 'neck stiffness', 'cant bend my neck']
+  },
+  {
+    id: 'high_fever',
+    label: 'High fever',
+    level: 'urgent',
+    ageEscalation: [{ ...INFANT, level: 'emergency' }],
+    phrases: ['high fever', 'very high fever', 'very high temperature', 'fever of 103', 'fever of 104', 'fever of 105', 'fever of 39', 'fever of 40', 'fever of 41']
+  },
+  {
+    id: 'confusion',
+    label: 'Confusion',
+    level: 'urgent',
+    suddenLevel: 'emergency',
+    phrases: ['confusion', 'confused', 'disoriented', 'not making sense']
+  },
+  {
+    id: 'vision_loss',
+    label: 'Sudden change in vision',
+    level: 'urgent',
+    suddenLevel: 'emergency',
+    phrases: ['vision problems', 'loss of vision', 'lost my vision', 'blurred vision', 'blurry vision', 'double vision']
+  },
+  {
+    id: 'fainting',
+    label: 'Fainting',
+    level: 'urgent',
+    phrases: ['fainted', 'fainting', 'passed out', 'blacked out']
+  },
+  {
+    id: 'severe_pain',
+    label: 'Severe pain',
+    level: 'urgent',
+    phrases: ['severe pain', 'unbearable pain', 'excruciating pain', 'worst pain']
+  },
+  {
+    id: 'severe_dizziness',
+    label: 'Severe dizziness',
+    level: 'urgent',
+    phrases: ['severe dizziness', 'very dizzy', 'room is spinning']
+  },
+  {
+    id: 'dehydration',
+    label: 'Signs of dehydration',
+    level: 'urgent',
+    ageEscalation: [{ ...INFANT, level: 'emergency' }],
+    phrases: ['dehydration', 'dehydrated', 'not urinating', 'no urine', 'not peeing', 'no wet nappies', 'no wet diapers', 'cant keep anything down', 'cant keep fluids down']
+  },
+  {
+    id: 'blood_in_stool',
+    label: 'Blood in stool or urine',
+    level: 'urgent',
+    phrases: ['blood in my stool', 'blood in stool', 'bloody stool', 'black stool', 'black tarry stool', 'blood in my urine', 'blood in urine']
+  },
+  {
+    id: 'broken_bone',
+    label: 'Possible broken bone',
+    level: 'urgent',
+    phrases: ['broken bone', 'broken arm', 'broken leg', 'broken wrist', 'fracture', 'fractured']
+  },
+  {
+    id: 'pregnancy_bleeding',
+    label: 'Bleeding in pregnancy',
+    level: 'urgent',
+    phrases: ['bleeding while pregnant', 'bleeding during pregnancy', 'pregnant and bleeding', 'pregnant with bleeding']
+  },
+
+  // Routine: book an appointment, unless age or duration raise it
+  {
+    id: 'fever',
+    label: 'Fever',
+    level: 'routine',
+    ageEscalation: [{ ...INFANT, level: 'emergency' }, { ...YOUNG_CHILD, level: 'urgent' }, { ...OLDER_ADULT, level: 'urgent' }],
+    durationEscalation: [{ minDays: 3, level: 'urgent', reason: 'lasting 3 days or more' }],
+    phrases: ['fever', 'feverish', 'temperature', 'high temperature', 'febrile', 'chills']
+  },
+  {
+    id: 'vomiting',
+    label: 'Vomiting',
+    level: 'routine',
+    ageEscalation: [{ ...INFANT, level: 'emergency' }, { ...YOUNG_CHILD, level: 'urgent' }, { ...OLDER_ADULT, level: 'urgent' }],
+    durationEscalation: [{ minDays: 2, level: 'urgent', reason: 'lasting 2 days or more' }],
+    phrases: ['vomiting', 'throwing up', 'vomit', 'vomited']
+  },
+  {
+    id: 'diarrhea',
+    label: 'Diarrhoea',
+    level: 'routine',
+    ageEscalation: [{ ...YOUNG_CHILD, level: 'urgent' }, { ...OLDER_ADULT, level: 'urgent' }],
+    durationEscalation: [{ minDays: 7, level: 'urgent', reason: 'lasting a week or more' }],
+    phrases: ['diarrhea', 'diarrhoea', 'loose stools', 'watery stools', 'loose motion', 'loose motions']
+  },
+  {
+    id: 'abdominal_pain',
+    label: 'Abdominal pain',
+    level: 'routine',
+    suddenLevel: 'urgent',
+    phrases: ['abdominal pain', 'stomach pain', 'stomach ache', 'stomachache', 'belly pain', 'tummy ache', 'tummy pain', 'pain in my stomach']
+  },
+  {
+    id: 'headache',
+    label: 'Headache',
+    level: 'routine',
+    suddenLevel: 'urgent',
+    phrases: ['headache', 'headaches', 'head pain', 'migraine']
+  },
+  {
+    id: 'dizziness',
+    label: 'Dizziness',
+    level: 'routine',
+    ageEscalation: [{ ...OLDER_ADULT, level: 'urgent' }],
+    phrases: ['dizzy', 'dizziness', 'lightheaded', 'light headed']
+  },
+  {
+    id: 'rash',
+    label: 'Rash',
+    level: 'routine',
+    ageEscalation: [{ ...INFANT, level: 'urgent' }],
+    phrases: ['rash', 'hives', 'skin rash', 'spots on my skin']
+  },
+  {
+    id: 'persistent_cough',
+    label: 'Cough',
+    level: 'self_care',
+    ageEscalation: [{ ...INFANT, level: 'urgent' }],
+    durationEscalation: [{ minDays: 21, level: 'routine', reason: 'lasting 3 weeks or more' }],
+    phrases: ['cough', 'coughing', 'dry cough', 'wet cough']
+  },
+  {
+    id: 'joint_pain',
+    label: 'Joint or muscle pain',
+    level: 'self_care',
+    durationEscalation: [{ minDays: 14, level: 'routine', reason: 'lasting 2 weeks or more' }],
+    phrases: ['joint pain', 'back pain', 'muscle pain', 'body ache', 'body aches', 'aching muscles', 'sore muscles']
+  },
+  {
+    id: 'fatigue',
+    label: 'Tiredness',
+    level: 'self_care',
+    durationEscalation: [{ minDays: 14, level: 'routine', reason: 'lasting 2 weeks or more' }],
+    phrases: ['tired', 'tiredness', 'fatigue', 'exhausted', 'no energy', 'weakness']
+  },
+  {
+    id: 'nausea',
+    label: 'Nausea',
+    level: 'self_care',
+    durationEscalation: [{ minDays: 7, level: 'routine', reason: 'lasting a week or more' }],
+    phrases: ['nausea', 'nauseous', 'queasy', 'feel sick', 'feeling sick']
+  },
+
+  // Self-care: usually gets better at home
+  {
+    id: 'cold_symptoms',
+    label: 'Cold symptoms',
+    level: 'self_care',
+    ageEscalation: [{ ...INFANT, level: 'routine' }],
+    durationEscalation: [{ minDays: 14, level: 'routine', reason: 'lasting 2 weeks or more' }],
+    phrases: ['runny nose', 'blocked nose', 'stuffy nose', 'sneezing', 'common cold', 'a cold', 'congestion', 'sore throat', 'scratchy throat']
+  },
+  {
+    id: 'mild_headache',
+    label: 'Mild headache',
+    level: 'self_care',
+    durationEscalation: [{ minDays: 7, level: 'routine', reason: 'lasting a week or more' }],
+    phrases: ['mild headache', 'slight headache', 'little headache', 'tension headache']
+  },
+  {
+    id: 'minor_injury',
+    label: 'Minor injury',
+    level: 'self_care',
+    durationEscalation: [{ minDays: 7, level: 'routine', reason: 'not healing after a week' }],
+    phrases: ['small cut', 'minor cut', 'bruise', 'bruised', 'sprained', 'sprain', 'minor burn', 'small burn']
+  }
+];
+
+export default TRIAGE_RULES;
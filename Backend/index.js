@@ -18,6 +18,8 @@ import userRoutes from './Routes/user.js';         // User profile management
 import doctorRoutes from './Routes/doctor.js';     // Doctor management
 import reviewRoutes from './Routes/review.js';     // Doctor reviews and ratings
 import bookingRoute from './Routes/booking.js';    // Appointment booking
+import waitlistRoute from './Routes/waitlist.js';  // Appointment waitlist
+import consultationRoute from './Routes/consultation.js'; // Consultation notes and prescriptions
 import adminRoute from './Routes/admin.js';        // Admin dashboard and controls
 import postRoute from './Routes/posts.js';         // Community health posts
 import moderatorRoutes from './Routes/moderator.js'; // Content moderation
@@ -27,7 +29,12 @@ import orderRoutes from './Routes/orderRoutes.js'; // Order processing
 import contactRoute from './Routes/contact.js';    // Contact form handling
 import ambulanceRoutes from './Routes/ambulanceRoutes.js'; // Emergency ambulance services
 import chatbotRoutes from './Routes/chatbot.js';   // AI medical consultation
+import healthRecordRoutes from './Routes/healthRecords.js'; // Lab values across uploaded reports
+import hospitalRoutes from './Routes/hospitalRoutes.js'; // Hospital directory and routing
 import debugRoutes from './Routes/debug.js';       // Development debugging routes
+import { startWaitlistSweeper } from './services/waitlistService.js';
+import { startDispatchSweeper } from './services/ambulanceDispatchService.js';
+import { startTrackingSocket } from './services/ambulanceTrackingSocket.js';
 
 
 // Load environment variables from .env file
@@ -62,6 +69,8 @@ app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/doctors', doctorRoutes);
 app.use('/api/v1/reviews', reviewRoutes);
 app.use('/api/v1/bookings', bookingRoute);
+app.use('/api/v1/waitlist', waitlistRoute);
+app.use('/api/v1/consultations', consultationRoute);
 app.use('/api/v1/admin', adminRoute);
 app.use('/api/v1/posts', postRoute);
 app.use('/api/v1/moderator', moderatorRoutes);
@@ -69,7 +78,9 @@ app.use('/api/v1/medicines', medicineRoutes);
 app.use('/api/v1/cart', cartRoutes);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/ambulance', ambulanceRoutes);
+app.use('/api/v1/hospitals', hospitalRoutes);
 app.use('/api/v1/chatbot', chatbotRoutes);
+app.use('/api/v1/health-records', healthRecordRoutes);
 app.use('/api/v1/debug', debugRoutes);
 
 // Add this test route
@@ -118,9 +129,15 @@ const connectDB = async () => {
 const startServer = async () => {
   try {
     await connectDB();
-    app.listen(PORT, () => {
+    // Expire unanswered waitlist offers and pass the slots on
+    startWaitlistSweeper();
+    // Pass unanswered ambulance offers on to the next closest driver
+    startDispatchSweeper();
+    const server = app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
     });
+    // Live ambulance tracking shares the API's port
+    startTrackingSocket(server);
   } catch (err) {
     console.log('Failed to start server:', err);
   }
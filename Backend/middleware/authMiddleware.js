@@ -95,9 +95,10 @@ export const restrict = roles => async (req, res, next) => {
             user = doctor;
         }
 
-        // Verify that the user's role is in the allowed roles array
-        if (!roles.includes(user.role)) {
-            return res.status(401).json({ message: "You're not authorized" });
+        // Verify that the user's role is in the allowed roles array; accounts
+        // outside both collections, such as ambulance drivers, are refused too
+        if (!user || !roles.includes(user.role)) {
+            return res.status(403).json({ success: false, message: "You're not authorized" });
         }
 
         // User has valid role, continue to route handler
@@ -108,6 +109,28 @@ export const restrict = roles => async (req, res, next) => {
     }
 };
 
+/**
+ * Keep roles out of a route
+ * @function denyRoles
+ * @param {string[]} roles - Roles that may not use the route
+ * @returns {Function} Express middleware function
+ * @description Checks the role in the token, so it also works for accounts
+ * outside the User and Doctor collections, such as ambulance drivers.
+ * @example
+ * // Drivers only see the requests offered or assigned to them
+ * router.get('/requests', protect, denyRoles(['driver']), getAllRequests);
+ */
+export const denyRoles = roles => (req, res, next) => {
+    if (roles.includes(req.role)) {
+        return res.status(403).json({
+            success: false,
+            message: "You're not authorized"
+        });
+    }
+
+    next();
+};
+
 export const verifyAdmin = async (req, res, next) => {
     try {
         console.log('Verifying admin access...');
@@ -15,8 +15,13 @@ import mongoose from 'mongoose';
  * @property {string} phone - Contact phone number (required, unique)
  * @property {string} licenseNumber - Driver's license number (required, unique)
  * @property {string} address - Driver's residential address (required)
- * @property {string} location - Current location description (required)
+ * @property {string} location - Base or usual area, as text (required)
+ * @property {Object} position - Last reported position, GeoJSON Point [longitude, latitude]
+ * @property {Date} positionUpdatedAt - When the position was last reported
+ * @property {number} heading - Direction of travel in degrees from north, if known
  * @property {string} status - Driver's availability status (available/busy/offline)
+ * @property {string} password - Hashed password for the driver app, set by an admin (not selected by default)
+ * @property {Date} lastLogin - Last sign-in to the driver app
  * @property {Date} createdAt - Account creation timestamp
  */
 const ambulanceDriverSchema = new mongoose.Schema({
@@ -52,13 +57,38 @@ const ambulanceDriverSchema = new mongoose.Schema({
         trim: true
     },
 
-    /** Current location description */
+    /** Base or usual area, as text */
     location: {
         type: String,
         required: [true, 'Current location is required'],
         trim: true
     },
 
+    /** Last reported position; absent until the driver first reports one */
+    position: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        // [longitude, latitude], GeoJSON order
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+
+    /** When the position was last reported */
+    positionUpdatedAt: {
+        type: Date
+    },
+
+    /** Direction of travel in degrees clockwise from north */
+    heading: {
+        type: Number,
+        min: 0,
+        max: 360
+    },
+
     /** Driver's availability status */
     status: {
         type: String,
@@ -69,6 +99,17 @@ const ambulanceDriverSchema = new mongoose.Schema({
         default: 'available'
     },
 
+    /** Hashed password for the driver app; drivers without one cannot sign in */
+    password: {
+        type: String,
+        select: false
+    },
+
+    /** Last sign-in to the driver app */
+    lastLogin: {
+        type: Date
+    },
+
     /** Account creation timestamp */
     createdAt: {
         type: Date,
@@ -88,6 +129,9 @@ ambulanceDriverSchema.index({ status: 1 });
 // Compound index for status and location queries
 ambulanceDriverSchema.index({ status: 1, location: 1 });
 
+// Geospatial index for nearest-driver searches ($near / $geoNear)
+ambulanceDriverSchema.index({ position: '2dsphere' });
+
 /**
  * Export the AmbulanceDriver model
  * @type {mongoose.Model<AmbulanceDriverSchema>}
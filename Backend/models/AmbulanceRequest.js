@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { REQUEST_STATUSES } from '../config/dispatchPolicy.js';
 
 const ambulanceRequestSchema = new mongoose.Schema({
     name: {
@@ -27,14 +28,70 @@ const ambulanceRequestSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Destination hospital's name; kept as typed when it is not in the directory
     preferredHospital: {
         type: String
     },
+    // Destination hospital from the directory, where the driver takes the patient
+    hospitalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital'
+    },
+    // Whether the patient picked the hospital or it was suggested for the emergency
+    hospitalSource: {
+        type: String,
+        enum: ['patient', 'suggested']
+    },
     status: {
         type: String,
-        enum: ['pending', 'assigned', 'completed'],
+        enum: REQUEST_STATUSES,
         default: 'pending'
     },
+    // Every status change, oldest first; the times are what response times are measured from
+    statusHistory: [{
+        _id: false,
+        status: {
+            type: String,
+            enum: REQUEST_STATUSES,
+            required: true
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        actorRole: {
+            type: String,
+            enum: ['patient', 'admin', 'driver', 'system']
+        },
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Automatic dispatch offer waiting for the driver's answer
+    offer: {
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AmbulanceDriver'
+        },
+        distanceMeters: Number,
+        offeredAt: Date,
+        expiresAt: Date
+    },
+    // Offers already answered; drivers here are not offered the request again
+    pastOffers: [{
+        _id: false,
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'AmbulanceDriver'
+        },
+        offeredAt: Date,
+        closedAt: Date,
+        outcome: {
+            type: String,
+            enum: ['accepted', 'declined', 'expired', 'withdrawn']
+        }
+    }],
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -44,10 +101,32 @@ const ambulanceRequestSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'AmbulanceDriver'
     },
+    // Chatbot conversation the request was made from, shown to dispatchers
+    chatSessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatSession'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+ambulanceRequestSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Change the status and record who did it
+ambulanceRequestSchema.methods.setStatus = function (status, { actor, actorRole, note } = {}) {
+    this.status = status;
+    this.statusHistory.push({ status, actor, actorRole, note });
+    return this;
+};
+
+// Seed the history with the status a request is created in
+ambulanceRequestSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, actor: this.userId, actorRole: 'patient' });
+    }
+    next();
+});
+
 export default mongoose.model('AmbulanceRequest', ambulanceRequestSchema); 
\ No newline at end of file
@@ -22,9 +22,65 @@ const bookingSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "approved", "cancelled", "finished"],
+      enum: ["pending", "approved", "cancelled", "finished", "needs_reschedule"],
       default: "pending",
     },
+    // Why the booking has to be moved (e.g. the doctor's leave)
+    rescheduleReason: {
+      type: String
+    },
+    // Patient-initiated moves, limited by the booking policy
+    rescheduleCount: {
+      type: Number,
+      default: 0
+    },
+    // Every status the booking has been through, oldest first
+    statusHistory: [{
+      _id: false,
+      status: {
+        type: String,
+        enum: ["pending", "approved", "cancelled", "finished", "needs_reschedule"],
+        required: true
+      },
+      actor: {
+        type: mongoose.Types.ObjectId
+      },
+      actorRole: {
+        type: String,
+        enum: ["patient", "doctor", "admin", "system"]
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Audit trail of who changed what
+    history: [{
+      _id: false,
+      action: {
+        type: String,
+        enum: ["cancel", "reschedule"],
+        required: true
+      },
+      actor: {
+        type: mongoose.Types.ObjectId,
+        required: true
+      },
+      actorRole: {
+        type: String,
+        enum: ["patient", "doctor", "admin"]
+      },
+      fromDate: Date,
+      fromTime: String,
+      toDate: Date,
+      toTime: String,
+      reason: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     visitType: {
       type: String,
       enum: ["first", "second", "free"],
@@ -38,6 +94,11 @@ const bookingSchema = new mongoose.Schema(
       type: String,
       required: true
     },
+    // Notes and prescription the doctor wrote for this visit
+    consultation: {
+      type: mongoose.Types.ObjectId,
+      ref: "Consultation"
+    },
     isPaid: {
       type: Boolean,
       default: false,
@@ -50,7 +111,29 @@ const bookingSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Create a compound index
-bookingSchema.index({ doctor: 1, user: 1, appointmentDate: 1 }, { unique: true });
+// One live booking per patient, doctor and day. Cancelled bookings are left
+// out so the patient can book that day again; partial indexes can't use $ne,
+// hence the list of the other statuses
+const ACTIVE_BOOKING_STATUSES = ['pending', 'approved', 'finished', 'needs_reschedule'];
+bookingSchema.index(
+  { doctor: 1, user: 1, appointmentDate: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_BOOKING_STATUSES } } }
+);
+bookingSchema.index({ doctor: 1, status: 1 });
+
+// Change the status and record who did it
+bookingSchema.methods.setStatus = function (status, { actor, actorRole, note } = {}) {
+  this.status = status;
+  this.statusHistory.push({ status, actor, actorRole, note });
+  return this;
+};
+
+// Seed the history with the status a booking is created in
+bookingSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, actor: this.user, actorRole: "patient" });
+  }
+  next();
+});
 
 export default mongoose.model("Booking", bookingSchema);
\ No newline at end of file
@@ -1,5 +1,29 @@
 import mongoose from 'mongoose';
 
+// One lab result read from a report, in the catalog unit (config/labTests.js)
+const labObservationSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  name: { type: String, required: true },
+  panel: String,
+  value: { type: Number, required: true },
+  unit: String,
+  originalValue: Number,
+  originalUnit: String,
+  referenceRange: {
+    low: Number,
+    high: Number,
+    text: String,
+    // 'report' when printed on the report, 'default' for the catalog's adult range
+    source: { type: String, enum: ['report', 'default'] }
+  },
+  flag: {
+    type: String,
+    enum: ['low', 'normal', 'high'],
+    default: 'normal'
+  },
+  page: Number
+}, { _id: false });
+
 const chatSessionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,7 +52,16 @@ const chatSessionSchema = new mongoose.Schema({
       type: String,
       enum: ['text', 'file_analysis', 'symptom_check', 'emergency_alert'],
       default: 'text'
-    }
+    },
+    // Uploaded reports the answer drew on
+    citations: [{
+      _id: false,
+      reportName: String,
+      page: Number,
+      section: String
+    }],
+    // Report a file_analysis message describes
+    reportId: mongoose.Schema.Types.ObjectId
   }],
   uploadedReports: [{
     fileName: {
@@ -58,11 +91,14 @@ const chatSessionSchema = new mongoose.Schema({
       type: Date,
       default: Date.now
     },
+    // Collection date printed on the report, if one was found
+    reportDate: Date,
     analysisStatus: {
       type: String,
       enum: ['pending', 'processing', 'completed', 'failed'],
       default: 'pending'
-    }
+    },
+    observations: [labObservationSchema]
   }],
   isActive: {
     type: Boolean,
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+const consultationSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+      required: true,
+      unique: true,
+    },
+    doctor: {
+      type: mongoose.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    patient: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    notes: {
+      chiefComplaint: { type: String, trim: true },
+      history: { type: String, trim: true },
+      examination: { type: String, trim: true },
+      advice: { type: String, trim: true },
+    },
+    vitals: {
+      bloodPressure: { type: String, trim: true }, // e.g. "120/80"
+      pulse: { type: Number, min: 0 }, // beats per minute
+      temperature: { type: Number, min: 0 }, // °F
+      respiratoryRate: { type: Number, min: 0 }, // breaths per minute
+      spo2: { type: Number, min: 0, max: 100 }, // %
+      weight: { type: Number, min: 0 }, // kg
+      height: { type: Number, min: 0 }, // cm
+    },
+    // ICD-10 codes where the doctor has one
+    diagnoses: [{
+      _id: false,
+      code: { type: String, trim: true, uppercase: true },
+      description: { type: String, required: true, trim: true },
+    }],
+    prescription: [{
+      medicine: {
+        type: mongoose.Types.ObjectId,
+        ref: "Medicine",
+        required: true,
+      },
+      // Name at the time of prescribing, kept if the medicine is later renamed or removed
+      medicineName: {
+        type: String,
+        required: true,
+      },
+      dose: { type: String, required: true, trim: true }, // e.g. "500 mg"
+      frequency: { type: String, required: true, trim: true }, // e.g. "1+0+1"
+      duration: { type: String, required: true, trim: true }, // e.g. "7 days"
+      // Packs to buy, used when the prescription is added to the cart
+      quantity: { type: Number, default: 1, min: 1 },
+      instructions: { type: String, trim: true },
+    }],
+    followUpDate: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+consultationSchema.index({ patient: 1, createdAt: -1 });
+
+export default mongoose.model("Consultation", consultationSchema);
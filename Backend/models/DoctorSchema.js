@@ -28,6 +28,28 @@ const DoctorSchema = new mongoose.Schema({
     type: [String],  // Array of strings
     required: true
   },
+
+  // Weekly recurring working hours used to generate bookable slots.
+  // day: 0 (Sunday) - 6 (Saturday), start/end in HH:mm (24h)
+  weeklySchedule: [{
+    _id: false,
+    day: { type: Number, min: 0, max: 6, required: true },
+    start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+    end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }
+  }],
+  slotDuration: {
+    type: Number,
+    default: 30, // minutes
+    min: 5,
+    max: 240
+  },
+  // Breaks inside working hours; a break without a day applies every day
+  breaks: [{
+    _id: false,
+    day: { type: Number, min: 0, max: 6 },
+    start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+    end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }
+  }],
   reviews: [{ type: mongoose.Types.ObjectId, ref: "Review" }],
   averageRating: {
     type: Number,
@@ -49,6 +71,13 @@ const DoctorSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Leave, holidays and conferences; no slots are offered between the dates (inclusive)
+  blackouts: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, required: true, trim: true },
+    createdAt: { type: Date, default: Date.now }
+  }],
   appointments: [{ type: mongoose.Types.ObjectId, ref: "Booking" }],
 });
 
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// One vector in the persistent store: a chunk of a patient's uploaded report,
+// or an entry of the built-in medical knowledge base
+const embeddingSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: ["report", "knowledge"],
+      required: true,
+    },
+    // Reports are private to the patient who uploaded them
+    userId: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return this.source === "report";
+      },
+    },
+    sessionId: {
+      type: mongoose.Types.ObjectId,
+      ref: "ChatSession",
+    },
+    // Uploaded file for reports, knowledge entry id for the knowledge base
+    documentId: {
+      type: String,
+      required: true,
+    },
+    chunkIndex: {
+      type: Number,
+      default: 0,
+    },
+    // Where the chunk came from in the report, for citations
+    page: Number,
+    section: String,
+    text: {
+      type: String,
+      required: true,
+    },
+    embedding: {
+      type: [Number],
+      required: true,
+    },
+    // Embedding provider that made the vector; vectors from different providers can't be compared
+    model: {
+      type: String,
+      default: "hash-v1",
+    },
+    // Knowledge entries are re-embedded when their content changes
+    contentHash: String,
+    metadata: {
+      fileName: String,
+      originalName: String,
+      mimeType: String,
+    },
+  },
+  { timestamps: true }
+);
+
+embeddingSchema.index({ source: 1, documentId: 1, chunkIndex: 1 }, { unique: true });
+embeddingSchema.index({ userId: 1, sessionId: 1 });
+
+export default mongoose.model("Embedding", embeddingSchema);
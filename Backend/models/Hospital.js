@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Hospital Schema for Healthcare System
+ * @description Defines the hospital directory ambulance requests are routed
+ * to: location, emergency departments, specialities and the bed availability
+ * admins keep up to date
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import { HOSPITAL_SPECIALITIES, DIVISIONS } from '../config/hospitalRouting.js';
+
+/**
+ * MongoDB Schema for hospitals
+ * @typedef {Object} HospitalSchema
+ * @property {string} name - Hospital name (required, unique)
+ * @property {string} division - Division the hospital is in (required)
+ * @property {string} address - Street address (required)
+ * @property {string} phone - Emergency contact number
+ * @property {Object} position - GeoJSON Point [longitude, latitude] (required)
+ * @property {string[]} emergencyDepartments - Emergency units, e.g. "Adult ER"; hospitals without one are not suggested
+ * @property {string[]} specialities - Emergency care offered, from config/hospitalRouting.js
+ * @property {Object} beds - Bed availability: available, total and when an admin last updated it
+ * @property {boolean} active - Whether ambulances can be sent to the hospital
+ * @property {Date} createdAt - Record creation timestamp
+ */
+const hospitalSchema = new mongoose.Schema({
+    /** Hospital name */
+    name: {
+        type: String,
+        required: [true, 'Hospital name is required'],
+        unique: true,
+        trim: true
+    },
+
+    /** Division the hospital is in */
+    division: {
+        type: String,
+        required: [true, 'Division is required'],
+        enum: {
+            values: DIVISIONS,
+            message: '{VALUE} is not a valid division'
+        }
+    },
+
+    /** Street address */
+    address: {
+        type: String,
+        required: [true, 'Address is required'],
+        trim: true
+    },
+
+    /** Emergency contact number */
+    phone: {
+        type: String,
+        trim: true
+    },
+
+    /** Where the hospital is */
+    position: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        // [longitude, latitude], GeoJSON order
+        coordinates: {
+            type: [Number],
+            required: [true, 'Coordinates are required']
+        }
+    },
+
+    /** Emergency units, e.g. "Adult ER", "Paediatric ER" */
+    emergencyDepartments: {
+        type: [String],
+        default: []
+    },
+
+    /** Emergency care offered */
+    specialities: {
+        type: [{
+            type: String,
+            enum: {
+                values: HOSPITAL_SPECIALITIES,
+                message: '{VALUE} is not a valid speciality'
+            }
+        }],
+        default: []
+    },
+
+    /** Bed availability, kept up to date by admins */
+    beds: {
+        available: {
+            type: Number,
+            min: [0, 'Available beds cannot be negative'],
+            default: 0
+        },
+        total: {
+            type: Number,
+            min: [0, 'Total beds cannot be negative']
+        },
+        updatedAt: {
+            type: Date
+        }
+    },
+
+    /** Whether ambulances can be sent to the hospital */
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    /** Record creation timestamp */
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+});
+
+// Geospatial index for nearest-hospital searches ($geoNear)
+hospitalSchema.index({ position: '2dsphere' });
+
+// Index for the directory listing by division
+hospitalSchema.index({ division: 1, name: 1 });
+
+/**
+ * Export the Hospital model
+ * @type {mongoose.Model<HospitalSchema>}
+ */
+export default mongoose.model('Hospital', hospitalSchema);
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+// One lab value from one uploaded report, kept in the patient's health record
+// so values can be followed across reports and chat sessions
+const labObservationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Chat session and report (ChatSession.uploadedReports entry) it was read from
+    sessionId: {
+      type: mongoose.Types.ObjectId,
+      ref: "ChatSession",
+    },
+    reportId: {
+      type: mongoose.Types.ObjectId,
+      required: true,
+    },
+    reportName: String,
+    // Test code from config/labTests.js
+    code: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    panel: String,
+    // Value in the catalog unit
+    value: {
+      type: Number,
+      required: true,
+    },
+    unit: String,
+    referenceRange: {
+      low: Number,
+      high: Number,
+      source: { type: String, enum: ["report", "default"] },
+    },
+    flag: {
+      type: String,
+      enum: ["low", "normal", "high"],
+      default: "normal",
+    },
+    // Collection date printed on the report, or the upload time if it has none
+    observedAt: {
+      type: Date,
+      required: true,
+    },
+    dateSource: {
+      type: String,
+      enum: ["report", "upload"],
+      default: "upload",
+    },
+  },
+  { timestamps: true }
+);
+
+labObservationSchema.index({ user: 1, code: 1, observedAt: 1 });
+// A report contributes one value per test, so re-recording it replaces them
+labObservationSchema.index({ reportId: 1, code: 1 }, { unique: true });
+
+export default mongoose.model("LabObservation", labObservationSchema);
@@ -1,5 +1,27 @@
 import mongoose from 'mongoose';
 
+// A delivery of stock; sales draw from the batch that expires first
+const batchSchema = new mongoose.Schema({
+    batchNumber: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    expiryDate: {
+        type: Date,
+        required: true
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
 const medicineSchema = new mongoose.Schema({
     productName: {
         type: String,
@@ -21,6 +43,18 @@ const medicineSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Prescription-only medicines need a verified prescription before an order is confirmed
+    requiresPrescription: {
+        type: Boolean,
+        default: false
+    },
+    batches: [batchSchema],
+    // Flagged in the low-stock report once sellable stock drops to this level
+    lowStockThreshold: {
+        type: Number,
+        default: 10,
+        min: 0
+    },
     photo: {
         type: String,
         required: true
@@ -55,4 +89,21 @@ const medicineSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Sellable stock: everything in batches that haven't expired yet
+medicineSchema.virtual('stock').get(function() {
+    const now = new Date();
+    return (this.batches || [])
+        .filter(batch => batch.expiryDate > now)
+        .reduce((total, batch) => total + batch.quantity, 0);
+});
+
+medicineSchema.virtual('inStock').get(function() {
+    return this.stock > 0;
+});
+
+medicineSchema.index({ 'batches.expiryDate': 1 });
+
+medicineSchema.set('toJSON', { virtuals: true });
+medicineSchema.set('toObject', { virtuals: true });
+
 export default mongoose.model('Medicine', medicineSchema); 
\ No newline at end of file
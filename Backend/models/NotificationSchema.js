@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["booking", "waitlist", "order"],
+      default: "booking",
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+    },
+    order: {
+      type: mongoose.Types.ObjectId,
+      ref: "Order",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", notificationSchema);
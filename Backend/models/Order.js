@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ORDER_STATUSES } from '../config/orderPolicy.js';
 
 const orderItemSchema = new mongoose.Schema({
     medicine: {
@@ -13,7 +14,13 @@ const orderItemSchema = new mongoose.Schema({
     price: {
         type: Number,
         required: true
-    }
+    },
+    // Where the units came from, so a cancellation can put them back
+    batches: [{
+        batch: mongoose.Schema.Types.ObjectId,
+        batchNumber: String,
+        quantity: Number
+    }]
 });
 
 const orderSchema = new mongoose.Schema({
@@ -36,9 +43,64 @@ const orderSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'],
+        enum: ORDER_STATUSES,
         default: 'pending'
     },
+    // Every status change, oldest first
+    statusHistory: [{
+        _id: false,
+        status: {
+            type: String,
+            enum: ORDER_STATUSES,
+            required: true
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        actorRole: {
+            type: String,
+            enum: ['patient', 'admin', 'system']
+        },
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    returnRequest: {
+        reason: String,
+        requestedAt: Date,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt: Date,
+        resolutionNote: String
+    },
+    // Attached when the order contains prescription-only medicines
+    prescription: {
+        source: {
+            type: String,
+            enum: ['upload', 'consultation']
+        },
+        // Uploaded image or PDF of a paper prescription
+        fileUrl: String,
+        // Prescription issued on the platform
+        consultation: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Consultation'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected']
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        rejectionReason: String
+    },
     paymentMethod: {
         type: String,
         enum: ['cod'],
@@ -48,4 +110,22 @@ const orderSchema = new mongoose.Schema({
     timestamps: true
 });
 
+orderSchema.index({ 'prescription.status': 1, createdAt: 1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Change the status and record who did it
+orderSchema.methods.setStatus = function (status, { actor, actorRole, note } = {}) {
+    this.status = status;
+    this.statusHistory.push({ status, actor, actorRole, note });
+    return this;
+};
+
+// Seed the history with the status an order is created in
+orderSchema.pre('save', function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.status, actor: this.user, actorRole: 'patient' });
+    }
+    next();
+});
+
 export default mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -21,6 +21,7 @@ const patientDoctorSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    // Legacy: visits are now kept as bookings, see scripts/migrateBookingHistory.js
     history: [{
       bookingId: {
         type: mongoose.Types.ObjectId,
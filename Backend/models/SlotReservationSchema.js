@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// One document per taken doctor slot. The unique index is what makes a
+// reservation atomic: a second insert for the same doctor/date/start fails.
+const slotReservationSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    // Calendar day in YYYY-MM-DD form
+    date: {
+      type: String,
+      required: true,
+    },
+    // Slot start in HH:mm (24h) form
+    start: {
+      type: String,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Types.ObjectId,
+      ref: "Booking",
+    },
+  },
+  { timestamps: true }
+);
+
+slotReservationSchema.index({ doctor: 1, date: 1, start: 1 }, { unique: true });
+
+export default mongoose.model("SlotReservation", slotReservationSchema);
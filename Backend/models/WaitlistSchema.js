@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+
+const waitlistSchema = new mongoose.Schema(
+  {
+    doctor: {
+      type: mongoose.Types.ObjectId,
+      ref: "Doctor",
+      required: true,
+    },
+    user: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Calendar day in YYYY-MM-DD form
+    date: {
+      type: String,
+      required: true,
+    },
+    problem: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "accepted", "declined", "expired", "cancelled"],
+      default: "waiting",
+    },
+    // A freed slot held for this patient until expiresAt
+    offer: {
+      start: String,
+      label: String,
+      // Pre-allocated id the booking gets if the offer is accepted; the slot is reserved under it
+      bookingId: mongoose.Types.ObjectId,
+      offeredAt: Date,
+      expiresAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Queue order is first come, first served per doctor and day
+waitlistSchema.index({ doctor: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ status: 1, "offer.expiresAt": 1 });
+
+export default mongoose.model("Waitlist", waitlistSchema);
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Lab Observation Backfill
+ * @description Adds the lab values of reports uploaded before health records
+ * existed to each patient's record. Reports are re-parsed from their stored
+ * text, so values and report dates also pick up later parser improvements.
+ *
+ * Usage:
+ *   node scripts/backfillLabObservations.js [--dry-run]
+ *
+ * --dry-run  count the values that would be recorded without writing anything
+ *
+ * Safe to run more than once: a report's values replace its earlier ones.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import ChatSession from '../models/ChatSession.js';
+import { parseLabResults, parseReportDate } from '../services/labResultParser.js';
+import { recordReportObservations } from '../services/labTrendService.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const backfill = async () => {
+  const stats = { reports: 0, withValues: 0, observations: 0, failed: 0 };
+
+  const sessions = ChatSession.find({ 'uploadedReports.extractedText': { $exists: true } }).cursor();
+
+  for await (const session of sessions) {
+    let changed = false;
+
+    for (const report of session.uploadedReports) {
+      stats.reports += 1;
+
+      const observations = parseLabResults(report.extractedText);
+      if (observations.length === 0) continue;
+      stats.withValues += 1;
+
+      report.observations = observations;
+      report.reportDate = parseReportDate(report.extractedText, report.uploadedAt) || undefined;
+      changed = true;
+
+      if (dryRun) {
+        stats.observations += observations.length;
+        continue;
+      }
+
+      try {
+        stats.observations += await recordReportObservations({
+          userId: session.userId,
+          sessionId: session._id,
+          report
+        });
+      } catch (error) {
+        console.error(`Failed to record report ${report._id} of session ${session._id}:`, error.message);
+        stats.failed += 1;
+      }
+    }
+
+    if (changed && !dryRun) {
+      // Keep lastActivity as it was; this is not patient activity
+      await ChatSession.updateOne(
+        { _id: session._id },
+        { $set: { uploadedReports: session.uploadedReports } },
+        { timestamps: false }
+      );
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB database connected${dryRun ? ' (dry run)' : ''}`);
+
+    const stats = await backfill();
+    console.log('Lab observation backfill:', stats);
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Lab observation backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
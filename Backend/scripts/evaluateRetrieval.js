@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Retrieval Evaluation
+ * @description Measures how well embedding providers retrieve the built-in
+ * medical knowledge base for a labelled set of patient queries
+ * (scripts/retrievalQueries.json). Everything runs in memory, so no database
+ * is needed.
+ *
+ * Usage:
+ *   node scripts/evaluateRetrieval.js [--provider=medical,hash] [--k=3] [--verbose]
+ *
+ * --provider  comma-separated providers to compare (default: medical,hash)
+ * --k         how many results count as a hit (default 3, as in findRelevantContext)
+ * --verbose   list every query that missed
+ *
+ * For each provider it reports:
+ * - hit@1 and hit@k: share of queries with a relevant entry first / in the top k
+ * - returned@k: hit@k counting only matches above the provider's similarity
+ *   threshold, which is what the chatbot actually receives
+ * - MRR: mean reciprocal rank of the first relevant entry
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import ragService from '../services/ragService.js';
+import { getEmbeddingProvider } from '../services/embeddingService.js';
+import { cosineSimilarity } from '../services/vectorStoreService.js';
+
+dotenv.config();
+
+const readOption = (name, fallback) => {
+  const option = process.argv.find(arg => arg.startsWith(`--${name}=`));
+  return option ? option.slice(name.length + 3) : fallback;
+};
+
+const providerNames = readOption('provider', 'medical,hash').split(',').map(name => name.trim());
+const k = Number(readOption('k', 3)) || 3;
+const verbose = process.argv.includes('--verbose');
+
+const queries = JSON.parse(fs.readFileSync(new URL('./retrievalQueries.json', import.meta.url), 'utf8'));
+
+const percent = (count) => `${((count / queries.length) * 100).toFixed(1)}%`;
+
+/**
+ * Rank the knowledge base for every labelled query with one provider
+ * @async
+ * @param {string} name - Provider name
+ * @returns {Promise<Object>} Metrics and the queries that missed
+ */
+const evaluate = async (name) => {
+  const provider = getEmbeddingProvider(name);
+  const entries = [];
+  for (const knowledge of ragService.getMedicalKnowledgeData()) {
+    entries.push({
+      id: knowledge.id,
+      embedding: await provider.embed(ragService.getKnowledgeText(knowledge))
+    });
+  }
+
+  const result = { hitsAt1: 0, hitsAtK: 0, returnedAtK: 0, reciprocalRanks: 0, misses: [] };
+
+  for (const { query, relevant } of queries) {
+    const queryEmbedding = await provider.embed(query);
+    const ranked = entries
+      .map(entry => ({ id: entry.id, similarity: cosineSimilarity(queryEmbedding, entry.embedding) }))
+      .sort((a, b) => b.similarity - a.similarity);
+
+    const rank = ranked.findIndex(entry => relevant.includes(entry.id)) + 1;
+    if (rank === 1) result.hitsAt1++;
+    if (rank > 0 && rank <= k) {
+      result.hitsAtK++;
+      if (ranked[rank - 1].similarity > provider.minSimilarity.knowledge) result.returnedAtK++;
+    }
+    if (rank > 0) result.reciprocalRanks += 1 / rank;
+
+    if (rank === 0 || rank > k) {
+      result.misses.push({ query, relevant, rank, top: ranked.slice(0, k).map(entry => entry.id) });
+    }
+  }
+
+  return result;
+};
+
+const run = async () => {
+  console.log(`Evaluating ${queries.length} labelled queries against ${ragService.getMedicalKnowledgeData().length} knowledge entries\n`);
+
+  let failed = false;
+  for (const name of providerNames) {
+    try {
+      const result = await evaluate(name);
+      const { id, minSimilarity } = getEmbeddingProvider(name);
+      console.log(`${name} (${id}, threshold ${minSimilarity.knowledge})`);
+      console.log(`  hit@1       ${percent(result.hitsAt1)}`);
+      console.log(`  hit@${k}       ${percent(result.hitsAtK)}`);
+      console.log(`  returned@${k}  ${percent(result.returnedAtK)}`);
+      console.log(`  MRR         ${(result.reciprocalRanks / queries.length).toFixed(3)}`);
+
+      if (verbose) {
+        for (const miss of result.misses) {
+          console.log(`  miss: "${miss.query}" expected ${miss.relevant.join('/')} (rank ${miss.rank || '-'}), got ${miss.top.join(', ')}`);
+        }
+      }
+      console.log('');
+    } catch (error) {
+      console.error(`${name}: evaluation failed:`, error.message);
+      failed = true;
+    }
+  }
+
+  process.exitCode = failed ? 1 : 0;
+};
+
+run();
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Booking History Migration
+ * @description One-off migration that moves visits recorded in the legacy
+ * PatientDoctor.history array into the bookings collection. Finished bookings
+ * used to be deleted, so for most past visits the history entry is the only
+ * record left. After this runs, bookings are the single source for patient
+ * history and doctor statistics.
+ *
+ * Usage:
+ *   node scripts/migrateBookingHistory.js [--dry-run] [--prune]
+ *
+ * --dry-run  report what would change without writing anything
+ * --prune    clear PatientDoctor.history once its entries are migrated
+ *
+ * Safe to run more than once: entries whose booking already exists are skipped.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Booking from '../models/BookingSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import PatientDoctor from '../models/PatientDoctorSchema.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+const prune = process.argv.includes('--prune');
+
+const MIGRATION_NOTE = 'Migrated from patient history';
+
+/**
+ * Build the booking for a history entry whose booking was deleted
+ * @param {Object} record - PatientDoctor document
+ * @param {Object} entry - One of record.history
+ * @returns {Object} Booking document (not saved)
+ */
+const toBooking = (record, entry) => {
+  const at = entry.createdAt || record.updatedAt;
+
+  return new Booking({
+    _id: entry.bookingId || new mongoose.Types.ObjectId(),
+    doctor: record.doctor,
+    user: record.patient,
+    appointmentDate: entry.appointmentDate,
+    appointmentTime: entry.appointmentTime || 'Not recorded',
+    problem: entry.problem || 'Not recorded',
+    visitType: entry.visitType || 'first',
+    fee: entry.fee || 0,
+    // Approved bookings were only ever deleted when they were finished
+    status: 'finished',
+    isNewForDoctor: false,
+    statusHistory: [
+      { status: 'approved', actorRole: 'system', note: MIGRATION_NOTE, at },
+      { status: 'finished', actorRole: 'system', note: MIGRATION_NOTE, at }
+    ]
+  });
+};
+
+const migrate = async () => {
+  const stats = { created: 0, updated: 0, skipped: 0, failed: 0, pruned: 0 };
+
+  const records = await PatientDoctor.find({ 'history.0': { $exists: true } });
+  console.log(`Found ${records.length} patient-doctor records with history`);
+
+  for (const record of records) {
+    let recordFailed = false;
+
+    for (const entry of record.history) {
+      const existing = entry.bookingId && await Booking.findById(entry.bookingId);
+
+      if (existing) {
+        // The booking survived; only carry over a finish it missed
+        if (entry.status === 'finished' && existing.status !== 'finished') {
+          existing.setStatus('finished', { actorRole: 'system', note: MIGRATION_NOTE });
+          if (!dryRun) await existing.save();
+          stats.updated += 1;
+        } else {
+          stats.skipped += 1;
+        }
+        continue;
+      }
+
+      if (!entry.appointmentDate) {
+        console.warn(`Skipping entry ${entry._id} of record ${record._id}: no appointment date`);
+        stats.skipped += 1;
+        continue;
+      }
+
+      const booking = toBooking(record, entry);
+
+      try {
+        if (!dryRun) {
+          await booking.save();
+          await Doctor.updateOne(
+            { _id: record.doctor },
+            { $addToSet: { appointments: booking._id } }
+          );
+        }
+        stats.created += 1;
+      } catch (error) {
+        // Another booking already holds this patient, doctor and date
+        if (error.code === 11000) {
+          stats.skipped += 1;
+        } else {
+          console.error(`Failed to migrate entry ${entry._id} of record ${record._id}:`, error.message);
+          stats.failed += 1;
+          recordFailed = true;
+        }
+      }
+    }
+
+    if (prune && !recordFailed) {
+      if (!dryRun) {
+        await PatientDoctor.updateOne({ _id: record._id }, { $set: { history: [] } });
+      }
+      stats.pruned += 1;
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB database connected${dryRun ? ' (dry run)' : ''}`);
+
+    const stats = await migrate();
+    console.log('Migration finished:', stats);
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
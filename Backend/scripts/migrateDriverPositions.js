@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Driver Position Migration
+ * @description One-off migration for ambulance driver positions. The location
+ * endpoint used to write a GeoJSON point into AmbulanceDriver.location, which
+ * is a text field, so any point that made it into the database sits where the
+ * driver's base area belongs and is invisible to nearest-driver searches.
+ * This moves such points to AmbulanceDriver.position and builds the 2dsphere
+ * index the searches need.
+ *
+ * Usage:
+ *   node scripts/migrateDriverPositions.js [--dry-run]
+ *
+ * --dry-run  report what would change without writing anything
+ *
+ * Safe to run more than once: drivers with a text location are left alone.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import AmbulanceDriver from '../models/AmbulanceDriver.js';
+import { validateCoordinates } from '../config/dispatchPolicy.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Text to leave in the location field once the point has moved out
+ * @param {number} longitude
+ * @param {number} latitude
+ * @returns {string}
+ */
+const describePoint = (longitude, latitude) =>
+  `Last known position ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+
+const migrate = async () => {
+  const stats = { moved: 0, skipped: 0, failed: 0 };
+
+  // Read the raw documents: the schema would cast these locations to text
+  const drivers = await AmbulanceDriver.collection
+    .find({ location: { $type: 'object' } })
+    .toArray();
+  console.log(`Found ${drivers.length} drivers with a point stored as their location`);
+
+  for (const driver of drivers) {
+    const [longitude, latitude] = driver.location?.coordinates || [];
+
+    if (validateCoordinates(latitude, longitude)) {
+      console.warn(`Skipping driver ${driver._id}: location is not a valid point`);
+      stats.skipped += 1;
+      continue;
+    }
+
+    try {
+      if (!dryRun) {
+        await AmbulanceDriver.collection.updateOne(
+          { _id: driver._id },
+          {
+            $set: {
+              location: describePoint(longitude, latitude),
+              position: { type: 'Point', coordinates: [longitude, latitude] },
+              // When the point was written is unknown; the last update is the best guess
+              positionUpdatedAt: driver.updatedAt || driver.createdAt || new Date()
+            }
+          }
+        );
+      }
+      stats.moved += 1;
+    } catch (error) {
+      console.error(`Failed to migrate driver ${driver._id}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  if (!dryRun) {
+    await AmbulanceDriver.syncIndexes();
+    console.log('Driver indexes synced');
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB database connected${dryRun ? ' (dry run)' : ''}`);
+
+    const stats = await migrate();
+    console.log('Migration finished:', stats);
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
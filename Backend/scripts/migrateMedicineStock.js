@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Medicine Stock Migration
+ * @description One-off migration for medicine stock. Stock is now the sum of
+ * each medicine's unexpired batches, so a medicine without batches shows as
+ * out of stock and cannot be added to a cart or ordered. That is every
+ * medicine created before batches existed, and any that carries the plain
+ * stock number used by the early demo data. This gives each of them an
+ * opening batch, and removes the old stock number where there is one.
+ *
+ * Usage:
+ *   node scripts/migrateMedicineStock.js [--dry-run] [--expiry=YYYY-MM-DD] [--quantity=N]
+ *
+ * --dry-run   report what would change without writing anything
+ * --expiry    expiry date for the opening batches; the old stock had none, so
+ *             this defaults to one year from today
+ * --quantity  units in the opening batch of a medicine that has no stock
+ *             number to carry over, 100 by default
+ *
+ * Recount and correct the opening batches afterwards if the defaults are too
+ * generous. Safe to run more than once: a medicine is left alone once it has
+ * an opening batch or any other batch.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import Medicine from '../models/Medicine.js';
+
+dotenv.config();
+
+const OPENING_BATCH_NUMBER = 'OPENING';
+const DEFAULT_OPENING_QUANTITY = 100;
+
+/**
+ * Value of a --name=value argument
+ * @param {string} name - Argument name without the dashes
+ * @returns {string|undefined}
+ */
+const readArg = (name) => {
+  const arg = process.argv.find(value => value.startsWith(`--${name}=`));
+  return arg?.slice(`--${name}=`.length);
+};
+
+/**
+ * Expiry for the opening batches, from --expiry or one year ahead
+ * @returns {Date|null} Null when --expiry is not a valid date
+ */
+const readExpiry = () => {
+  const value = readArg('expiry');
+  if (value === undefined) {
+    const nextYear = new Date();
+    nextYear.setFullYear(nextYear.getFullYear() + 1);
+    return nextYear;
+  }
+
+  const expiry = new Date(value);
+  return Number.isNaN(expiry.getTime()) ? null : expiry;
+};
+
+/**
+ * Opening quantity for medicines without an old stock number, from --quantity
+ * @returns {number|null} Null when --quantity is not a whole number
+ */
+const readQuantity = () => {
+  const value = readArg('quantity');
+  if (value === undefined) return DEFAULT_OPENING_QUANTITY;
+
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+};
+
+/**
+ * Give every medicine without batches an opening batch
+ * @async
+ * @param {Object} options
+ * @param {Date} options.expiryDate - Expiry of the opening batches
+ * @param {number} options.quantity - Units for a medicine with no old stock number
+ * @param {boolean} [options.dryRun=false] - Count the changes without writing them
+ * @returns {Promise<Object>} How many medicines were moved, cleared, skipped or failed
+ */
+export const migrate = async ({ expiryDate, quantity: defaultQuantity, dryRun = false }) => {
+  const stats = { moved: 0, cleared: 0, skipped: 0, failed: 0 };
+
+  // Read the raw documents: stock is a virtual in the schema now
+  const medicines = await Medicine.collection
+    .find({
+      $or: [
+        { stock: { $exists: true } },
+        { batches: { $exists: false } },
+        { batches: { $size: 0 } }
+      ]
+    })
+    .toArray();
+  console.log(`Found ${medicines.length} medicines without batches or with the old stock field`);
+
+  for (const medicine of medicines) {
+    const hasStockField = medicine.stock !== undefined;
+    const quantity = hasStockField ? Number(medicine.stock) : defaultQuantity;
+    const hasBatches = (medicine.batches || []).length > 0;
+
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      console.warn(`Skipping medicine ${medicine._id}: stock ${JSON.stringify(medicine.stock)} is not a quantity`);
+      stats.skipped += 1;
+      continue;
+    }
+
+    try {
+      // Nothing to move, or it already has batches to sell from
+      if (quantity === 0 || hasBatches) {
+        if (!dryRun && hasStockField) {
+          await Medicine.collection.updateOne({ _id: medicine._id }, { $unset: { stock: '' } });
+        }
+        stats.cleared += 1;
+        continue;
+      }
+
+      if (!dryRun) {
+        await Medicine.collection.updateOne(
+          { _id: medicine._id },
+          {
+            $push: {
+              batches: {
+                _id: new mongoose.Types.ObjectId(),
+                batchNumber: OPENING_BATCH_NUMBER,
+                quantity: Math.floor(quantity),
+                expiryDate,
+                receivedAt: medicine.updatedAt || medicine.createdAt || new Date()
+              }
+            },
+            $unset: { stock: '' }
+          }
+        );
+      }
+      stats.moved += 1;
+    } catch (error) {
+      console.error(`Failed to migrate medicine ${medicine._id}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const expiryDate = readExpiry();
+  if (!expiryDate) {
+    console.error('--expiry must be a date, e.g. --expiry=2027-12-31');
+    process.exitCode = 1;
+    return;
+  }
+
+  const quantity = readQuantity();
+  if (quantity === null) {
+    console.error('--quantity must be a whole number, e.g. --quantity=50');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB database connected${dryRun ? ' (dry run)' : ''}`);
+    console.log(`Opening batches expire on ${expiryDate.toISOString().slice(0, 10)}`);
+
+    const stats = await migrate({ expiryDate, quantity, dryRun });
+    console.log('Migration finished:', stats);
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+// Only when started from the command line, not when the tests import migrate
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  run();
+}
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Booking Index Migration
+ * @description One-off migration for the unique booking index. It used to
+ * cover every booking, so a patient who cancelled could never book the same
+ * doctor on that day again. The index now leaves cancelled bookings out, but
+ * MongoDB keeps the old definition until it is dropped and built again.
+ *
+ * Usage:
+ *   node scripts/rebuildBookingIndexes.js [--dry-run]
+ *
+ * --dry-run  report what would change without writing anything
+ *
+ * Safe to run more than once: an index that already leaves cancelled
+ * bookings out is kept.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Booking from '../models/BookingSchema.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+const INDEX_NAME = 'doctor_1_user_1_appointmentDate_1';
+
+const migrate = async () => {
+  const stats = { dropped: 0, kept: 0 };
+
+  const indexes = await Booking.collection.indexes();
+  const current = indexes.find(index => index.name === INDEX_NAME);
+
+  if (current && !current.partialFilterExpression) {
+    console.log(`Dropping ${INDEX_NAME}: it still counts cancelled bookings`);
+    if (!dryRun) {
+      await Booking.collection.dropIndex(INDEX_NAME);
+    }
+    stats.dropped += 1;
+  } else if (current) {
+    console.log(`${INDEX_NAME} already leaves cancelled bookings out`);
+    stats.kept += 1;
+  }
+
+  if (!dryRun) {
+    await Booking.syncIndexes();
+    console.log('Booking indexes synced');
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log(`MongoDB database connected${dryRun ? ' (dry run)' : ''}`);
+
+    const stats = await migrate();
+    console.log('Migration finished:', stats);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
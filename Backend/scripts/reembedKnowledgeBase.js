@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Knowledge Base Re-embedding
+ * @description Rebuilds the stored embeddings of the medical knowledge base with
+ * the configured embedding provider (EMBEDDING_PROVIDER). Run it after switching
+ * providers or editing knowledge entries so the first chatbot request after a
+ * deploy does not have to do the work. Entries whose text and provider are
+ * unchanged are left alone unless --force is given.
+ *
+ * Usage:
+ *   node scripts/reembedKnowledgeBase.js [--force] [--reports] [--dry-run]
+ *
+ * --force    re-embed every knowledge entry, even unchanged ones
+ * --reports  also re-embed uploaded report chunks made by another provider;
+ *            until then those chunks are skipped by report search
+ * --dry-run  only count what is out of date
+ *
+ * Safe to run more than once.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Embedding from '../models/EmbeddingSchema.js';
+import ragService from '../services/ragService.js';
+import { getEmbeddingProvider } from '../services/embeddingService.js';
+
+dotenv.config();
+
+const force = process.argv.includes('--force');
+const includeReports = process.argv.includes('--reports');
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Re-embed report chunks that another provider made
+ * @async
+ * @param {Object} provider - Configured embedding provider
+ * @returns {Promise<{reembedded: number, failed: number}>}
+ */
+const reembedReports = async (provider) => {
+  const stats = { reembedded: 0, failed: 0 };
+  const stale = { source: 'report', model: { $ne: provider.id } };
+
+  if (dryRun) {
+    stats.reembedded = await Embedding.countDocuments(stale);
+    return stats;
+  }
+
+  for await (const chunk of Embedding.find(stale).select('text').lean().cursor()) {
+    try {
+      const embedding = await provider.embed(chunk.text);
+      await Embedding.updateOne({ _id: chunk._id }, { $set: { embedding, model: provider.id } });
+      stats.reembedded += 1;
+    } catch (error) {
+      console.error(`Failed to re-embed report chunk ${chunk._id}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    const provider = getEmbeddingProvider();
+    console.log(`MongoDB database connected, embedding with ${provider.id}${dryRun ? ' (dry run)' : ''}`);
+
+    let failed = 0;
+
+    if (dryRun) {
+      const stale = await Embedding.countDocuments({ source: 'knowledge', model: { $ne: provider.id } });
+      console.log(`Knowledge entries made by another provider: ${stale}`);
+    } else {
+      const stats = await ragService.syncKnowledgeEmbeddings({ force });
+      console.log('Knowledge base:', stats);
+      failed += stats.failed + stats.unsaved;
+    }
+
+    if (includeReports) {
+      const stats = await reembedReports(provider);
+      console.log(`Report chunks${dryRun ? ' out of date' : ''}:`, stats);
+      failed += stats.failed;
+    }
+
+    process.exitCode = failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('Re-embedding failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
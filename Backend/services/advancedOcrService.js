@@ -329,12 +329,12 @@ class AdvancedOcrService {
       .replace(/(\d+)\s*u\s*\/\s*l/gi, '$1 U/L')       // U/L formatting
       
       // Clean up spacing and formatting
-      .replace(/\s{2,}/g, ' ')                   // Multiple spaces to single
+      .replace(/[^\S\n]{2,}/g, ' ')              // Multiple spaces to single, keeping line breaks
       .replace(/\n{3,}/g, '\n\n')               // Multiple newlines to double
       .replace(/([.!?])\s*\n\s*/g, '$1\n\n')    // Proper paragraph spacing
       
-      // Remove page markers that are less useful
-      .replace(/=== PAGE \d+ ===/g, '\n--- Page Break ---\n')
+      // Keep page numbers so answers can cite the page a value came from
+      .replace(/=== PAGE (\d+) ===/g, '\n--- Page $1 ---\n')
       
       .trim();
     
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Ambulance Dispatch Service
+ * @description Finds the available ambulance drivers closest to a pickup
+ * point by straight-line (great-circle) distance, using the 2dsphere index on
+ * AmbulanceDriver.position. The search radius widens step by step, as set in
+ * config/dispatchPolicy.js, until at least one driver is found.
+ *
+ * With automatic dispatch a new request is offered to the closest driver for
+ * a limited time. When the offer is declined or expires it cascades to the
+ * next closest driver; once nobody is left the request waits for a dispatcher.
+ * Every change is published to the request's live tracking.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import AmbulanceDriver from '../models/AmbulanceDriver.js';
+import AmbulanceRequest from '../models/AmbulanceRequest.js';
+import { getDispatchPolicy } from '../config/dispatchPolicy.js';
+import { publishRequestUpdate } from './ambulanceTrackingService.js';
+
+const METERS_PER_KM = 1000;
+
+// How often expired offers are swept while the server runs; offers last
+// seconds rather than minutes, so this is much tighter than the waitlist's
+const SWEEP_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Search radii to try, smallest first
+ * @param {Object} policy - Dispatch policy
+ * @returns {number[]} Radii in km, ending with the maximum
+ */
+export const searchRadii = ({ searchRadiusKm, maxSearchRadiusKm, radiusGrowthFactor }) => {
+  const radii = [];
+  for (let radius = searchRadiusKm; radius < maxSearchRadiusKm; radius *= radiusGrowthFactor) {
+    radii.push(radius);
+  }
+  radii.push(maxSearchRadiusKm);
+  return radii;
+};
+
+/**
+ * Available drivers within a radius, closest first
+ * @async
+ * @param {{latitude: number, longitude: number}} point - Pickup point
+ * @param {number} radiusKm - Search radius
+ * @param {number} limit - Most drivers to return
+ * @param {Array} excludeDriverIds - Drivers to leave out
+ * @returns {Promise<Object[]>} Drivers with distanceMeters added
+ */
+const driversWithin = (point, radiusKm, limit, excludeDriverIds) =>
+  AmbulanceDriver.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [Number(point.longitude), Number(point.latitude)] },
+        key: 'position',
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * METERS_PER_KM,
+        spherical: true,
+        query: excludeDriverIds.length > 0
+          ? { status: 'available', _id: { $nin: excludeDriverIds } }
+          : { status: 'available' }
+      }
+    },
+    { $limit: limit },
+    // Aggregation ignores select: false, so leave the password out here
+    { $project: { __v: 0, password: 0 } }
+  ]);
+
+/**
+ * Available drivers closest to a pickup point. The search starts at the
+ * policy's radius and widens until someone is found or the maximum radius is
+ * reached; only drivers inside the radius where the first one was found are
+ * returned. Drivers who have never reported a position are not considered.
+ * @async
+ * @param {{latitude: number, longitude: number}} point - Pickup point
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm] - First radius, instead of the policy's
+ * @param {number} [options.maxRadiusKm] - Largest radius, instead of the policy's; the same as radiusKm for a single search
+ * @param {number} [options.limit] - Most drivers to return, instead of the policy's
+ * @param {Array} [options.excludeDriverIds] - Drivers to leave out
+ * @returns {Promise<{drivers: Object[], radiusKm: number}>} Drivers closest first, with the radius they were found in
+ */
+export const findNearestDrivers = async (point, options = {}) => {
+  const policy = getDispatchPolicy();
+  const searchRadiusKm = options.radiusKm || policy.searchRadiusKm;
+  const radii = searchRadii({
+    ...policy,
+    searchRadiusKm,
+    maxSearchRadiusKm: Math.max(searchRadiusKm, options.maxRadiusKm || policy.maxSearchRadiusKm)
+  });
+  const maxRadiusKm = radii[radii.length - 1];
+
+  // One search out to the maximum; closest first, so the nearest driver
+  // decides how far the search had to widen
+  const drivers = await driversWithin(
+    point,
+    maxRadiusKm,
+    options.limit || policy.nearbyDriverLimit,
+    options.excludeDriverIds || []
+  );
+  if (drivers.length === 0) {
+    return { drivers: [], radiusKm: maxRadiusKm };
+  }
+
+  const radiusKm = radii.find(radius => drivers[0].distanceMeters <= radius * METERS_PER_KM) ?? maxRadiusKm;
+  return {
+    drivers: drivers.filter(driver => driver.distanceMeters <= radiusKm * METERS_PER_KM),
+    radiusKm
+  };
+};
+
+/**
+ * Offer a request to the closest available driver who has not had it yet.
+ * Drivers holding an offer for another request are skipped. When nobody is
+ * left the request goes back to pending for a dispatcher. Saves and publishes the request.
+ * @async
+ * @param {Object} request - AmbulanceRequest document, pending or offered
+ * @returns {Promise<Object|null>} The request with its new offer, or null if nobody was offered it
+ */
+export const offerToNextDriver = async (request) => {
+  const busyWithOffers = await AmbulanceRequest.distinct('offer.driverId', {
+    _id: { $ne: request._id },
+    status: 'offered'
+  });
+
+  const { drivers: [driver] } = await findNearestDrivers(request.coordinates, {
+    limit: 1,
+    excludeDriverIds: [...request.pastOffers.map(offer => offer.driverId), ...busyWithOffers]
+  });
+
+  if (!driver) {
+    request.offer = undefined;
+    if (request.status !== 'pending') {
+      request.setStatus('pending', { actorRole: 'system', note: 'No nearby driver accepted, waiting for a dispatcher' });
+    }
+    await request.save();
+    await publishRequestUpdate(request);
+    return null;
+  }
+
+  const { offerSeconds } = getDispatchPolicy();
+  const offeredAt = new Date();
+
+  request.offer = {
+    driverId: driver._id,
+    distanceMeters: Math.round(driver.distanceMeters),
+    offeredAt,
+    expiresAt: new Date(offeredAt.getTime() + offerSeconds * 1000)
+  };
+  request.setStatus('offered', { actorRole: 'system', note: `Offered to ${driver.driverName}` });
+  await request.save();
+  await publishRequestUpdate(request);
+
+  return request;
+};
+
+/**
+ * Query matching a request only while the offer it was loaded with is still
+ * open. Updates through it are atomic, so when a driver answers just as the
+ * offer expires or is withdrawn, only one of them wins.
+ * @param {Object} request - AmbulanceRequest document with an open offer
+ * @param {boolean} expired - Match the offer only once it has expired, instead of only before
+ * @returns {Object} Query for findOneAndUpdate
+ */
+const openOfferQuery = (request, expired = false) => ({
+  _id: request._id,
+  status: 'offered',
+  'offer.driverId': request.offer.driverId,
+  'offer.expiresAt': expired ? { $lte: new Date() } : { $gt: new Date() }
+});
+
+/**
+ * Past offer entry for the offer a request holds
+ * @param {Object} offer - The request's open offer
+ * @param {'accepted'|'declined'|'expired'|'withdrawn'} outcome - How the offer ended
+ * @returns {Object} Entry for pastOffers
+ */
+const pastOffer = (offer, outcome) => ({
+  driverId: offer.driverId,
+  offeredAt: offer.offeredAt,
+  closedAt: new Date(),
+  outcome
+});
+
+/**
+ * Record the outcome of the open offer and clear it. Does not save.
+ * @param {Object} request - AmbulanceRequest document with an open offer
+ * @param {'accepted'|'declined'|'expired'|'withdrawn'} outcome - How the offer ended
+ * @returns {Object} The request
+ */
+export const endOffer = (request, outcome) => {
+  request.pastOffers.push(pastOffer(request.offer, outcome));
+  request.offer = undefined;
+  return request;
+};
+
+/**
+ * Assign a request to the driver who accepted its offer, provided the offer
+ * is still open and has not expired. Does not change the driver.
+ * @async
+ * @param {Object} request - AmbulanceRequest document in "offered" status
+ * @param {Object} driver - The driver the request was offered to
+ * @returns {Promise<Object|null>} The assigned request, or null if the offer was no longer open
+ */
+export const acceptOpenOffer = (request, driver) =>
+  AmbulanceRequest.findOneAndUpdate(
+    openOfferQuery(request),
+    {
+      $set: { status: 'assigned', driverId: driver._id },
+      $unset: { offer: '' },
+      $push: {
+        pastOffers: pastOffer(request.offer, 'accepted'),
+        statusHistory: {
+          status: 'assigned',
+          actor: driver._id,
+          actorRole: 'driver',
+          note: `Accepted by ${driver.driverName}`,
+          at: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+
+/**
+ * Close an open offer that fell through (declined, expired, or the driver is
+ * no longer available) and pass the request on. Nothing happens when the
+ * offer was answered, expired or withdrawn in the meantime.
+ * @async
+ * @param {Object} request - AmbulanceRequest document in "offered" status
+ * @param {'declined'|'expired'|'withdrawn'} outcome - How the offer ended
+ * @returns {Promise<boolean>} Whether the offer was still open and is now closed
+ */
+export const closeOffer = async (request, outcome) => {
+  const closed = await AmbulanceRequest.findOneAndUpdate(
+    openOfferQuery(request, outcome === 'expired'),
+    {
+      $unset: { offer: '' },
+      $push: { pastOffers: pastOffer(request.offer, outcome) }
+    },
+    { new: true }
+  );
+  if (!closed) return false;
+
+  await offerToNextDriver(closed);
+  return true;
+};
+
+/**
+ * Expire every offer whose time is up, cascading each request to the next driver
+ * @async
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireOffers = async () => {
+  const expired = await AmbulanceRequest.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  let count = 0;
+  for (const request of expired) {
+    // Another sweep or the driver's answer may have got there first
+    if (await closeOffer(request, 'expired')) {
+      count += 1;
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Periodically expire unanswered offers so requests keep moving to the next driver
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startDispatchSweeper = () => {
+  const timer = setInterval(() => {
+    expireOffers().catch(error => console.error('Dispatch sweep error:', error));
+  }, SWEEP_INTERVAL_MS);
+
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Ambulance Tracking Service
+ * @description Live view of an ambulance request: its status, where the
+ * driver is and roughly when they will reach the pickup point. Snapshots are
+ * pushed through the socket server (services/ambulanceTrackingSocket.js) to
+ * everyone following the request, the patient who made it and its driver, and
+ * to dispatchers, who follow every request. Without a socket server (scripts,
+ * serverless deployments) publishing does nothing and clients poll
+ * GET /ambulance/request/:id, which returns the same snapshot.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import AmbulanceRequest from '../models/AmbulanceRequest.js';
+import { getDispatchPolicy } from '../config/dispatchPolicy.js';
+
+// Event carrying a tracking snapshot
+export const TRACKING_EVENT = 'ambulance:update';
+
+// Dispatchers follow every request from here
+export const DISPATCH_ROOM = 'ambulance-dispatch';
+
+// Driver fields a snapshot is built from
+export const TRACKING_DRIVER_FIELDS = 'driverName phone position positionUpdatedAt heading';
+
+// Statuses in which the patient can see their driver
+const TRACKED_STATUSES = ['assigned', 'en_route', 'arrived', 'transporting'];
+
+// Statuses in which the driver is still heading to the pickup point
+const TO_PICKUP_STATUSES = ['assigned', 'en_route'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+let trackingServer = null;
+
+/**
+ * Room for everyone following one request
+ * @param {*} requestId - Request ID
+ * @returns {string} Room name
+ */
+export const requestRoom = (requestId) => `ambulance-request:${requestId}`;
+
+/**
+ * Use a socket server for publishing; called once it is listening
+ * @param {Object|null} server - socket.io server, or null to stop publishing
+ */
+export const setTrackingServer = (server) => {
+  trackingServer = server;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} Distance in meters
+ */
+export const distanceBetween = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * A driver's last reported position
+ * @param {Object} driver - AmbulanceDriver document or plain object
+ * @returns {{latitude: number, longitude: number, heading: number|null, updatedAt: Date}|null}
+ */
+const driverPosition = (driver) => {
+  const coordinates = driver?.position?.coordinates;
+  if (!coordinates || coordinates.length !== 2) return null;
+
+  return {
+    latitude: coordinates[1],
+    longitude: coordinates[0],
+    heading: driver.heading ?? null,
+    updatedAt: driver.positionUpdatedAt
+  };
+};
+
+/**
+ * Estimated time for the driver to reach the pickup point, at the policy's
+ * average speed over the straight-line distance
+ * @param {Object} request - AmbulanceRequest document
+ * @param {{latitude: number, longitude: number}|null} position - Driver's position
+ * @returns {{distanceMeters: number, minutes: number}|null} Null once the driver is at the pickup, or without a position
+ */
+export const estimateArrival = (request, position) => {
+  if (!position || !TO_PICKUP_STATUSES.includes(request.status)) return null;
+
+  const meters = distanceBetween(position, request.coordinates);
+  const { averageSpeedKmh } = getDispatchPolicy();
+  return {
+    distanceMeters: Math.round(meters),
+    minutes: Math.max(1, Math.ceil((meters / 1000 / averageSpeedKmh) * 60))
+  };
+};
+
+/**
+ * What the patient and dispatchers see of a request. The driver is only
+ * included once they have taken the request.
+ * @param {Object} request - AmbulanceRequest document with driverId populated
+ * @returns {Object} Request ID, status, pickup point, driver with position, and arrival estimate
+ */
+export const trackingSnapshot = (request) => {
+  const driver = TRACKED_STATUSES.includes(request.status) && request.driverId?.driverName
+    ? request.driverId
+    : null;
+  const position = driverPosition(driver);
+
+  return {
+    requestId: request._id.toString(),
+    status: request.status,
+    statusChangedAt: request.statusHistory?.at(-1)?.at || request.createdAt,
+    pickup: {
+      latitude: request.coordinates.latitude,
+      longitude: request.coordinates.longitude
+    },
+    driver: driver
+      ? {
+          _id: driver._id.toString(),
+          driverName: driver.driverName,
+          phone: driver.phone,
+          position
+        }
+      : null,
+    eta: estimateArrival(request, position)
+  };
+};
+
+/**
+ * Load a request ready for a snapshot
+ * @async
+ * @param {*} requestId - Request ID
+ * @returns {Promise<Object|null>} Request with its driver populated
+ */
+export const findTrackedRequest = (requestId) =>
+  AmbulanceRequest.findById(requestId).populate('driverId', TRACKING_DRIVER_FIELDS);
+
+const idOf = (value) => (value?._id ?? value)?.toString();
+
+/**
+ * Whether someone may follow a request: dispatchers follow every request,
+ * patients their own, and drivers the ones assigned to them
+ * @param {Object} request - AmbulanceRequest document
+ * @param {{userId: string, role: string}} viewer - From the viewer's token
+ * @returns {boolean}
+ */
+export const canTrackRequest = (request, { userId, role }) => {
+  if (role === 'admin') return true;
+  if (role === 'driver') return idOf(request.driverId) === userId;
+  return idOf(request.userId) === userId;
+};
+
+const emitSnapshot = (snapshot) => {
+  trackingServer.to(requestRoom(snapshot.requestId)).to(DISPATCH_ROOM).emit(TRACKING_EVENT, snapshot);
+};
+
+/**
+ * Push a request's current state to everyone following it. Never throws;
+ * live updates must not fail the change that caused them.
+ * @async
+ * @param {Object} request - AmbulanceRequest document that was just saved
+ * @returns {Promise<void>}
+ */
+export const publishRequestUpdate = async (request) => {
+  if (!trackingServer) return;
+
+  try {
+    const tracked = await findTrackedRequest(request._id);
+    if (tracked) {
+      emitSnapshot(trackingSnapshot(tracked));
+    }
+  } catch (error) {
+    console.error('Ambulance tracking publish error:', error);
+  }
+};
+
+/**
+ * Tell everyone following a request that it was cancelled
+ * @param {*} requestId - Request ID
+ */
+export const publishRequestRemoved = (requestId) => {
+  if (!trackingServer) return;
+
+  emitSnapshot({ requestId: requestId.toString(), removed: true });
+};
+
+/**
+ * Push a driver's new position, with fresh arrival estimates, to the
+ * requests they are working on. Never throws.
+ * @async
+ * @param {Object} driver - AmbulanceDriver document with its new position
+ * @returns {Promise<void>}
+ */
+export const publishDriverPosition = async (driver) => {
+  if (!trackingServer) return;
+
+  try {
+    const requests = await AmbulanceRequest.find({
+      driverId: driver._id,
+      status: { $in: TRACKED_STATUSES }
+    }).populate('driverId', TRACKING_DRIVER_FIELDS);
+
+    requests.forEach(request => emitSnapshot(trackingSnapshot(request)));
+  } catch (error) {
+    console.error('Ambulance tracking publish error:', error);
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Ambulance Tracking Socket
+ * @description socket.io server pushing live ambulance tracking to browsers.
+ * Clients connect with their JWT in the handshake (`auth: { token }`), then:
+ * - emit `tracking:join` with a request ID to follow it; the acknowledgement
+ *   is `{ success, data }` with the current snapshot, or `{ success, message }`
+ * - emit `tracking:leave` with a request ID to stop following it
+ * - receive `ambulance:update` with a snapshot on every change, or
+ *   `{ requestId, removed: true }` once a request is cancelled
+ * Admins follow every request from the moment they connect.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import { Server } from 'socket.io';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import {
+  DISPATCH_ROOM,
+  requestRoom,
+  setTrackingServer,
+  findTrackedRequest,
+  canTrackRequest,
+  trackingSnapshot
+} from './ambulanceTrackingService.js';
+
+/**
+ * Check the token a socket connects with, as the auth middleware does for requests
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Accepts the connection, or refuses it with an error
+ */
+const authenticateSocket = (socket, next) => {
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return next(new Error('No token, authorization denied'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
+    socket.data.userId = decoded.id;
+    socket.data.role = decoded.role;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token'));
+  }
+};
+
+/**
+ * Start the tracking socket server on the HTTP server the API listens on
+ * @param {import('http').Server} httpServer - Server returned by app.listen
+ * @returns {Server} socket.io server
+ */
+export const startTrackingSocket = (httpServer) => {
+  const io = new Server(httpServer, {
+    cors: { origin: true, credentials: true }
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    if (socket.data.role === 'admin') {
+      socket.join(DISPATCH_ROOM);
+    }
+
+    socket.on('tracking:join', async (requestId, ack = () => {}) => {
+      try {
+        const request = mongoose.isValidObjectId(requestId) ? await findTrackedRequest(requestId) : null;
+        if (!request) {
+          return ack({ success: false, message: 'Request not found' });
+        }
+
+        if (!canTrackRequest(request, socket.data)) {
+          return ack({ success: false, message: "You're not authorized" });
+        }
+
+        socket.join(requestRoom(requestId));
+        ack({ success: true, data: trackingSnapshot(request) });
+      } catch (error) {
+        console.error('Ambulance tracking join error:', error);
+        ack({ success: false, message: error.message });
+      }
+    });
+
+    socket.on('tracking:leave', (requestId) => {
+      socket.leave(requestRoom(requestId));
+    });
+  });
+
+  setTrackingServer(io);
+  return io;
+};
@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Doctor Availability Service
+ * @description Generates bookable appointment slots from a doctor's weekly
+ * schedule, slot length, breaks and leave (blackout) dates, and reserves slots
+ * atomically so a slot can only ever be held by one booking.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import SlotReservation from '../models/SlotReservationSchema.js';
+import Booking from '../models/BookingSchema.js';
+import { notifyUser } from './notificationService.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convert an HH:mm string to minutes since midnight
+ * @param {string} time - Time in HH:mm (24h) form
+ * @returns {number} Minutes since midnight
+ */
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight back to an HH:mm string
+ * @param {number} total - Minutes since midnight
+ * @returns {string} Time in HH:mm (24h) form
+ */
+export const fromMinutes = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+const to12Hour = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${String(displayHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Human readable slot label, e.g. "09:00 AM - 09:30 AM"
+ * @param {string} start - Slot start in HH:mm
+ * @param {string} end - Slot end in HH:mm
+ * @returns {string} Slot label in the same format as legacy time slots
+ */
+export const formatSlotLabel = (start, end) => `${to12Hour(start)} - ${to12Hour(end)}`;
+
+/**
+ * Parse a legacy free-form slot such as "09:00 AM - 10:00 AM"
+ * @param {string} slot - Legacy time slot string
+ * @returns {{start: string, end: string}|null} Parsed range or null if unreadable
+ */
+export const parseLegacySlot = (slot) => {
+  const match = /^\s*(\d{1,2}):(\d{2})\s*(AM|PM)\s*-\s*(\d{1,2}):(\d{2})\s*(AM|PM)\s*$/i.exec(slot || '');
+  if (!match) return null;
+
+  const to24 = (hours, minutes, suffix) => {
+    let h = Number(hours) % 12;
+    if (suffix.toUpperCase() === 'PM') h += 12;
+    return `${String(h).padStart(2, '0')}:${minutes}`;
+  };
+
+  return {
+    start: to24(match[1], match[2], match[3]),
+    end: to24(match[4], match[5], match[6])
+  };
+};
+
+/**
+ * Normalise a date (Date or string) to a YYYY-MM-DD calendar key
+ * @param {Date|string} date - Appointment date
+ * @returns {string|null} Calendar key or null if the date is invalid
+ */
+export const toDateKey = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().split('T')[0];
+};
+
+/**
+ * Validate a schedule payload before it is stored on a doctor
+ * @param {Object} schedule - { weeklySchedule, slotDuration, breaks }
+ * @returns {string|null} Error message, or null when the schedule is valid
+ */
+export const validateSchedule = ({ weeklySchedule = [], slotDuration, breaks = [] }) => {
+  const duration = Number(slotDuration);
+  if (slotDuration !== undefined && (!Number.isInteger(duration) || duration < 5 || duration > 240)) {
+    return 'Slot duration must be between 5 and 240 minutes';
+  }
+
+  const checkRanges = (ranges, name) => {
+    for (const range of ranges) {
+      if (range.day !== undefined && range.day !== null && !(Number.isInteger(range.day) && range.day >= 0 && range.day <= 6)) {
+        return `Invalid day in ${name}`;
+      }
+      if (!TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+        return `Times in ${name} must use HH:mm format`;
+      }
+      if (toMinutes(range.start) >= toMinutes(range.end)) {
+        return `Each ${name} entry must end after it starts`;
+      }
+    }
+    return null;
+  };
+
+  if (weeklySchedule.some(entry => entry.day === undefined || entry.day === null)) {
+    return 'Every schedule entry needs a day';
+  }
+
+  return checkRanges(weeklySchedule, 'schedule') || checkRanges(breaks, 'breaks');
+};
+
+/**
+ * Find the blackout (leave, holiday, conference) covering a date
+ * @param {Object} doctor - Doctor document
+ * @param {Date|string} date - Appointment date
+ * @returns {Object|null} The covering blackout or null if the doctor works that day
+ */
+export const findBlackout = (doctor, date) => {
+  const dateKey = toDateKey(date);
+  if (!dateKey) return null;
+
+  return (doctor.blackouts || []).find(blackout =>
+    toDateKey(blackout.startDate) <= dateKey && dateKey <= toDateKey(blackout.endDate)
+  ) || null;
+};
+
+/**
+ * Working ranges for a weekday. Doctors without a weekly schedule fall back
+ * to their legacy timeSlots, which apply to every day.
+ */
+const getWorkingRanges = (doctor, day) => {
+  if (doctor.weeklySchedule && doctor.weeklySchedule.length > 0) {
+    return doctor.weeklySchedule.filter(entry => entry.day === day);
+  }
+
+  return (doctor.timeSlots || []).map(parseLegacySlot).filter(Boolean);
+};
+
+/**
+ * Generate every slot a doctor works on a given date, ignoring reservations
+ * @param {Object} doctor - Doctor document
+ * @param {Date|string} date - Appointment date
+ * @returns {Array<{start: string, end: string, label: string}>} Slots ordered by start time
+ */
+export const generateSlots = (doctor, date) => {
+  const dateKey = toDateKey(date);
+  if (!dateKey || findBlackout(doctor, dateKey)) return [];
+
+  const day = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  const usesSchedule = doctor.weeklySchedule && doctor.weeklySchedule.length > 0;
+  const breaks = (doctor.breaks || []).filter(b => b.day === undefined || b.day === null || b.day === day);
+  const slots = [];
+
+  for (const range of getWorkingRanges(doctor, day)) {
+    const rangeStart = toMinutes(range.start);
+    const rangeEnd = toMinutes(range.end);
+    // Legacy slots are booked as a whole, scheduled hours are cut into slots
+    const length = usesSchedule ? (doctor.slotDuration || 30) : rangeEnd - rangeStart;
+
+    for (let start = rangeStart; start + length <= rangeEnd; start += length) {
+      const end = start + length;
+      const overlapsBreak = breaks.some(b => start < toMinutes(b.end) && end > toMinutes(b.start));
+      if (overlapsBreak) continue;
+
+      const startTime = fromMinutes(start);
+      const endTime = fromMinutes(end);
+      slots.push({ start: startTime, end: endTime, label: formatSlotLabel(startTime, endTime) });
+    }
+  }
+
+  // Drop duplicates from overlapping schedule entries
+  return slots
+    .filter((slot, index, all) => all.findIndex(s => s.start === slot.start) === index)
+    .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+};
+
+/**
+ * Find the generated slot matching a requested time
+ * @param {Object} doctor - Doctor document
+ * @param {Date|string} date - Appointment date
+ * @param {string} time - Slot start (HH:mm) or slot label
+ * @returns {Object|null} Matching slot or null if the doctor has no such slot
+ */
+export const findSlot = (doctor, date, time) => {
+  if (!time) return null;
+  return generateSlots(doctor, date).find(slot => slot.start === time || slot.label === time) || null;
+};
+
+/**
+ * Generated slots for a date with their current availability
+ * @async
+ * @param {Object} doctor - Doctor document
+ * @param {Date|string} date - Appointment date
+ * @returns {Promise<Array<{start: string, end: string, label: string, available: boolean}>>}
+ */
+export const getAvailableSlots = async (doctor, date) => {
+  const dateKey = toDateKey(date);
+  const slots = generateSlots(doctor, dateKey);
+  if (slots.length === 0) return [];
+
+  const reservations = await SlotReservation.find({ doctor: doctor._id, date: dateKey }).select('start');
+  const taken = new Set(reservations.map(r => r.start));
+
+  return slots.map(slot => ({ ...slot, available: !taken.has(slot.start) }));
+};
+
+/**
+ * Atomically reserve a slot for a booking
+ * @async
+ * @param {string} doctorId - Doctor ID
+ * @param {Date|string} date - Appointment date
+ * @param {string} start - Slot start in HH:mm
+ * @param {string} bookingId - Booking that will hold the slot
+ * @returns {Promise<Object|null>} The reservation, or null if the slot is already taken
+ */
+export const reserveSlot = async (doctorId, date, start, bookingId) => {
+  try {
+    return await SlotReservation.create({
+      doctor: doctorId,
+      date: toDateKey(date),
+      start,
+      booking: bookingId
+    });
+  } catch (error) {
+    // Duplicate key: someone else holds this slot
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Move a booking to another slot. The new slot is reserved first so the
+ * booking never ends up without one if the target is already taken.
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @param {string} doctorId - Doctor ID
+ * @param {Date|string} date - New appointment date
+ * @param {string} start - New slot start in HH:mm
+ * @returns {Promise<Object|null>} The new reservation, or null if the slot is taken
+ */
+export const moveSlot = async (bookingId, doctorId, date, start) => {
+  const current = await SlotReservation.findOne({ booking: bookingId, doctor: doctorId, date: toDateKey(date), start });
+  if (current) return current;
+
+  const reservation = await reserveSlot(doctorId, date, start, bookingId);
+  if (!reservation) return null;
+
+  await SlotReservation.deleteMany({ booking: bookingId, _id: { $ne: reservation._id } });
+  return reservation;
+};
+
+/**
+ * Release whatever slot a booking is holding
+ * @async
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<void>}
+ */
+export const releaseSlot = async (bookingId) => {
+  await SlotReservation.deleteMany({ booking: bookingId });
+};
+
+/**
+ * Move every open booking inside a blackout to "needs_reschedule", give their
+ * slots back and tell the affected patients
+ * @async
+ * @param {Object} doctor - Doctor document
+ * @param {Object} blackout - { startDate, endDate, reason }
+ * @returns {Promise<Object[]>} The bookings that were flagged
+ */
+export const flagBookingsForBlackout = async (doctor, blackout) => {
+  const from = new Date(`${toDateKey(blackout.startDate)}T00:00:00.000Z`);
+  const to = new Date(`${toDateKey(blackout.endDate)}T23:59:59.999Z`);
+
+  const bookings = await Booking.find({
+    doctor: doctor._id,
+    status: { $in: ['pending', 'approved'] },
+    appointmentDate: { $gte: from, $lte: to }
+  });
+
+  for (const booking of bookings) {
+    booking.setStatus('needs_reschedule', {
+      actor: doctor._id,
+      actorRole: 'doctor',
+      note: blackout.reason
+    });
+    booking.rescheduleReason = blackout.reason;
+    await booking.save();
+    await releaseSlot(booking._id);
+
+    await notifyUser(booking.user, {
+      title: 'Appointment needs to be rescheduled',
+      message: `Dr. ${doctor.name} is unavailable on ${toDateKey(booking.appointmentDate)} (${blackout.reason}). Please choose a new time for your appointment.`,
+      booking: booking._id
+    });
+  }
+
+  return bookings;
+};
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Doctor Recommendations for Chatbot Conversations
+ * @description Works out which specialization fits what the patient told the
+ * chatbot, finds approved doctors of that specialization who are taking
+ * appointments, and writes the short summary carried into the booking form
+ * as the problem. Matching rules live in config/specializations.js.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import Doctor from '../models/DoctorSchema.js';
+import { triageSymptoms } from './triageService.js';
+import {
+  GENERAL_SPECIALIZATION,
+  CHILD_SPECIALIZATION,
+  CHILD_AGE_LIMIT,
+  SPECIALIZATION_KEYWORDS,
+  SYMPTOM_SPECIALIZATIONS,
+  normalizeSpecialization
+} from '../config/specializations.js';
+
+// Patient messages the recommendation is based on, most recent last
+const RECENT_PATIENT_MESSAGES = 10;
+
+// Longest quote of the patient's own words in the booking summary
+const SUMMARY_QUOTE_LENGTH = 300;
+
+const DOCTOR_FIELDS = 'name photo specialization ticketPrice averageRating totalRating bio';
+
+/**
+ * What the patient said in the conversation
+ * @param {Object[]} messages - Chat messages, oldest first
+ * @returns {string[]} Recent patient messages
+ */
+const patientMessages = (messages) =>
+  messages
+    .filter(msg => msg.role === 'user')
+    .slice(-RECENT_PATIENT_MESSAGES)
+    .map(msg => msg.content.trim())
+    .filter(Boolean);
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+/**
+ * Duration as a patient would say it
+ * @param {number} days - Duration in days
+ * @returns {string} e.g. "6 hours", "3 days", "2 weeks"
+ */
+const describeDuration = (days) => {
+  if (days < 1) return plural(Math.max(1, Math.round(days * 24)), 'hour');
+  if (days < 14) return plural(Math.round(days), 'day');
+  if (days < 60) return plural(Math.round(days / 7), 'week');
+  return plural(Math.round(days / 30), 'month');
+};
+
+/**
+ * Specialization that fits a description of symptoms. A kind of doctor or
+ * body area the patient names wins, then a child's age, then the most
+ * urgent symptom; otherwise a general physician.
+ * @param {string} text - What the patient described
+ * @param {Object} [options]
+ * @param {number} [options.age] - Patient age in years, if known
+ * @returns {{specialization: string, reason: string, triage: Object}}
+ */
+export const inferSpecialization = (text, { age } = {}) => {
+  const triage = triageSymptoms(text, { age });
+  const lowered = (text || '').toLowerCase();
+
+  for (const { specialization, pattern } of SPECIALIZATION_KEYWORDS) {
+    const match = lowered.match(pattern);
+    if (match) {
+      return { specialization, reason: `You mentioned "${match[0]}".`, triage };
+    }
+  }
+
+  const { ageYears } = triage.modifiers;
+  if (ageYears !== null && ageYears < CHILD_AGE_LIMIT) {
+    return {
+      specialization: CHILD_SPECIALIZATION,
+      reason: `Children under ${CHILD_AGE_LIMIT} are best seen by a paediatrician.`,
+      triage
+    };
+  }
+
+  const symptom = triage.symptoms.find(item => SYMPTOM_SPECIALIZATIONS[item.id]);
+  if (symptom) {
+    return {
+      specialization: SYMPTOM_SPECIALIZATIONS[symptom.id],
+      reason: `Suggested for ${symptom.label.toLowerCase()}.`,
+      triage
+    };
+  }
+
+  return {
+    specialization: GENERAL_SPECIALIZATION,
+    reason: 'A general physician can assess your symptoms and refer you on if needed.',
+    triage
+  };
+};
+
+/**
+ * Summary of the conversation for the booking's problem field
+ * @param {Object[]} messages - Chat messages, oldest first
+ * @param {Object} [triage] - Triage of the patient's messages, if already done
+ * @returns {string} Empty if the patient has not said anything yet
+ */
+export const summarizeConversation = (messages, triage) => {
+  const said = patientMessages(messages);
+  if (said.length === 0) return '';
+
+  const { symptoms, modifiers } = triage || triageSymptoms(said.join('. '));
+  const parts = [];
+
+  if (symptoms.length > 0) {
+    const labels = symptoms.map(symptom => symptom.label.toLowerCase()).join(', ');
+    const duration = modifiers.durationDays ? ` for about ${describeDuration(modifiers.durationDays)}` : '';
+    parts.push(`Discussed with the AI assistant: ${labels}${duration}.`);
+  }
+
+  const quote = said.join(' ');
+  parts.push(`In my words: "${quote.length > SUMMARY_QUOTE_LENGTH ? `${quote.slice(0, SUMMARY_QUOTE_LENGTH).trim()}…` : quote}"`);
+
+  return parts.join(' ');
+};
+
+/**
+ * Approved doctors of a specialization who are taking appointments, best rated first
+ * @async
+ * @param {string} specialization - Specialization name
+ * @param {number} limit - Most doctors to return
+ * @returns {Promise<Object[]>} Doctor summaries
+ */
+const findAvailableDoctors = (specialization, limit) =>
+  Doctor.find({
+    isApproved: 'approved',
+    isAvailable: true,
+    specialization: { $in: normalizeSpecialization(specialization).map(spec => new RegExp(spec, 'i')) }
+  })
+    .select(DOCTOR_FIELDS)
+    .sort({ averageRating: -1, totalRating: -1 })
+    .limit(limit)
+    .lean();
+
+/**
+ * Doctors to suggest for a chatbot conversation. When no doctor of the
+ * fitting specialization is available, general physicians are suggested
+ * instead and `alternative` is set.
+ * @async
+ * @param {Object[]} messages - Chat messages, oldest first
+ * @param {Object} [options]
+ * @param {number} [options.limit=3] - Most doctors to suggest
+ * @returns {Promise<{specialization: string, reason: string, alternative: boolean, doctors: Object[], summary: string}>}
+ */
+export const recommendDoctors = async (messages, { limit = 3 } = {}) => {
+  const { specialization, reason, triage } = inferSpecialization(patientMessages(messages).join('. '));
+
+  let doctors = await findAvailableDoctors(specialization, limit);
+  let alternative = false;
+
+  if (doctors.length === 0 && specialization !== GENERAL_SPECIALIZATION) {
+    doctors = await findAvailableDoctors(GENERAL_SPECIALIZATION, limit);
+    alternative = doctors.length > 0;
+  }
+
+  return {
+    specialization,
+    reason,
+    alternative,
+    doctors,
+    summary: summarizeConversation(messages, triage)
+  };
+};
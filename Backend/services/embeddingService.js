@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Embedding Providers
+ * @description Turns text into vectors for retrieval. The provider is chosen
+ * with the EMBEDDING_PROVIDER environment variable:
+ * - medical (default): offline. Hashed term weights plus medical synonym
+ *   concepts, so "heart attack" and "myocardial infarction" land close together
+ * - hash: the original hashed bag-of-words vector, kept for comparison
+ * - gemini: the Gemini embedding API (needs GEMINI_API_KEY and uses quota;
+ *   calls share the Gemini request policy from llmProviders.js)
+ *
+ * Vectors from different providers cannot be compared, so every stored vector
+ * records the id of the provider that made it and retrieval skips the others.
+ * After switching providers run `npm run reembed` to rebuild stored vectors.
+ * Other providers can be added with registerEmbeddingProvider.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import { getLLMProvider } from './llmProviders.js';
+import MEDICAL_SYNONYMS from '../config/medicalSynonyms.js';
+
+const DEFAULT_PROVIDER = 'medical';
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} id - Identifies the vectors this provider makes; change it whenever they change
+ * @property {number} dimensions - Vector length
+ * @property {{knowledge: number, report: number}} minSimilarity - Weakest match worth returning
+ * @property {function(string): Promise<number[]>} embed - Embed one text
+ */
+
+// Words that carry no meaning for retrieval, including filler common to every medical text
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been',
+  'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had', 'has',
+  'have', 'having', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'me', 'might', 'more', 'most', 'my', 'of', 'on', 'or', 'other', 'our', 'she', 'should', 'so',
+  'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'too', 'very', 'was', 'we', 'were', 'what', 'when', 'which', 'while', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your', 'im', 'ive', 'feel', 'feeling', 'got', 'get', 'getting',
+  'may', 'often', 'usually', 'typically', 'include', 'including', 'common', 'cause', 'causes',
+  'caused', 'symptom', 'symptoms', 'condition', 'conditions', 'like', 'days', 'since', 'really'
+]);
+
+// Relative weight of each feature kind in the medical provider
+const UNIGRAM_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+const CONCEPT_WEIGHT = 3;
+
+/**
+ * Strip common English suffixes so "aches", "aching" and "ache" share a feature
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Lowercase, split on anything that is not a letter or digit, and stem
+ * @param {string} text - Raw text
+ * @returns {string[]} Stemmed tokens, stop words included
+ */
+const tokenize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+
+// First token -> [{ tokens, concept }], longest phrases first
+const synonymIndex = new Map();
+MEDICAL_SYNONYMS.forEach((terms, concept) => {
+  for (const term of terms) {
+    const tokens = tokenize(term);
+    if (tokens.length === 0) continue;
+    if (!synonymIndex.has(tokens[0])) synonymIndex.set(tokens[0], []);
+    synonymIndex.get(tokens[0]).push({ tokens, concept });
+  }
+});
+for (const entries of synonymIndex.values()) {
+  entries.sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+/**
+ * Concepts mentioned in a token list
+ * @param {string[]} tokens - Output of tokenize
+ * @returns {number[]} Concept indexes, once per mention
+ */
+const findConcepts = (tokens) => {
+  const concepts = [];
+
+  tokens.forEach((token, start) => {
+    for (const { tokens: phrase, concept } of synonymIndex.get(token) || []) {
+      if (phrase.every((word, offset) => tokens[start + offset] === word)) {
+        concepts.push(concept);
+      }
+    }
+  });
+
+  return concepts;
+};
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature name
+ * @returns {number} Unsigned hash
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const normalize = (vector) => {
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+};
+
+/**
+ * Offline provider: weighted, signed feature hashing of words, word pairs and
+ * synonym concepts. Term frequency is dampened (1 + ln tf) so long reports are
+ * not dominated by repeated words.
+ * @param {number} [dimensions=1536] - Vector length
+ * @returns {EmbeddingProvider}
+ */
+const createMedicalProvider = (dimensions = 1536) => ({
+  id: `medical-v1-${dimensions}`,
+  dimensions,
+  // Tuned with scripts/evaluateRetrieval.js; off-topic queries score below 0.08
+  minSimilarity: { knowledge: 0.1, report: 0.12 },
+  async embed(text) {
+    const tokens = tokenize(text);
+    const words = tokens.filter(token => !STOP_WORDS.has(token));
+    const features = new Map();
+    const add = (feature, weight) => {
+      const entry = features.get(feature) || { weight, count: 0 };
+      entry.count++;
+      features.set(feature, entry);
+    };
+
+    words.forEach((word, index) => {
+      add(`w:${word}`, UNIGRAM_WEIGHT);
+      if (index > 0) add(`b:${words[index - 1]} ${word}`, BIGRAM_WEIGHT);
+    });
+    findConcepts(tokens).forEach(concept => add(`c:${concept}`, CONCEPT_WEIGHT));
+
+    const vector = new Array(dimensions).fill(0);
+    for (const [feature, { weight, count }] of features) {
+      const hash = fnv1a(feature);
+      // The sign bit keeps colliding features from adding up
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % dimensions] += sign * weight * (1 + Math.log(count));
+    }
+
+    return normalize(vector);
+  }
+});
+
+/**
+ * The original hashed bag-of-words vector: each word adds weight by position
+ * to one of 1536 slots
+ * @param {string} text - Raw text
+ * @returns {number[]} Unit vector
+ */
+const hashEmbedding = (text) => {
+  const words = text.toLowerCase().split(/\s+/);
+  const embedding = new Array(1536).fill(0);
+
+  words.forEach((word, index) => {
+    // 32-bit Java-style string hash
+    let hash = 0;
+    for (let i = 0; i < word.length; i++) {
+      hash = ((hash << 5) - hash + word.charCodeAt(i)) | 0;
+    }
+    embedding[Math.abs(hash) % 1536] += 1 / (index + 1);
+  });
+
+  return normalize(embedding);
+};
+
+const providerFactories = new Map([
+  ['medical', () => createMedicalProvider()],
+  ['hash', () => ({
+    id: 'hash-v1',
+    dimensions: 1536,
+    minSimilarity: { knowledge: 0.6, report: 0.7 },
+    embed: async (text) => hashEmbedding(text)
+  })],
+  ['gemini', () => ({
+    id: 'gemini-text-embedding-004',
+    dimensions: 768,
+    minSimilarity: { knowledge: 0.6, report: 0.65 },
+    embed: (text) => getLLMProvider('gemini').embed(text)
+  })]
+]);
+
+const providers = new Map();
+
+/**
+ * Add or replace an embedding provider
+ * @param {string} name - Value of EMBEDDING_PROVIDER that selects it
+ * @param {function(): EmbeddingProvider} factory - Called once, on first use
+ */
+export const registerEmbeddingProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+};
+
+/**
+ * Names that EMBEDDING_PROVIDER accepts
+ * @returns {string[]}
+ */
+export const listEmbeddingProviders = () => [...providerFactories.keys()];
+
+/**
+ * The configured provider, or a named one. Read on every call because
+ * environment variables are loaded after modules are imported.
+ * @param {string} [name] - Provider name, defaults to EMBEDDING_PROVIDER
+ * @returns {EmbeddingProvider}
+ */
+export const getEmbeddingProvider = (name = process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER) => {
+  if (!providers.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown embedding provider "${name}". Available: ${listEmbeddingProviders().join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+
+  return providers.get(name);
+};
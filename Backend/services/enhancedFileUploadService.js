@@ -3,8 +3,39 @@ import fs from 'fs-extra';
 import path from 'path';
 import crypto from 'crypto';
 import Tesseract from 'tesseract.js';
-import GeminiService from './geminiService.js';
+import { getEmbeddingProvider } from './embeddingService.js';
 import advancedOcrService from './advancedOcrService.js';
+import { parseLabResults, parseReportDate } from './labResultParser.js';
+import {
+  saveDocumentChunks,
+  searchUserDocuments,
+  deleteSessionDocuments,
+  getStoreStats
+} from './vectorStoreService.js';
+
+// Target size of the text chunks that are embedded separately, and how much
+// of the end of one chunk is repeated at the start of the next
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 200;
+
+// Written before each page of extracted PDF text so chunks can cite page numbers
+const pageMarker = (page) => `--- Page ${page} ---`;
+const PAGE_MARKER_PATTERN = /--- Page (\d+) ---/g;
+
+// Heading lines in lab reports: "LIPID PROFILE", "Impression:"
+const SECTION_HEADING_PATTERN = /^(?:[A-Z][A-Z &/()-]{2,59}|[A-Z][A-Za-z &/()-]{2,59}:)$/;
+
+// Same as pdf-parse's default page renderer: a line break wherever the text moves down the page
+const renderPdfPage = async (pageData) => {
+  const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
 
 // Dynamic imports for better error handling
 let mammoth, pdfParse;
@@ -44,7 +75,6 @@ class EnhancedFileUploadService {
   constructor() {
     this.uploadDir = path.join(process.cwd(), 'uploads', 'medical-reports');
     this.ensureUploadDirectory();
-    this.vectorStore = new Map(); // In-memory vector store (can be replaced with ChromaDB)
   }
 
   // Ensure upload directory exists
@@ -127,10 +157,11 @@ class EnhancedFileUploadService {
       // Handle PDF
       if (mimeType === 'application/pdf' || ext === '.pdf') {
         const pdfText = await this.extractFromPDF(filePath);
+        const pdfContentLength = pdfText.replace(PAGE_MARKER_PATTERN, '').trim().length;
         
         // If PDF text extraction failed or returned minimal text, try OCR
-        if (this.isPlaceholderText(pdfText) || pdfText.trim().length < 50) {
-          console.log('🔄 PDF text extraction minimal (length: ' + pdfText.trim().length + '), attempting OCR...');
+        if (this.isPlaceholderText(pdfText) || pdfContentLength < 50) {
+          console.log('🔄 PDF text extraction minimal (length: ' + pdfContentLength + '), attempting OCR...');
           const ocrText = await this.extractFromPDFWithOCR(filePath);
           
           // If OCR also fails, return a more helpful message
@@ -362,19 +393,31 @@ I'm here to help with medical information once you provide the details! 🏥`;
       const dataBuffer = await fs.readFile(filePath);
       console.log('File buffer size:', dataBuffer.length);
       
-      const data = await pdfParse(dataBuffer);
-      console.log('PDF parse result - text length:', data.text ? data.text.length : 0);
-      console.log('PDF text preview (first 200 chars):', data.text ? data.text.substring(0, 200) : 'NO TEXT');
+      // Collect each page separately so chunks can cite page numbers
+      const pages = [];
+      await pdfParse(dataBuffer, {
+        pagerender: async (pageData) => {
+          const pageText = await renderPdfPage(pageData);
+          pages.push(pageText);
+          return pageText;
+        }
+      });
+      const pageTexts = pages.map(pageText => this.cleanExtractedText(pageText));
+      const textLength = pageTexts.reduce((total, pageText) => total + pageText.length, 0);
+      console.log('PDF parse result - pages:', pages.length, 'text length:', textLength);
       
-      if (!data.text || data.text.trim().length === 0) {
+      if (textLength === 0) {
         const fileName = path.basename(filePath);
         const message = `[PDF Document uploaded: ${fileName} - No readable text found. This might be a scanned document.]`;
         console.log('No text extracted, will attempt OCR fallback');
         return message;
       }
       
-      const cleanedText = this.cleanExtractedText(data.text);
-      console.log('Cleaned text length:', cleanedText.length);
+      const cleanedText = pageTexts
+        .map((pageText, index) => (pageText ? `${pageMarker(index + 1)}\n${pageText}` : ''))
+        .filter(Boolean)
+        .join('\n\n');
+      console.log('PDF text preview (first 200 chars):', cleanedText.substring(0, 200));
       console.log('=== END PDF EXTRACTION DEBUG ===');
       
       return cleanedText;
@@ -469,8 +512,10 @@ I'm here to help with medical information once you provide the details! 🏥`;
     return text
       .replace(/\r\n/g, '\n')
       .replace(/\r/g, '\n')
+      // Keep line breaks: lab results and page markers are read line by line
+      .replace(/[^\S\n]+/g, ' ')
+      .replace(/ ?\n ?/g, '\n')
       .replace(/\n{3,}/g, '\n\n')
-      .replace(/\s{2,}/g, ' ')
       .trim();
   }
 
@@ -481,82 +526,176 @@ I'm here to help with medical information once you provide the details! 🏥`;
         return null;
       }
       
-      // Use Gemini service to create embeddings
-      const embeddings = await GeminiService.createEmbedding(text);
-      return embeddings;
+      // Use the configured embedding provider
+      return await getEmbeddingProvider().embed(text);
     } catch (error) {
       console.error('Error generating embeddings:', error);
       return null;
     }
   }
 
-  // Store embeddings in vector store
-  async storeEmbeddings(documentId, text, embeddings, metadata = {}) {
-    try {
-      if (!embeddings) return;
-      
-      this.vectorStore.set(documentId, {
-        text,
-        embeddings,
-        metadata: {
-          ...metadata,
-          createdAt: new Date(),
-          textLength: text.length
+  // Split extracted text into overlapping chunks of about CHUNK_SIZE characters
+  // that remember their page and section. Chunks break between sentences and
+  // never span two pages; the last CHUNK_OVERLAP characters of a chunk are
+  // repeated at the start of the next so values on a boundary stay in context.
+  chunkDocument(text) {
+    const units = [];
+    let page = null;
+    let section = null;
+
+    // split() with a capture group puts the page numbers at the odd indexes
+    text.split(PAGE_MARKER_PATTERN).forEach((part, index) => {
+      if (index % 2 === 1) {
+        page = Number(part);
+        return;
+      }
+
+      for (const rawLine of part.split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (SECTION_HEADING_PATTERN.test(line)) {
+          section = line.replace(/:$/, '');
+          continue;
         }
-      });
-      
-      console.log(`Stored embeddings for document: ${documentId}`);
-    } catch (error) {
-      console.error('Error storing embeddings:', error);
+
+        for (let sentence of line.split(/(?<=[.!?])\s+/)) {
+          // Hard-split sentences that are longer than a chunk on their own
+          while (sentence.length > CHUNK_SIZE) {
+            units.push({ text: sentence.substring(0, CHUNK_SIZE), page, section });
+            sentence = sentence.substring(CHUNK_SIZE);
+          }
+          if (sentence.trim()) units.push({ text: sentence, page, section });
+        }
+      }
+    });
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+    let hasNewText = false;
+
+    const closeChunk = ({ keepOverlap }) => {
+      if (hasNewText) {
+        // A chunk belongs to the section that supplies most of its text
+        const sectionLengths = new Map();
+        for (const unit of current) {
+          sectionLengths.set(unit.section, (sectionLengths.get(unit.section) || 0) + unit.text.length);
+        }
+        const [[section]] = [...sectionLengths].sort((a, b) => b[1] - a[1]);
+
+        chunks.push({
+          text: current.map(unit => unit.text).join(' '),
+          page: current[0].page,
+          section
+        });
+      }
+
+      const overlap = [];
+      let overlapLength = 0;
+      // Never carry the whole chunk over, or the next one would repeat it
+      for (let i = current.length - 1; keepOverlap && i > 0; i--) {
+        if (overlapLength + current[i].text.length > CHUNK_OVERLAP) break;
+        overlap.unshift(current[i]);
+        overlapLength += current[i].text.length + 1;
+      }
+
+      current = overlap;
+      length = overlapLength;
+      hasNewText = false;
+    };
+
+    for (const unit of units) {
+      if (current.length > 0 && unit.page !== current[0].page) {
+        closeChunk({ keepOverlap: false });
+      } else if (current.length > 0 && length + unit.text.length > CHUNK_SIZE) {
+        closeChunk({ keepOverlap: true });
+      }
+
+      current.push(unit);
+      length += unit.text.length + 1;
+      hasNewText = true;
     }
+    closeChunk({ keepOverlap: false });
+
+    return chunks.map((chunk, chunkIndex) => ({ ...chunk, chunkIndex }));
   }
 
-  // Search similar documents using vector similarity
-  async searchSimilarDocuments(queryText, limit = 3) {
-    try {
-      if (this.vectorStore.size === 0) {
-        return [];
+  // Embed a document chunk by chunk and persist it for the user
+  async storeEmbeddings({ userId, sessionId, documentId, text, metadata = {} }) {
+    const { id: model } = getEmbeddingProvider();
+    const chunks = [];
+    for (const chunk of this.chunkDocument(text)) {
+      // The section heading tells the embedding what the values in the chunk are
+      const embedding = await this.generateEmbeddings(chunk.section ? `${chunk.section}\n${chunk.text}` : chunk.text);
+      if (embedding) {
+        chunks.push({ ...chunk, embedding });
       }
-      
+    }
+
+    if (chunks.length === 0) return 0;
+
+    const stored = await saveDocumentChunks({ userId, sessionId, documentId, model, metadata, chunks });
+    console.log(`Stored ${stored} embedded chunk(s) for document: ${documentId}`);
+    return stored;
+  }
+
+  // Search one user's uploaded reports using vector similarity
+  async searchSimilarDocuments(userId, queryText, { sessionId, limit = 3 } = {}) {
+    try {
+      if (!userId) return [];
+
       // Generate embeddings for query
+      const provider = getEmbeddingProvider();
       const queryEmbeddings = await this.generateEmbeddings(queryText);
       if (!queryEmbeddings) return [];
-      
-      const similarities = [];
-      
-      // Calculate cosine similarity with all stored documents
-      for (const [docId, docData] of this.vectorStore) {
-        const similarity = this.cosineSimilarity(queryEmbeddings, docData.embeddings);
-        similarities.push({
-          documentId: docId,
-          similarity,
-          text: docData.text.substring(0, 200) + '...',
-          metadata: docData.metadata
-        });
-      }
-      
-      // Sort by similarity and return top matches
-      return similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit)
-        .filter(doc => doc.similarity > 0.7); // Only return highly similar documents
-        
+
+      // Only return highly similar chunks
+      return await searchUserDocuments(userId, queryEmbeddings, {
+        model: provider.id,
+        sessionId,
+        limit,
+        minSimilarity: provider.minSimilarity.report
+      });
     } catch (error) {
       console.error('Error searching similar documents:', error);
       return [];
     }
   }
 
-  // Calculate cosine similarity between two vectors
-  cosineSimilarity(a, b) {
-    if (a.length !== b.length) return 0;
-    
-    const dotProduct = a.reduce((sum, ai, i) => sum + ai * b[i], 0);
-    const magnitudeA = Math.sqrt(a.reduce((sum, ai) => sum + ai * ai, 0));
-    const magnitudeB = Math.sqrt(b.reduce((sum, bi) => sum + bi * bi, 0));
-    
-    if (magnitudeA === 0 || magnitudeB === 0) return 0;
-    return dotProduct / (magnitudeA * magnitudeB);
+  // Label a report excerpt the way the assistant is asked to cite it
+  citeReport({ reportName, page }) {
+    return page ? `${reportName}, page ${page}` : reportName;
+  }
+
+  // Find the excerpts of a session's reports most relevant to a question,
+  // labelled for citation
+  async findReportContext(userId, sessionId, question, limit = 5) {
+    const matches = await this.searchSimilarDocuments(userId, question, { sessionId, limit });
+
+    const citations = [];
+    const excerpts = matches.map(match => {
+      const citation = {
+        reportName: match.metadata?.originalName || match.metadata?.fileName || 'Uploaded report',
+        page: match.page ?? null,
+        section: match.section || null
+      };
+      const label = this.citeReport(citation);
+
+      // One citation per report page, however many of its chunks matched
+      if (!citations.some(existing => this.citeReport(existing) === label)) {
+        citations.push(citation);
+      }
+
+      return `[${label}]${citation.section ? ` (${citation.section})` : ''}\n${match.text}`;
+    });
+
+    return { text: excerpts.join('\n\n'), citations };
+  }
+
+  // Remove the stored embeddings of every report uploaded in a chat session
+  async deleteSessionDocuments(userId, sessionId) {
+    return deleteSessionDocuments(userId, sessionId);
   }
 
   // Enhanced file processing with vectorization
@@ -574,25 +713,31 @@ I'm here to help with medical information once you provide the details! 🏥`;
         throw new Error('Failed to extract any content from file');
       }
       
-      // Step 3: Generate embeddings if text is meaningful
-      let embeddings = null;
+      // Step 3: Embed and store the text and read lab values if it is meaningful
       let vectorized = false;
+      let observations = [];
+      let reportDate = null;
       
       if (!this.isPlaceholderText(extractedText) && extractedText.trim().length > 20) {
-        embeddings = await this.generateEmbeddings(extractedText);
-        
-        if (embeddings) {
-          // Step 4: Store in vector database
-          const documentId = `${userId}_${sessionId}_${file.filename}`;
-          await this.storeEmbeddings(documentId, extractedText, embeddings, {
+        observations = parseLabResults(extractedText);
+        reportDate = parseReportDate(extractedText);
+
+        try {
+          const storedChunks = await this.storeEmbeddings({
             userId,
             sessionId,
-            fileName: file.filename,
-            originalName: file.originalname,
-            mimeType: file.mimetype,
-            fileSize: file.size
+            documentId: `${userId}_${sessionId}_${file.filename}`,
+            text: extractedText,
+            metadata: {
+              fileName: file.filename,
+              originalName: file.originalname,
+              mimeType: file.mimetype
+            }
           });
-          vectorized = true;
+          vectorized = storedChunks > 0;
+        } catch (error) {
+          // The report can still be analysed without being searchable later
+          console.error('Error storing embeddings:', error);
         }
       }
 
@@ -605,7 +750,9 @@ I'm here to help with medical information once you provide the details! 🏥`;
         extractedText: extractedText,
         extractionStatus: 'success',
         vectorized: vectorized,
-        hasEmbeddings: !!embeddings,
+        hasEmbeddings: vectorized,
+        observations,
+        reportDate,
         extractedAt: new Date()
       };
     } catch (error) {
@@ -644,10 +791,11 @@ I'm here to help with medical information once you provide the details! 🏥`;
     }
   }
 
-  // Get vector store statistics
-  getVectorStoreStats() {
+  // Get vector store statistics from the persistent store, per user
+  async getVectorStoreStats(userId) {
+    const stats = await getStoreStats(userId);
     return {
-      totalDocuments: this.vectorStore.size,
+      ...stats,
       memoryUsage: process.memoryUsage(),
       lastUpdated: new Date()
     };
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Hospital Routing Service
+ * @description Suggests where an ambulance should take a patient: the
+ * nearest active hospitals with an emergency department, a free bed and the
+ * speciality the emergency needs (config/hospitalRouting.js), using the
+ * 2dsphere index on Hospital.position. When none nearby has the speciality,
+ * the nearest hospitals that can take any emergency are suggested instead.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import Hospital from '../models/Hospital.js';
+import { getHospitalRoutingPolicy, specialityForEmergency } from '../config/hospitalRouting.js';
+
+const METERS_PER_KM = 1000;
+
+// Hospitals that can take an ambulance patient at all
+const ADMITTING_QUERY = {
+  active: true,
+  'emergencyDepartments.0': { $exists: true },
+  'beds.available': { $gt: 0 }
+};
+
+/**
+ * Admitting hospitals within the policy's distance, closest first
+ * @async
+ * @param {{latitude: number, longitude: number}} point - Pickup point
+ * @param {Object} query - Extra conditions on the hospitals
+ * @param {Object} policy - Hospital routing policy
+ * @returns {Promise<Object[]>} Hospitals with distanceMeters added
+ */
+const admittingHospitalsNear = (point, query, { maxDistanceKm, suggestionLimit }) =>
+  Hospital.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [Number(point.longitude), Number(point.latitude)] },
+        key: 'position',
+        distanceField: 'distanceMeters',
+        maxDistance: maxDistanceKm * METERS_PER_KM,
+        spherical: true,
+        query: { ...ADMITTING_QUERY, ...query }
+      }
+    },
+    { $limit: suggestionLimit },
+    { $project: { __v: 0 } }
+  ]);
+
+/**
+ * Hospitals to take a patient to, best first
+ * @async
+ * @param {{latitude: number, longitude: number}} point - Pickup point
+ * @param {string} [emergencyType] - Emergency type from the form, or a description
+ * @returns {Promise<{speciality: string|null, specialityMatched: boolean, hospitals: Object[]}>}
+ * The speciality the emergency needs, whether the suggested hospitals have it,
+ * and the hospitals with their distance from the pickup point
+ */
+export const suggestHospitals = async (point, emergencyType) => {
+  const policy = getHospitalRoutingPolicy();
+  const speciality = specialityForEmergency(emergencyType);
+
+  if (speciality) {
+    const specialists = await admittingHospitalsNear(point, { specialities: speciality }, policy);
+    if (specialists.length > 0) {
+      return { speciality, specialityMatched: true, hospitals: specialists };
+    }
+  }
+
+  const hospitals = await admittingHospitalsNear(point, {}, policy);
+  return { speciality, specialityMatched: !speciality, hospitals };
+};
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Lab Result Parser
+ * @description Pulls structured lab observations out of OCR'd or extracted
+ * report text. Result lines look like "Hemoglobin 11.2 g/dL 13.0 - 17.0", with
+ * the unit, an H/L flag and the reference range all optional. Only tests in
+ * config/labTests.js are recognised. Values are converted to the catalog unit
+ * and flagged against the range printed on the report, or the catalog's adult
+ * range when the report has none.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import { LAB_TESTS, LAB_PANELS } from '../config/labTests.js';
+
+const PAGE_MARKER = /^--- Page (\d+) ---$/;
+
+// A number, allowing thousands separators ("7,500") and decimal commas ("5,4")
+const NUMBER = '\\d+(?:,\\d{3})*(?:[.,]\\d+)?';
+const VALUE_PATTERN = new RegExp(`^(<=|>=|<|>)?\\s*(${NUMBER})(?![\\d/])`);
+
+// Text allowed between a test name and its value: a qualifier such as
+// "(Hb)", "Count", "- Serum" or ":". Digits and slashes are not allowed, so
+// ratios like "Cholesterol/HDL" are not read as the test itself
+const NAME_GAP_PATTERN = /^(?:\s*\([^)]*\))?[^\d<>/\n]{0,30}/;
+
+// H/L flags printed next to a value; the lookarounds keep the L of mmol/L and µL out
+const FLAG_PATTERN = /(?<![\wµμ/])(H|L|HIGH|LOW|High|Low|\*)(?![\w/])/g;
+
+// Longest aliases first so "LDL Cholesterol" is not read as "Cholesterol"
+// and "Hemoglobin A1c" is not read as "Hemoglobin"
+const ALIASES = LAB_TESTS
+  .flatMap(test => test.aliases.map(alias => ({ alias, test })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+
+/**
+ * Parse a number written with thousands separators or a decimal comma
+ * @param {string} text - Number as printed
+ * @returns {number}
+ */
+const parseNumber = (text) => {
+  if (text.includes('.') || /^\d{1,3}(,\d{3})+$/.test(text)) return Number(text.replace(/,/g, ''));
+  return Number(text.replace(',', '.'));
+};
+
+/**
+ * Catalog conversions are a factor or a function
+ * @param {number|function(number): number} conversion - Catalog conversion
+ * @returns {function(number): number}
+ */
+const toConverter = (conversion) =>
+  typeof conversion === 'function' ? conversion : value => value * conversion;
+
+/**
+ * Lowercase and squeeze a unit so spelling variants match catalog keys
+ * @param {string} text - Text starting with the unit
+ * @returns {string}
+ */
+const compactUnit = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[µμ]/g, 'u')
+    .replace(/[×*]/g, 'x')
+    .replace(/³/g, '^3')
+    .replace(/⁶/g, '^6')
+    .replace(/\s+/g, '');
+
+/**
+ * Match the test's unit at the start of the text after the value
+ * @param {Object} test - Catalog entry
+ * @param {string} text - Remainder of the line
+ * @returns {{unit: string, convert: function(number): number, rest: string}|null}
+ */
+const matchUnit = (test, text) => {
+  const units = Object.keys(test.units).sort((a, b) => b.length - a.length);
+
+  // Units are compared with spaces removed, so walk the original text to find
+  // where the matched unit ends
+  for (const unit of units) {
+    let compacted = '';
+    for (let end = 0; end < text.length && compacted.length <= unit.length; end++) {
+      compacted = compactUnit(text.slice(0, end + 1));
+      if (compacted === unit && !/[a-z]/i.test(text[end + 1] || '')) {
+        return {
+          unit: text.slice(0, end + 1).trim(),
+          convert: toConverter(test.units[unit]),
+          rest: text.slice(end + 1)
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a reference range such as "13.0 - 17.0", "< 200", "> 40" or "up to 150"
+ * @param {string} text - Text after the value and unit
+ * @returns {{low: number|null, high: number|null, text: string}|null} Range in the reported unit
+ */
+const parseReferenceRange = (text) => {
+  const between = text.match(new RegExp(`(${NUMBER})\\s*(?:-|–|—|to)\\s*(${NUMBER})`, 'i'));
+  if (between) {
+    return { low: parseNumber(between[1]), high: parseNumber(between[2]), text: between[0].trim() };
+  }
+
+  const below = text.match(new RegExp(`(?:<=?|≤|up\\s*to|less\\s*than|below)\\s*(${NUMBER})`, 'i'));
+  if (below) return { low: null, high: parseNumber(below[1]), text: below[0].trim() };
+
+  const above = text.match(new RegExp(`(?:>=?|≥|more\\s*than|greater\\s*than|above)\\s*(${NUMBER})`, 'i'));
+  if (above) return { low: parseNumber(above[1]), high: null, text: above[0].trim() };
+
+  return null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const isPlausible = (test, value) =>
+  value >= test.plausible.low && value <= test.plausible.high;
+
+/**
+ * Compare a value with a reference range
+ * @param {number} value - Value in the catalog unit
+ * @param {{low: number|null, high: number|null}} range - Range in the catalog unit
+ * @returns {'low'|'high'|'normal'}
+ */
+export const flagValue = (value, { low, high }) => {
+  if (low !== null && low !== undefined && value < low) return 'low';
+  if (high !== null && high !== undefined && value > high) return 'high';
+  return 'normal';
+};
+
+/**
+ * Parse one line of report text
+ * @param {string} line - Trimmed line
+ * @returns {Object|null} Observation without page, or null if the line is not a result
+ */
+const parseLine = (line) => {
+  const lower = line.toLowerCase().replace(/^[\d.)\s•*-]*(?=[a-z])/, '');
+  const offset = line.length - lower.length;
+
+  for (const { alias, test } of ALIASES) {
+    if (!lower.startsWith(alias) || /[a-z0-9]/.test(lower[alias.length] || '')) continue;
+
+    let rest = line.slice(offset + alias.length);
+    const gap = rest.match(NAME_GAP_PATTERN);
+    if (gap) rest = rest.slice(gap[0].length);
+
+    const value = rest.match(VALUE_PATTERN);
+    if (!value) return null;
+    rest = rest.slice(value[0].length);
+
+    const reportedFlag = (rest.match(FLAG_PATTERN) || [])
+      .map(flag => flag.toUpperCase())
+      .find(flag => flag !== '*');
+    rest = rest.replace(FLAG_PATTERN, ' ');
+
+    const originalValue = parseNumber(value[2]);
+    const unitMatch = matchUnit(test, rest.trimStart());
+    let convert = unitMatch?.convert;
+
+    if (!unitMatch) {
+      // No unit printed (or one we do not know): accept the value as it is if
+      // it is plausible in the catalog unit, otherwise try the known units
+      convert = isPlausible(test, originalValue)
+        ? value => value
+        : Object.values(test.units)
+          .map(toConverter)
+          .find(candidate => isPlausible(test, candidate(originalValue)));
+      if (!convert) return null;
+    }
+
+    const converted = convert(originalValue);
+    if (!isPlausible(test, converted)) return null;
+
+    const printedRange = parseReferenceRange(unitMatch ? unitMatch.rest : rest);
+    const referenceRange = printedRange
+      ? {
+          low: printedRange.low === null ? null : round(convert(printedRange.low)),
+          high: printedRange.high === null ? null : round(convert(printedRange.high)),
+          text: printedRange.text,
+          source: 'report'
+        }
+      : { ...test.range, text: null, source: 'default' };
+
+    let flag = flagValue(converted, referenceRange);
+    if (!printedRange && reportedFlag) {
+      // Trust the lab's own flag over our default adult range
+      flag = reportedFlag.startsWith('H') ? 'high' : 'low';
+    }
+
+    return {
+      code: test.code,
+      name: test.name,
+      panel: LAB_PANELS[test.panel],
+      value: round(converted),
+      unit: test.unit,
+      originalValue,
+      originalUnit: unitMatch?.unit || null,
+      referenceRange,
+      flag
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Extract lab observations from report text
+ * @param {string} text - Report text, optionally with "--- Page N ---" markers
+ * @returns {Object[]} Observations in report order, one per test code (first
+ * occurrence wins):
+ * {code, name, panel, value, unit, originalValue, originalUnit,
+ *  referenceRange: {low, high, text, source}, flag, page}
+ */
+export const parseLabResults = (text) => {
+  if (!text) return [];
+
+  const observations = [];
+  const seen = new Set();
+  let page = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    const marker = line.match(PAGE_MARKER);
+    if (marker) {
+      page = Number(marker[1]);
+      continue;
+    }
+    if (!line) continue;
+
+    const observation = parseLine(line);
+    if (observation && !seen.has(observation.code)) {
+      seen.add(observation.code);
+      observations.push({ ...observation, page });
+    }
+  }
+
+  return observations;
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date formats seen on lab reports. Numeric dates are read day first, as
+// printed in Bangladesh, unless only the other order makes sense.
+const DATE_PATTERNS = [
+  {
+    pattern: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
+    read: ([, year, month, day]) => [year, month, day]
+  },
+  {
+    pattern: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/,
+    read: ([, first, second, year]) => (Number(second) > 12 ? [year, first, second] : [year, second, first])
+  },
+  {
+    pattern: /\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*\.?[\s,-]+(\d{4})\b/i,
+    read: ([, day, month, year]) => [year, MONTHS.indexOf(month.toLowerCase()) + 1, day]
+  },
+  {
+    pattern: /\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i,
+    read: ([, month, day, year]) => [year, MONTHS.indexOf(month.toLowerCase()) + 1, day]
+  }
+];
+
+// Lines naming when the sample was taken beat lines naming when it was reported
+const DATE_LABELS = [
+  { pattern: /collect|sample|drawn|specimen/i, priority: 2 },
+  { pattern: /report|date|received|registered/i, priority: 1 }
+];
+
+/**
+ * Read the first date on a line
+ * @param {string} line - Report line
+ * @returns {Date|null}
+ */
+const parseDate = (line) => {
+  for (const { pattern, read } of DATE_PATTERNS) {
+    const match = line.match(pattern);
+    if (!match) continue;
+
+    let [year, month, day] = read(match).map(Number);
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month >= 1 && month <= 12 && date.getUTCDate() === day) return date;
+  }
+
+  return null;
+};
+
+/**
+ * Find when a report's samples were collected (or, failing that, reported)
+ * @param {string} text - Report text
+ * @param {Date} [now=new Date()] - Dates after this are misreads
+ * @returns {Date|null} Date at midnight UTC, or null if the report shows none
+ */
+export const parseReportDate = (text, now = new Date()) => {
+  if (!text) return null;
+
+  let best = null;
+  for (const line of text.split('\n')) {
+    // Dates of birth are not when the test was done
+    if (/birth|d\.?o\.?b/i.test(line)) continue;
+
+    const label = DATE_LABELS.find(({ pattern }) => pattern.test(line));
+    if (!label || (best && best.priority >= label.priority)) continue;
+
+    const date = parseDate(line);
+    if (date && date <= now && date.getUTCFullYear() >= 1990) {
+      best = { date, priority: label.priority };
+    }
+  }
+
+  return best?.date || null;
+};
+
+/**
+ * Write a reference range as text
+ * @param {{low: number|null, high: number|null}} range - Reference range
+ * @returns {string} "13-17", "<200", ">40" or "not given"
+ */
+export const formatReferenceRange = ({ low, high }) => {
+  const hasLow = low !== null && low !== undefined;
+  const hasHigh = high !== null && high !== undefined;
+  if (hasLow && hasHigh) return `${low}-${high}`;
+  if (hasHigh) return `<${high}`;
+  return hasLow ? `>${low}` : 'not given';
+};
+
+/**
+ * Summarise observations as a plain-text table for the analysis prompt
+ * @param {Object[]} observations - Output of parseLabResults
+ * @returns {string}
+ */
+export const formatLabResults = (observations) =>
+  observations
+    .map(({ name, value, unit, referenceRange, flag }) =>
+      `${name}: ${value} ${unit} (reference ${formatReferenceRange(referenceRange)} ${unit})${flag === 'normal' ? '' : ` ${flag.toUpperCase()}`}`)
+    .join('\n');
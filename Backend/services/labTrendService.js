@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Lab Trend Service
+ * @description Keeps each patient's lab values from every uploaded report in
+ * one place (the LabObservation collection) and turns them into time series
+ * per test for the health records dashboard and the chatbot. Values are dated
+ * by the collection date printed on the report, or the upload time when the
+ * report shows none.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import LabObservation from '../models/LabObservationSchema.js';
+import { LAB_TESTS } from '../config/labTests.js';
+import { formatReferenceRange } from './labResultParser.js';
+
+// Changes smaller than this share of the first value count as stable
+const STABLE_CHANGE_PERCENT = 5;
+
+// Catalog order, so series come out grouped by panel
+const TEST_ORDER = new Map(LAB_TESTS.map((test, index) => [test.code, index]));
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Copy a report's lab observations into the patient's health record.
+ * Recording the same report again replaces its earlier values.
+ * @async
+ * @param {Object} params
+ * @param {string} params.userId - Patient ID
+ * @param {string} params.sessionId - Chat session the report was uploaded to
+ * @param {Object} params.report - ChatSession.uploadedReports entry
+ * @returns {Promise<number>} Number of observations recorded
+ */
+export const recordReportObservations = async ({ userId, sessionId, report }) => {
+  const observations = report.observations || [];
+  const observedAt = report.reportDate || report.uploadedAt || new Date();
+  const dateSource = report.reportDate ? 'report' : 'upload';
+
+  await LabObservation.deleteMany({
+    reportId: report._id,
+    code: { $nin: observations.map(observation => observation.code) }
+  });
+
+  if (observations.length === 0) return 0;
+
+  await LabObservation.bulkWrite(observations.map(observation => ({
+    updateOne: {
+      filter: { reportId: report._id, code: observation.code },
+      update: {
+        $set: {
+          user: userId,
+          sessionId,
+          reportName: report.originalName,
+          name: observation.name,
+          panel: observation.panel,
+          value: observation.value,
+          unit: observation.unit,
+          referenceRange: {
+            low: observation.referenceRange?.low,
+            high: observation.referenceRange?.high,
+            source: observation.referenceRange?.source
+          },
+          flag: observation.flag,
+          observedAt,
+          dateSource
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return observations.length;
+};
+
+/**
+ * Direction of a series from its first to its last value
+ * @param {Object[]} points - Points sorted oldest first
+ * @returns {{direction: 'rising'|'falling'|'stable', change: number, percentChange: number, since: Date}|null}
+ * Null with fewer than two points
+ */
+export const describeTrend = (points) => {
+  if (points.length < 2) return null;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const change = Math.round((last.value - first.value) * 100) / 100;
+  const percentChange = first.value === 0
+    ? (change === 0 ? 0 : 100)
+    : Math.round((change / Math.abs(first.value)) * 1000) / 10;
+
+  let direction = 'stable';
+  if (Math.abs(percentChange) >= STABLE_CHANGE_PERCENT) {
+    direction = change > 0 ? 'rising' : 'falling';
+  }
+
+  return { direction, change, percentChange, since: first.observedAt };
+};
+
+/**
+ * Lab values of a patient as one time series per test
+ * @async
+ * @param {string} userId - Patient ID
+ * @param {Object} [options]
+ * @param {string[]} [options.codes] - Only these tests
+ * @param {Date} [options.since] - Only values observed on or after this date
+ * @returns {Promise<Object[]>} Series in catalog order:
+ * {code, name, panel, unit, referenceRange, latest, trend, points: [{value, flag, observedAt, dateSource, reportName, reportId, sessionId}]}
+ */
+export const getLabTrends = async (userId, { codes, since } = {}) => {
+  const query = { user: new mongoose.Types.ObjectId(userId) };
+  if (codes?.length) query.code = { $in: codes };
+  if (since) query.observedAt = { $gte: since };
+
+  const observations = await LabObservation.find(query)
+    .sort({ observedAt: 1, createdAt: 1 })
+    .lean();
+
+  const series = new Map();
+  for (const observation of observations) {
+    if (!series.has(observation.code)) {
+      series.set(observation.code, {
+        code: observation.code,
+        name: observation.name,
+        panel: observation.panel,
+        unit: observation.unit,
+        points: []
+      });
+    }
+
+    series.get(observation.code).points.push({
+      value: observation.value,
+      flag: observation.flag,
+      referenceRange: observation.referenceRange,
+      observedAt: observation.observedAt,
+      dateSource: observation.dateSource,
+      reportName: observation.reportName,
+      reportId: observation.reportId,
+      sessionId: observation.sessionId
+    });
+  }
+
+  return [...series.values()]
+    .sort((a, b) => (TEST_ORDER.get(a.code) ?? Infinity) - (TEST_ORDER.get(b.code) ?? Infinity))
+    .map(entry => {
+      const latest = entry.points[entry.points.length - 1];
+      return {
+        ...entry,
+        // Ranges differ between labs; the latest report's is the one to compare against
+        referenceRange: latest.referenceRange,
+        latest,
+        trend: describeTrend(entry.points)
+      };
+    });
+};
+
+/**
+ * Write series as text for the chatbot prompt, one test per line, e.g.
+ * "HbA1c (%, reference <5.7): 2023-01-10 6.1 | 2024-05-12 7.2 HIGH; rising, +1.1 (+18%) since 2023-01-10"
+ * @param {Object[]} trends - Output of getLabTrends
+ * @param {Object} [options]
+ * @param {number} [options.maxPoints=6] - Most recent values listed per test
+ * @returns {string} Empty if there are no values
+ */
+export const formatLabTrends = (trends, { maxPoints = 6 } = {}) =>
+  trends
+    .map(({ name, unit, referenceRange, points, trend }) => {
+      const values = points
+        .slice(-maxPoints)
+        .map(point => `${toDateKey(point.observedAt)} ${point.value}${point.flag === 'normal' ? '' : ` ${point.flag.toUpperCase()}`}`)
+        .join(' | ');
+      const range = referenceRange ? `, reference ${formatReferenceRange(referenceRange)}` : '';
+      const direction = trend
+        ? `; ${trend.direction}, ${trend.change >= 0 ? '+' : ''}${trend.change} (${trend.percentChange >= 0 ? '+' : ''}${trend.percentChange}%) since ${toDateKey(trend.since)}`
+        : '; single value';
+      return `${name} (${unit}${range}): ${values}${direction}`;
+    })
+    .join('\n');
+
+/**
+ * Remove a report's values from the patient's health record
+ * @async
+ * @param {string} userId - Patient ID
+ * @param {string} reportId - ChatSession.uploadedReports entry ID
+ * @returns {Promise<number>} Number of observations removed
+ */
+export const deleteReportObservations = async (userId, reportId) => {
+  const { deletedCount } = await LabObservation.deleteMany({
+    user: new mongoose.Types.ObjectId(userId),
+    reportId: new mongoose.Types.ObjectId(reportId)
+  });
+  return deletedCount;
+};
@@ -0,0 +1,433 @@
+/**
+ * @fileoverview Language Model Providers
+ * @description One interface over the language models the medical assistant
+ * can use, so callers never depend on a vendor SDK:
+ * - gemini: Google Gemini (needs GEMINI_API_KEY)
+ * - openai: OpenAI or any server with the same chat completions API (needs OPENAI_API_KEY)
+ * - ollama: a local model served over the Ollama HTTP API
+ * - mock: offline and deterministic, for development and tests
+ *
+ * Every provider runs its calls through its own request policy (pacing and
+ * retries, see requestPolicy.js). getLLMProviderChain returns the configured
+ * providers in LLM_PROVIDERS order; medicalAssistantService fails over along
+ * it. Settings live in config/llm.js. Other providers can be added with
+ * registerLLMProvider.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createRequestPolicy } from './requestPolicy.js';
+import { getProviderConfig, getProviderOrder } from '../config/llm.js';
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name - Provider name used in LLM_PROVIDERS
+ * @property {string} model - Model that answers
+ * @property {function(): boolean} isConfigured - Whether the provider has what it needs to be tried
+ * @property {function(string, {signal?: AbortSignal}=): Promise<string>} generate - Complete a prompt
+ * @property {function(string, {signal?: AbortSignal}=): AsyncGenerator<string>} stream - Complete a prompt piece by piece
+ * @property {function(string): Promise<number[]>} embed - Embed one text
+ * @property {function(string, string=, {signal?: AbortSignal}=): Promise<string>} analyzeReport - Explain a medical report's text
+ * @property {function(Array, {signal?: AbortSignal}=): Promise<string[]>} followUps - Questions the patient could ask next
+ */
+
+// How many follow-up questions followUps returns at most
+const MAX_FOLLOW_UPS = 3;
+
+const reportPrompt = (text, patientContext) => `You are a medical assistant explaining a patient's medical report in simple English.
+Summarise what the report shows, point out values outside their reference ranges, and list questions the patient should ask their doctor.
+Do not give a diagnosis.
+
+PATIENT CONTEXT: ${patientContext || 'None given'}
+
+REPORT TEXT:
+${text}`;
+
+const followUpPrompt = (messages) => `Suggest up to ${MAX_FOLLOW_UPS} short follow-up questions the patient could ask next in this medical conversation.
+Write one question per line and nothing else.
+
+${messages.slice(-6).map(msg => `${msg.role === 'user' ? 'Patient' : 'Assistant'}: ${msg.content}`).join('\n')}`;
+
+/**
+ * Pull questions out of a model's list, whatever bullet style it used
+ * @param {string} text - Model output
+ * @returns {string[]}
+ */
+const parseQuestions = (text) =>
+  text
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(line => line.endsWith('?'))
+    .slice(0, MAX_FOLLOW_UPS);
+
+/**
+ * Build a provider from its raw calls. generate, openStream and embed are run
+ * through the provider's request policy; a stream is retried only while it is
+ * being opened, never after text has been sent. Without openStream the whole
+ * reply is streamed as one piece. analyzeReport and followUps default to
+ * prompts over generate.
+ * @param {Object} definition
+ * @param {string} definition.name
+ * @param {string} definition.model
+ * @param {Object} definition.policy - Request policy options
+ * @param {function(): boolean} [definition.isConfigured]
+ * @param {function(string, Object): Promise<string>} definition.generate
+ * @param {function(string, Object): Promise<AsyncIterable<string>>} [definition.openStream]
+ * @param {function(string): Promise<number[]>} [definition.embed]
+ * @param {function(string, string, Object): Promise<string>} [definition.analyzeReport]
+ * @param {function(Array, Object): Promise<string[]>} [definition.followUps]
+ * @returns {LLMProvider}
+ */
+const defineProvider = ({ name, model, policy, isConfigured = () => true, generate, openStream, embed, analyzeReport, followUps }) => {
+  const requests = createRequestPolicy(policy);
+
+  const provider = {
+    name,
+    model,
+    isConfigured,
+
+    generate: (prompt, { signal } = {}) => requests.run(() => generate(prompt, { signal }), { signal }),
+
+    async *stream(prompt, { signal } = {}) {
+      if (!openStream) {
+        yield await provider.generate(prompt, { signal });
+        return;
+      }
+      yield* await requests.run(() => openStream(prompt, { signal }), { signal });
+    },
+
+    embed: async (text) => {
+      if (!embed) throw new Error(`The ${name} provider does not support embeddings`);
+      return requests.run(() => embed(text));
+    },
+
+    analyzeReport: (text, patientContext = '', { signal } = {}) =>
+      analyzeReport
+        ? requests.run(() => analyzeReport(text, patientContext, { signal }), { signal })
+        : provider.generate(reportPrompt(text, patientContext), { signal }),
+
+    followUps: async (messages, { signal } = {}) =>
+      followUps
+        ? requests.run(() => followUps(messages, { signal }), { signal })
+        : parseQuestions(await provider.generate(followUpPrompt(messages), { signal }))
+  };
+
+  return provider;
+};
+
+/**
+ * Turn a failed HTTP response into an error the request policy understands
+ * @param {Response} response - fetch response with a non-2xx status
+ * @returns {Promise<Error>} Error with status, and retryAfterMs when the server sent Retry-After
+ */
+const httpError = async (response) => {
+  const detail = await response.text().catch(() => '');
+  const error = new Error(`HTTP ${response.status}${detail ? `: ${detail.slice(0, 200)}` : ''}`);
+  error.status = response.status;
+
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+  return error;
+};
+
+/**
+ * POST JSON and return the response once it has a 2xx status
+ * @param {string} url
+ * @param {Object} body - Sent as JSON
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Response>}
+ */
+const postJSON = async (url, body, { headers = {}, signal } = {}) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) throw await httpError(response);
+  return response;
+};
+
+/**
+ * Split a streamed response body into lines
+ * @param {ReadableStream} body
+ * @yields {string} Each non-empty line, without its line break
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line.trim();
+    }
+  }
+
+  if (buffer.trim()) yield buffer.trim();
+}
+
+const createGeminiProvider = () => {
+  const config = getProviderConfig('gemini');
+  const client = new GoogleGenerativeAI(config.apiKey);
+  const model = client.getGenerativeModel({ model: config.model });
+  const embeddingModel = client.getGenerativeModel({ model: config.embeddingModel });
+
+  return defineProvider({
+    name: 'gemini',
+    model: config.model,
+    policy: config.policy,
+    isConfigured: () => Boolean(config.apiKey),
+
+    async generate(prompt, { signal }) {
+      const result = await model.generateContent(prompt, { signal });
+      const text = result?.response?.text();
+      if (!text) throw new Error('No response from Gemini API');
+      return text;
+    },
+
+    async openStream(prompt, { signal }) {
+      const result = await model.generateContentStream(prompt, { signal });
+      return (async function* () {
+        for await (const chunk of result.stream) {
+          const text = chunk.text();
+          if (text) yield text;
+        }
+      })();
+    },
+
+    async embed(text) {
+      const result = await embeddingModel.embedContent(text);
+      return result.embedding.values;
+    }
+  });
+};
+
+const createOpenAIProvider = () => {
+  const config = getProviderConfig('openai');
+  const headers = { Authorization: `Bearer ${config.apiKey}` };
+  const complete = (prompt, stream, signal) => postJSON(`${config.baseUrl}/chat/completions`, {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    stream
+  }, { headers, signal });
+
+  return defineProvider({
+    name: 'openai',
+    model: config.model,
+    policy: config.policy,
+    isConfigured: () => Boolean(config.apiKey),
+
+    async generate(prompt, { signal }) {
+      const response = await complete(prompt, false, signal);
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+      if (!text) throw new Error('No response from OpenAI API');
+      return text;
+    },
+
+    // Server-Sent Events: one "data:" line per delta, ending with [DONE]
+    async openStream(prompt, { signal }) {
+      const response = await complete(prompt, true, signal);
+      return (async function* () {
+        for await (const line of readLines(response.body)) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      })();
+    },
+
+    async embed(text) {
+      const response = await postJSON(`${config.baseUrl}/embeddings`, {
+        model: config.embeddingModel,
+        input: text
+      }, { headers });
+      const data = await response.json();
+      return data.data[0].embedding;
+    }
+  });
+};
+
+const createOllamaProvider = () => {
+  const config = getProviderConfig('ollama');
+  const complete = (prompt, stream, signal) => postJSON(`${config.baseUrl}/api/generate`, {
+    model: config.model,
+    prompt,
+    stream
+  }, { signal });
+
+  return defineProvider({
+    name: 'ollama',
+    model: config.model,
+    policy: config.policy,
+
+    async generate(prompt, { signal }) {
+      const response = await complete(prompt, false, signal);
+      const data = await response.json();
+      if (!data.response) throw new Error(data.error || 'No response from Ollama');
+      return data.response;
+    },
+
+    // Newline-delimited JSON: one object per piece, the last with done: true
+    async openStream(prompt, { signal }) {
+      const response = await complete(prompt, true, signal);
+      return (async function* () {
+        for await (const line of readLines(response.body)) {
+          const data = JSON.parse(line);
+          if (data.error) throw new Error(data.error);
+          if (data.response) yield data.response;
+          if (data.done) return;
+        }
+      })();
+    },
+
+    async embed(text) {
+      const response = await postJSON(`${config.baseUrl}/api/embeddings`, {
+        model: config.embeddingModel,
+        prompt: text
+      });
+      const data = await response.json();
+      return data.embedding;
+    }
+  });
+};
+
+// 32-bit FNV-1a, so the mock provider answers the same prompt the same way
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const createMockProvider = () => {
+  const config = getProviderConfig('mock');
+  const checkFailure = () => {
+    if (!config.fail) return;
+    const error = new Error('Mock provider is set to fail (LLM_MOCK_FAIL=true)');
+    error.status = 503;
+    throw error;
+  };
+
+  // Answers the patient's latest message, or the prompt's last line
+  const reply = (prompt) => {
+    const patientLines = [...prompt.matchAll(/^Patient: (.+)$/gm)];
+    const subject = patientLines.length > 0
+      ? patientLines[patientLines.length - 1][1]
+      : prompt.trim().split('\n').pop();
+
+    return `[mock ${fnv1a(prompt).toString(16)}] You asked about: "${subject.trim().slice(0, 120)}". This reply comes from the offline mock provider and contains no medical advice.`;
+  };
+
+  return defineProvider({
+    name: 'mock',
+    model: 'mock',
+    policy: config.policy,
+
+    async generate(prompt) {
+      checkFailure();
+      return reply(prompt);
+    },
+
+    async openStream(prompt) {
+      checkFailure();
+      const words = reply(prompt).match(/\s*\S+/g);
+      return (async function* () {
+        yield* words;
+      })();
+    },
+
+    async embed(text) {
+      checkFailure();
+      const vector = new Array(256).fill(0);
+      for (const word of text.toLowerCase().split(/\W+/).filter(Boolean)) {
+        vector[fnv1a(word) % 256] += 1;
+      }
+      const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return magnitude > 0 ? vector.map(value => value / magnitude) : vector;
+    },
+
+    async analyzeReport(text) {
+      checkFailure();
+      const lines = text.split('\n').filter(line => line.trim()).length;
+      return `[mock ${fnv1a(text).toString(16)}] Report analysis of ${lines} lines from the offline mock provider.`;
+    },
+
+    async followUps() {
+      checkFailure();
+      return [
+        'How long should I wait before seeing a doctor?',
+        'What can I do at home in the meantime?',
+        'Which symptoms would mean I need urgent care?'
+      ];
+    }
+  });
+};
+
+const providerFactories = new Map([
+  ['gemini', createGeminiProvider],
+  ['openai', createOpenAIProvider],
+  ['ollama', createOllamaProvider],
+  ['mock', createMockProvider]
+]);
+
+const providers = new Map();
+
+/**
+ * Add or replace a language model provider
+ * @param {string} name - Name to use in LLM_PROVIDERS
+ * @param {function(): LLMProvider} factory - Called once, on first use
+ */
+export const registerLLMProvider = (name, factory) => {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+};
+
+/**
+ * Names that LLM_PROVIDERS accepts
+ * @returns {string[]}
+ */
+export const listLLMProviders = () => [...providerFactories.keys()];
+
+/**
+ * A provider by name
+ * @param {string} name - Provider name
+ * @returns {LLMProvider}
+ */
+export const getLLMProvider = (name) => {
+  if (!providers.has(name)) {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown LLM provider "${name}". Available: ${listLLMProviders().join(', ')}`);
+    }
+    providers.set(name, factory());
+  }
+
+  return providers.get(name);
+};
+
+/**
+ * Providers to try, in LLM_PROVIDERS order. Unknown names and providers
+ * missing credentials are left out, so the chain may be empty.
+ * @returns {LLMProvider[]}
+ */
+export const getLLMProviderChain = () =>
+  getProviderOrder()
+    .filter(name => {
+      if (providerFactories.has(name)) return true;
+      console.warn(`Ignoring unknown LLM provider "${name}" in LLM_PROVIDERS`);
+      return false;
+    })
+    .map(getLLMProvider)
+    .filter(provider => provider.isConfigured());
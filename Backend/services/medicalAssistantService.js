@@ -1,180 +1,174 @@
 /**
- * @fileoverview Gemini AI Service for medical consultations and analysis
- * @description Service class that integrates Google's Gemini AI for medical response generation,
- * emergency symptom detection, medical report analysis, and text embeddings with fallback mechanisms
+ * @fileoverview Medical Assistant Service for medical consultations and analysis
+ * @description Medical response generation and medical report analysis on top
+ * of the configured language model providers (see llmProviders.js), failing
+ * over from one provider to the next and to built-in replies when none answers.
+ * Symptom urgency is decided by triageService.js.
  * @author Healthcare System Team
- * @version 2.0.0
+ * @version 3.0.0
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getLLMProviderChain } from './llmProviders.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Pace of ready-made replies streamed by streamText
+const STREAM_WORDS_PER_PIECE = 3;
+const STREAM_PIECE_DELAY_MS = 30;
+
 /**
- * Service class for Google Gemini AI integration in healthcare context
- * @class GeminiService
+ * Service class for the AI medical assistant in healthcare context
+ * @class MedicalAssistantService
  * @description Provides medical AI capabilities including:
  * - Medical consultation responses with conversation context
- * - Emergency symptom detection and triage
  * - Medical report analysis from uploaded files
- * - Text embeddings for RAG (Retrieval-Augmented Generation)
- * - Rate limiting and error handling with intelligent fallbacks
+ * - Provider failover with intelligent fallbacks
  */
-class GeminiService {
+class MedicalAssistantService {
   /**
-   * Initialize Gemini AI service with configuration
-   * @constructor
-   * @description Sets up Gemini client, model configuration, and rate limiting parameters
-   */
-  constructor() {
-    // Initialize Gemini client with API key from environment
-    this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
-    // Use gemini-2.5-flash model for better rate limits and cost efficiency
-    this.model = this.client.getGenerativeModel({ model: "gemini-2.5-flash" });
-    
-    // Rate limiting configuration to prevent API quota exhaustion
-    this.lastRequestTime = 0;
-    this.requestDelay = 2000; // 2 seconds between requests for larger prompts
-    
-    // Note: Using simple hash-based embeddings as fallback since Gemini
-    // embeddings can hit quota limits easily in development/demo scenarios
-  }
-
-  /**
-   * Rate limiting helper to prevent API quota exhaustion
+   * Run a task against each configured provider in turn until one succeeds
    * @async
-   * @function waitForRateLimit
-   * @description Ensures minimum delay between API calls to respect rate limits
-   * @returns {Promise<void>} Resolves after appropriate delay
+   * @param {function(LLMProvider): Promise<*>} task - Call to make on a provider
+   * @param {string} description - What the task does, for log messages
+   * @returns {Promise<*>} Result of the first provider that succeeds
+   * @throws {Error} The last provider's error when all fail, or an AbortError straight away
    */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    if (timeSinceLastRequest < this.requestDelay) {
-      const waitTime = this.requestDelay - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  async withFailover(task, description) {
+    const chain = getLLMProviderChain();
+    if (chain.length === 0) {
+      throw new Error('No LLM provider is configured');
     }
-    this.lastRequestTime = Date.now();
-  }
 
-  // Enhanced API call with retry and rate limiting
-  async makeAPICall(apiCall, maxRetries = 2) {
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    let lastError;
+    for (const provider of chain) {
       try {
-        await this.waitForRateLimit();
-        return await apiCall();
+        return await task(provider);
       } catch (error) {
-        console.error(`API call attempt ${attempt + 1} failed:`, error.message);
-        
-        if (error.status === 429) { // Rate limit error
-          const retryDelay = Math.min(5000 * Math.pow(2, attempt), 30000); // Exponential backoff, max 30s
-          
-          if (attempt < maxRetries) {
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-            continue;
-          }
-        }
-        
-        // If this is the last attempt or non-rate-limit error, throw
-        if (attempt === maxRetries) {
-          throw error;
-        }
+        if (error.name === 'AbortError') throw error;
+        console.error(`🚫 ${description} failed with ${provider.name}:`, error.message);
+        lastError = error;
       }
     }
-  }
 
-  // Create embeddings for text (maintaining same interface as OpenAI)
-  async createEmbedding(text) {
-    try {
-      // Always use fallback embedding to avoid quota issues
-      return this.createSimpleEmbedding(text);
-    } catch (error) {
-      console.error('Error creating embedding:', error);
-      // Fallback: create a simple hash-based embedding if Gemini embeddings fail
-      console.warn('Falling back to simple text embedding...');
-      return this.createSimpleEmbedding(text);
-    }
+    throw lastError;
   }
 
-  // Fallback embedding method using simple text analysis
-  createSimpleEmbedding(text) {
-    // Create a 1536-dimensional vector (same as OpenAI) using text characteristics
-    const words = text.toLowerCase().split(/\s+/);
-    const embedding = new Array(1536).fill(0);
-    
-    // Use word frequency and position to create embedding
-    words.forEach((word, index) => {
-      const hash = this.simpleHash(word);
-      const pos = Math.abs(hash) % 1536;
-      embedding[pos] += 1 / (index + 1); // Weight by position
-    });
-    
-    // Normalize the vector
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (magnitude > 0) {
-      return embedding.map(val => val / magnitude);
-    }
-    
-    return embedding;
-  }
+  // Build the consultation prompt from the system prompt, recent conversation and retrieved context
+  buildMedicalPrompt(messages, context = "", reportAnalysis = "", labHistory = "") {
+    const systemPrompt = this.getMedicalSystemPrompt(context, reportAnalysis, labHistory);
 
-  // Simple hash function for text
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return hash;
-  }
-
-  // Generate medical consultation response (maintaining same interface as OpenAI)
-  async generateMedicalResponse(messages, context = "", reportAnalysis = "") {
-    try {
-      // Try API call with rate limiting and retries
-      const result = await this.makeAPICall(async () => {
-        const systemPrompt = this.getMedicalSystemPrompt(context, reportAnalysis);
-
-        // Include conversation history for multi-turn context
-        const conversationHistory = messages.slice(-8).map(msg => {
-          if (msg.role === 'user') {
-            return `Patient: ${msg.content}`;
-          } else if (msg.role === 'assistant' || msg.role === 'model') {
-            return `Doctor: ${msg.content}`;
-          }
-          return null;
-        }).filter(Boolean);
+    // Include conversation history for multi-turn context
+    const conversationHistory = messages.slice(-8).map(msg => {
+      if (msg.role === 'user') {
+        return `Patient: ${msg.content}`;
+      } else if (msg.role === 'assistant' || msg.role === 'model') {
+        return `Doctor: ${msg.content}`;
+      }
+      return null;
+    }).filter(Boolean);
 
-        // Build comprehensive prompt with conversation context
-        const prompt = `${systemPrompt}
+    // Build comprehensive prompt with conversation context
+    return `${systemPrompt}
 
 CONVERSATION HISTORY:
 ${conversationHistory.join('\n')}
 
 MEDICAL CONTEXT: ${context}
-REPORT ANALYSIS: ${reportAnalysis}
+REPORT EXCERPTS: ${reportAnalysis}
 
 Please provide a helpful medical response that takes into account the full conversation history and maintains continuity with previous messages:`;
+  }
 
-        return await this.model.generateContent(prompt);
-      });
-      
-      if (!result || !result.response) {
-        throw new Error('No response from Gemini API');
-      }
-
-      const aiResponse = result.response.text();
+  // Generate medical consultation response, failing over between providers
+  async generateMedicalResponse(messages, context = "", reportAnalysis = "", labHistory = "") {
+    try {
+      const prompt = this.buildMedicalPrompt(messages, context, reportAnalysis, labHistory);
+      const aiResponse = await this.withFailover(
+        provider => provider.generate(prompt),
+        'Medical response generation'
+      );
       return this.addMedicalDisclaimer(aiResponse);
     } catch (error) {
-      console.error('🚫 Medical response generation failed after retries:', error.message);
+      console.error('🚫 Medical response generation failed on every provider:', error.message);
       
       // Enhanced fallback with conversation context
       return this.generateContextualFallback(messages, context) + this.addMedicalDisclaimer('');
     }
   }
 
+  /**
+   * Stream a medical consultation response while a provider generates it
+   * @async
+   * @generator
+   * @param {Array} messages - Conversation so far
+   * @param {string} [context] - Retrieved medical knowledge
+   * @param {string} [reportAnalysis] - Excerpts of the patient's reports
+   * @param {string} [labHistory] - Patient's lab values over time
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops generation when aborted
+   * @yields {string} Pieces of the response; joined they give the same text as generateMedicalResponse
+   * @description A provider that fails before sending anything is replaced by the
+   * next one, and the fallback response is streamed when none is left. A provider
+   * that fails part way is not replaced, since the patient has already read its
+   * start; a note that the answer was cut short is added instead. The disclaimer
+   * always comes last.
+   */
+  async *streamMedicalResponse(messages, context = "", reportAnalysis = "", labHistory = "", { signal } = {}) {
+    const prompt = this.buildMedicalPrompt(messages, context, reportAnalysis, labHistory);
+    let streamed = false;
+
+    for (const provider of getLLMProviderChain()) {
+      try {
+        for await (const text of provider.stream(prompt, { signal })) {
+          if (signal?.aborted) return;
+          if (text) {
+            streamed = true;
+            yield text;
+          }
+        }
+        if (streamed) break;
+      } catch (error) {
+        if (signal?.aborted) return;
+        console.error(`🚫 Medical response streaming failed with ${provider.name}:`, error.message);
+
+        if (streamed) {
+          yield '\n\n_The response was cut short by a connection problem. Please ask again if you need the rest._';
+          break;
+        }
+      }
+    }
+
+    if (signal?.aborted) return;
+    if (!streamed) {
+      yield* this.streamText(this.generateContextualFallback(messages, context), { signal });
+    }
+
+    if (signal?.aborted) return;
+    yield* this.streamText(this.addMedicalDisclaimer(''), { signal });
+  }
+
+  /**
+   * Stream ready-made text a few words at a time so fallback and emergency
+   * replies arrive the same way as generated ones
+   * @async
+   * @generator
+   * @param {string} text - Text to stream
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops streaming when aborted
+   * @yields {string} Pieces of the text, whitespace included
+   */
+  async *streamText(text, { signal } = {}) {
+    const words = text.match(/\s*\S+/g) || [];
+    const trailing = text.slice(words.join('').length);
+
+    for (let i = 0; i < words.length; i += STREAM_WORDS_PER_PIECE) {
+      if (signal?.aborted) return;
+      const last = i + STREAM_WORDS_PER_PIECE >= words.length;
+      yield words.slice(i, i + STREAM_WORDS_PER_PIECE).join('') + (last ? trailing : '');
+      if (!last) await new Promise(resolve => setTimeout(resolve, STREAM_PIECE_DELAY_MS));
+    }
+  }
+
   // Enhanced contextual fallback that considers conversation history
   generateContextualFallback(messages, context) {
     // Get conversation context
@@ -309,9 +303,17 @@ Important: This is general information only. Always consult qualified healthcare
 Please consult with a qualified healthcare professional for personalized medical advice.`;
   }
 
-  // Analyze medical report (maintaining same interface as OpenAI)
+  // Analyze medical report, with general report guidance when no provider answers
   async analyzeMedicalReport(extractedText, patientContext = "") {
-    console.log('📄 Analyzing medical report (using enhanced fallback)');
+    try {
+      const analysis = await this.withFailover(
+        provider => provider.analyzeReport(extractedText, patientContext),
+        'Medical report analysis'
+      );
+      return this.addMedicalDisclaimer(analysis);
+    } catch (error) {
+      console.log('📄 Analyzing medical report (using enhanced fallback)');
+    }
     
     // Provide a comprehensive fallback analysis without API calls
     const analysis = `📋 **Medical Report Analysis**
@@ -355,65 +357,8 @@ Remember: Medical reports can be complex, and professional interpretation is ess
     return this.addMedicalDisclaimer(analysis);
   }
 
-  // Check for emergency symptoms (maintaining same interface as OpenAI)
-  async checkEmergencySymptoms(symptoms) {
-    
-    // Use keyword-based emergency detection to avoid API calls during rate limits
-    const criticalKeywords = [
-      'chest pain', 'can\'t breathe', 'difficulty breathing', 'severe headache', 
-      'stroke', 'heart attack', 'severe bleeding', 'unconscious', 'collapse',
-      'severe abdominal pain', 'severe allergic reaction', 'anaphylaxis',
-      'severe burns', 'poisoning', 'overdose', 'seizure', 'choking'
-    ];
-    
-    const urgentKeywords = [
-      'high fever', 'vomiting blood', 'severe pain', 'confusion',
-      'vision problems', 'severe dizziness', 'dehydration', 'broken bone'
-    ];
-    
-    const symptomsLower = symptoms.toLowerCase();
-    
-    const hasCritical = criticalKeywords.some(keyword => symptomsLower.includes(keyword));
-    const hasUrgent = urgentKeywords.some(keyword => symptomsLower.includes(keyword));
-    
-    if (hasCritical) {
-      return `EMERGENCY_LEVEL: HIGH
-🚨 CRITICAL: These symptoms may indicate a medical emergency.
-      
-IMMEDIATE ACTION REQUIRED:
-- Call emergency services (999) NOW
-- Go to the nearest emergency department immediately
-- If possible, have someone accompany you
-- Do not drive yourself
-
-Common emergencies detected: chest pain, breathing difficulties, stroke symptoms, severe bleeding.`;
-    } else if (hasUrgent) {
-      return `EMERGENCY_LEVEL: MEDIUM
-⚠️ URGENT: These symptoms require prompt medical attention.
-
-RECOMMENDED ACTIONS:
-- Contact your healthcare provider immediately
-- Consider visiting urgent care or emergency department
-- Monitor symptoms closely
-- Seek emergency care if symptoms worsen
-
-If symptoms become severe, call 999.`;
-    } else {
-      return `EMERGENCY_LEVEL: LOW
-ℹ️ ROUTINE: These symptoms should be evaluated by a healthcare provider.
-
-RECOMMENDED ACTIONS:
-- Schedule an appointment with your doctor
-- Monitor symptoms
-- Follow general health guidelines
-- Seek urgent care if symptoms worsen significantly
-
-Contact emergency services if you develop severe symptoms.`;
-    }
-  }
-
-  // Get medical system prompt (same as OpenAI implementation)
-  getMedicalSystemPrompt(context, reportAnalysis) {
+  // Get medical system prompt
+  getMedicalSystemPrompt(context, reportAnalysis, labHistory = "") {
     return `You are a compassionate and knowledgeable medical AI assistant for a healthcare platform in Bangladesh. 
 
 CRITICAL REQUIREMENTS:
@@ -433,7 +378,8 @@ IMPORTANT GUIDELINES:
 
 AVAILABLE CONTEXT:
 Medical Knowledge: ${context}
-Recent Report Analysis: ${reportAnalysis}
+Patient Report Excerpts: ${reportAnalysis}
+Patient Lab History (values from all uploaded reports, oldest first): ${labHistory || 'None on record'}
 
 RESPONSE GUIDELINES:
 1. Listen carefully to symptoms and concerns from the entire conversation
@@ -443,6 +389,8 @@ RESPONSE GUIDELINES:
 5. Recommend appropriate specialists when relevant
 6. Include relevant lifestyle and preventive advice
 7. Always encourage professional medical consultation
+8. When you use a fact from the patient's report excerpts, cite it with the label shown above that excerpt, e.g. [blood_test.pdf, page 2]
+9. When the lab history is relevant, comment on how values have changed over time (e.g. HbA1c rising across reports) rather than only on the latest value
 
 EMERGENCY PROTOCOLS:
 - If symptoms suggest emergency: Immediately recommend emergency services
@@ -458,18 +406,24 @@ CONVERSATION CONTINUITY:
 Remember: You are here to provide support and general health information, not to replace professional medical care. Always respond in English and maintain conversation context.`;
   }
 
-  // Add medical disclaimer to response (same as OpenAI implementation)
+  // Add medical disclaimer to response
   addMedicalDisclaimer(response) {
     const disclaimer = "\n\n⚠️ **Medical Disclaimer**: This information is for educational purposes only and should not replace professional medical advice. Please consult with a qualified healthcare provider for proper diagnosis and treatment. In case of emergency, call 999 or visit your nearest emergency department.";
     
     return response + disclaimer;
   }
 
-  // Generate follow-up questions (maintaining same interface as OpenAI)
+  // Generate follow-up questions; none when no provider answers
   async generateFollowUpQuestions(conversationHistory) {
-    // Return empty string to disable follow-up questions
-    return '';
+    try {
+      return await this.withFailover(
+        provider => provider.followUps(conversationHistory),
+        'Follow-up question generation'
+      );
+    } catch (error) {
+      return [];
+    }
   }
 }
 
-export default new GeminiService();
\ No newline at end of file
+export default new MedicalAssistantService();
\ No newline at end of file
@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Medicine Catalog Import/Export Service
+ * @description Reads a medicine catalog from CSV or JSON, validates every row
+ * against the Medicine schema and upserts it by product name, generic name and
+ * dosage. Also writes the catalog back out in the same column layout so an
+ * export can be edited and imported again.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import Medicine from '../models/Medicine.js';
+
+// Catalog columns, in export order. Stock is managed through batches and is not imported.
+export const CATALOG_FIELDS = [
+  'productName',
+  'genericName',
+  'category',
+  'price',
+  'dosageMg',
+  'requiresPrescription',
+  'lowStockThreshold',
+  'photo',
+  'description.text',
+  'description.keyBenefits',
+  'description.recommendedFor',
+  'usageInstruction',
+  'sideEffects',
+  'storage'
+];
+
+const NUMBER_FIELDS = ['price', 'dosageMg', 'lowStockThreshold'];
+const BOOLEAN_FIELDS = ['requiresPrescription'];
+
+/**
+ * Parse CSV text into rows of fields. Handles quoted fields with commas,
+ * escaped quotes ("") and line breaks.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of raw field values
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((parent, key) => (parent[key] ??= {}), object);
+  target[last] = value;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Flatten nested fields into dotted paths, so setting them on a document
+ * changes only the subfields given. Setting { description: { text } } would
+ * replace the whole description and drop its other fields.
+ * @param {Object} data - Fields, possibly nested
+ * @param {string} [prefix] - Path of data within the document
+ * @returns {Object} Fields keyed by dotted path, e.g. { 'description.text': ... }
+ */
+export const toDottedPaths = (data, prefix = '') => {
+  const paths = {};
+  for (const [key, value] of Object.entries(data)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value)) {
+      Object.assign(paths, toDottedPaths(value, path));
+    } else {
+      paths[path] = value;
+    }
+  }
+  return paths;
+};
+
+/**
+ * Turn one raw row (flat CSV record or JSON object) into Medicine fields.
+ * Blank values are left out so an update keeps the stored value.
+ * @param {Object} raw - Row keyed by column name
+ * @returns {Object} Medicine data
+ */
+export const toMedicineData = (raw) => {
+  const data = {};
+
+  for (const field of CATALOG_FIELDS) {
+    let value = raw[field] !== undefined ? raw[field] : getPath(raw, field);
+    if (value === undefined || value === null) continue;
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (value === '') continue;
+    }
+
+    if (NUMBER_FIELDS.includes(field)) {
+      // Leave non-numbers as they are so validation reports them
+      const number = Number(value);
+      value = Number.isNaN(number) ? value : number;
+    } else if (BOOLEAN_FIELDS.includes(field) && typeof value === 'string') {
+      value = ['true', 'yes', '1', 'y'].includes(value.toLowerCase());
+    }
+
+    setPath(data, field, value);
+  }
+
+  return data;
+};
+
+/**
+ * Read an uploaded catalog file into row objects
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original file name, used to pick the format
+ * @returns {Object} { rows: [{ line, raw }] } or { error }
+ */
+export const readCatalogFile = (buffer, filename = '') => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (filename.toLowerCase().endsWith('.json')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+
+    const list = Array.isArray(parsed) ? parsed : parsed?.medicines;
+    if (!Array.isArray(list)) {
+      return { error: 'JSON must be an array of medicines or { "medicines": [...] }' };
+    }
+
+    return { rows: list.map((raw, index) => ({ line: index + 1, raw })) };
+  }
+
+  if (filename.toLowerCase().endsWith('.csv')) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      return { error: 'The CSV file is empty' };
+    }
+
+    const columns = header.map(column => column.trim());
+    const missing = ['productName', 'genericName', 'dosageMg'].filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+      return { error: `Missing required column(s): ${missing.join(', ')}` };
+    }
+
+    return {
+      rows: records.map((fields, index) => ({
+        // Header is row 1
+        line: index + 2,
+        raw: Object.fromEntries(columns.map((column, i) => [column, fields[i]]))
+      }))
+    };
+  }
+
+  return { error: 'Only .csv and .json files can be imported' };
+};
+
+const keyOf = ({ productName, genericName, dosageMg }) =>
+  `${productName}|${genericName}|${dosageMg}`.toLowerCase();
+
+/**
+ * Validate and upsert catalog rows. Existing medicines are matched on product
+ * name, generic name and dosage; everything else in the row is updated.
+ * Invalid rows are skipped and reported; valid rows are still applied unless
+ * this is a dry run.
+ * @async
+ * @param {Array<{line: number, raw: Object}>} rows - Rows from readCatalogFile
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Validate only, write nothing
+ * @returns {Promise<Object>} { total, created, updated, failed, errors, dryRun }
+ */
+export const importCatalog = async (rows, { dryRun = false } = {}) => {
+  const result = { total: rows.length, created: 0, updated: 0, failed: 0, errors: [], dryRun };
+  const seen = new Map();
+
+  for (const { line, raw } of rows) {
+    const data = toMedicineData(raw || {});
+    const rowErrors = [];
+
+    if (!data.productName || !data.genericName || data.dosageMg === undefined) {
+      rowErrors.push({ field: 'productName', message: 'productName, genericName and dosageMg identify a medicine and are required' });
+    } else if (typeof data.dosageMg !== 'number') {
+      rowErrors.push({ field: 'dosageMg', message: 'dosageMg must be a number' });
+    } else {
+      const key = keyOf(data);
+      if (seen.has(key)) {
+        rowErrors.push({ field: 'productName', message: `Duplicate of row ${seen.get(key)}` });
+      } else {
+        seen.set(key, line);
+      }
+    }
+
+    let medicine;
+    if (rowErrors.length === 0) {
+      medicine = await Medicine.findOne({
+        productName: data.productName,
+        genericName: data.genericName,
+        dosageMg: data.dosageMg
+      }).collation({ locale: 'en', strength: 2 });
+
+      if (medicine) {
+        medicine.set(toDottedPaths(data));
+      } else {
+        medicine = new Medicine(data);
+      }
+
+      try {
+        await medicine.validate();
+      } catch (error) {
+        if (!error.errors) throw error;
+        for (const [field, fieldError] of Object.entries(error.errors)) {
+          rowErrors.push({
+            field,
+            message: fieldError.kind === 'required' ? `${field} is required` : fieldError.message
+          });
+        }
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      result.failed++;
+      result.errors.push({ row: line, productName: data.productName, errors: rowErrors });
+      continue;
+    }
+
+    if (medicine.isNew) {
+      result.created++;
+    } else {
+      result.updated++;
+    }
+
+    if (!dryRun) {
+      await medicine.save();
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Serialise the catalog for download
+ * @async
+ * @param {string} [format='csv'] - csv or json
+ * @returns {Promise<string>} File content
+ */
+export const exportCatalog = async (format = 'csv') => {
+  const medicines = await Medicine.find().sort({ productName: 1 }).lean();
+
+  if (format === 'json') {
+    const catalog = medicines.map(medicine => {
+      const entry = {};
+      for (const field of CATALOG_FIELDS) {
+        const value = getPath(medicine, field);
+        if (value !== undefined) setPath(entry, field, value);
+      }
+      return entry;
+    });
+    return JSON.stringify(catalog, null, 2);
+  }
+
+  const lines = [
+    CATALOG_FIELDS.join(','),
+    ...medicines.map(medicine => CATALOG_FIELDS.map(field => csvEscape(getPath(medicine, field))).join(','))
+  ];
+  return `${lines.join('\n')}\n`;
+};
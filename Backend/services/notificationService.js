@@ -0,0 +1,26 @@
+/**
+ * @fileoverview In-app Notification Service
+ * @description Stores notifications for patients so they can be shown in their
+ * dashboard (e.g. when a doctor's leave affects a booking).
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import Notification from '../models/NotificationSchema.js';
+
+/**
+ * Create a notification for a user. Failures are logged rather than thrown so
+ * a notification problem never rolls back the action that triggered it.
+ * @async
+ * @param {string} userId - Recipient user ID
+ * @param {Object} notification - { type, title, message, booking, order }
+ * @returns {Promise<Object|null>} The stored notification, or null on failure
+ */
+export const notifyUser = async (userId, { type = 'booking', title, message, booking, order }) => {
+  try {
+    return await Notification.create({ user: userId, type, title, message, booking, order });
+  } catch (error) {
+    console.error('Notification error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Prescription PDF Service
+ * @description Renders a consultation (notes, vitals, diagnoses and
+ * prescription) as a printable A4 PDF for the patient to download.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+
+const PAGE_WIDTH = 595.28;  // A4 in points
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const LINE_HEIGHT = 15;
+
+const PRIMARY = rgb(0, 0.4, 1);
+const MUTED = rgb(0.4, 0.4, 0.4);
+const TEXT = rgb(0.1, 0.1, 0.1);
+
+const VITAL_LABELS = [
+  ['bloodPressure', 'Blood pressure', 'mmHg'],
+  ['pulse', 'Pulse', 'bpm'],
+  ['temperature', 'Temperature', '°F'],
+  ['respiratoryRate', 'Respiratory rate', '/min'],
+  ['spo2', 'SpO2', '%'],
+  ['weight', 'Weight', 'kg'],
+  ['height', 'Height', 'cm']
+];
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+/**
+ * Split text into lines that fit within a width
+ * @param {string} text - Text to wrap
+ * @param {Object} font - pdf-lib font
+ * @param {number} size - Font size
+ * @param {number} maxWidth - Available width in points
+ * @returns {string[]} Wrapped lines
+ */
+const wrapText = (text, font, size, maxWidth) => {
+  const lines = [];
+
+  for (const paragraph of String(text).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines;
+};
+
+// Standard PDF fonts only cover WinAnsi, so drop anything they cannot draw
+const sanitize = (text) => String(text ?? '').replace(/[^\x20-\x7E\n\u00A0-\u00FF]/g, '');
+
+/**
+ * Build the prescription PDF for a consultation
+ * @async
+ * @param {Object} consultation - Consultation with doctor, patient and booking populated
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export const generatePrescriptionPdf = async (consultation) => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  let page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  let y = PAGE_HEIGHT - MARGIN;
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) {
+      page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+
+  const write = (text, { size = 10, useFont = font, color = TEXT, indent = 0 } = {}) => {
+    for (const line of wrapText(sanitize(text), useFont, size, contentWidth - indent)) {
+      ensureSpace(LINE_HEIGHT);
+      page.drawText(line, { x: MARGIN + indent, y, size, font: useFont, color });
+      y -= LINE_HEIGHT;
+    }
+  };
+
+  const heading = (text) => {
+    y -= 8;
+    ensureSpace(LINE_HEIGHT * 2);
+    write(text, { size: 12, useFont: bold, color: PRIMARY });
+    y -= 2;
+  };
+
+  const { doctor, patient, booking } = consultation;
+
+  // Header
+  write(`Dr. ${doctor?.name || ''}`, { size: 18, useFont: bold, color: PRIMARY });
+  if (doctor?.specialization) write(doctor.specialization, { color: MUTED });
+  y -= 6;
+  page.drawLine({
+    start: { x: MARGIN, y },
+    end: { x: PAGE_WIDTH - MARGIN, y },
+    thickness: 1,
+    color: PRIMARY
+  });
+  y -= LINE_HEIGHT;
+
+  write(`Patient: ${patient?.name || ''}`, { useFont: bold });
+  const details = [
+    patient?.gender && `Gender: ${patient.gender}`,
+    patient?.bloodType && `Blood group: ${patient.bloodType}`,
+    booking && `Visit: ${formatDate(booking.appointmentDate)}, ${booking.appointmentTime}`
+  ].filter(Boolean);
+  if (details.length) write(details.join('   |   '), { color: MUTED });
+
+  const vitals = VITAL_LABELS
+    .filter(([key]) => consultation.vitals?.[key] !== undefined && consultation.vitals?.[key] !== null && consultation.vitals?.[key] !== '')
+    .map(([key, label, unit]) => `${label}: ${consultation.vitals[key]} ${unit}`);
+  if (vitals.length) {
+    heading('Vitals');
+    write(vitals.join('   |   '));
+  }
+
+  const notes = consultation.notes || {};
+  const noteSections = [
+    ['Chief complaint', notes.chiefComplaint],
+    ['History', notes.history],
+    ['Examination', notes.examination]
+  ].filter(([, value]) => value);
+  for (const [label, value] of noteSections) {
+    heading(label);
+    write(value);
+  }
+
+  if (consultation.diagnoses?.length) {
+    heading('Diagnosis');
+    for (const diagnosis of consultation.diagnoses) {
+      write(`- ${diagnosis.code ? `${diagnosis.code} - ` : ''}${diagnosis.description}`);
+    }
+  }
+
+  heading('Rx');
+  if (consultation.prescription?.length) {
+    consultation.prescription.forEach((item, index) => {
+      ensureSpace(LINE_HEIGHT * 3);
+      write(`${index + 1}. ${item.medicineName}  ${item.dose}`, { useFont: bold });
+      write(`${item.frequency}  for ${item.duration}`, { indent: 14 });
+      if (item.instructions) write(item.instructions, { indent: 14, color: MUTED });
+    });
+  } else {
+    write('No medicines prescribed', { color: MUTED });
+  }
+
+  if (notes.advice) {
+    heading('Advice');
+    write(notes.advice);
+  }
+
+  if (consultation.followUpDate) {
+    heading('Follow-up');
+    write(formatDate(consultation.followUpDate));
+  }
+
+  y -= LINE_HEIGHT;
+  write(`Issued on ${formatDate(consultation.updatedAt || consultation.createdAt || new Date())}. This prescription was issued electronically.`, {
+    size: 8,
+    color: MUTED
+  });
+
+  return pdf.save();
+};
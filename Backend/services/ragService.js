@@ -1,13 +1,15 @@
 /**
  * @fileoverview Retrieval-Augmented Generation (RAG) Service for Medical AI
  * @description Implements RAG system for medical knowledge retrieval and context
- * enhancement. Uses vector embeddings to find relevant medical information and
- * provides symptom severity assessment.
+ * enhancement. Uses vector embeddings to find relevant medical information.
+ * Symptom severity is assessed by triageService.js.
  * @author Healthcare System Team
  * @version 1.0.0
  */
 
-import GeminiService from './geminiService.js';
+import crypto from 'crypto';
+import { getEmbeddingProvider } from './embeddingService.js';
+import { loadKnowledgeEmbeddings, saveKnowledgeEmbedding } from './vectorStoreService.js';
 
 /**
  * RAG Service for medical knowledge retrieval and context enhancement
@@ -15,74 +17,132 @@ import GeminiService from './geminiService.js';
  * @description Provides medical knowledge management and retrieval with:
  * - Vector-based medical knowledge storage
  * - Semantic similarity search for relevant information
- * - Symptom severity assessment
  * - Condition-specific medical advice
- * - Emergency symptom detection
  */
 class RAGService {
   /**
    * Initialize RAG service with empty knowledge base
    * @constructor
-   * @description Sets up knowledge base storage and starts initialization process:
-   * - Creates empty knowledge base array
-   * - Initializes vector store for embeddings
-   * - Sets initialization flag
-   * - Triggers knowledge base population
+   * @description Sets up knowledge base storage. The knowledge base is loaded
+   * on first use rather than here, because its embeddings are kept in MongoDB
+   * and the database is not connected yet when this module is imported.
    */
   constructor() {
     this.knowledgeBase = [];          // Raw medical knowledge data
-    this.vectorStore = new Map();     // Stores embeddings with metadata
+    this.vectorStore = new Map();     // In-memory cache of embeddings with metadata
     this.initialized = false;         // Initialization status flag
-    this.initializeKnowledgeBase();  // Start async initialization
+    this.initializing = null;         // Pending initialization, shared by concurrent callers
   }
 
   /**
    * Initialize medical knowledge base with embeddings
    * @async
    * @function initializeKnowledgeBase
-   * @description Loads medical knowledge and creates vector embeddings:
+   * @description Loads medical knowledge and its vector embeddings:
    * - Loads predefined medical knowledge data
-   * - Creates embeddings for each knowledge entry
-   * - Stores embeddings with metadata in vector store
+   * - Reuses embeddings persisted in MongoDB when the entry and embedding provider are unchanged
+   * - Creates and persists embeddings for new or changed entries
+   * - Caches everything in the in-memory vector store
    * - Handles initialization errors gracefully
+   * Concurrent callers wait on the same load.
    * @returns {Promise<void>} Resolves when initialization is complete
    */
   async initializeKnowledgeBase() {
     // Skip if already initialized
     if (this.initialized) return;
+    if (!this.initializing) {
+      this.initializing = this.loadKnowledgeBase().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
 
+  /**
+   * Populate the in-memory vector store from MongoDB, embedding what is missing
+   * @async
+   * @function loadKnowledgeBase
+   * @returns {Promise<void>}
+   */
+  async loadKnowledgeBase() {
     console.log('Initializing medical knowledge base...');
     
     try {
-      // Load medical knowledge data
-      const medicalKnowledge = this.getMedicalKnowledgeData();
-      
-      // Create embeddings for each knowledge entry
-      for (const knowledge of medicalKnowledge) {
-        try {
-          // Combine content and symptoms for better semantic matching
-          const embedding = await GeminiService.createEmbedding(
-            knowledge.content + ' ' + knowledge.symptoms.join(' ')
-          );
-          
-          // Store embedding with metadata
-          this.vectorStore.set(knowledge.id, {
-            ...knowledge,
-            embedding
-          });
-        } catch (error) {
-          console.error(`Error creating embedding for ${knowledge.topic}:`, error);
-        }
-      }
+      const stats = await this.syncKnowledgeEmbeddings();
       
       // Mark initialization as complete
       this.initialized = true;
-      console.log(`Medical knowledge base initialized with ${this.vectorStore.size} entries`);
+      console.log(`Medical knowledge base initialized with ${this.vectorStore.size} entries (${stats.embedded} newly embedded)`);
     } catch (error) {
       console.error('Error initializing knowledge base:', error);
     }
   }
 
+  /**
+   * Bring stored knowledge-base embeddings up to date with the current
+   * embedding provider and knowledge data
+   * @async
+   * @function syncKnowledgeEmbeddings
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Re-embed every entry, even unchanged ones
+   * @returns {Promise<{reused: number, embedded: number, unsaved: number, failed: number}>} What happened to each entry
+   * @description Reuses a stored embedding only when both the entry's text and
+   * the provider that embedded it are unchanged; everything else is embedded
+   * again and saved. Also refills the in-memory vector store.
+   */
+  async syncKnowledgeEmbeddings({ force = false } = {}) {
+    const provider = getEmbeddingProvider();
+    const stored = force ? new Map() : await loadKnowledgeEmbeddings();
+    const stats = { reused: 0, embedded: 0, unsaved: 0, failed: 0 };
+
+    this.vectorStore.clear();
+
+    for (const knowledge of this.getMedicalKnowledgeData()) {
+      try {
+        const text = this.getKnowledgeText(knowledge);
+        const contentHash = crypto.createHash('sha256').update(text).digest('hex');
+        const existing = stored.get(knowledge.id);
+        let embedding;
+
+        if (existing?.contentHash === contentHash && existing.model === provider.id) {
+          embedding = existing.embedding;
+          stats.reused++;
+        } else {
+          embedding = await provider.embed(text);
+          stats.embedded++;
+          try {
+            await saveKnowledgeEmbedding(knowledge.id, { text, contentHash, embedding, model: provider.id });
+          } catch (error) {
+            // A failed save only costs a re-embed on the next startup
+            console.error(`Error saving embedding for ${knowledge.topic}:`, error);
+            stats.unsaved++;
+          }
+        }
+
+        // Cache embedding with metadata
+        this.vectorStore.set(knowledge.id, {
+          ...knowledge,
+          embedding
+        });
+      } catch (error) {
+        console.error(`Error creating embedding for ${knowledge.topic}:`, error);
+        stats.failed++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Text that represents a knowledge entry in the vector store
+   * @function getKnowledgeText
+   * @param {Object} knowledge - Entry from getMedicalKnowledgeData
+   * @returns {string} Topic, content and symptoms combined for better semantic matching
+   */
+  getKnowledgeText(knowledge) {
+    return `${knowledge.topic}. ${knowledge.content} ${knowledge.symptoms.join(', ')}. ${knowledge.emergency_signs.join(', ')}`;
+  }
+
   /**
    * Find relevant medical context for a query
    * @async
@@ -104,7 +164,8 @@ class RAGService {
 
     try {
       // Create embedding for user query
-      const queryEmbedding = await GeminiService.createEmbedding(query);
+      const provider = getEmbeddingProvider();
+      const queryEmbedding = await provider.embed(query);
       const similarities = [];
 
       // Calculate similarity with all knowledge base entries
@@ -120,7 +181,7 @@ class RAGService {
       const topMatches = similarities
         .sort((a, b) => b.similarity - a.similarity)  // Sort by highest similarity
         .slice(0, limit)                             // Take top N matches
-        .filter(match => match.similarity > 0.6);    // Only return relevant matches
+        .filter(match => match.similarity > provider.minSimilarity.knowledge);  // Only return relevant matches
 
       // Return relevant information without embeddings
       return topMatches.map(match => ({
@@ -678,48 +739,6 @@ class RAGService {
     // Return condition data or null if not found
     return conditionData || null;
   }
-
-  /**
-   * Assess severity of reported symptoms
-   * @function assessSymptomSeverity
-   * @param {string} symptoms - Description of symptoms to assess
-   * @returns {string} Severity level: 'EMERGENCY', 'URGENT', or 'ROUTINE'
-   * @description Analyzes symptoms for severity using keyword matching:
-   * - Checks for emergency conditions requiring immediate care
-   * - Identifies urgent symptoms needing prompt attention
-   * - Categorizes routine symptoms for regular care
-   * - Uses predefined keyword lists for classification
-   */
-  assessSymptomSeverity(symptoms) {
-    // Keywords indicating emergency conditions
-    const emergencyKeywords = [
-      'chest pain', 'difficulty breathing', 'severe headache', 'loss of consciousness',
-      'severe bleeding', 'high fever', 'severe abdominal pain', 'stroke symptoms',
-      'heart attack', 'severe allergic reaction', 'cannot breathe', 'choking'
-    ];
-
-    // Keywords indicating urgent conditions
-    const urgentKeywords = [
-      'persistent fever', 'severe pain', 'vomiting blood', 'severe dizziness',
-      'vision problems', 'severe nausea', 'dehydration', 'confusion'
-    ];
-
-    // Convert symptoms to lowercase for case-insensitive matching
-    const symptomText = symptoms.toLowerCase();
-    
-    // Check for emergency symptoms first
-    if (emergencyKeywords.some(keyword => symptomText.includes(keyword))) {
-      return 'EMERGENCY';  // Immediate medical attention needed
-    } 
-    // Then check for urgent symptoms
-    else if (urgentKeywords.some(keyword => symptomText.includes(keyword))) {
-      return 'URGENT';     // Prompt medical attention needed
-    } 
-    // Default to routine if no serious symptoms found
-    else {
-      return 'ROUTINE';    // Regular medical care appropriate
-    }
-  }
 }
 
 export default new RAGService();
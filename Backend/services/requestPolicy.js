@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Request Policy
+ * @description Rate limiting and retries for calls to an external API. Each
+ * LLM provider gets its own policy so a slow or rate limited provider does not
+ * hold up the others.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+// HTTP statuses worth another attempt; anything else in 4xx will fail again
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Error codes Node uses for dropped or refused connections
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * @typedef {Object} RequestPolicyOptions
+ * @property {string} [name] - Shown in log messages
+ * @property {number} [minIntervalMs=0] - Least time between the start of two calls
+ * @property {number} [maxRetries=2] - Further attempts after the first one fails
+ * @property {number} [baseDelayMs=1000] - First retry delay, doubled on every retry
+ * @property {number} [maxDelayMs=30000] - Longest retry delay
+ */
+
+const abortError = () => {
+  const error = new Error('The request was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Wait, stopping early if the signal is aborted
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>} Rejects with an AbortError when aborted
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  if (ms <= 0) return resolve();
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Whether a failed call may succeed if tried again
+ * @param {Error} error - Error thrown by the call; HTTP errors carry a status
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (error.name === 'AbortError') return false;
+  if (error.status !== undefined) return RETRYABLE_STATUSES.has(error.status);
+  const code = error.code || error.cause?.code;
+  // fetch reports network failures as a TypeError without a status
+  return RETRYABLE_CODES.has(code) || error.name === 'TypeError';
+};
+
+/**
+ * Create a policy that spaces out calls and retries temporary failures with
+ * exponential backoff. A Retry-After hint on the error (retryAfterMs) is used
+ * when it is longer than the backoff. Aborted calls are never retried.
+ * @param {RequestPolicyOptions} [options]
+ * @returns {{run: function(function(): Promise<*>, {signal?: AbortSignal}=): Promise<*>}}
+ */
+export const createRequestPolicy = ({
+  name = 'api',
+  minIntervalMs = 0,
+  maxRetries = 2,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000
+} = {}) => {
+  // Start time reserved by the latest call; concurrent calls queue behind it
+  let nextSlot = 0;
+
+  const waitForSlot = async (signal) => {
+    const now = Date.now();
+    const start = Math.max(now, nextSlot);
+    nextSlot = start + minIntervalMs;
+    await sleep(start - now, signal);
+  };
+
+  return {
+    async run(call, { signal } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        await waitForSlot(signal);
+
+        try {
+          return await call();
+        } catch (error) {
+          if (signal?.aborted || error.name === 'AbortError') throw error;
+          if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+
+          const backoff = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+          const delay = Math.max(backoff, Math.min(error.retryAfterMs || 0, maxDelayMs));
+          console.warn(`${name} call failed (${error.status || error.code || error.message}), retrying in ${delay}ms`);
+          await sleep(delay, signal);
+        }
+      }
+    }
+  };
+};
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Symptom Triage
+ * @description Reads a free-text symptom description and decides how urgently
+ * the patient needs care, using the rules in config/triageRules.js. Symptoms
+ * the patient says they do not have ("no chest pain") are not counted, and
+ * the patient's age, how long the symptoms have lasted and whether they came
+ * on suddenly can raise a symptom's level. When in doubt the engine errs
+ * towards the more urgent answer: a negation only covers the few words after
+ * it, up to the next comma or "and"/"but".
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import TRIAGE_RULES, { TRIAGE_LEVELS, CARE_SETTINGS } from '../config/triageRules.js';
+
+/**
+ * @typedef {Object} TriageFinding
+ * @property {string} id - Rule id, e.g. "chest_pain"
+ * @property {string} label - Readable name
+ * @property {string} level - Level after modifiers
+ * @property {string} phrase - Text that matched
+ * @property {string[]} reasons - Why the level was raised above the rule's base level
+ */
+
+/**
+ * @typedef {Object} TriageResult
+ * @property {string} level - self_care, routine, urgent or emergency
+ * @property {string} careSetting - emergency_department, urgent_care, primary_care or self_care
+ * @property {string} advice - What the patient should do, in one sentence
+ * @property {TriageFinding[]} redFlags - Findings at urgent or emergency level, most urgent first
+ * @property {TriageFinding[]} symptoms - Every symptom found, most urgent first, then in the order mentioned
+ * @property {{id: string, label: string, phrase: string}[]} negated - Symptoms the patient said they do not have
+ * @property {{ageYears: number|null, durationDays: number|null, sudden: boolean}} modifiers - What was read about the patient
+ * @property {number} confidence - 0.3 to 0.95: how much of the description the rules recognised, not a probability
+ * @property {string} explanation - Plain-English reason for the level
+ */
+
+// Words that say the symptom that follows is absent
+const NEGATION_TRIGGERS = [
+  'no', 'not', 'never', 'without', 'denies', 'denied', 'deny', 'free of', 'negative for', 'ruled out',
+  'dont have', 'dont get', 'dont feel', 'doesnt have', 'didnt have', 'havent had', 'havent got', 'hasnt had'
+];
+
+// Phrases that start with a negation word but do not negate anything
+const PSEUDO_NEGATIONS = [
+  'no relief', 'no better', 'not better', 'no improvement', 'not improving', 'not getting better',
+  'not going away', 'not sure', 'no idea', 'not only', 'not just', 'no change', 'not stopping', 'no matter'
+];
+
+// Words that end a negation's reach: "no fever but chest pain"
+const SCOPE_TERMINATORS = new Set([
+  'and', 'but', 'however', 'although', 'though', 'yet', 'except', 'apart', 'besides', 'still',
+  'now', 'which', 'who', 'that', 'because', 'since', 'so', 'then', 'also', 'have', 'has', 'had'
+]);
+
+// How many words may sit between a negation and the symptom it covers
+const MAX_NEGATION_GAP = 4;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, few: 3, several: 3
+};
+
+const DAYS_PER_UNIT = { minute: 1 / 1440, min: 1 / 1440, hour: 1 / 24, hr: 1 / 24, day: 1, week: 7, wk: 7, month: 30, year: 365, yr: 365 };
+const YEARS_PER_UNIT = { year: 1, yr: 1, month: 1 / 12, week: 1 / 52, day: 1 / 365 };
+
+const DURATION_PATTERN = /\b(\d+(?:\.\d+)?|an?|one|two|three|four|five|six|seven|eight|nine|ten|(?:a\s+)?(?:couple|few|several))(?:\s+of)?\s+(minute|min|hour|hr|day|week|wk|month|year|yr)s?\b(?!\s*-?\s*old)/g;
+const RELATIVE_DURATIONS = [
+  { pattern: /\bsince (?:last )?(?:night|yesterday)\b/, days: 1 },
+  { pattern: /\b(?:since|this) (?:this )?(?:morning|afternoon|evening)\b|\bsince today\b/, days: 0.25 },
+  { pattern: /\bsince last week\b/, days: 7 },
+  { pattern: /\bsince last month\b/, days: 30 }
+];
+const SUDDEN_PATTERN = /\b(?:sudden|suddenly|all of a sudden|abrupt|abruptly|out of nowhere|came on (?:fast|quickly))\b/;
+
+const AGE_OLD_PATTERN = /\b(\d+(?:\.\d+)?)\s*-?\s*(year|yr|month|week|day)s?\s*-?\s*old\b/;
+const AGE_STATED_PATTERN = /\b(?:i am|im|i m|aged|age|my age is)\s+(\d{1,3})\b(?!\s*(?:%|percent|minute|min|hour|hr|day|week|month|time|kg|lb|cm))/;
+const AGE_WORDS = [
+  { pattern: /\bnewborn\b/, years: 0.05 },
+  { pattern: /\b(?:infant|baby)\b/, years: 0.5 },
+  { pattern: /\btoddler\b/, years: 2 },
+  { pattern: /\belderly\b/, years: 70 }
+];
+
+const LEVEL_NEEDS = {
+  emergency: 'Emergency care is needed for',
+  urgent: 'A doctor should see you today for',
+  routine: 'A routine appointment is advised for',
+  self_care: 'Home care is usually enough for'
+};
+
+const rank = (level) => TRIAGE_LEVELS.indexOf(level);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const phrasePattern = (phrase) => new RegExp(`\\b${escapeRegExp(phrase).replace(/\s+/g, '\\s+')}\\b`, 'g');
+
+// Compiled once: every phrase of every rule
+const RULE_PATTERNS = TRIAGE_RULES.flatMap(rule =>
+  rule.phrases.map(phrase => ({ rule, pattern: phrasePattern(phrase) }))
+);
+const NEGATION_PATTERN = new RegExp(`\\b(?:${NEGATION_TRIGGERS.map(escapeRegExp).join('|')})\\b`, 'g');
+const NEGATION_START_PATTERN = new RegExp(`^(?:${NEGATION_TRIGGERS.map(escapeRegExp).join('|')})\\b`);
+
+/**
+ * Lowercase, drop apostrophes and tidy whitespace so "Can't" matches "cant"
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) => text.toLowerCase().replace(/['’`]/g, '').replace(/[ \t]+/g, ' ');
+
+/**
+ * Every rule phrase found in the text, in reading order. A match inside a
+ * longer match is dropped, so "mild headache" is not also counted as "headache".
+ * @param {string} text - Normalised text
+ * @returns {{rule: Object, start: number, end: number, phrase: string}[]}
+ */
+const findMatches = (text) => {
+  const matches = [];
+  for (const { rule, pattern } of RULE_PATTERNS) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ rule, start: match.index, end: match.index + match[0].length, phrase: match[0] });
+    }
+  }
+
+  return matches
+    .filter(match => !matches.some(other =>
+      other !== match &&
+      other.start <= match.start &&
+      other.end >= match.end &&
+      other.end - other.start > match.end - match.start
+    ))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Whether a negation shortly before a match covers it
+ * @param {string} text - Normalised text
+ * @param {number} start - Where the match begins
+ * @returns {boolean}
+ */
+const isNegated = (text, start) => {
+  // A symptom worded as a negation ("not breathing", "no pulse") is reported,
+  // not denied: "not moving, not breathing" must not cancel itself out
+  if (NEGATION_START_PATTERN.test(text.slice(start))) return false;
+
+  // Negations do not reach across punctuation
+  const clause = text.slice(0, start).split(/[.,;:!?()\n]/).pop();
+
+  let trigger = null;
+  NEGATION_PATTERN.lastIndex = 0;
+  for (const match of clause.matchAll(NEGATION_PATTERN)) {
+    const rest = clause.slice(match.index);
+    if (!PSEUDO_NEGATIONS.some(pseudo => rest.startsWith(pseudo))) trigger = match;
+  }
+  if (!trigger) return false;
+
+  const gap = clause.slice(trigger.index + trigger[0].length).trim().split(/\s+/).filter(Boolean);
+  return gap.length <= MAX_NEGATION_GAP && !gap.some(word => SCOPE_TERMINATORS.has(word));
+};
+
+/**
+ * How long the symptoms have lasted, taking the longest duration mentioned
+ * @param {string} text - Normalised text
+ * @returns {number|null} Days, or null when none is mentioned
+ */
+const parseDuration = (text) => {
+  const durations = [];
+
+  for (const match of text.matchAll(DURATION_PATTERN)) {
+    const amount = match[1].replace(/^a\s+/, '');
+    const count = NUMBER_WORDS[amount] ?? Number(amount);
+    durations.push(count * DAYS_PER_UNIT[match[2]]);
+  }
+  for (const { pattern, days } of RELATIVE_DURATIONS) {
+    if (pattern.test(text)) durations.push(days);
+  }
+
+  return durations.length > 0 ? Math.max(...durations) : null;
+};
+
+/**
+ * The patient's age as written in the description
+ * @param {string} text - Normalised text
+ * @returns {number|null} Years, or null when no age is given
+ */
+const parseAge = (text) => {
+  const old = text.match(AGE_OLD_PATTERN);
+  if (old) return Number(old[1]) * YEARS_PER_UNIT[old[2]];
+
+  const stated = text.match(AGE_STATED_PATTERN);
+  if (stated) return Number(stated[1]);
+
+  const word = AGE_WORDS.find(({ pattern }) => pattern.test(text));
+  return word ? word.years : null;
+};
+
+/**
+ * Apply a rule's age, duration and onset modifiers
+ * @param {Object} rule - Entry from TRIAGE_RULES
+ * @param {{ageYears: number|null, durationDays: number|null, sudden: boolean}} modifiers
+ * @returns {{level: string, reasons: string[]}}
+ */
+const applyModifiers = (rule, { ageYears, durationDays, sudden }) => {
+  let level = rule.level;
+  const reasons = [];
+  const raise = (to, reason) => {
+    if (rank(to) > rank(level)) {
+      level = to;
+      reasons.push(reason);
+    }
+  };
+
+  if (ageYears !== null) {
+    const band = (rule.ageEscalation || []).find(({ minAgeYears = 0, maxAgeYears = Infinity }) =>
+      ageYears >= minAgeYears && ageYears < maxAgeYears
+    );
+    if (band) raise(band.level, band.reason);
+  }
+
+  if (durationDays !== null) {
+    const step = (rule.durationEscalation || [])
+      .filter(({ minDays }) => durationDays >= minDays)
+      .sort((a, b) => b.minDays - a.minDays)[0];
+    if (step) raise(step.level, step.reason);
+  }
+
+  if (sudden && rule.suddenLevel) raise(rule.suddenLevel, 'of sudden onset');
+
+  return { level, reasons };
+};
+
+const joinLabels = (labels) =>
+  labels.length <= 1 ? labels.join('') : `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`;
+
+/**
+ * Triage a symptom description
+ * @param {string} text - What the patient wrote
+ * @param {Object} [options]
+ * @param {number} [options.age] - Patient's age in years; read from the text when not given
+ * @returns {TriageResult}
+ */
+export const triageSymptoms = (text, { age } = {}) => {
+  const normalized = normalize(text || '');
+  const modifiers = {
+    ageYears: Number.isFinite(age) && age >= 0 ? age : parseAge(normalized),
+    durationDays: parseDuration(normalized),
+    sudden: SUDDEN_PATTERN.test(normalized)
+  };
+
+  // A symptom counts if any mention of it is not negated
+  const present = new Map();
+  const negated = new Map();
+  for (const match of findMatches(normalized)) {
+    const { id, label } = match.rule;
+    if (isNegated(normalized, match.start)) {
+      if (!negated.has(id)) negated.set(id, { id, label, phrase: match.phrase });
+    } else if (!present.has(id)) {
+      present.set(id, { id, label, phrase: match.phrase, ...applyModifiers(match.rule, modifiers) });
+    }
+  }
+  for (const id of present.keys()) negated.delete(id);
+
+  const symptoms = [...present.values()].sort((a, b) => rank(b.level) - rank(a.level));
+  const negatedList = [...negated.values()];
+
+  if (symptoms.length === 0) {
+    return {
+      level: 'routine',
+      careSetting: CARE_SETTINGS.routine.id,
+      advice: CARE_SETTINGS.routine.label,
+      redFlags: [],
+      symptoms: [],
+      negated: negatedList,
+      modifiers,
+      confidence: 0.3,
+      explanation: 'No symptoms in the description matched the triage rules, so a routine appointment is suggested. ' +
+        'Describe what you feel, where, and for how long for a more specific answer.'
+    };
+  }
+
+  const level = symptoms[0].level;
+  const deciding = symptoms.filter(symptom => symptom.level === level);
+
+  const explanation = [
+    `${LEVEL_NEEDS[level]} ${joinLabels(deciding.map(symptom => symptom.label.toLowerCase()))}.`,
+    ...symptoms
+      .filter(symptom => symptom.reasons.length > 0)
+      .map(symptom => `${symptom.label} was treated as ${symptom.level.replace('_', ' ')} because it is ${symptom.reasons.join(' and ')}.`),
+    ...(negatedList.length > 0
+      ? [`Not counted because you said you do not have it: ${joinLabels(negatedList.map(item => item.label.toLowerCase()))}.`]
+      : [])
+  ].join(' ');
+
+  const confidence = 0.6 +
+    0.1 * Math.min(2, deciding.length - 1) +
+    (modifiers.ageYears !== null ? 0.05 : 0) +
+    (modifiers.durationDays !== null ? 0.05 : 0) -
+    (negatedList.length > 0 ? 0.1 : 0);
+
+  return {
+    level,
+    careSetting: CARE_SETTINGS[level].id,
+    advice: CARE_SETTINGS[level].label,
+    redFlags: symptoms.filter(symptom => rank(symptom.level) >= rank('urgent')),
+    symptoms,
+    negated: negatedList,
+    modifiers,
+    confidence: Math.round(Math.min(0.95, Math.max(0.3, confidence)) * 100) / 100,
+    explanation
+  };
+};
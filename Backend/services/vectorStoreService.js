@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Persistent Vector Store
+ * @description Keeps embeddings in MongoDB so they survive restarts. Report
+ * chunks are always stored and searched per user: a search never looks at
+ * another patient's documents. Vectors are cached in memory and the cache is
+ * filled lazily from the database the first time a user (or the knowledge
+ * base) is searched after startup.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Embedding from '../models/EmbeddingSchema.js';
+
+// How many users' report vectors to keep in memory at once
+const MAX_CACHED_USERS = 100;
+
+// Provider of vectors stored before the provider was recorded
+const LEGACY_MODEL = 'hash-v1';
+
+// userId -> [{ sessionId, documentId, chunkIndex, page, section, text, embedding, model, metadata }]
+const reportCache = new Map();
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity, 0 when the vectors can't be compared
+ */
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let magnitudeA = 0;
+  let magnitudeB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magnitudeA += a[i] * a[i];
+    magnitudeB += b[i] * b[i];
+  }
+
+  if (magnitudeA === 0 || magnitudeB === 0) return 0;
+  return dot / (Math.sqrt(magnitudeA) * Math.sqrt(magnitudeB));
+};
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(id.toString()) : undefined);
+
+const cacheUser = (userId, chunks) => {
+  reportCache.delete(userId);
+  reportCache.set(userId, chunks);
+
+  // Drop the least recently used user
+  if (reportCache.size > MAX_CACHED_USERS) {
+    reportCache.delete(reportCache.keys().next().value);
+  }
+};
+
+/**
+ * A user's report chunks, read from the database on first use
+ * @async
+ * @param {string} userId - Patient ID
+ * @returns {Promise<Array>} Cached chunks
+ */
+const loadUserChunks = async (userId) => {
+  const key = userId.toString();
+  if (reportCache.has(key)) {
+    const chunks = reportCache.get(key);
+    cacheUser(key, chunks);
+    return chunks;
+  }
+
+  const chunks = await Embedding.find({ source: 'report', userId: toObjectId(userId) })
+    .select('sessionId documentId chunkIndex page section text embedding model metadata')
+    .lean();
+  cacheUser(key, chunks);
+  return chunks;
+};
+
+/**
+ * Store the chunks of one uploaded report. Replaces any chunks already stored
+ * for the same document.
+ * @async
+ * @param {Object} document
+ * @param {string} document.userId - Patient who uploaded the report
+ * @param {string} [document.sessionId] - Chat session the report belongs to
+ * @param {string} document.documentId - Unique id of the uploaded file
+ * @param {string} document.model - Id of the embedding provider that made the vectors
+ * @param {Object} [document.metadata] - { fileName, originalName, mimeType }
+ * @param {Array<{text: string, embedding: number[], page: ?number, section: ?string}>} document.chunks - Chunks in order
+ * @returns {Promise<number>} Number of chunks stored
+ */
+export const saveDocumentChunks = async ({ userId, sessionId, documentId, model, metadata = {}, chunks }) => {
+  if (!userId) {
+    throw new Error('Report embeddings must belong to a user');
+  }
+
+  const entries = chunks
+    .filter(chunk => chunk.embedding?.length)
+    .map((chunk, index) => ({
+      source: 'report',
+      userId: toObjectId(userId),
+      sessionId: toObjectId(sessionId),
+      documentId,
+      chunkIndex: index,
+      page: chunk.page ?? undefined,
+      section: chunk.section ?? undefined,
+      text: chunk.text,
+      embedding: chunk.embedding,
+      model,
+      metadata
+    }));
+
+  await Embedding.deleteMany({ source: 'report', documentId });
+  if (entries.length > 0) {
+    await Embedding.insertMany(entries);
+  }
+
+  // Refresh from the database next time this user searches
+  reportCache.delete(userId.toString());
+  return entries.length;
+};
+
+/**
+ * Find a user's report chunks most similar to a query vector
+ * @async
+ * @param {string} userId - Patient whose reports are searched
+ * @param {number[]} queryEmbedding - Query vector
+ * @param {Object} options
+ * @param {string} options.model - Provider of the query vector; only its vectors are compared
+ * @param {string} [options.sessionId] - Only search this chat session's reports
+ * @param {number} [options.limit=3] - Maximum results
+ * @param {number} [options.minSimilarity=0.7] - Ignore weaker matches
+ * @returns {Promise<Array>} Matches, best first, without their vectors
+ */
+export const searchUserDocuments = async (userId, queryEmbedding, { model, sessionId, limit = 3, minSimilarity = 0.7 }) => {
+  if (!userId || !queryEmbedding) return [];
+
+  const chunks = await loadUserChunks(userId);
+
+  return chunks
+    .filter(chunk => (chunk.model || LEGACY_MODEL) === model)
+    .filter(chunk => !sessionId || chunk.sessionId?.toString() === sessionId.toString())
+    .map(chunk => ({
+      documentId: chunk.documentId,
+      sessionId: chunk.sessionId,
+      chunkIndex: chunk.chunkIndex,
+      page: chunk.page,
+      section: chunk.section,
+      text: chunk.text,
+      metadata: chunk.metadata,
+      similarity: cosineSimilarity(queryEmbedding, chunk.embedding)
+    }))
+    .filter(match => match.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+/**
+ * Remove every report chunk stored for a chat session
+ * @async
+ * @param {string} userId - Owner of the session
+ * @param {string} sessionId - Chat session ID
+ * @returns {Promise<number>} Number of chunks removed
+ */
+export const deleteSessionDocuments = async (userId, sessionId) => {
+  const { deletedCount } = await Embedding.deleteMany({
+    source: 'report',
+    userId: toObjectId(userId),
+    sessionId: toObjectId(sessionId)
+  });
+
+  reportCache.delete(userId.toString());
+  return deletedCount;
+};
+
+/**
+ * Document and chunk counts per user from the database
+ * @async
+ * @param {string} [userId] - Limit the counts to one user
+ * @returns {Promise<Object>} { totalDocuments, totalChunks, knowledgeEntries, users }
+ */
+export const getStoreStats = async (userId) => {
+  const match = { source: 'report' };
+  if (userId) match.userId = toObjectId(userId);
+
+  const [users, knowledgeEntries] = await Promise.all([
+    Embedding.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$userId',
+          documents: { $addToSet: '$documentId' },
+          sessions: { $addToSet: '$sessionId' },
+          chunks: { $sum: 1 },
+          lastUpdated: { $max: '$createdAt' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          documents: { $size: '$documents' },
+          sessions: { $size: '$sessions' },
+          chunks: 1,
+          lastUpdated: 1
+        }
+      },
+      { $sort: { chunks: -1 } }
+    ]),
+    Embedding.countDocuments({ source: 'knowledge' })
+  ]);
+
+  return {
+    totalDocuments: users.reduce((total, user) => total + user.documents, 0),
+    totalChunks: users.reduce((total, user) => total + user.chunks, 0),
+    knowledgeEntries,
+    cachedUsers: reportCache.size,
+    users
+  };
+};
+
+/**
+ * All stored knowledge-base vectors
+ * @async
+ * @returns {Promise<Map<string, {embedding: number[], contentHash: string, model: string}>>} Keyed by entry id
+ */
+export const loadKnowledgeEmbeddings = async () => {
+  const entries = await Embedding.find({ source: 'knowledge' })
+    .select('documentId embedding contentHash model')
+    .lean();
+
+  return new Map(entries.map(entry => [entry.documentId, { ...entry, model: entry.model || LEGACY_MODEL }]));
+};
+
+/**
+ * Store (or replace) the vector for one knowledge-base entry
+ * @async
+ * @param {string} id - Knowledge entry id
+ * @param {Object} vector
+ * @param {string} vector.text - Text that was embedded
+ * @param {string} vector.contentHash - Hash of that text, to spot stale vectors
+ * @param {number[]} vector.embedding - The vector
+ * @param {string} vector.model - Id of the embedding provider that made it
+ * @returns {Promise<void>}
+ */
+export const saveKnowledgeEmbedding = async (id, { text, contentHash, embedding, model }) => {
+  await Embedding.updateOne(
+    { source: 'knowledge', documentId: id, chunkIndex: 0 },
+    { $set: { text, contentHash, embedding, model } },
+    { upsert: true }
+  );
+};
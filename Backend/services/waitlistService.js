@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Appointment Waitlist Service
+ * @description Offers freed appointment slots to waitlisted patients in
+ * first-come order. An offer holds the slot for a limited time; when it is
+ * declined or expires the slot cascades to the next patient in line.
+ * @author Healthcare System Team
+ * @version 1.0.0
+ */
+
+import mongoose from 'mongoose';
+import Waitlist from '../models/WaitlistSchema.js';
+import Doctor from '../models/DoctorSchema.js';
+import { findSlot, reserveSlot, releaseSlot, toDateKey } from './availabilityService.js';
+import { notifyUser } from './notificationService.js';
+import { getBookingPolicy } from '../config/bookingPolicy.js';
+
+// How often expired offers are swept while the server runs
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Offer a freed slot to the next waiting patient for that doctor and day
+ * @async
+ * @param {string} doctorId - Doctor ID
+ * @param {Date|string} date - Date of the freed slot
+ * @param {string} time - Slot start (HH:mm) or slot label
+ * @returns {Promise<Object|null>} The waitlist entry that received the offer, or null
+ */
+export const offerFreedSlot = async (doctorId, date, time) => {
+  const dateKey = toDateKey(date);
+  const todayKey = toDateKey(new Date());
+  if (!dateKey || dateKey < todayKey) return null;
+
+  const doctor = await Doctor.findById(doctorId);
+  if (!doctor || !doctor.isAvailable) return null;
+
+  const slot = findSlot(doctor, dateKey, time);
+  if (!slot) return null;
+
+  const { waitlistOfferMinutes } = getBookingPolicy();
+  const offeredAt = new Date();
+
+  // Claim the next waiting patient first, so two slots freed at once cannot
+  // both be offered to the same entry. The booking id is pre-allocated: the
+  // slot is held under it until the offer is accepted.
+  const bookingId = new mongoose.Types.ObjectId();
+  const next = await Waitlist.findOneAndUpdate(
+    { doctor: doctorId, date: dateKey, status: 'waiting' },
+    {
+      status: 'offered',
+      offer: {
+        start: slot.start,
+        label: slot.label,
+        bookingId,
+        offeredAt,
+        expiresAt: new Date(offeredAt.getTime() + waitlistOfferMinutes * 60 * 1000)
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+  if (!next) return null;
+
+  const reservation = await reserveSlot(doctorId, dateKey, slot.start, bookingId);
+  if (!reservation) {
+    // Someone booked the slot in the meantime: put the patient back in line
+    await Waitlist.updateOne(
+      { _id: next._id, status: 'offered', 'offer.bookingId': bookingId },
+      { status: 'waiting', $unset: { offer: 1 } }
+    );
+    return null;
+  }
+
+  await notifyUser(next.user, {
+    type: 'waitlist',
+    title: 'A slot opened up for you',
+    message: `Dr. ${doctor.name} has a free slot on ${dateKey} at ${slot.label}. Accept it within ${waitlistOfferMinutes} minutes from your bookings page before it goes to the next patient.`
+  });
+
+  return next;
+};
+
+/**
+ * Close an offer (declined, expired or withdrawn) and pass the slot on. The
+ * entry must still be in the status it was read in: when a concurrent accept,
+ * decline or sweep got to it first, nothing is closed and the slot, which may
+ * now belong to a booking, is left alone.
+ * @async
+ * @param {Object} entry - Waitlist entry read in "offered" status, or "accepted" when its booking failed
+ * @param {'declined'|'expired'|'cancelled'} status - Final status for the entry
+ * @returns {Promise<boolean>} Whether this call closed the offer
+ */
+export const closeOffer = async (entry, status) => {
+  const closed = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: entry.status },
+    { status }
+  );
+  if (!closed) return false;
+
+  await releaseSlot(entry.offer.bookingId);
+  await offerFreedSlot(entry.doctor, entry.date, entry.offer.start);
+  return true;
+};
+
+/**
+ * Expire every offer whose time is up, cascading each slot to the next patient
+ * @async
+ * @returns {Promise<number>} Number of offers expired
+ */
+export const expireOffers = async () => {
+  const expired = await Waitlist.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: new Date() }
+  });
+
+  let count = 0;
+  for (const entry of expired) {
+    if (await closeOffer(entry, 'expired')) count += 1;
+  }
+
+  return count;
+};
+
+/**
+ * Periodically expire stale offers so slots keep moving down the queue
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startWaitlistSweeper = () => {
+  const timer = setInterval(() => {
+    expireOffers().catch(error => console.error('Waitlist sweep error:', error));
+  }, SWEEP_INTERVAL_MS);
+
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
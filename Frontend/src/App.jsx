@@ -44,6 +44,9 @@ import Ambulance from './pages/Ambulance';
 import AmbulanceStatus from './pages/AmbulanceStatus';
 import AdminAmbulanceDashboard from './pages/Admin/AdminAmbulanceDashboard';
 import ManageDriversPage from './pages/Admin/ManageDriversPage';
+import ManageHospitals from './pages/Admin/ManageHospitals';
+import DriverLogin from './pages/Driver/Login';
+import DriverDashboard from './pages/Driver/Dashboard';
 import MedicalChatbot from './pages/MedicalChatbot.jsx';
 import ReviewPage from './pages/ReviewPage';
 import { useEffect } from 'react';
@@ -81,6 +84,7 @@ export const App = () => {
           <Routes>
             <Route path="/admin/*" element={null} />
             <Route path="/moderator/*" element={null} />
+            <Route path="/driver/*" element={null} />
             <Route path="*" element={<Navbar />} />
           </Routes>
 
@@ -233,6 +237,16 @@ export const App = () => {
                 </ProtectedRoute>
               } 
             />
+            <Route 
+              path="/admin/hospitals" 
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminLayout>
+                    <ManageHospitals />
+                  </AdminLayout>
+                </ProtectedRoute>
+              } 
+            />
             <Route 
               path="/admin/inquiries" 
               element={
@@ -260,11 +274,23 @@ export const App = () => {
                 </ProtectedRoute>
               } 
             />
+
+            {/* Ambulance Driver Routes */}
+            <Route path="/driver/login" element={<DriverLogin />} />
+            <Route 
+              path="/driver" 
+              element={
+                <ProtectedRoute allowedRoles={['driver']}>
+                  <DriverDashboard />
+                </ProtectedRoute>
+              } 
+            />
           </Routes>
 
           <Routes>
             <Route path="/admin/*" element={null} />
             <Route path="/moderator/*" element={null} />
+            <Route path="/driver/*" element={null} />
             <Route path="*" element={<Footer />} />
           </Routes>
         </div>
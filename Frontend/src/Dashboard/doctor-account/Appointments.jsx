@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { BASE_URL } from '../../config';
 import { Toaster, toast } from 'react-hot-toast';
+import ConsultationForm from './ConsultationForm';
 
 const Appointments = ({ doctorData }) => {
   const [appointments, setAppointments] = useState([]);
@@ -9,6 +10,7 @@ const Appointments = ({ doctorData }) => {
   const [searchResults, setSearchResults] = useState([]);
   const [showSearchModal, setShowSearchModal] = useState(false);
   const [newAppointmentsCount, setNewAppointmentsCount] = useState(0);
+  const [consultingAppointment, setConsultingAppointment] = useState(null);
 
   useEffect(() => {
     fetchAppointments();
@@ -166,6 +168,7 @@ const Appointments = ({ doctorData }) => {
       case 'approved': return 'bg-green-100 text-green-800';
       case 'cancelled': return 'bg-red-100 text-red-800';
       case 'finished': return 'bg-blue-100 text-blue-800';
+      case 'needs_reschedule': return 'bg-orange-100 text-orange-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -339,10 +342,19 @@ const Appointments = ({ doctorData }) => {
                       </button>
                     )}
 
+                    {(appointment.status === 'approved' || appointment.status === 'finished') && (
+                      <button
+                        onClick={() => setConsultingAppointment(appointment)}
+                        className="border border-primaryColor text-primaryColor px-4 py-2 rounded hover:bg-blue-50 transition-colors"
+                      >
+                        {appointment.consultation ? 'Edit Consultation' : 'Add Consultation'}
+                      </button>
+                    )}
+
                     {appointment.status === 'approved' && (
                       <button
                         onClick={() => {
-                          if (window.confirm('Are you sure you want to mark this appointment as finished? This will remove it from the list.')) {
+                          if (window.confirm('Are you sure you want to mark this appointment as finished?')) {
                             updateAppointmentStatus(appointment._id, 'finished');
                           }
                         }}
@@ -361,6 +373,17 @@ const Appointments = ({ doctorData }) => {
           </div>
         </div>
     </div>
+
+      {consultingAppointment && (
+        <ConsultationForm
+          appointment={consultingAppointment}
+          onClose={() => setConsultingAppointment(null)}
+          onSaved={() => {
+            setConsultingAppointment(null);
+            fetchAppointments();
+          }}
+        />
+      )}
     </>
   );
 };
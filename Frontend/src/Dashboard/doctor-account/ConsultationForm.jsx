@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-hot-toast';
+
+const VITALS = [
+  ['bloodPressure', 'Blood Pressure (mmHg)', 'text', '120/80'],
+  ['pulse', 'Pulse (bpm)', 'number', '72'],
+  ['temperature', 'Temperature (°F)', 'number', '98.6'],
+  ['respiratoryRate', 'Respiratory Rate (/min)', 'number', '16'],
+  ['spo2', 'SpO2 (%)', 'number', '98'],
+  ['weight', 'Weight (kg)', 'number', '70'],
+  ['height', 'Height (cm)', 'number', '170']
+];
+
+const NOTES = [
+  ['chiefComplaint', 'Chief Complaint'],
+  ['history', 'History'],
+  ['examination', 'Examination'],
+  ['advice', 'Advice']
+];
+
+const emptyItem = { medicine: '', dose: '', frequency: '', duration: '', quantity: 1, instructions: '' };
+
+const ConsultationForm = ({ appointment, onClose, onSaved }) => {
+  const [notes, setNotes] = useState({});
+  const [vitals, setVitals] = useState({});
+  const [diagnoses, setDiagnoses] = useState([]);
+  const [prescription, setPrescription] = useState([]);
+  const [followUpDate, setFollowUpDate] = useState('');
+  const [medicines, setMedicines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const medicinesRes = await fetch(`${BASE_URL}/medicines`);
+        const medicinesData = await medicinesRes.json();
+        if (medicinesRes.ok) {
+          setMedicines(medicinesData.data);
+        }
+
+        // Bookings without notes yet start from an empty form
+        if (appointment.consultation) {
+          const res = await fetch(`${BASE_URL}/consultations/booking/${appointment._id}`, {
+            headers: {
+              Authorization: `Bearer ${localStorage.getItem('token')}`
+            }
+          });
+          const result = await res.json();
+
+          if (!res.ok) {
+            throw new Error(result.message);
+          }
+
+          const consultation = result.data;
+          setNotes(consultation.notes || {});
+          setVitals(consultation.vitals || {});
+          setDiagnoses(consultation.diagnoses || []);
+          setPrescription((consultation.prescription || []).map(item => ({
+            ...item,
+            medicine: item.medicine?._id || ''
+          })));
+          setFollowUpDate(consultation.followUpDate ? consultation.followUpDate.split('T')[0] : '');
+        }
+      } catch (err) {
+        toast.error(err.message || 'Failed to load consultation');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [appointment._id, appointment.consultation]);
+
+  const updateListItem = (setter, index, field, value) => {
+    setter(list => list.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const removeListItem = (setter, index) => {
+    setter(list => list.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const res = await fetch(`${BASE_URL}/consultations/booking/${appointment._id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
+        body: JSON.stringify({
+          notes,
+          vitals,
+          diagnoses,
+          prescription: prescription.map(item => ({ ...item, quantity: Number(item.quantity) || 1 })),
+          followUpDate: followUpDate || undefined
+        })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success('Consultation saved');
+      onSaved();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save consultation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border rounded focus:outline-none focus:border-primaryColor';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white p-6 rounded-lg w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-bold mb-1">Consultation</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          {appointment.name} · {new Date(appointment.appointmentDate).toLocaleDateString()} {appointment.appointmentTime}
+        </p>
+
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <h4 className="font-semibold mb-2">Vitals</h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                {VITALS.map(([key, label, type, placeholder]) => (
+                  <label key={key} className="text-sm text-gray-600">
+                    {label}
+                    <input
+                      type={type}
+                      step="any"
+                      value={vitals[key] ?? ''}
+                      placeholder={placeholder}
+                      onChange={(e) => setVitals({ ...vitals, [key]: e.target.value })}
+                      className={inputClass}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              {NOTES.map(([key, label]) => (
+                <label key={key} className="text-sm text-gray-600">
+                  {label}
+                  <textarea
+                    rows={3}
+                    value={notes[key] || ''}
+                    onChange={(e) => setNotes({ ...notes, [key]: e.target.value })}
+                    className={inputClass}
+                  />
+                </label>
+              ))}
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold">Diagnosis</h4>
+                <button
+                  type="button"
+                  onClick={() => setDiagnoses([...diagnoses, { code: '', description: '' }])}
+                  className="text-sm text-primaryColor hover:underline"
+                >
+                  + Add diagnosis
+                </button>
+              </div>
+              {diagnoses.map((diagnosis, index) => (
+                <div key={index} className="flex gap-2 mb-2">
+                  <input
+                    type="text"
+                    value={diagnosis.code || ''}
+                    placeholder="ICD-10 (e.g. J06.9)"
+                    onChange={(e) => updateListItem(setDiagnoses, index, 'code', e.target.value)}
+                    className={`${inputClass} md:w-40`}
+                  />
+                  <input
+                    type="text"
+                    value={diagnosis.description}
+                    placeholder="Description"
+                    onChange={(e) => updateListItem(setDiagnoses, index, 'description', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeListItem(setDiagnoses, index)}
+                    className="text-red-500 px-2"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold">Prescription</h4>
+                <button
+                  type="button"
+                  onClick={() => setPrescription([...prescription, { ...emptyItem }])}
+                  className="text-sm text-primaryColor hover:underline"
+                >
+                  + Add medicine
+                </button>
+              </div>
+              {prescription.map((item, index) => (
+                <div key={index} className="border rounded p-3 mb-2">
+                  <div className="flex gap-2 mb-2">
+                    <select
+                      value={item.medicine}
+                      onChange={(e) => updateListItem(setPrescription, index, 'medicine', e.target.value)}
+                      className={inputClass}
+                      required
+                    >
+                      <option value="">Select medicine</option>
+                      {medicines.map(medicine => (
+                        <option key={medicine._id} value={medicine._id}>
+                          {medicine.productName} ({medicine.genericName}, {medicine.dosageMg} mg)
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={() => removeListItem(setPrescription, index)}
+                      className="text-red-500 px-2"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    <input
+                      type="text"
+                      value={item.dose}
+                      placeholder="Dose (500 mg)"
+                      onChange={(e) => updateListItem(setPrescription, index, 'dose', e.target.value)}
+                      className={inputClass}
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={item.frequency}
+                      placeholder="Frequency (1+0+1)"
+                      onChange={(e) => updateListItem(setPrescription, index, 'frequency', e.target.value)}
+                      className={inputClass}
+                      required
+                    />
+                    <input
+                      type="text"
+                      value={item.duration}
+                      placeholder="Duration (7 days)"
+                      onChange={(e) => updateListItem(setPrescription, index, 'duration', e.target.value)}
+                      className={inputClass}
+                      required
+                    />
+                    <input
+                      type="number"
+                      min="1"
+                      value={item.quantity}
+                      title="Packs to buy"
+                      onChange={(e) => updateListItem(setPrescription, index, 'quantity', e.target.value)}
+                      className={inputClass}
+                    />
+                  </div>
+                  <input
+                    type="text"
+                    value={item.instructions || ''}
+                    placeholder="Instructions (after meals)"
+                    onChange={(e) => updateListItem(setPrescription, index, 'instructions', e.target.value)}
+                    className={`${inputClass} mt-2`}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <label className="text-sm text-gray-600 block">
+              Follow-up Date
+              <input
+                type="date"
+                value={followUpDate}
+                onChange={(e) => setFollowUpDate(e.target.value)}
+                className={`${inputClass} md:w-60`}
+              />
+            </label>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-4 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            Close
+          </button>
+          <button
+            type="submit"
+            disabled={loading || saving}
+            className="px-4 py-2 bg-primaryColor text-white rounded hover:bg-blue-600 disabled:opacity-60"
+          >
+            {saving ? 'Saving...' : 'Save Consultation'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ConsultationForm;
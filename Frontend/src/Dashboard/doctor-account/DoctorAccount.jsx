@@ -4,6 +4,8 @@ import { AuthContext } from "../../context/AuthContext";
 import DoctorProfile from "./DoctorProfile";
 import Appointments from "./Appointments";
 import Statistics from "./Statistics";
+import ScheduleSettings from "./ScheduleSettings";
+import LeaveManagement from "./LeaveManagement";
 import userImg from "../../assets/images/avatar-icon.png";
 import { BASE_URL } from "../../config";
 import { toast } from "react-toastify";
@@ -174,6 +176,26 @@ const DoctorAccount = () => {
             >
               Appointments
             </button>
+            <button
+              onClick={() => setTab("schedule")}
+              className={`${
+                tab === "schedule" 
+                  ? "bg-primaryColor text-white" 
+                  : "bg-transparent text-headingColor"
+              } py-2 px-5 rounded-lg text-[16px] leading-7 border border-solid border-primaryColor`}
+            >
+              Schedule
+            </button>
+            <button
+              onClick={() => setTab("leave")}
+              className={`${
+                tab === "leave" 
+                  ? "bg-primaryColor text-white" 
+                  : "bg-transparent text-headingColor"
+              } py-2 px-5 rounded-lg text-[16px] leading-7 border border-solid border-primaryColor`}
+            >
+              Leave
+            </button>
             <button
               onClick={() => setTab("settings")}
               className={`${
@@ -190,6 +212,8 @@ const DoctorAccount = () => {
           <div className="bg-white rounded-lg shadow-md p-6">
             {tab === "overview" && <Statistics doctorData={displayData} />}
             {tab === "appointments" && <Appointments doctorData={displayData} />}
+            {tab === "schedule" && <ScheduleSettings doctorData={displayData} onScheduleUpdate={fetchDoctorProfile} />}
+            {tab === "leave" && <LeaveManagement doctorData={displayData} onLeaveUpdate={fetchDoctorProfile} />}
             {tab === "settings" && <DoctorProfile onProfileUpdate={fetchDoctorProfile} />}
           </div>
         </div>
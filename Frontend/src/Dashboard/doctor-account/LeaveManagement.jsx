@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+import HashLoader from 'react-spinners/HashLoader';
+
+const inputClass = "w-full px-4 py-3 border border-solid border-[#0066ff61] focus:outline-none focus:border-primaryColor text-[16px] leading-7 text-headingColor placeholder:text-textColor rounded-lg";
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+};
+
+const LeaveManagement = ({ doctorData, onLeaveUpdate }) => {
+  const [loading, setLoading] = useState(false);
+  const [blackouts, setBlackouts] = useState([]);
+  const [formData, setFormData] = useState({
+    startDate: '',
+    endDate: '',
+    reason: ''
+  });
+
+  useEffect(() => {
+    setBlackouts(doctorData?.blackouts || []);
+  }, [doctorData]);
+
+  const today = new Date().toISOString().split('T')[0];
+
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.endDate < formData.startDate) {
+      toast.error('End date must be on or after the start date');
+      return;
+    }
+
+    if (!window.confirm('Open appointments in this period will be marked for rescheduling and the patients notified. Continue?')) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/doctors/${doctorData._id}/blackouts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(formData)
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      setBlackouts(prev => [...prev, result.data.blackout]);
+      setFormData({ startDate: '', endDate: '', reason: '' });
+      if (onLeaveUpdate) {
+        onLeaveUpdate();
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to add leave');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async (blackoutId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/doctors/${doctorData._id}/blackouts/${blackoutId}`, {
+        method: 'DELETE',
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      setBlackouts(result.data);
+      if (onLeaveUpdate) {
+        onLeaveUpdate();
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove leave');
+    }
+  };
+
+  const sortedBlackouts = [...blackouts].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  return (
+    <div>
+      <h2 className="text-[24px] leading-9 font-bold text-headingColor mb-2">
+        Leave & Holidays
+      </h2>
+      <p className="text-[14px] text-textColor mb-6">
+        Patients cannot book you on these dates. Existing appointments inside a new leave
+        period are moved to &quot;needs reschedule&quot; and the patients are notified.
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-5 mb-10">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="text-textColor font-semibold block mb-2">
+              From*
+            </label>
+            <input
+              type="date"
+              name="startDate"
+              value={formData.startDate}
+              onChange={handleInputChange}
+              min={today}
+              className={inputClass}
+              required
+            />
+          </div>
+          <div>
+            <label className="text-textColor font-semibold block mb-2">
+              To*
+            </label>
+            <input
+              type="date"
+              name="endDate"
+              value={formData.endDate}
+              onChange={handleInputChange}
+              min={formData.startDate || today}
+              className={inputClass}
+              required
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="text-textColor font-semibold block mb-2">
+            Reason*
+          </label>
+          <input
+            type="text"
+            name="reason"
+            value={formData.reason}
+            onChange={handleInputChange}
+            className={inputClass}
+            placeholder="Annual leave, conference, public holiday..."
+            required
+          />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-primaryColor text-white text-[18px] leading-[30px] rounded-lg px-4 py-3 hover:bg-primaryColor/90 disabled:bg-primaryColor/75 disabled:cursor-not-allowed transition duration-300"
+        >
+          {loading ? <HashLoader size={25} color="#ffffff" /> : 'Add Leave'}
+        </button>
+      </form>
+
+      <h3 className="text-[18px] font-semibold text-headingColor mb-3">Scheduled Leave</h3>
+      {sortedBlackouts.length === 0 ? (
+        <p className="text-[14px] text-gray-500">No leave scheduled</p>
+      ) : (
+        <div className="space-y-3">
+          {sortedBlackouts.map((blackout) => (
+            <div
+              key={blackout._id}
+              className="flex items-center justify-between p-4 bg-[#F8F9FA] rounded-lg"
+            >
+              <div>
+                <p className="text-[16px] font-semibold text-headingColor">
+                  {formatDate(blackout.startDate)} - {formatDate(blackout.endDate)}
+                </p>
+                <p className="text-[14px] text-textColor">{blackout.reason}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRemove(blackout._id)}
+                className="text-red-500 hover:text-red-700 text-[14px]"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeaveManagement;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+import HashLoader from 'react-spinners/HashLoader';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const SLOT_DURATIONS = [10, 15, 20, 30, 45, 60];
+
+const inputClass = "px-3 py-2 border border-solid border-[#0066ff61] focus:outline-none focus:border-primaryColor text-[15px] leading-6 text-headingColor rounded-lg";
+
+const ScheduleSettings = ({ doctorData, onScheduleUpdate }) => {
+  const [loading, setLoading] = useState(false);
+  const [weeklySchedule, setWeeklySchedule] = useState([]);
+  const [breaks, setBreaks] = useState([]);
+  const [slotDuration, setSlotDuration] = useState(30);
+
+  useEffect(() => {
+    if (doctorData) {
+      setWeeklySchedule(doctorData.weeklySchedule || []);
+      setBreaks((doctorData.breaks || []).map(b => ({ ...b, day: b.day ?? '' })));
+      setSlotDuration(doctorData.slotDuration || 30);
+    }
+  }, [doctorData]);
+
+  const updateRow = (setter, index, field, value) => {
+    setter(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (setter, index) => {
+    setter(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/doctors/${doctorData._id}/schedule`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          slotDuration: Number(slotDuration),
+          weeklySchedule: weeklySchedule.map(row => ({ ...row, day: Number(row.day) })),
+          // An empty day means the break applies every day
+          breaks: breaks.map(row => (row.day === '' ? { start: row.start, end: row.end } : { ...row, day: Number(row.day) }))
+        })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      if (onScheduleUpdate) {
+        onScheduleUpdate();
+      }
+    } catch (err) {
+      toast.error(err.message || 'Failed to update schedule');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-[24px] leading-9 font-bold text-headingColor mb-2">
+        Weekly Schedule
+      </h2>
+      <p className="text-[14px] text-textColor mb-6">
+        Patients can only book the slots generated from these hours.
+        {weeklySchedule.length === 0 && ' Until you add working hours, your profile time slots are used for every day.'}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-8">
+        <div>
+          <label className="text-textColor font-semibold block mb-2">
+            Slot Length
+          </label>
+          <select
+            value={slotDuration}
+            onChange={(e) => setSlotDuration(e.target.value)}
+            className={inputClass}
+          >
+            {SLOT_DURATIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{minutes} minutes</option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-[18px] font-semibold text-headingColor">Working Hours</h3>
+            <button
+              type="button"
+              onClick={() => setWeeklySchedule(prev => [...prev, { day: 1, start: '09:00', end: '17:00' }])}
+              className="px-4 py-2 text-[14px] bg-[#0066ff1a] text-primaryColor rounded-lg"
+            >
+              + Add Hours
+            </button>
+          </div>
+
+          {weeklySchedule.length === 0 ? (
+            <p className="text-[14px] text-gray-500">No working hours added yet</p>
+          ) : (
+            <div className="space-y-3">
+              {weeklySchedule.map((row, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={row.day}
+                    onChange={(e) => updateRow(setWeeklySchedule, index, 'day', e.target.value)}
+                    className={inputClass}
+                  >
+                    {DAYS.map((day, value) => (
+                      <option key={day} value={value}>{day}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    value={row.start}
+                    onChange={(e) => updateRow(setWeeklySchedule, index, 'start', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <span className="text-textColor">to</span>
+                  <input
+                    type="time"
+                    value={row.end}
+                    onChange={(e) => updateRow(setWeeklySchedule, index, 'end', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeRow(setWeeklySchedule, index)}
+                    className="text-red-500 hover:text-red-700 text-[14px]"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-[18px] font-semibold text-headingColor">Breaks</h3>
+            <button
+              type="button"
+              onClick={() => setBreaks(prev => [...prev, { day: '', start: '13:00', end: '14:00' }])}
+              className="px-4 py-2 text-[14px] bg-[#0066ff1a] text-primaryColor rounded-lg"
+            >
+              + Add Break
+            </button>
+          </div>
+
+          {breaks.length === 0 ? (
+            <p className="text-[14px] text-gray-500">No breaks added</p>
+          ) : (
+            <div className="space-y-3">
+              {breaks.map((row, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={row.day}
+                    onChange={(e) => updateRow(setBreaks, index, 'day', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">Every day</option>
+                    {DAYS.map((day, value) => (
+                      <option key={day} value={value}>{day}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    value={row.start}
+                    onChange={(e) => updateRow(setBreaks, index, 'start', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <span className="text-textColor">to</span>
+                  <input
+                    type="time"
+                    value={row.end}
+                    onChange={(e) => updateRow(setBreaks, index, 'end', e.target.value)}
+                    className={inputClass}
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeRow(setBreaks, index)}
+                    className="text-red-500 hover:text-red-700 text-[14px]"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-primaryColor text-white text-[18px] leading-[30px] rounded-lg px-4 py-3 hover:bg-primaryColor/90 disabled:bg-primaryColor/75 disabled:cursor-not-allowed transition duration-300"
+        >
+          {loading ? <HashLoader size={25} color="#ffffff" /> : 'Save Schedule'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ScheduleSettings;
@@ -25,8 +25,12 @@ const Statistics = ({ doctorData }) => {
     // Completed appointments
     const completedAppointments = appointments.filter(apt => apt.status === 'finished' || apt.status === 'approved').length;
 
-    // Unique patients count
-    const uniquePatients = new Set(appointments.map(apt => apt.user)).size;
+    // Unique patients count, same rule as the doctor's public patient count
+    const uniquePatients = new Set(
+      appointments
+        .filter(apt => apt.status === 'approved' || apt.status === 'finished')
+        .map(apt => apt.user)
+    ).size;
 
     // Calculate average rating
     const averageRating = doctorData.averageRating || 0;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+import { useCart } from '../../context/CartContext';
+
+const VITALS = [
+  ['bloodPressure', 'Blood Pressure', 'mmHg'],
+  ['pulse', 'Pulse', 'bpm'],
+  ['temperature', 'Temperature', '°F'],
+  ['respiratoryRate', 'Respiratory Rate', '/min'],
+  ['spo2', 'SpO2', '%'],
+  ['weight', 'Weight', 'kg'],
+  ['height', 'Height', 'cm']
+];
+
+const NOTES = [
+  ['chiefComplaint', 'Chief Complaint'],
+  ['history', 'History'],
+  ['examination', 'Examination'],
+  ['advice', 'Advice']
+];
+
+const ConsultationModal = ({ appointment, onClose }) => {
+  const [consultation, setConsultation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [addingToCart, setAddingToCart] = useState(false);
+  const { dispatch } = useCart();
+
+  useEffect(() => {
+    const fetchConsultation = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        const res = await fetch(`${BASE_URL}/consultations/booking/${appointment._id}`, {
+          headers: {
+            Authorization: `Bearer ${token}`
+          }
+        });
+
+        const result = await res.json();
+
+        if (!res.ok) {
+          throw new Error(result.message);
+        }
+
+        setConsultation(result.data);
+      } catch (err) {
+        toast.error(err.message || 'Failed to load consultation');
+        onClose();
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchConsultation();
+  }, [appointment._id, onClose]);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/consultations/booking/${appointment._id}/pdf`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (!res.ok) {
+        const result = await res.json();
+        throw new Error(result.message);
+      }
+
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `prescription-${appointment._id}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      toast.error(err.message || 'Failed to download prescription');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleAddToCart = async () => {
+    setAddingToCart(true);
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/consultations/booking/${appointment._id}/cart`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      dispatch({ type: 'SET_CART', payload: result.data });
+      toast.success(result.message);
+    } catch (err) {
+      toast.error(err.message || 'Failed to add prescription to cart');
+    } finally {
+      setAddingToCart(false);
+    }
+  };
+
+  const vitals = consultation
+    ? VITALS.filter(([key]) => consultation.vitals?.[key] !== undefined && consultation.vitals?.[key] !== null)
+    : [];
+  const notes = consultation
+    ? NOTES.filter(([key]) => consultation.notes?.[key])
+    : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white p-8 rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <h3 className="text-xl font-bold mb-2">Consultation & Prescription</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Dr. {appointment.doctor.name} · {appointment.appointmentTime}
+        </p>
+
+        {loading ? (
+          <p className="text-gray-500">Loading...</p>
+        ) : consultation && (
+          <div className="space-y-5">
+            {vitals.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-headingColor mb-2">Vitals</h4>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {vitals.map(([key, label, unit]) => (
+                    <div key={key} className="bg-gray-50 p-2 rounded">
+                      <p className="text-xs text-gray-500">{label}</p>
+                      <p className="font-medium">{consultation.vitals[key]} {unit}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {notes.map(([key, label]) => (
+              <div key={key}>
+                <h4 className="font-semibold text-headingColor mb-1">{label}</h4>
+                <p className="text-gray-700 whitespace-pre-line">{consultation.notes[key]}</p>
+              </div>
+            ))}
+
+            {consultation.diagnoses?.length > 0 && (
+              <div>
+                <h4 className="font-semibold text-headingColor mb-1">Diagnosis</h4>
+                <ul className="list-disc list-inside text-gray-700">
+                  {consultation.diagnoses.map((diagnosis, index) => (
+                    <li key={index}>
+                      {diagnosis.code && <span className="font-mono text-sm mr-2">{diagnosis.code}</span>}
+                      {diagnosis.description}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div>
+              <h4 className="font-semibold text-headingColor mb-2">Prescription</h4>
+              {consultation.prescription?.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Medicine</th>
+                      <th className="px-3 py-2 text-left">Dose</th>
+                      <th className="px-3 py-2 text-left">Frequency</th>
+                      <th className="px-3 py-2 text-left">Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {consultation.prescription.map((item) => (
+                      <tr key={item._id}>
+                        <td className="px-3 py-2">
+                          <p className="font-medium">{item.medicineName}</p>
+                          {item.instructions && <p className="text-xs text-gray-500">{item.instructions}</p>}
+                        </td>
+                        <td className="px-3 py-2">{item.dose}</td>
+                        <td className="px-3 py-2">{item.frequency}</td>
+                        <td className="px-3 py-2">{item.duration}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-gray-500 text-sm">No medicines prescribed</p>
+              )}
+            </div>
+
+            {consultation.followUpDate && (
+              <p className="text-sm text-gray-700">
+                Follow-up on{' '}
+                <span className="font-semibold">
+                  {new Date(consultation.followUpDate).toLocaleDateString('en-US', {
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric',
+                    timeZone: 'UTC'
+                  })}
+                </span>
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-4 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            Close
+          </button>
+          {consultation?.prescription?.length > 0 && (
+            <button
+              type="button"
+              onClick={handleAddToCart}
+              disabled={addingToCart}
+              className="px-4 py-2 border border-primaryColor text-primaryColor rounded hover:bg-blue-50 disabled:opacity-60"
+            >
+              {addingToCart ? 'Adding...' : 'Add Medicines to Cart'}
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={handleDownload}
+            disabled={!consultation || downloading}
+            className="px-4 py-2 bg-primaryColor text-white rounded hover:bg-blue-600 disabled:opacity-60"
+          >
+            {downloading ? 'Preparing...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConsultationModal;
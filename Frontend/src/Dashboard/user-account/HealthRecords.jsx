@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { BASE_URL } from '../../config';
+import Loading from '../../components/Loader/Loading';
+import Error from '../../components/Error/Error';
+import LabTrendChart from './LabTrendChart';
+
+const PERIODS = [
+  { value: '6', label: '6 months' },
+  { value: '12', label: '1 year' },
+  { value: '24', label: '2 years' },
+  { value: 'all', label: 'All' }
+];
+
+const TREND_LABELS = {
+  rising: '↑ Rising',
+  falling: '↓ Falling',
+  stable: '→ Stable'
+};
+
+const formatRange = (range) => {
+  const hasLow = range?.low !== null && range?.low !== undefined;
+  const hasHigh = range?.high !== null && range?.high !== undefined;
+  if (hasLow && hasHigh) return `${range.low} – ${range.high}`;
+  if (hasHigh) return `< ${range.high}`;
+  if (hasLow) return `> ${range.low}`;
+  return 'Not given';
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+const HealthRecords = () => {
+  const [months, setMonths] = useState('24');
+  const [trends, setTrends] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchTrends(months);
+  }, [months]);
+
+  const fetchTrends = async (period) => {
+    setLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/health-records/lab-trends?months=${period}`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      setTrends(result.data.trends);
+      setError(null);
+      setLoading(false);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  // Series arrive in catalog order, so panels stay together
+  const panels = trends.reduce((groups, series) => {
+    const panel = series.panel || 'Other';
+    if (!groups[panel]) groups[panel] = [];
+    groups[panel].push(series);
+    return groups;
+  }, {});
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <p className="text-sm text-gray-500">
+          Lab values from every report you have uploaded to the medical assistant.
+        </p>
+        <div className="flex gap-2">
+          {PERIODS.map(period => (
+            <button
+              key={period.value}
+              onClick={() => setMonths(period.value)}
+              className={`px-3 py-1 text-sm rounded-md border border-solid border-primaryColor ${
+                months === period.value ? 'bg-primaryColor text-white' : 'text-headingColor'
+              }`}
+            >
+              {period.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading && <Loading />}
+      {error && !loading && <Error errorMessage={error} />}
+
+      {!loading && !error && trends.length === 0 && (
+        <div className="text-center py-10">
+          <p className="text-lg text-gray-500">No lab results in this period</p>
+          <p className="text-sm text-gray-500 mt-2">
+            Upload a blood test, lipid, diabetes or thyroid report in the{' '}
+            <Link to="/medical-chatbot" className="text-primaryColor underline">
+              medical assistant
+            </Link>{' '}
+            and its values will appear here.
+          </p>
+        </div>
+      )}
+
+      {!loading && !error && Object.entries(panels).map(([panel, series]) => (
+        <div key={panel} className="mb-8">
+          <h3 className="text-lg font-semibold text-headingColor mb-3">{panel}</h3>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-5">
+            {series.map(entry => (
+              <div key={entry.code} className="bg-white p-4 rounded-xl shadow-md border border-gray-100">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <h4 className="font-semibold text-headingColor">{entry.name}</h4>
+                    <p className="text-xs text-gray-500">
+                      Reference {formatRange(entry.referenceRange)} {entry.unit}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className={`text-lg font-bold ${entry.latest.flag === 'normal' ? 'text-headingColor' : 'text-red-600'}`}>
+                      {entry.latest.value} <span className="text-xs font-normal text-gray-500">{entry.unit}</span>
+                    </p>
+                    {entry.latest.flag !== 'normal' && (
+                      <span className="text-xs font-semibold uppercase text-red-600">{entry.latest.flag}</span>
+                    )}
+                  </div>
+                </div>
+
+                {entry.points.length > 1 ? (
+                  <div className="mt-3">
+                    <LabTrendChart points={entry.points} referenceRange={entry.referenceRange} unit={entry.unit} />
+                  </div>
+                ) : (
+                  <p className="mt-3 text-sm text-gray-500">
+                    One result so far ({formatDate(entry.latest.observedAt)}). Upload another report to see a trend.
+                  </p>
+                )}
+
+                {entry.trend && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    <span className="font-semibold">{TREND_LABELS[entry.trend.direction]}</span>
+                    {' '}{entry.trend.change > 0 ? '+' : ''}{entry.trend.change} {entry.unit} since {formatDate(entry.trend.since)}
+                    {' '}· {entry.points.length} results
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default HealthRecords;
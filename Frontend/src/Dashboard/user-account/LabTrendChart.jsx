@@ -0,0 +1,105 @@
+const WIDTH = 320;
+const HEIGHT = 140;
+const PADDING = { top: 12, right: 12, bottom: 22, left: 36 };
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+
+const hasBound = (bound) => bound !== null && bound !== undefined;
+
+// Line chart of one test over time, with the reference range shaded
+const LabTrendChart = ({ points, referenceRange, unit }) => {
+  const low = referenceRange?.low;
+  const high = referenceRange?.high;
+
+  const values = points.map(point => point.value);
+  const bounds = [...values, ...[low, high].filter(hasBound)];
+  let minValue = Math.min(...bounds);
+  let maxValue = Math.max(...bounds);
+  const margin = (maxValue - minValue) * 0.1 || Math.abs(maxValue) * 0.1 || 1;
+  minValue -= margin;
+  maxValue += margin;
+
+  const times = points.map(point => new Date(point.observedAt).getTime());
+  const firstTime = Math.min(...times);
+  const timeSpan = Math.max(...times) - firstTime;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (time) => PADDING.left + (timeSpan === 0 ? plotWidth / 2 : ((time - firstTime) / timeSpan) * plotWidth);
+  const y = (value) => PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  // A range with one bound is shaded to the edge of the chart
+  const bandTop = y(hasBound(high) ? high : maxValue);
+  const bandBottom = y(hasBound(low) ? low : minValue);
+  const showBand = hasBound(low) || hasBound(high);
+
+  const line = points.map((point, index) => `${x(times[index])},${y(point.value)}`).join(' ');
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`Trend chart in ${unit}`}
+    >
+      {showBand && (
+        <rect
+          x={PADDING.left}
+          y={bandTop}
+          width={plotWidth}
+          height={Math.max(0, bandBottom - bandTop)}
+          className="fill-green-50"
+        />
+      )}
+
+      <line
+        x1={PADDING.left}
+        y1={PADDING.top}
+        x2={PADDING.left}
+        y2={HEIGHT - PADDING.bottom}
+        className="stroke-gray-200"
+      />
+      <line
+        x1={PADDING.left}
+        y1={HEIGHT - PADDING.bottom}
+        x2={WIDTH - PADDING.right}
+        y2={HEIGHT - PADDING.bottom}
+        className="stroke-gray-200"
+      />
+
+      <text x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end" className="fill-gray-400 text-[9px]">
+        {Math.round(maxValue * 10) / 10}
+      </text>
+      <text x={PADDING.left - 4} y={HEIGHT - PADDING.bottom} textAnchor="end" className="fill-gray-400 text-[9px]">
+        {Math.round(minValue * 10) / 10}
+      </text>
+      <text x={PADDING.left} y={HEIGHT - 6} className="fill-gray-400 text-[9px]">
+        {formatDate(points[0].observedAt)}
+      </text>
+      {points.length > 1 && (
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" className="fill-gray-400 text-[9px]">
+          {formatDate(points[points.length - 1].observedAt)}
+        </text>
+      )}
+
+      <polyline points={line} fill="none" strokeWidth="2" className="stroke-primaryColor" />
+
+      {points.map((point, index) => (
+        <circle
+          key={`${point.reportId}-${index}`}
+          cx={x(times[index])}
+          cy={y(point.value)}
+          r="4"
+          className={point.flag === 'normal' ? 'fill-primaryColor' : 'fill-red-500'}
+        >
+          <title>
+            {`${formatDate(point.observedAt)}: ${point.value} ${unit}${point.flag === 'normal' ? '' : ` (${point.flag})`}${point.reportName ? ` from ${point.reportName}` : ''}`}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default LabTrendChart;
@@ -7,6 +7,8 @@ import { toast } from "react-toastify";
 
 import MyBookings from "./MyBookings";
 import Profile from "./Profile";
+import Notifications from "./Notifications";
+import HealthRecords from "./HealthRecords";
 import OrderHistory from "../../components/Orders/OrderHistory";
 import uploadImageToCloudinary from "../../utils/uploadCloudinary";
 
@@ -250,6 +252,24 @@ const MyAccount = () => {
               >
                 My Orders
               </button>
+              <button
+                onClick={() => setTab("health-records")}
+                className={`${
+                  tab === "health-records" && "bg-primaryColor text-white font-normal"
+                } p-1.5 px-3 text-sm rounded-md text-headingColor font-semibold leading-6
+                border border-solid border-primaryColor`}
+              >
+                Health Records
+              </button>
+              <button
+                onClick={() => setTab("notifications")}
+                className={`${
+                  tab === "notifications" && "bg-primaryColor text-white font-normal"
+                } p-1.5 px-3 text-sm rounded-md text-headingColor font-semibold leading-6
+                border border-solid border-primaryColor`}
+              >
+                Notifications
+              </button>
               <button
                 onClick={() => setTab("create-post")}
                 className={`${
@@ -281,6 +301,8 @@ const MyAccount = () => {
 
             {tab === "bookings" && <MyBookings />}
             {tab === "orders" && <OrderHistory />}
+            {tab === "health-records" && <HealthRecords />}
+            {tab === "notifications" && <Notifications />}
             {tab === "create-post" && (
               <Profile 
                 activeTab="create-post" 
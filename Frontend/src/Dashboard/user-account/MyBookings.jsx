@@ -1,7 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BASE_URL } from '../../config';
 import Loading from '../../components/Loader/Loading';
 import Error from '../../components/Error/Error';
+import RescheduleModal from './RescheduleModal';
+import MyWaitlist from './MyWaitlist';
+import ConsultationModal from './ConsultationModal';
+import { toast } from 'react-toastify';
+
+const CHANGEABLE_STATUSES = ['pending', 'approved', 'needs_reschedule'];
 
 const MyBookings = () => {
   const [currentBookings, setCurrentBookings] = useState([]);
@@ -9,11 +15,58 @@ const MyBookings = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('current');
+  const [policy, setPolicy] = useState(null);
+  const [reschedulingAppointment, setReschedulingAppointment] = useState(null);
+  const [viewingConsultation, setViewingConsultation] = useState(null);
+  // Stable so the modal doesn't fetch the consultation again on every render
+  const closeConsultation = useCallback(() => setViewingConsultation(null), []);
 
   useEffect(() => {
     fetchBookings();
+    fetchPolicy();
   }, []);
 
+  const fetchPolicy = async () => {
+    try {
+      const res = await fetch(`${BASE_URL}/bookings/policy`);
+      const result = await res.json();
+      if (res.ok) {
+        setPolicy(result.data);
+      }
+    } catch (err) {
+      console.error('Error fetching booking policy:', err);
+    }
+  };
+
+  const handleCancel = async (appointment) => {
+    if (!window.confirm(`Cancel your appointment with Dr. ${appointment.doctor.name}?`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/bookings/${appointment._id}/cancel`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({})
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      fetchBookings();
+    } catch (err) {
+      toast.error(err.message || 'Failed to cancel appointment');
+    }
+  };
+
   const sortAppointments = (appointments) => {
     return appointments.sort((a, b) => {
       // Sort by date in descending order
@@ -99,10 +152,22 @@ const MyBookings = () => {
           >
             History
           </button>
+          <button
+            onClick={() => setActiveTab('waitlist')}
+            className={`py-2 px-5 rounded-lg ${
+              activeTab === 'waitlist'
+                ? 'bg-primaryColor text-white'
+                : 'bg-gray-100 text-gray-500'
+            }`}
+          >
+            Waitlist
+          </button>
         </div>
       </div>
 
-      {displayAppointments.length === 0 ? (
+      {activeTab === 'waitlist' ? (
+        <MyWaitlist onBooked={fetchBookings} />
+      ) : displayAppointments.length === 0 ? (
         <div className="flex flex-col items-center justify-center h-[400px] text-gray-500">
           <img
             src="/empty-box.png"
@@ -166,6 +231,34 @@ const MyBookings = () => {
                 <p className="text-gray-700">{appointment.problem}</p>
               </div>
 
+              {appointment.consultation && (
+                <div className="mt-4 flex items-center justify-between bg-blue-50 p-3 rounded-lg">
+                  <p className="text-blue-800 text-sm">Your doctor has added notes and a prescription</p>
+                  <button
+                    onClick={() => setViewingConsultation(appointment)}
+                    className="px-4 py-2 text-sm rounded-lg bg-primaryColor text-white hover:bg-blue-600"
+                  >
+                    View Prescription
+                  </button>
+                </div>
+              )}
+
+              {activeTab === 'current' && appointment.status === 'needs_reschedule' && (
+                <div className="mt-4 bg-orange-50 p-3 rounded-lg">
+                  <p className="text-orange-700 text-sm">
+                    This appointment needs to be rescheduled
+                    {appointment.rescheduleReason && ` (${appointment.rescheduleReason})`}.
+                    Please pick a new time using Reschedule below.
+                  </p>
+                </div>
+              )}
+
+              {activeTab === 'current' && appointment.status === 'cancelled' && (
+                <div className="mt-4 bg-red-50 p-3 rounded-lg">
+                  <p className="text-red-700 text-sm">This appointment was cancelled</p>
+                </div>
+              )}
+
               {activeTab === 'current' && appointment.status === 'approved' && (
                 <div className="mt-4 bg-green-50 p-3 rounded-lg">
                   <p className="text-green-700 text-sm flex items-center">
@@ -174,10 +267,53 @@ const MyBookings = () => {
                   </p>
                 </div>
               )}
+
+              {activeTab === 'current' && CHANGEABLE_STATUSES.includes(appointment.status) && (
+                <div className="mt-4 flex items-center justify-between gap-3">
+                  {policy && appointment.status !== 'needs_reschedule' ? (
+                    <p className="text-xs text-gray-500">
+                      Changes allowed until {policy.changeCutoffHours}h before the visit
+                    </p>
+                  ) : <span />}
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => setReschedulingAppointment(appointment)}
+                      className="px-4 py-2 text-sm rounded-lg bg-primaryColor text-white hover:bg-blue-600"
+                    >
+                      Reschedule
+                    </button>
+                    <button
+                      onClick={() => handleCancel(appointment)}
+                      className="px-4 py-2 text-sm rounded-lg border border-red-500 text-red-500 hover:bg-red-50"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           ))}
         </div>
       )}
+
+      {viewingConsultation && (
+        <ConsultationModal
+          appointment={viewingConsultation}
+          onClose={closeConsultation}
+        />
+      )}
+
+      {reschedulingAppointment && (
+        <RescheduleModal
+          appointment={reschedulingAppointment}
+          policy={policy}
+          onClose={() => setReschedulingAppointment(null)}
+          onRescheduled={() => {
+            setReschedulingAppointment(null);
+            fetchBookings();
+          }}
+        />
+      )}
     </div>
   );
 };
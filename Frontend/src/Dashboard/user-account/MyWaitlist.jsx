@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+import Loading from '../../components/Loader/Loading';
+import Error from '../../components/Error/Error';
+
+const formatRemaining = (expiresAt, now) => {
+  const remaining = Math.max(0, new Date(expiresAt) - now);
+  const minutes = Math.floor(remaining / 60000);
+  const seconds = Math.floor((remaining % 60000) / 1000);
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const MyWaitlist = ({ onBooked }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    fetchWaitlist();
+  }, []);
+
+  // Tick the offer countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const fetchWaitlist = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/waitlist/me`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      setEntries(result.data);
+      setLoading(false);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const respond = async (entryId, action) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/waitlist/${entryId}${action === 'leave' ? '' : `/${action}`}`, {
+        method: action === 'leave' ? 'DELETE' : 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      fetchWaitlist();
+      if (action === 'accept' && onBooked) {
+        onBooked();
+      }
+    } catch (err) {
+      toast.error(err.message);
+      fetchWaitlist();
+    }
+  };
+
+  if (loading) return <Loading />;
+  if (error) return <Error errorMessage={error} />;
+
+  if (entries.length === 0) {
+    return (
+      <p className="text-lg text-gray-500 text-center py-10">
+        You are not on any waitlist
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-5">
+      {entries.map((entry) => (
+        <div key={entry._id} className="bg-white p-4 rounded-xl shadow-md border border-gray-100">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold">Dr. {entry.doctor?.name}</h3>
+              <p className="text-gray-500">{entry.doctor?.specialization}</p>
+            </div>
+            <p className="text-sm text-gray-500">
+              {new Date(entry.date).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                timeZone: 'UTC'
+              })}
+            </p>
+          </div>
+
+          {entry.status === 'waiting' ? (
+            <div className="mt-4 flex items-center justify-between">
+              <p className="text-sm text-gray-700">
+                You are number <span className="font-semibold">{entry.position}</span> in line
+              </p>
+              <button
+                onClick={() => respond(entry._id, 'leave')}
+                className="text-sm text-red-500 hover:text-red-700"
+              >
+                Leave waitlist
+              </button>
+            </div>
+          ) : (
+            <div className="mt-4 bg-green-50 p-3 rounded-lg">
+              <p className="text-green-700 text-sm mb-3">
+                A slot is held for you at <span className="font-semibold">{entry.offer.label}</span>.
+                Respond within {formatRemaining(entry.offer.expiresAt, now)} or it goes to the next patient.
+              </p>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => respond(entry._id, 'accept')}
+                  disabled={new Date(entry.offer.expiresAt) <= now}
+                  className="px-4 py-2 text-sm rounded-lg bg-primaryColor text-white hover:bg-blue-600 disabled:opacity-60"
+                >
+                  Accept
+                </button>
+                <button
+                  onClick={() => respond(entry._id, 'decline')}
+                  className="px-4 py-2 text-sm rounded-lg border border-gray-400 text-gray-600 hover:bg-gray-50"
+                >
+                  Decline
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MyWaitlist;
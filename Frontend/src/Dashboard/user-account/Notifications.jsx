@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import Loading from '../../components/Loader/Loading';
+import Error from '../../components/Error/Error';
+
+const Notifications = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/users/notifications/me`, {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      setNotifications(result.data);
+      setLoading(false);
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const markAsRead = async (notificationId) => {
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/users/notifications/${notificationId}/read`, {
+        method: 'PUT',
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      });
+
+      if (res.ok) {
+        setNotifications(prev => prev.map(notification =>
+          notification._id === notificationId ? { ...notification, isRead: true } : notification
+        ));
+      }
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+  };
+
+  if (loading) return <Loading />;
+  if (error) return <Error errorMessage={error} />;
+
+  return (
+    <div className="px-5 py-5">
+      <h2 className="text-2xl font-bold text-headingColor mb-8">Notifications</h2>
+
+      {notifications.length === 0 ? (
+        <p className="text-lg text-gray-500 text-center py-10">No notifications yet</p>
+      ) : (
+        <div className="space-y-3">
+          {notifications.map((notification) => (
+            <div
+              key={notification._id}
+              onClick={() => !notification.isRead && markAsRead(notification._id)}
+              className={`p-4 rounded-xl border ${
+                notification.isRead
+                  ? 'bg-white border-gray-100'
+                  : 'bg-blue-50 border-blue-200 cursor-pointer'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-1">
+                <h3 className="font-semibold text-headingColor">{notification.title}</h3>
+                <span className="text-xs text-gray-500">
+                  {new Date(notification.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <p className="text-sm text-gray-700">{notification.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+
+const RescheduleModal = ({ appointment, policy, onClose, onRescheduled }) => {
+  const [appointmentDate, setAppointmentDate] = useState('');
+  const [appointmentTime, setAppointmentTime] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const doctorId = appointment.doctor._id;
+
+  useEffect(() => {
+    if (!appointmentDate) {
+      setSlots([]);
+      return;
+    }
+
+    const fetchSlots = async () => {
+      setSlotsLoading(true);
+      setAppointmentTime('');
+      try {
+        const res = await fetch(`${BASE_URL}/doctors/${doctorId}/slots?date=${appointmentDate}`);
+        const result = await res.json();
+
+        if (!res.ok) {
+          throw new Error(result.message);
+        }
+
+        setSlots(result.data.slots);
+      } catch (err) {
+        setSlots([]);
+        toast.error(err.message || 'Failed to load time slots');
+      } finally {
+        setSlotsLoading(false);
+      }
+    };
+
+    fetchSlots();
+  }, [doctorId, appointmentDate]);
+
+  const getMinDate = () => {
+    const minDate = new Date();
+    minDate.setDate(minDate.getDate() + (policy?.minAdvanceDays ?? 2) + 1);
+    return minDate.toISOString().split('T')[0];
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      const res = await fetch(`${BASE_URL}/bookings/${appointment._id}/reschedule`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ appointmentDate, appointmentTime })
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(result.message);
+      onRescheduled();
+    } catch (err) {
+      toast.error(err.message || 'Failed to reschedule appointment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const freeSlots = slots.filter(slot => slot.available);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white p-8 rounded-lg max-w-md w-full">
+        <h3 className="text-xl font-bold mb-2">Reschedule Appointment</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Dr. {appointment.doctor.name} · currently {appointment.appointmentTime}
+        </p>
+
+        {policy && appointment.status !== 'needs_reschedule' && (
+          <div className="mb-4 p-3 bg-blue-50 rounded-lg">
+            <p className="text-sm text-blue-800">
+              You have used {appointment.rescheduleCount || 0} of {policy.maxReschedules} reschedules
+              for this appointment. The doctor will need to confirm the new time.
+            </p>
+          </div>
+        )}
+
+        <label className="text-textColor font-semibold block mb-2">New Date</label>
+        <input
+          type="date"
+          value={appointmentDate}
+          min={getMinDate()}
+          onChange={(e) => setAppointmentDate(e.target.value)}
+          className="w-full px-4 py-3 border border-solid border-[#0066ff61] rounded-md mb-4"
+          required
+        />
+
+        <label className="text-textColor font-semibold block mb-2">New Time</label>
+        <select
+          value={appointmentTime}
+          onChange={(e) => setAppointmentTime(e.target.value)}
+          disabled={!appointmentDate || slotsLoading}
+          className="w-full px-4 py-3 border border-solid border-[#0066ff61] rounded-md mb-6"
+          required
+        >
+          <option value="">
+            {slotsLoading ? 'Loading slots...' : appointmentDate && freeSlots.length === 0 ? 'No free slots on this date' : 'Select Time'}
+          </option>
+          {freeSlots.map(slot => (
+            <option key={slot.start} value={slot.start}>{slot.label}</option>
+          ))}
+        </select>
+
+        <div className="flex justify-end gap-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-gray-600 hover:text-gray-800"
+          >
+            Close
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || !appointmentTime}
+            className="px-4 py-2 bg-primaryColor text-white rounded hover:bg-blue-600 disabled:opacity-60"
+          >
+            {submitting ? 'Saving...' : 'Confirm New Time'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RescheduleModal;
@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { AiOutlineDashboard, AiOutlineUserAdd } from 'react-icons/ai';
-import { FaUserMd, FaUsers, FaUserShield, FaAmbulance } from 'react-icons/fa';
+import { FaUserMd, FaUsers, FaUserShield, FaAmbulance, FaHospital } from 'react-icons/fa';
 import { BsCalendarCheck } from 'react-icons/bs';
 import { RiMedicineBottleLine } from 'react-icons/ri';
 import { TbTruckDelivery } from 'react-icons/tb';
@@ -55,6 +55,11 @@ const AdminNav = () => {
             display: 'Ambulance Service',
             icon: <FaAmbulance className="text-xl" />
         },
+        {
+            path: '/admin/hospitals',
+            display: 'Hospitals',
+            icon: <FaHospital className="text-xl" />
+        },
     ];
 
     return (
@@ -0,0 +1,137 @@
+import React, { useState, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import { AuthContext } from '../../context/AuthContext';
+
+const emptyBatch = { batchNumber: '', quantity: '', expiryDate: '' };
+
+const BatchManager = ({ medicine, onChange }) => {
+    const { token } = useContext(AuthContext);
+    const [newBatch, setNewBatch] = useState(emptyBatch);
+    const [saving, setSaving] = useState(false);
+
+    const request = async (path, options) => {
+        const res = await fetch(`${BASE_URL}/medicines/${medicine._id}/batches${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        const result = await res.json();
+
+        if (!res.ok) {
+            throw new Error(result.message);
+        }
+
+        toast.success(result.message);
+        onChange(result.data);
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            setSaving(true);
+            await request('', {
+                method: 'POST',
+                body: JSON.stringify({ ...newBatch, quantity: Number(newBatch.quantity) })
+            });
+            setNewBatch(emptyBatch);
+        } catch (error) {
+            toast.error(error.message || 'Failed to add batch');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAdjust = async (batch) => {
+        const quantity = window.prompt(`New quantity for batch ${batch.batchNumber}`, batch.quantity);
+        if (quantity === null) return;
+
+        try {
+            await request(`/${batch._id}`, {
+                method: 'PATCH',
+                body: JSON.stringify({ quantity: Number(quantity) })
+            });
+        } catch (error) {
+            toast.error(error.message || 'Failed to update batch');
+        }
+    };
+
+    const handleRemove = async (batch) => {
+        if (!window.confirm(`Remove batch ${batch.batchNumber}?`)) return;
+
+        try {
+            await request(`/${batch._id}`, { method: 'DELETE' });
+        } catch (error) {
+            toast.error(error.message || 'Failed to remove batch');
+        }
+    };
+
+    const now = new Date();
+    const batches = [...medicine.batches].sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+    return (
+        <div className="mt-3 border-t pt-3 space-y-2">
+            {batches.length === 0 ? (
+                <p className="text-xs text-gray-500">No batches recorded</p>
+            ) : (
+                batches.map(batch => {
+                    const expired = new Date(batch.expiryDate) <= now;
+                    return (
+                        <div key={batch._id} className="flex items-center justify-between text-xs">
+                            <span className={expired ? 'text-red-600 line-through' : 'text-gray-700'}>
+                                <span className="font-mono">{batch.batchNumber}</span> · {batch.quantity} units · exp{' '}
+                                {new Date(batch.expiryDate).toLocaleDateString()}
+                            </span>
+                            <span className="flex gap-2">
+                                <button type="button" onClick={() => handleAdjust(batch)} className="text-blue-600 hover:underline">
+                                    Adjust
+                                </button>
+                                <button type="button" onClick={() => handleRemove(batch)} className="text-red-600 hover:underline">
+                                    Remove
+                                </button>
+                            </span>
+                        </div>
+                    );
+                })
+            )}
+
+            <form onSubmit={handleAdd} className="grid grid-cols-3 gap-2 pt-2">
+                <input
+                    type="text"
+                    placeholder="Batch no."
+                    value={newBatch.batchNumber}
+                    onChange={(e) => setNewBatch({ ...newBatch, batchNumber: e.target.value })}
+                    className="px-2 py-1 rounded border border-gray-300 text-xs"
+                    required
+                />
+                <input
+                    type="number"
+                    min="1"
+                    placeholder="Qty"
+                    value={newBatch.quantity}
+                    onChange={(e) => setNewBatch({ ...newBatch, quantity: e.target.value })}
+                    className="px-2 py-1 rounded border border-gray-300 text-xs"
+                    required
+                />
+                <input
+                    type="date"
+                    value={newBatch.expiryDate}
+                    onChange={(e) => setNewBatch({ ...newBatch, expiryDate: e.target.value })}
+                    className="px-2 py-1 rounded border border-gray-300 text-xs"
+                    required
+                />
+                <button
+                    type="submit"
+                    disabled={saving}
+                    className="col-span-3 bg-primaryColor text-white py-1 rounded text-xs hover:bg-primaryDark disabled:opacity-50"
+                >
+                    {saving ? 'Adding...' : 'Add Batch'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default BatchManager;
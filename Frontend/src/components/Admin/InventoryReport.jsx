@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import { AuthContext } from '../../context/AuthContext';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+});
+
+const InventoryReport = ({ refreshKey }) => {
+    const { token } = useContext(AuthContext);
+    const [days, setDays] = useState(30);
+    const [report, setReport] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const fetchReport = async () => {
+            try {
+                setLoading(true);
+                const res = await fetch(`${BASE_URL}/medicines/reports/inventory?days=${days}`, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+                const result = await res.json();
+
+                if (!res.ok) {
+                    throw new Error(result.message);
+                }
+
+                setReport(result.data);
+            } catch (error) {
+                console.error('Error fetching inventory report:', error);
+                toast.error(error.message || 'Failed to fetch inventory report');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchReport();
+    }, [days, token, refreshKey]);
+
+    const batchTable = (batches, emptyText, dateClass) => (
+        batches.length === 0 ? (
+            <p className="text-sm text-gray-500">{emptyText}</p>
+        ) : (
+            <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left">
+                    <tr>
+                        <th className="px-3 py-2">Medicine</th>
+                        <th className="px-3 py-2">Batch</th>
+                        <th className="px-3 py-2">Qty</th>
+                        <th className="px-3 py-2">Expiry</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {batches.map(batch => (
+                        <tr key={batch.batch}>
+                            <td className="px-3 py-2">{batch.productName}</td>
+                            <td className="px-3 py-2 font-mono">{batch.batchNumber}</td>
+                            <td className="px-3 py-2">{batch.quantity}</td>
+                            <td className={`px-3 py-2 ${dateClass}`}>{formatDate(batch.expiryDate)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )
+    );
+
+    return (
+        <div className="bg-white rounded-2xl shadow-md p-8 mb-10">
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-8 border-b pb-4">
+                <h2 className="text-3xl font-bold text-primaryColor">
+                    Inventory Report
+                </h2>
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                    Expiring within
+                    <select
+                        value={days}
+                        onChange={(e) => setDays(Number(e.target.value))}
+                        className="px-3 py-2 rounded-lg border border-gray-300"
+                    >
+                        <option value={30}>30 days</option>
+                        <option value={60}>60 days</option>
+                        <option value={90}>90 days</option>
+                    </select>
+                </label>
+            </div>
+
+            {loading || !report ? (
+                <div className="flex justify-center items-center py-8">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primaryColor"></div>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                            Low Stock ({report.lowStock.length})
+                        </h3>
+                        {report.lowStock.length === 0 ? (
+                            <p className="text-sm text-gray-500">All medicines are above their reorder level</p>
+                        ) : (
+                            <table className="w-full text-sm">
+                                <thead className="bg-gray-50 text-left">
+                                    <tr>
+                                        <th className="px-3 py-2">Medicine</th>
+                                        <th className="px-3 py-2">In stock</th>
+                                        <th className="px-3 py-2">Reorder at</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100">
+                                    {report.lowStock.map(item => (
+                                        <tr key={item.medicine}>
+                                            <td className="px-3 py-2">{item.productName}</td>
+                                            <td className={`px-3 py-2 font-semibold ${item.stock === 0 ? 'text-red-600' : 'text-orange-600'}`}>
+                                                {item.stock === 0 ? 'Out of stock' : item.stock}
+                                            </td>
+                                            <td className="px-3 py-2">{item.lowStockThreshold}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </div>
+
+                    <div className="space-y-8">
+                        <div>
+                            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                                Near Expiry ({report.nearExpiry.length})
+                            </h3>
+                            {batchTable(report.nearExpiry, `No batches expire in the next ${report.days} days`, 'text-orange-600')}
+                        </div>
+                        <div>
+                            <h3 className="text-lg font-semibold text-gray-800 mb-3">
+                                Expired, Still on Hand ({report.expired.length})
+                            </h3>
+                            {batchTable(report.expired, 'No expired stock', 'text-red-600')}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default InventoryReport;
@@ -0,0 +1,216 @@
+import React, { useState, useContext } from 'react';
+import { toast } from 'react-toastify';
+import { BASE_URL } from '../../config';
+import { AuthContext } from '../../context/AuthContext';
+
+const TEMPLATE_COLUMNS = 'productName,genericName,category,price,dosageMg,requiresPrescription,lowStockThreshold,photo,description.text,description.keyBenefits,description.recommendedFor,usageInstruction,sideEffects,storage';
+
+const STEPS = ['Choose file', 'Review', 'Done'];
+
+const MedicineImportWizard = ({ onClose, onImported }) => {
+    const { token } = useContext(AuthContext);
+    const [step, setStep] = useState(0);
+    const [file, setFile] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [result, setResult] = useState(null);
+    const [working, setWorking] = useState(false);
+
+    // Send the file to the import endpoint; a dry run only validates
+    const upload = async (dryRun) => {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const res = await fetch(`${BASE_URL}/medicines/import?dryRun=${dryRun}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            body: formData
+        });
+        const data = await res.json();
+
+        if (!res.ok) {
+            throw new Error(data.message);
+        }
+
+        return data.data;
+    };
+
+    const handleValidate = async () => {
+        try {
+            setWorking(true);
+            setPreview(await upload(true));
+            setStep(1);
+        } catch (error) {
+            toast.error(error.message || 'Failed to validate file');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleImport = async () => {
+        try {
+            setWorking(true);
+            const data = await upload(false);
+            setResult(data);
+            setStep(2);
+            onImported();
+        } catch (error) {
+            toast.error(error.message || 'Failed to import medicines');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const errorTable = (errors) => (
+        <div className="max-h-64 overflow-y-auto border rounded-lg">
+            <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left sticky top-0">
+                    <tr>
+                        <th className="px-3 py-2">Row</th>
+                        <th className="px-3 py-2">Medicine</th>
+                        <th className="px-3 py-2">Problems</th>
+                    </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                    {errors.map(error => (
+                        <tr key={error.row}>
+                            <td className="px-3 py-2 align-top">{error.row}</td>
+                            <td className="px-3 py-2 align-top">{error.productName || '-'}</td>
+                            <td className="px-3 py-2">
+                                <ul className="list-disc list-inside text-red-600">
+                                    {error.errors.map((fieldError, index) => (
+                                        <li key={index}>{fieldError.message}</li>
+                                    ))}
+                                </ul>
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+
+    const summary = (data) => (
+        <div className="grid grid-cols-3 gap-4 mb-4">
+            <div className="bg-green-50 rounded-lg p-3 text-center">
+                <p className="text-2xl font-bold text-green-700">{data.created}</p>
+                <p className="text-xs text-gray-600">{data.dryRun ? 'will be added' : 'added'}</p>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-3 text-center">
+                <p className="text-2xl font-bold text-blue-700">{data.updated}</p>
+                <p className="text-xs text-gray-600">{data.dryRun ? 'will be updated' : 'updated'}</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-3 text-center">
+                <p className="text-2xl font-bold text-red-700">{data.failed}</p>
+                <p className="text-xs text-gray-600">{data.dryRun ? 'have errors' : 'skipped'}</p>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl p-8 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+                <h3 className="text-2xl font-bold text-primaryColor mb-2">Import Medicine Catalog</h3>
+                <div className="flex gap-2 mb-6 text-sm">
+                    {STEPS.map((label, index) => (
+                        <span
+                            key={label}
+                            className={`px-3 py-1 rounded-full ${index === step ? 'bg-primaryColor text-white' : 'bg-gray-100 text-gray-500'}`}
+                        >
+                            {index + 1}. {label}
+                        </span>
+                    ))}
+                </div>
+
+                {step === 0 && (
+                    <div className="space-y-4">
+                        <p className="text-sm text-gray-600">
+                            Upload a <span className="font-semibold">.csv</span> or <span className="font-semibold">.json</span> file.
+                            Medicines are matched on product name, generic name and dosage: matches are updated, the rest are added.
+                            Stock is not imported; add batches after importing.
+                        </p>
+                        <div className="bg-gray-50 rounded-lg p-3">
+                            <p className="text-xs text-gray-500 mb-1">CSV columns (an export can be edited and imported again):</p>
+                            <code className="text-xs break-all">{TEMPLATE_COLUMNS}</code>
+                        </div>
+                        <input
+                            type="file"
+                            accept=".csv,.json"
+                            onChange={(e) => setFile(e.target.files[0] || null)}
+                            className="file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0
+                            file:text-sm file:font-semibold file:bg-primaryColor file:text-white
+                            w-full text-gray-600 rounded-lg border border-gray-300"
+                        />
+                    </div>
+                )}
+
+                {step === 1 && preview && (
+                    <div>
+                        <p className="text-sm text-gray-600 mb-4">
+                            Checked {preview.total} row(s) in <span className="font-semibold">{file.name}</span>. Nothing has been saved yet.
+                        </p>
+                        {summary(preview)}
+                        {preview.errors.length > 0 && (
+                            <>
+                                <p className="text-sm text-gray-700 mb-2">
+                                    These rows will be skipped. Fix them in the file and validate again, or import the valid rows now.
+                                </p>
+                                {errorTable(preview.errors)}
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {step === 2 && result && (
+                    <div>
+                        {summary(result)}
+                        {result.errors.length > 0 && errorTable(result.errors)}
+                    </div>
+                )}
+
+                <div className="flex justify-end gap-4 mt-6">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="px-4 py-2 text-gray-600 hover:text-gray-800"
+                    >
+                        {step === 2 ? 'Close' : 'Cancel'}
+                    </button>
+                    {step === 1 && (
+                        <button
+                            type="button"
+                            onClick={() => setStep(0)}
+                            disabled={working}
+                            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                        >
+                            Back
+                        </button>
+                    )}
+                    {step === 0 && (
+                        <button
+                            type="button"
+                            onClick={handleValidate}
+                            disabled={!file || working}
+                            className="px-4 py-2 bg-primaryColor text-white rounded-lg hover:bg-primaryDark disabled:opacity-50"
+                        >
+                            {working ? 'Validating...' : 'Validate'}
+                        </button>
+                    )}
+                    {step === 1 && (
+                        <button
+                            type="button"
+                            onClick={handleImport}
+                            disabled={working || preview.created + preview.updated === 0}
+                            className="px-4 py-2 bg-primaryColor text-white rounded-lg hover:bg-primaryDark disabled:opacity-50"
+                        >
+                            {working ? 'Importing...' : `Import ${preview.created + preview.updated} Medicine(s)`}
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MedicineImportWizard;
@@ -0,0 +1,84 @@
+import React, { useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import L from 'leaflet';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+
+// Fix for default marker icon in leaflet
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
+  iconSize: [25, 41],
+  iconAnchor: [12, 41],
+});
+
+const ambulanceIcon = L.divIcon({
+  html: '🚑',
+  className: 'text-2xl leading-none',
+  iconSize: [28, 28],
+  iconAnchor: [14, 14]
+});
+
+const toLatLng = ({ latitude, longitude }) => [latitude, longitude];
+
+// Keep every pickup and ambulance in view when trips come and go, without
+// fighting the user's panning on every position update
+function FitToTrips({ trips }) {
+  const map = useMap();
+  const latestTrips = useRef(trips);
+  latestTrips.current = trips;
+  const layout = trips.map(trip => `${trip.id}:${trip.ambulance ? 1 : 0}`).join(',');
+
+  useEffect(() => {
+    const points = latestTrips.current.flatMap(trip => [trip.pickup, trip.ambulance].filter(Boolean).map(toLatLng));
+    if (points.length === 1) {
+      map.setView(points[0], 14);
+    } else if (points.length > 1) {
+      map.fitBounds(points, { padding: [40, 40], maxZoom: 15 });
+    }
+  }, [layout, map]);
+
+  return null;
+}
+
+/**
+ * Map of ambulance trips: each pickup point and, once known, where its ambulance is
+ * @param {Object} props
+ * @param {Array<{id: string, label: string, pickup: {latitude: number, longitude: number}, ambulance: ({latitude: number, longitude: number}|null), ambulanceLabel: string}>} props.trips
+ * @param {string} [props.className] - Size of the map
+ */
+const AmbulanceTrackingMap = ({ trips, className = 'h-[320px]' }) => {
+  if (trips.length === 0) return null;
+
+  return (
+    <div className={`${className} rounded-lg overflow-hidden border border-gray-300`}>
+      <MapContainer
+        center={toLatLng(trips[0].pickup)}
+        zoom={13}
+        style={{ height: '100%', width: '100%' }}
+      >
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        {trips.map(trip => (
+          <React.Fragment key={trip.id}>
+            <Marker position={toLatLng(trip.pickup)}>
+              <Popup>{trip.label}</Popup>
+            </Marker>
+            {trip.ambulance && (
+              <Marker position={toLatLng(trip.ambulance)} icon={ambulanceIcon}>
+                <Popup>{trip.ambulanceLabel}</Popup>
+              </Marker>
+            )}
+          </React.Fragment>
+        ))}
+        <FitToTrips trips={trips} />
+      </MapContainer>
+    </div>
+  );
+};
+
+export default AmbulanceTrackingMap;
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { IoMdClose } from 'react-icons/io';
+import PrescriptionPicker from './PrescriptionPicker';
 
-const AddressModal = ({ isOpen, onClose, onSubmit }) => {
+const AddressModal = ({ isOpen, onClose, onSubmit, rxItems = [] }) => {
     const [address, setAddress] = useState({
         street: '',
         city: '',
@@ -9,10 +10,11 @@ const AddressModal = ({ isOpen, onClose, onSubmit }) => {
         zipCode: '',
         phone: ''
     });
+    const [prescription, setPrescription] = useState(null);
 
     const handleSubmit = (e) => {
         e.preventDefault();
-        onSubmit(address);
+        onSubmit(address, rxItems.length > 0 ? prescription : undefined);
     };
 
     if (!isOpen) return null;
@@ -20,7 +22,7 @@ const AddressModal = ({ isOpen, onClose, onSubmit }) => {
     return (
         <>
             <div className="fixed inset-0 bg-black bg-opacity-50 z-50" onClick={onClose} />
-            <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-8 z-50 w-96">
+            <div className="fixed top-1/2 left-1/2 transform -translate-x-1/2 -translate-y-1/2 bg-white rounded-lg p-8 z-50 w-96 max-h-[90vh] overflow-y-auto">
                 <div className="flex justify-between items-center mb-6">
                     <h2 className="text-2xl font-bold">Shipping Address</h2>
                     <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-full">
@@ -84,9 +86,18 @@ const AddressModal = ({ isOpen, onClose, onSubmit }) => {
                         />
                     </div>
 
+                    {rxItems.length > 0 && (
+                        <PrescriptionPicker
+                            rxItems={rxItems}
+                            value={prescription}
+                            onChange={setPrescription}
+                        />
+                    )}
+
                     <button
                         type="submit"
-                        className="w-full bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600 transition-colors"
+                        disabled={rxItems.length > 0 && !prescription}
+                        className="w-full bg-blue-500 text-white py-2 px-4 rounded-md hover:bg-blue-600 transition-colors disabled:opacity-60"
                     >
                         Confirm Order
                     </button>
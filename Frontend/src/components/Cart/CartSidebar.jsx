@@ -42,7 +42,9 @@ const CartSidebar = ({ isOpen, onClose }) => {
         alert('Proceed to checkout');
     };
 
-    const handlePlaceOrder = async (shippingAddress) => {
+    const rxItems = cartItems.filter(item => item.medicine?.requiresPrescription);
+
+    const handlePlaceOrder = async (shippingAddress, prescription) => {
         try {
             if (!token) {
                 toast.error('Please login to place order');
@@ -56,7 +58,7 @@ const CartSidebar = ({ isOpen, onClose }) => {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
                 },
-                body: JSON.stringify({ shippingAddress })
+                body: JSON.stringify({ shippingAddress, prescription })
             });
 
             const result = await res.json();
@@ -68,7 +70,7 @@ const CartSidebar = ({ isOpen, onClose }) => {
             // Use clearCart function instead of dispatch
             clearCart();
             
-            toast.success('Order placed successfully!');
+            toast.success(result.message || 'Order placed successfully!');
             setShowAddressModal(false);
             onClose();
         } catch (error) {
@@ -120,7 +122,12 @@ const CartSidebar = ({ isOpen, onClose }) => {
                                             className="w-20 h-20 object-cover rounded-lg"
                                         />
                                         <div className="flex-1">
-                                            <h3 className="font-semibold">{item.medicine.productName}</h3>
+                                            <h3 className="font-semibold">
+                                                {item.medicine.productName}
+                                                {item.medicine.requiresPrescription && (
+                                                    <span className="ml-2 px-2 py-0.5 text-xs rounded bg-red-100 text-red-700">Rx</span>
+                                                )}
+                                            </h3>
                                             <p className="text-gray-600">${item.medicine.price}</p>
                                             <div className="flex items-center gap-2 mt-2">
                                                 <button
@@ -152,6 +159,11 @@ const CartSidebar = ({ isOpen, onClose }) => {
                                     <span className="font-semibold">Total:</span>
                                     <span className="font-bold">${totalAmount.toFixed(2)}</span>
                                 </div>
+                                {rxItems.length > 0 && (
+                                    <p className="text-xs text-gray-500 mb-3">
+                                        Items marked Rx need a prescription. You can attach it at checkout.
+                                    </p>
+                                )}
                                 <button 
                                     className="w-full bg-blue-500 text-white py-3 rounded-lg hover:bg-blue-600 transition-colors"
                                     onClick={() => setShowAddressModal(true)}
@@ -168,6 +180,7 @@ const CartSidebar = ({ isOpen, onClose }) => {
                 isOpen={showAddressModal}
                 onClose={() => setShowAddressModal(false)}
                 onSubmit={handlePlaceOrder}
+                rxItems={rxItems}
             />
         </>
     );
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { BASE_URL } from '../../config';
+import uploadImageToCloudinary from '../../utils/uploadCloudinary';
+
+const PrescriptionPicker = ({ rxItems, value, onChange }) => {
+    const { token } = useAuth();
+    const [source, setSource] = useState('consultation');
+    const [consultations, setConsultations] = useState([]);
+    const [uploading, setUploading] = useState(false);
+
+    useEffect(() => {
+        const fetchConsultations = async () => {
+            try {
+                const res = await fetch(`${BASE_URL}/consultations/me`, {
+                    headers: {
+                        Authorization: `Bearer ${token}`
+                    }
+                });
+                const result = await res.json();
+
+                if (result.success) {
+                    setConsultations(result.data.filter(consultation => consultation.prescription.length > 0));
+                }
+            } catch (error) {
+                console.error('Error fetching prescriptions:', error);
+            }
+        };
+
+        fetchConsultations();
+    }, [token]);
+
+    // A prescription only works if it lists every Rx medicine in the cart
+    const coversCart = (consultation) => {
+        const prescribed = new Set(consultation.prescription.map(item => item.medicine));
+        return rxItems.every(item => prescribed.has(item.medicine._id));
+    };
+
+    const handleSourceChange = (newSource) => {
+        setSource(newSource);
+        onChange(null);
+    };
+
+    const handleFileUpload = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        setUploading(true);
+        try {
+            const { url } = await uploadImageToCloudinary(file);
+            onChange({ fileUrl: url });
+            toast.success('Prescription uploaded');
+        } catch (error) {
+            console.error('Error uploading prescription:', error);
+            onChange(null);
+            toast.error('Failed to upload prescription');
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    return (
+        <div className="border rounded-md p-3 bg-red-50">
+            <p className="text-sm font-medium text-gray-700 mb-1">Prescription required</p>
+            <p className="text-xs text-gray-600 mb-3">
+                {rxItems.map(item => item.medicine.productName).join(', ')} can only be dispensed with a
+                prescription. A pharmacist will verify it before your order is confirmed.
+            </p>
+
+            <div className="flex gap-4 mb-3 text-sm">
+                <label className="flex items-center gap-1">
+                    <input
+                        type="radio"
+                        checked={source === 'consultation'}
+                        onChange={() => handleSourceChange('consultation')}
+                    />
+                    From my appointments
+                </label>
+                <label className="flex items-center gap-1">
+                    <input
+                        type="radio"
+                        checked={source === 'upload'}
+                        onChange={() => handleSourceChange('upload')}
+                    />
+                    Upload
+                </label>
+            </div>
+
+            {source === 'consultation' ? (
+                consultations.length === 0 ? (
+                    <p className="text-xs text-gray-500">You have no prescriptions from appointments yet</p>
+                ) : (
+                    <select
+                        value={value?.consultationId || ''}
+                        onChange={(e) => onChange(e.target.value ? { consultationId: e.target.value } : null)}
+                        className="block w-full rounded-md border-gray-300 shadow-sm text-sm"
+                    >
+                        <option value="">Select a prescription</option>
+                        {consultations.map(consultation => (
+                            <option
+                                key={consultation._id}
+                                value={consultation._id}
+                                disabled={!coversCart(consultation)}
+                            >
+                                Dr. {consultation.doctor?.name} · {new Date(consultation.updatedAt).toLocaleDateString()}
+                                {!coversCart(consultation) && ' (does not cover all items)'}
+                            </option>
+                        ))}
+                    </select>
+                )
+            ) : (
+                <div>
+                    <input
+                        type="file"
+                        accept="image/*,application/pdf"
+                        onChange={handleFileUpload}
+                        disabled={uploading}
+                        className="block w-full text-sm"
+                    />
+                    {uploading && <p className="text-xs text-gray-500 mt-1">Uploading...</p>}
+                    {value?.fileUrl && (
+                        <a
+                            href={value.fileUrl}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-xs text-blue-600 underline mt-1 inline-block"
+                        >
+                            View uploaded prescription
+                        </a>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PrescriptionPicker;
@@ -8,6 +8,7 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import ReactMarkdown from 'react-markdown';
+import { Link } from 'react-router-dom';
 
 /**
  * ChatInterface component for AI medical consultations
@@ -15,17 +16,32 @@ import ReactMarkdown from 'react-markdown';
  * @param {Object} props - Component props
  * @param {Array} props.messages - Array of chat messages with role, content, and metadata
  * @param {Function} props.onSendMessage - Callback function to send new messages
- * @param {boolean} props.loading - Loading state for message processing
+ * @param {Function} [props.onCancel] - Callback to stop the reply being streamed; only passed while one is
+ * @param {Function} [props.onRequestAmbulance] - Callback to request an ambulance from an emergency alert
+ * @param {Object} [props.ambulanceDispatch] - Progress of that request ({status, emergencyType, pickupLocation, message})
+ * @param {boolean} props.loading - Loading state for message processing (true while a reply streams)
  * @param {Array} props.followUpQuestions - Array of suggested follow-up questions (deprecated)
  * @returns {JSX.Element} Chat interface with message history, input field, and controls
  * @description Provides a WhatsApp-like chat interface for medical AI conversations featuring:
  * - Real-time message display with markdown support
  * - Automatic scrolling to latest messages
  * - Message type indicators (text, emergency alerts, file analysis)
+ * - A "Request ambulance now" action on the latest emergency alert
+ * - Suggested doctors as cards, booking with the conversation summary as the problem
+ * - Lab results tables under report analyses, with abnormal values highlighted
  * - Timestamp formatting and user/AI message distinction
+ * - Replies shown as they stream in, with a stop button while generating
  * - Loading states and input validation
  */
-const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [] }) => {
+const ChatInterface = ({
+  messages,
+  onSendMessage,
+  onCancel,
+  onRequestAmbulance,
+  ambulanceDispatch,
+  loading,
+  followUpQuestions = []
+}) => {
   // State for current message input
   const [message, setMessage] = useState('');
   
@@ -100,6 +116,73 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
     });
   };
 
+  /**
+   * Format a lab reference range for display
+   * @function formatReferenceRange
+   * @param {Object} range - Reference range with low and high bounds (either may be null)
+   * @returns {string} Range such as "13 – 17", "< 200" or "> 40"
+   */
+  const formatReferenceRange = ({ low, high } = {}) => {
+    const hasLow = low !== null && low !== undefined;
+    const hasHigh = high !== null && high !== undefined;
+    if (hasLow && hasHigh) return `${low} – ${high}`;
+    if (hasHigh) return `< ${high}`;
+    if (hasLow) return `> ${low}`;
+    return '—';
+  };
+
+  // Once a streamed reply has started it shows progress itself
+  const replyStreaming = messages[messages.length - 1]?.streaming;
+
+  // Only the latest emergency alert offers an ambulance
+  const lastEmergencyIndex = messages.map(msg => msg.messageType).lastIndexOf('emergency_alert');
+
+  /**
+   * Ambulance action under an emergency alert
+   * @function renderAmbulanceDispatch
+   * @param {Object} alertMessage - The emergency alert message
+   * @returns {JSX.Element} Request button, or the progress of the request
+   */
+  const renderAmbulanceDispatch = (alertMessage) => {
+    const status = ambulanceDispatch?.status;
+
+    if (status === 'locating') {
+      return <div className="ambulance-progress">📍 Getting your location...</div>;
+    }
+    if (status === 'picking') {
+      return <div className="ambulance-progress">📍 Choose the pickup location above to send the request.</div>;
+    }
+    if (status === 'sending') {
+      return <div className="ambulance-progress">🚑 Requesting an ambulance...</div>;
+    }
+    if (status === 'sent') {
+      return (
+        <div className="ambulance-sent">
+          ✅ Ambulance requested ({ambulanceDispatch.emergencyType}) to {ambulanceDispatch.pickupLocation}.{' '}
+          <Link to="/ambulance-status">Track it</Link>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        {status === 'failed' && (
+          <div className="ambulance-error">
+            {ambulanceDispatch.message}{' '}
+            <Link to="/ambulance">Open the ambulance form</Link>
+          </div>
+        )}
+        <button
+          type="button"
+          className="ambulance-button"
+          onClick={() => onRequestAmbulance(alertMessage)}
+        >
+          🚑 Request ambulance now
+        </button>
+      </>
+    );
+  };
+
   const getMessageIcon = (messageType) => {
     switch (messageType) {
       case 'emergency_alert':
@@ -108,11 +191,61 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
         return '📊';
       case 'symptom_check':
         return '🩺';
+      case 'doctor_recommendation':
+        return '👨‍⚕️';
       default:
         return '';
     }
   };
 
+  /**
+   * Suggested doctors under a reply
+   * @function renderDoctorRecommendation
+   * @param {Object} recommendation - Specialization, reason, doctors and booking summary
+   * @returns {JSX.Element} Doctor cards, each linking to booking with the summary pre-filled
+   */
+  const renderDoctorRecommendation = ({ specialization, reason, alternative, doctors, summary }) => (
+    <div className="doctor-recommendation">
+      <div className="doctor-recommendation-title">
+        {alternative
+          ? `Nobody in ${specialization} is taking appointments right now. These general physicians can see you:`
+          : `👨‍⚕️ Suggested specialization: ${specialization}. ${reason}`}
+      </div>
+      {doctors.length === 0 ? (
+        <p className="doctor-recommendation-empty">
+          None of our doctors are taking appointments right now. <Link to="/doctors">Browse all doctors</Link>
+        </p>
+      ) : (
+        <div className="doctor-cards">
+          {doctors.map(doctor => (
+            <div key={doctor._id} className="doctor-card">
+              {doctor.photo ? (
+                <img src={doctor.photo} alt={doctor.name} className="doctor-photo" />
+              ) : (
+                <div className="doctor-photo doctor-photo-placeholder">👨‍⚕️</div>
+              )}
+              <div className="doctor-info">
+                <div className="doctor-name">{doctor.name}</div>
+                <div className="doctor-specialization">{doctor.specialization}</div>
+                <div className="doctor-meta">
+                  ⭐ {doctor.averageRating?.toFixed(1) || '0.0'} ({doctor.totalRating || 0})
+                  {doctor.ticketPrice ? ` · ৳${doctor.ticketPrice}` : ''}
+                </div>
+              </div>
+              <Link
+                to={`/doctors/${doctor._id}`}
+                state={{ problem: summary }}
+                className="doctor-book-link"
+              >
+                Book
+              </Link>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
   return (
     <div className="chat-interface">
       {/* Chat Messages Container */}
@@ -149,10 +282,70 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
                       msg.content
                     )}
                   </div>
+                  {msg.streaming && <span className="streaming-cursor">▍</span>}
+                  {msg.doctorRecommendation && renderDoctorRecommendation(msg.doctorRecommendation)}
+                  {index === lastEmergencyIndex && onRequestAmbulance && (
+                    <div className="ambulance-dispatch">{renderAmbulanceDispatch(msg)}</div>
+                  )}
+                  {msg.stopped && (
+                    <div className="message-stopped">⏹ Stopped. This partial reply was not saved.</div>
+                  )}
+                  {msg.labResults?.length > 0 && (
+                    <div className="lab-results">
+                      <table>
+                        <thead>
+                          <tr>
+                            <th>Test</th>
+                            <th>Result</th>
+                            <th>Reference</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {msg.labResults.map(result => (
+                            <tr
+                              key={result.code}
+                              className={result.flag !== 'normal' ? `abnormal flag-${result.flag}` : ''}
+                            >
+                              <td>
+                                {result.name}
+                                {result.panel && <span className="lab-panel">{result.panel}</span>}
+                              </td>
+                              <td className="lab-value">
+                                {result.value} {result.unit}
+                                {result.flag === 'high' && ' ↑'}
+                                {result.flag === 'low' && ' ↓'}
+                              </td>
+                              <td>
+                                {formatReferenceRange(result.referenceRange)}
+                                {result.referenceRange?.source === 'default' && (
+                                  <span className="lab-range-note" title="Typical adult range; the report did not print one">*</span>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      {msg.labResults.some(result => result.referenceRange?.source === 'default') && (
+                        <p className="lab-results-note">* Typical adult range, not printed on the report</p>
+                      )}
+                    </div>
+                  )}
+                  {msg.citations?.length > 0 && (
+                    <div className="message-sources">
+                      <span className="sources-label">Sources:</span>
+                      {msg.citations.map((citation, citationIndex) => (
+                        <span key={citationIndex} className="source-chip">
+                          📄 {citation.reportName}
+                          {citation.page ? `, page ${citation.page}` : ''}
+                          {citation.section ? ` · ${citation.section}` : ''}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
-            {loading && (
+            {loading && !replyStreaming && (
               <div className="message ai-message">
                 <div className="message-content">
                   <div className="message-header">
@@ -194,17 +387,28 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
               }
             }}
           />
-          <button 
-            type="submit" 
-            className="send-button"
-            disabled={!message.trim() || loading}
-          >
-            {loading ? (
-              <div className="spinner"></div>
-            ) : (
-              '📤'
-            )}
-          </button>
+          {loading && onCancel ? (
+            <button
+              type="button"
+              className="send-button stop-button"
+              onClick={onCancel}
+              title="Stop generating"
+            >
+              ⏹
+            </button>
+          ) : (
+            <button 
+              type="submit" 
+              className="send-button"
+              disabled={!message.trim() || loading}
+            >
+              {loading ? (
+                <div className="spinner"></div>
+              ) : (
+                '📤'
+              )}
+            </button>
+          )}
         </div>
         <div className="input-hints">
           <span>💡 Try asking: "I have a headache and fever" or upload a medical report</span>
@@ -312,6 +516,225 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
           line-height: 1.5;
         }
 
+        .streaming-cursor {
+          display: inline-block;
+          margin-left: 2px;
+          color: #64748b;
+          animation: blink 1s step-end infinite;
+        }
+
+        @keyframes blink {
+          50% {
+            opacity: 0;
+          }
+        }
+
+        .ambulance-dispatch {
+          margin-top: 12px;
+          font-size: 0.875rem;
+        }
+
+        .ambulance-button {
+          padding: 10px 16px;
+          border: none;
+          border-radius: 8px;
+          background: #dc2626;
+          color: white;
+          font-weight: 600;
+          cursor: pointer;
+          transition: background-color 0.2s;
+        }
+
+        .ambulance-button:hover {
+          background: #b91c1c;
+        }
+
+        .ambulance-progress {
+          color: #b91c1c;
+          font-weight: 600;
+        }
+
+        .ambulance-sent {
+          color: #166534;
+          font-weight: 600;
+        }
+
+        .ambulance-error {
+          margin-bottom: 8px;
+          color: #b91c1c;
+        }
+
+        .ambulance-dispatch a {
+          text-decoration: underline;
+        }
+
+        .doctor-recommendation {
+          margin-top: 12px;
+          padding-top: 12px;
+          border-top: 1px solid #e2e8f0;
+          font-size: 0.875rem;
+        }
+
+        .doctor-recommendation-title {
+          margin-bottom: 8px;
+          font-weight: 600;
+          color: #334155;
+        }
+
+        .doctor-recommendation-empty {
+          margin: 0;
+          color: #64748b;
+        }
+
+        .doctor-recommendation-empty a {
+          color: #3b82f6;
+          text-decoration: underline;
+        }
+
+        .doctor-cards {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .doctor-card {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          padding: 10px 12px;
+          background: white;
+          border: 1px solid #e2e8f0;
+          border-radius: 10px;
+        }
+
+        .doctor-photo {
+          width: 44px;
+          height: 44px;
+          border-radius: 50%;
+          object-fit: cover;
+          flex-shrink: 0;
+        }
+
+        .doctor-photo-placeholder {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: #eff6ff;
+          font-size: 1.25rem;
+        }
+
+        .doctor-info {
+          flex: 1;
+          min-width: 0;
+        }
+
+        .doctor-name {
+          font-weight: 600;
+          color: #1e293b;
+        }
+
+        .doctor-specialization,
+        .doctor-meta {
+          font-size: 0.75rem;
+          color: #64748b;
+        }
+
+        .doctor-book-link {
+          padding: 6px 14px;
+          border-radius: 8px;
+          background: #3b82f6;
+          color: white;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .doctor-book-link:hover {
+          background: #2563eb;
+        }
+
+        .message-stopped {
+          margin-top: 8px;
+          font-size: 0.75rem;
+          color: #64748b;
+          font-style: italic;
+        }
+
+        .lab-results {
+          margin-top: 12px;
+          overflow-x: auto;
+          font-size: 0.8rem;
+        }
+
+        .lab-results table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .lab-results th,
+        .lab-results td {
+          padding: 6px 8px;
+          border-bottom: 1px solid #e2e8f0;
+          text-align: left;
+        }
+
+        .lab-results th {
+          background: #f8fafc;
+          color: #64748b;
+          font-weight: 600;
+        }
+
+        .lab-results tr.abnormal {
+          background: #fef2f2;
+        }
+
+        .lab-results tr.abnormal .lab-value {
+          color: #b91c1c;
+          font-weight: 600;
+        }
+
+        .lab-results tr.flag-low .lab-value {
+          color: #1d4ed8;
+        }
+
+        .lab-panel {
+          display: block;
+          color: #94a3b8;
+          font-size: 0.7rem;
+        }
+
+        .lab-range-note {
+          color: #94a3b8;
+          cursor: help;
+        }
+
+        .lab-results-note {
+          margin: 6px 0 0;
+          color: #64748b;
+          font-size: 0.7rem;
+        }
+
+        .message-sources {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px;
+          margin-top: 10px;
+          font-size: 0.75rem;
+        }
+
+        .sources-label {
+          font-weight: 600;
+          color: #64748b;
+        }
+
+        .source-chip {
+          background: #f1f5f9;
+          border: 1px solid #e2e8f0;
+          border-radius: 12px;
+          padding: 2px 8px;
+          color: #334155;
+        }
+
         .typing-indicator {
           display: flex;
           align-items: center;
@@ -451,6 +874,15 @@ const ChatInterface = ({ messages, onSendMessage, loading, followUpQuestions = [
           background: #2563eb;
         }
 
+        .stop-button {
+          background: #ef4444;
+          font-size: 1rem;
+        }
+
+        .stop-button:hover {
+          background: #dc2626;
+        }
+
         .send-button:disabled {
           background: #cbd5e1;
           cursor: not-allowed;
@@ -3,10 +3,16 @@ import { BASE_URL } from '../../config';
 import { useAuth } from '../../context/AuthContext';
 import { toast } from 'react-hot-toast';
 import HashLoader from 'react-spinners/HashLoader';
+import OrderTimeline from './OrderTimeline';
+import { orderStatusLabels, orderStatusColors } from '../../utils/orderStatus';
+
+// Orders can be cancelled until they ship
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
 
 const OrderHistory = () => {
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
+    const [expandedOrder, setExpandedOrder] = useState(null);
     const { token } = useAuth();
 
     useEffect(() => {
@@ -34,20 +40,60 @@ const OrderHistory = () => {
         }
     };
 
-    const getStatusColor = (status) => {
-        switch (status) {
-            case 'pending':
-                return 'bg-yellow-100 text-yellow-800';
-            case 'confirmed':
-                return 'bg-blue-100 text-blue-800';
-            case 'shipped':
-                return 'bg-purple-100 text-purple-800';
-            case 'delivered':
-                return 'bg-green-100 text-green-800';
-            case 'cancelled':
-                return 'bg-red-100 text-red-800';
-            default:
-                return 'bg-gray-100 text-gray-800';
+    const replaceOrder = (updatedOrder) => {
+        setOrders(orders.map(order => order._id === updatedOrder._id ? updatedOrder : order));
+    };
+
+    const handleCancel = async (order) => {
+        // null means the dialog was dismissed; an empty reason is fine
+        const reason = window.prompt(`Cancel order #${order._id.slice(-6)}? You can add a reason (optional).`);
+        if (reason === null) return;
+
+        try {
+            const res = await fetch(`${BASE_URL}/orders/${order._id}/cancel`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ reason: reason || undefined })
+            });
+            const result = await res.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            replaceOrder(result.data);
+            toast.success(result.message);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const handleReturn = async (order) => {
+        const reason = window.prompt('Why are you returning this order?');
+        if (!reason) return;
+
+        try {
+            const res = await fetch(`${BASE_URL}/orders/${order._id}/return`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ reason })
+            });
+            const result = await res.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            replaceOrder(result.data);
+            toast.success(result.message);
+        } catch (error) {
+            toast.error(error.message);
         }
     };
 
@@ -80,11 +126,17 @@ const OrderHistory = () => {
                                         Placed on: {new Date(order.createdAt).toLocaleDateString()}
                                     </p>
                                 </div>
-                                <span className={`px-3 py-1 rounded-full text-sm ${getStatusColor(order.status)}`}>
-                                    {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                                <span className={`px-3 py-1 rounded-full text-sm ${orderStatusColors[order.status] || 'bg-gray-100 text-gray-800'}`}>
+                                    {orderStatusLabels[order.status] || order.status}
                                 </span>
                             </div>
 
+                            {order.returnRequest?.resolvedAt && order.status === 'delivered' && (
+                                <p className="text-sm text-red-700 bg-red-50 rounded px-3 py-2 mb-4">
+                                    Your return was rejected: {order.returnRequest.resolutionNote}
+                                </p>
+                            )}
+
                             <div className="space-y-4">
                                 {order.items.map((item) => (
                                     <div key={item._id} className="flex items-center gap-4 border-b pb-4">
@@ -119,6 +171,39 @@ const OrderHistory = () => {
                                     </div>
                                 </div>
                             </div>
+
+                            <div className="mt-4 flex flex-wrap justify-between items-center gap-2">
+                                <button
+                                    onClick={() => setExpandedOrder(expandedOrder === order._id ? null : order._id)}
+                                    className="text-sm text-primaryColor hover:underline"
+                                >
+                                    {expandedOrder === order._id ? 'Hide tracking' : 'Track order'}
+                                </button>
+                                <div className="flex gap-2">
+                                    {CANCELLABLE_STATUSES.includes(order.status) && (
+                                        <button
+                                            onClick={() => handleCancel(order)}
+                                            className="px-4 py-1.5 text-sm rounded border border-red-500 text-red-600 hover:bg-red-50"
+                                        >
+                                            Cancel Order
+                                        </button>
+                                    )}
+                                    {order.status === 'delivered' && !order.returnRequest?.requestedAt && (
+                                        <button
+                                            onClick={() => handleReturn(order)}
+                                            className="px-4 py-1.5 text-sm rounded border border-gray-400 text-gray-700 hover:bg-gray-50"
+                                        >
+                                            Request Return
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+
+                            {expandedOrder === order._id && (
+                                <div className="mt-4 pt-4 border-t">
+                                    <OrderTimeline history={order.statusHistory} />
+                                </div>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -0,0 +1,32 @@
+import React from 'react';
+import { orderStatusLabels } from '../../utils/orderStatus';
+
+const actorLabels = {
+    patient: 'by customer',
+    admin: 'by pharmacy',
+    system: 'automatically'
+};
+
+const OrderTimeline = ({ history = [] }) => {
+    if (history.length === 0) return null;
+
+    return (
+        <ol className="relative border-l border-gray-200 ml-2">
+            {history.map((entry, index) => (
+                <li key={index} className="mb-3 ml-4">
+                    <div className="absolute w-2.5 h-2.5 bg-primaryColor rounded-full -left-[5px] mt-1.5"></div>
+                    <p className="text-sm font-medium">
+                        {orderStatusLabels[entry.status] || entry.status}
+                        {entry.actorRole && (
+                            <span className="text-gray-500 font-normal"> {actorLabels[entry.actorRole]}</span>
+                        )}
+                    </p>
+                    <p className="text-xs text-gray-500">{new Date(entry.at).toLocaleString()}</p>
+                    {entry.note && <p className="text-xs text-gray-600 mt-0.5">{entry.note}</p>}
+                </li>
+            ))}
+        </ol>
+    );
+};
+
+export default OrderTimeline;
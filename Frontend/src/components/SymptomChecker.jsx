@@ -1,7 +1,15 @@
 import React, { useState } from 'react';
 
-const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
+const TRIAGE_LABELS = {
+  emergency: '🚨 Emergency',
+  urgent: '⚠️ Urgent',
+  routine: '🩺 Routine',
+  self_care: '🏠 Self-care'
+};
+
+const SymptomChecker = ({ onSymptomCheck, loading = false, result = null }) => {
   const [symptoms, setSymptoms] = useState('');
+  const [age, setAge] = useState('');
   const [selectedSymptoms, setSelectedSymptoms] = useState([]);
   const [showQuickSymptoms, setShowQuickSymptoms] = useState(false);
 
@@ -42,7 +50,7 @@ const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
     }
     
     if (symptomText && onSymptomCheck) {
-      onSymptomCheck(symptomText);
+      onSymptomCheck(symptomText, age === '' ? undefined : Number(age));
       setSymptoms('');
       setSelectedSymptoms([]);
       setShowQuickSymptoms(false);
@@ -83,6 +91,22 @@ const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
           />
         </div>
 
+        <div className="age-input-section">
+          <label htmlFor="symptom-age">Age of the person with symptoms (optional):</label>
+          <input
+            id="symptom-age"
+            type="number"
+            min="0"
+            max="130"
+            step="any"
+            value={age}
+            onChange={(e) => setAge(e.target.value)}
+            placeholder="Years, e.g. 0.5 for a six month old baby"
+            className="age-input"
+            disabled={loading}
+          />
+        </div>
+
         <div className="quick-symptoms-section">
           <div className="quick-symptoms-header">
             <span>Or select common symptoms:</span>
@@ -159,6 +183,45 @@ const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
         </div>
       </form>
 
+      {result && (
+        <div className={`triage-result triage-${result.triage.level}`}>
+          <div className="triage-header">
+            <span className="triage-level">{TRIAGE_LABELS[result.triage.level]}</span>
+            <span className="triage-confidence">
+              Confidence {Math.round(result.triage.confidence * 100)}%
+            </span>
+          </div>
+          <p className="triage-advice">{result.triage.advice}</p>
+
+          {result.triage.redFlags.length > 0 && (
+            <div className="triage-red-flags">
+              <span>Warning signs found:</span>
+              <ul>
+                {result.triage.redFlags.map((flag) => (
+                  <li key={flag.id}>
+                    {flag.label} <em>(&ldquo;{flag.phrase}&rdquo;)</em>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <p className="triage-explanation">{result.triage.explanation}</p>
+
+          {result.recommendations?.length > 0 && (
+            <ul className="triage-recommendations">
+              {result.recommendations.map((recommendation) => (
+                <li key={recommendation}>{recommendation}</li>
+              ))}
+            </ul>
+          )}
+
+          {result.assessment && (
+            <div className="triage-assessment">{result.assessment}</div>
+          )}
+        </div>
+      )}
+
       <div className="disclaimer">
         <div className="disclaimer-icon">⚠️</div>
         <div className="disclaimer-text">
@@ -241,6 +304,29 @@ const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
           cursor: not-allowed;
         }
 
+        .age-input-section label {
+          display: block;
+          margin-bottom: 8px;
+          font-weight: 600;
+          color: #374151;
+          font-size: 0.875rem;
+        }
+
+        .age-input {
+          width: 100%;
+          max-width: 320px;
+          padding: 8px 12px;
+          border: 2px solid #e2e8f0;
+          border-radius: 8px;
+          font-family: inherit;
+          font-size: 0.875rem;
+        }
+
+        .age-input:focus {
+          outline: none;
+          border-color: #3b82f6;
+        }
+
         .quick-symptoms-section {
           border-top: 1px solid #e2e8f0;
           padding-top: 16px;
@@ -390,6 +476,92 @@ const SymptomChecker = ({ onSymptomCheck, loading = false }) => {
           to { transform: rotate(360deg); }
         }
 
+        .triage-result {
+          margin-top: 20px;
+          padding: 16px;
+          border-radius: 8px;
+          border: 2px solid;
+        }
+
+        .triage-emergency {
+          background: #fef2f2;
+          border-color: #ef4444;
+        }
+
+        .triage-urgent {
+          background: #fffbeb;
+          border-color: #f59e0b;
+        }
+
+        .triage-routine {
+          background: #eff6ff;
+          border-color: #3b82f6;
+        }
+
+        .triage-self_care {
+          background: #f0fdf4;
+          border-color: #22c55e;
+        }
+
+        .triage-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 8px;
+        }
+
+        .triage-level {
+          font-weight: 700;
+          font-size: 1.125rem;
+          color: #1e293b;
+        }
+
+        .triage-confidence {
+          font-size: 0.75rem;
+          color: #64748b;
+        }
+
+        .triage-advice {
+          margin: 0 0 12px 0;
+          font-weight: 600;
+          color: #1e293b;
+        }
+
+        .triage-red-flags {
+          font-size: 0.875rem;
+          color: #dc2626;
+          margin-bottom: 12px;
+        }
+
+        .triage-red-flags ul,
+        .triage-recommendations {
+          margin: 4px 0 0 0;
+          padding-left: 20px;
+          list-style: disc;
+        }
+
+        .triage-explanation {
+          margin: 0 0 12px 0;
+          font-size: 0.875rem;
+          color: #374151;
+          line-height: 1.5;
+        }
+
+        .triage-recommendations {
+          font-size: 0.875rem;
+          color: #374151;
+          margin-bottom: 12px;
+        }
+
+        .triage-assessment {
+          white-space: pre-wrap;
+          font-size: 0.875rem;
+          color: #374151;
+          line-height: 1.5;
+          border-top: 1px solid #e2e8f0;
+          padding-top: 12px;
+        }
+
         .disclaimer {
           margin-top: 20px;
           display: flex;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { BASE_URL } from '../../config';
+import { toast } from 'react-toastify';
+
+const WaitlistJoin = ({ doctor }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [formData, setFormData] = useState({ date: '', problem: '' });
+  const navigate = useNavigate();
+
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const token = localStorage.getItem('token');
+    if (!token) {
+      toast.error('Please login first');
+      navigate('/login');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const res = await fetch(`${BASE_URL}/waitlist/doctor/${doctor._id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(formData)
+      });
+
+      const result = await res.json();
+
+      if (!res.ok) {
+        throw new Error(result.message);
+      }
+
+      toast.success(`${result.message}. We'll notify you when a slot opens up.`);
+      setFormData({ date: '', problem: '' });
+      setIsOpen(false);
+    } catch (err) {
+      toast.error(err.message || 'Failed to join waitlist');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!doctor.isAvailable) return null;
+
+  return (
+    <div className="shadow-panelShadow p-3 lg:p-5 rounded-md mt-5">
+      <p className="text__para mt-0 font-semibold text-headingColor">
+        Day fully booked?
+      </p>
+      <p className="text-[14px] text-textColor mt-1">
+        Join the waitlist and we&apos;ll offer you the first slot that frees up on that day.
+      </p>
+
+      {!isOpen ? (
+        <button
+          type="button"
+          onClick={() => setIsOpen(true)}
+          className="w-full mt-4 border border-primaryColor text-primaryColor text-[16px] leading-7 rounded-lg px-4 py-2 hover:bg-[#0066ff0a]"
+        >
+          Join Waitlist
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} className="mt-4">
+          <input
+            type="date"
+            name="date"
+            value={formData.date}
+            onChange={handleInputChange}
+            className="w-full px-4 py-3 mb-4 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor rounded-md cursor-pointer"
+            required
+          />
+          <textarea
+            name="problem"
+            value={formData.problem}
+            onChange={handleInputChange}
+            rows={2}
+            placeholder="Write your health problem"
+            className="w-full px-4 py-3 mb-4 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor placeholder:text-textColor rounded-md"
+            required
+          />
+          <div className="flex gap-3">
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="flex-1 px-4 py-2 text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 bg-primaryColor text-white rounded-lg px-4 py-2 hover:bg-blue-600 disabled:opacity-60"
+            >
+              {submitting ? 'Joining...' : 'Join'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default WaitlistJoin;
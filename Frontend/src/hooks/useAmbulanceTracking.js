@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from 'react';
+import { io } from 'socket.io-client';
+
+// The tracking socket shares the API's host
+const SOCKET_URL = new URL(import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1').origin;
+
+// How often to poll while the live connection is down
+const POLL_INTERVAL_MS = 15000;
+
+/**
+ * Custom hook to follow live ambulance tracking
+ * @function useAmbulanceTracking
+ * @param {Object} options
+ * @param {string} [options.requestId] - Request to follow; admins receive every request without one
+ * @param {Function} options.onUpdate - Called with each tracking snapshot, or { requestId, removed: true } once a request is cancelled
+ * @param {Function} [options.poll] - Loads the latest state while the socket is disconnected
+ * @param {boolean} [options.enabled=true] - Connect only while there is something to follow
+ * @returns {{live: boolean}} Whether updates are currently arriving over the socket
+ * @description Connects to the tracking socket with the stored token. socket.io
+ * reconnects by itself; until it does, poll is called every 15 seconds.
+ */
+const useAmbulanceTracking = ({ requestId, onUpdate, poll, enabled = true }) => {
+  const [live, setLive] = useState(false);
+
+  // Keep the latest callbacks without reconnecting when they change
+  const handlers = useRef({ onUpdate, poll });
+  handlers.current = { onUpdate, poll };
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!enabled || !token) return undefined;
+
+    const socket = io(SOCKET_URL, {
+      auth: { token },
+      reconnectionDelayMax: 10000
+    });
+
+    socket.on('connect', () => {
+      setLive(true);
+      // Rooms are lost on reconnect, so follow the request again
+      if (requestId) {
+        socket.emit('tracking:join', requestId, (response) => {
+          if (response?.success) handlers.current.onUpdate(response.data);
+        });
+      }
+    });
+    socket.on('disconnect', () => setLive(false));
+    socket.on('connect_error', () => setLive(false));
+    socket.on('ambulance:update', (snapshot) => {
+      if (!requestId || snapshot.requestId === requestId) {
+        handlers.current.onUpdate(snapshot);
+      }
+    });
+
+    return () => {
+      socket.disconnect();
+      setLive(false);
+    };
+  }, [requestId, enabled]);
+
+  // Fall back to polling while the socket is down
+  useEffect(() => {
+    if (!enabled || live || !handlers.current.poll) return undefined;
+    const interval = setInterval(() => handlers.current.poll(), POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [enabled, live]);
+
+  return { live };
+};
+
+export default useAmbulanceTracking;
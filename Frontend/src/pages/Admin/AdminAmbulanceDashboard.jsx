@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { FaAmbulance, FaUser, FaPhone, FaMapMarkerAlt, FaUserPlus, FaSpinner, FaClock } from 'react-icons/fa';
+import { FaAmbulance, FaUser, FaPhone, FaMapMarkerAlt, FaUserPlus, FaSpinner, FaClock, FaCommentMedical } from 'react-icons/fa';
 import { MdEmergency, MdRefresh } from 'react-icons/md';
 import toast from 'react-hot-toast';
 import { 
@@ -9,15 +9,42 @@ import {
   assignDriver, 
   completeRequest,
   updateDriverStatus,
+  updateRequestStatus,
   cancelRequest
 } from '../../services/ambulanceService';
+import {
+  ambulanceStatusLabels,
+  ambulanceStatusColors,
+  ambulanceDriverStatuses,
+  ambulanceProgressTransitions,
+  offerSecondsLeft
+} from '../../utils/ambulanceStatus';
+import AmbulanceTrackingMap from '../../components/AmbulanceTrackingMap';
+import useAmbulanceTracking from '../../hooks/useAmbulanceTracking';
+
+// Longest chatbot message shown in a request's conversation context
+const CHAT_PREVIEW_LENGTH = 300;
+
+const truncateMessage = (content = '') =>
+  content.length > CHAT_PREVIEW_LENGTH ? `${content.slice(0, CHAT_PREVIEW_LENGTH)}…` : content;
+
+// Last reported position of a populated driver, from its GeoJSON point
+const driverPosition = (driver) => {
+  const coordinates = driver?.position?.coordinates;
+  return coordinates?.length === 2 ? { latitude: coordinates[1], longitude: coordinates[0] } : null;
+};
 
 const AdminAmbulanceDashboard = () => {
   const [requests, setRequests] = useState([]);
+  const [now, setNow] = useState(Date.now());
   const [drivers, setDrivers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  // Latest live tracking snapshot of each request
+  const [tracking, setTracking] = useState({});
+  const requestsRef = useRef(requests);
+  const refreshTimeout = useRef(null);
   const [stats, setStats] = useState({
     totalRequests: 0,
     pendingRequests: 0,
@@ -48,7 +75,7 @@ const AdminAmbulanceDashboard = () => {
       setStats({
         totalRequests: requestsData.length,
         pendingRequests: requestsData.filter(r => r.status === 'pending').length,
-        assignedRequests: requestsData.filter(r => r.status === 'assigned').length,
+        assignedRequests: requestsData.filter(r => ambulanceDriverStatuses.includes(r.status)).length,
         completedRequests: requestsData.filter(r => r.status === 'completed').length,
         availableDrivers: driversData.filter(d => d.status === 'available').length,
         busyDrivers: driversData.filter(d => d.status === 'busy').length
@@ -65,12 +92,70 @@ const AdminAmbulanceDashboard = () => {
     }
   };
 
+  // The regular refresh also covers the time the live connection is down
   useEffect(() => {
     fetchData();
     const interval = setInterval(() => fetchData(), 30000);
-    return () => clearInterval(interval);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(refreshTimeout.current);
+    };
   }, []);
 
+  requestsRef.current = requests;
+
+  const handleTrackingUpdate = (snapshot) => {
+    if (snapshot.removed) {
+      setRequests(prevRequests => prevRequests.filter(request => request._id !== snapshot.requestId));
+      return;
+    }
+
+    setTracking(prevTracking => ({ ...prevTracking, [snapshot.requestId]: snapshot }));
+
+    // New requests and status changes bring new details, so reload once a burst of updates settles
+    const known = requestsRef.current.find(request => request._id === snapshot.requestId);
+    if (!known || known.status !== snapshot.status) {
+      clearTimeout(refreshTimeout.current);
+      refreshTimeout.current = setTimeout(() => fetchData(), 1000);
+    }
+  };
+
+  const { live } = useAmbulanceTracking({ onUpdate: handleTrackingUpdate });
+
+  const trips = requests
+    .filter(request => request.coordinates?.latitude !== undefined)
+    .map(request => {
+      const hasDriver = ambulanceDriverStatuses.includes(request.status);
+      return {
+        id: request._id,
+        label: `${request.name}: ${request.pickupLocation}`,
+        pickup: request.coordinates,
+        ambulance: hasDriver
+          ? tracking[request._id]?.driver?.position || driverPosition(request.driverId)
+          : null,
+        ambulanceLabel: request.driverId?.driverName || 'Ambulance'
+      };
+    });
+
+  // Tick the offer countdowns, and reload once an offer runs out to see where it went
+  const hasOpenOffers = requests.some(request => request.status === 'offered');
+  useEffect(() => {
+    if (!hasOpenOffers) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasOpenOffers]);
+
+  const offerExpired = requests.some(request =>
+    request.status === 'offered' && request.offer?.expiresAt && offerSecondsLeft(request.offer, now) === 0
+  );
+  useEffect(() => {
+    if (offerExpired) {
+      const timeout = setTimeout(() => fetchData(), 5000);
+      return () => clearTimeout(timeout);
+    }
+    return undefined;
+  }, [offerExpired]);
+
   const handleAssignDriver = async (requestId, driverId) => {
     try {
       await assignDriver(requestId, driverId);
@@ -100,6 +185,16 @@ const AdminAmbulanceDashboard = () => {
     }
   };
 
+  const handleProgressChange = async (requestId, status) => {
+    try {
+      await updateRequestStatus(requestId, status);
+      await fetchData();
+      toast.success(`Request marked ${ambulanceStatusLabels[status].toLowerCase()}`);
+    } catch (err) {
+      toast.error(err.error || err.message || 'Failed to update request status');
+    }
+  };
+
   const handleDriverStatusChange = async (driverId, newStatus) => {
     try {
       await updateDriverStatus(driverId, newStatus);
@@ -148,18 +243,7 @@ const AdminAmbulanceDashboard = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'pending':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'assigned':
-        return 'bg-blue-100 text-blue-800';
-      case 'completed':
-        return 'bg-green-100 text-green-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
+  const getStatusColor = (status) => ambulanceStatusColors[status] || 'bg-gray-100 text-gray-800';
 
   if (loading) {
     return (
@@ -182,7 +266,10 @@ const AdminAmbulanceDashboard = () => {
               <h1 className="text-3xl font-bold text-gray-900">Ambulance Dashboard</h1>
               <p className="mt-2 text-sm text-gray-600">Manage ambulance requests and drivers</p>
             </div>
-            <div className="flex gap-4">
+            <div className="flex gap-4 items-center">
+              <span className={`text-sm font-medium ${live ? 'text-green-600' : 'text-gray-500'}`}>
+                {live ? '● Live' : 'Refreshing every 30s'}
+              </span>
               <button
                 onClick={() => fetchData(true)}
                 disabled={refreshing}
@@ -261,6 +348,19 @@ const AdminAmbulanceDashboard = () => {
           </div>
         )}
 
+        {/* Live Map */}
+        {trips.length > 0 && (
+          <div className="mb-8 bg-white rounded-lg shadow overflow-hidden">
+            <div className="p-6 border-b">
+              <h2 className="text-xl font-semibold text-gray-900">Live Map</h2>
+              <p className="mt-1 text-sm text-gray-500">Pickup points of active requests and the ambulances on their way</p>
+            </div>
+            <div className="p-4">
+              <AmbulanceTrackingMap trips={trips} className="h-[400px]" />
+            </div>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
           {/* Active Requests */}
           <div className="bg-white rounded-lg shadow overflow-hidden">
@@ -288,7 +388,7 @@ const AdminAmbulanceDashboard = () => {
                           </div>
                         </div>
                         <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(request.status)}`}>
-                          {request.status}
+                          {ambulanceStatusLabels[request.status] || request.status}
                         </span>
                       </div>
 
@@ -309,11 +409,43 @@ const AdminAmbulanceDashboard = () => {
                         </div>
                       </div>
 
-                      {request.status === 'pending' && (
+                      {/* Conversation the patient had with the chatbot before requesting */}
+                      {request.chatSessionId?.messages?.length > 0 && (
+                        <details className="mt-4 rounded-md border border-red-200 bg-red-50 p-3">
+                          <summary className="flex cursor-pointer items-center gap-2 text-sm font-medium text-red-700">
+                            <FaCommentMedical />
+                            Requested from the AI chatbot: {request.chatSessionId.sessionTitle}
+                          </summary>
+                          <div className="mt-3 space-y-2">
+                            {request.chatSessionId.messages.map((message, index) => (
+                              <div key={message._id || index} className="text-sm">
+                                <span className="font-medium text-gray-900">
+                                  {message.role === 'user' ? 'Patient' : 'Chatbot'}
+                                  {message.messageType === 'emergency_alert' && ' 🚨'}:
+                                </span>{' '}
+                                <span className="whitespace-pre-line text-gray-600">{truncateMessage(message.content)}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </details>
+                      )}
+
+                      {request.status === 'offered' && request.offer?.driverId && (
+                        <div className="mt-4 rounded-md border border-orange-200 bg-orange-50 p-3 text-sm text-orange-800">
+                          Offered to {request.offer.driverId.driverName || 'the nearest driver'}
+                          {request.offer.distanceMeters !== undefined && ` (${(request.offer.distanceMeters / 1000).toFixed(1)} km away)`}
+                          {' · '}
+                          {offerSecondsLeft(request.offer, now) > 0
+                            ? `${offerSecondsLeft(request.offer, now)}s left to accept`
+                            : 'offer expired, passing it on'}
+                        </div>
+                      )}
+
+                      {(request.status === 'pending' || request.status === 'offered') && (
                         <div className="mt-4 flex justify-between items-center">
                           <div>
                             <label className="block text-sm font-medium text-gray-700 mb-2">
-                              Assign Driver
+                              {request.status === 'offered' ? 'Assign Driver Instead' : 'Assign Driver'}
                             </label>
                             <select
                               className="w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-primaryColor focus:border-primaryColor"
@@ -342,15 +474,34 @@ const AdminAmbulanceDashboard = () => {
                         </div>
                       )}
 
-                      {request.status === 'assigned' && request.driverId && (
+                      {ambulanceDriverStatuses.includes(request.status) && request.driverId && (
                         <div className="mt-4 flex justify-between items-center">
                           <div className="flex items-center gap-2">
                             <FaAmbulance className="text-primaryColor" />
                             <span className="text-sm font-medium">
                               Driver: {request.driverId.driverName}
                             </span>
+                            {tracking[request._id]?.eta && (
+                              <span className="text-sm text-gray-500">
+                                · about {tracking[request._id].eta.minutes} min away
+                              </span>
+                            )}
                           </div>
                           <div className="flex gap-2">
+                            {ambulanceProgressTransitions[request.status].some(status => status !== 'completed') && (
+                              <select
+                                value=""
+                                onChange={(e) => e.target.value && handleProgressChange(request._id, e.target.value)}
+                                className="p-2 border border-gray-300 rounded-md text-sm"
+                              >
+                                <option value="">Update status</option>
+                                {ambulanceProgressTransitions[request.status]
+                                  .filter(status => status !== 'completed')
+                                  .map(status => (
+                                    <option key={status} value={status}>{ambulanceStatusLabels[status]}</option>
+                                  ))}
+                              </select>
+                            )}
                             <button
                               onClick={() => handleCompleteRequest(request._id, request.driverId._id)}
                               className="bg-green-500 text-white px-4 py-2 rounded-md hover:bg-green-600 transition-colors"
@@ -399,6 +550,12 @@ const AdminAmbulanceDashboard = () => {
                             <FaMapMarkerAlt className="h-4 w-4" />
                             {driver.location}
                           </div>
+                          <div className="flex items-center gap-1">
+                            <FaClock className="h-4 w-4" />
+                            {driver.positionUpdatedAt
+                              ? `Position reported ${new Date(driver.positionUpdatedAt).toLocaleString()}`
+                              : 'No position reported yet'}
+                          </div>
                         </div>
                       </div>
                       <select
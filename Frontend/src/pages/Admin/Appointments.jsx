@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useCallback } from 'react';
 import { BASE_URL } from '../../config';
 import { toast } from 'react-toastify';
 import { AuthContext } from '../../context/AuthContext';
@@ -7,14 +7,31 @@ import { format } from 'date-fns';
 
 const Appointments = () => {
     const [appointments, setAppointments] = useState([]);
+    const [waitlistSummary, setWaitlistSummary] = useState([]);
     const [loading, setLoading] = useState(true);
     const { token } = useContext(AuthContext);
 
-    useEffect(() => {
-        fetchAppointments();
-    }, []);
+    const fetchWaitlistSummary = useCallback(async () => {
+        try {
+            const res = await fetch(`${BASE_URL}/waitlist/summary`, {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            });
+
+            if (!res.ok) {
+                throw new Error('Failed to fetch waitlist summary');
+            }
 
-    const fetchAppointments = async () => {
+            const result = await res.json();
+            setWaitlistSummary(Array.isArray(result.data) ? result.data : []);
+        } catch (error) {
+            toast.error(error.message);
+            setWaitlistSummary([]);
+        }
+    }, [token]);
+
+    const fetchAppointments = useCallback(async () => {
         try {
             const res = await fetch(`${BASE_URL}/admin/appointments`, {
                 headers: {
@@ -41,7 +58,12 @@ const Appointments = () => {
             setAppointments([]);
             setLoading(false);
         }
-    };
+    }, [token]);
+
+    useEffect(() => {
+        fetchAppointments();
+        fetchWaitlistSummary();
+    }, [fetchAppointments, fetchWaitlistSummary]);
 
     const handleStatusChange = async (appointmentId, status) => {
         try {
@@ -80,6 +102,8 @@ const Appointments = () => {
                 return 'bg-red-100 text-red-800';
             case 'finished':
                 return 'bg-blue-100 text-blue-800';
+            case 'needs_reschedule':
+                return 'bg-orange-100 text-orange-800';
             default:
                 return 'bg-gray-100 text-gray-800';
         }
@@ -165,6 +189,7 @@ const Appointments = () => {
                                             <select
                                                 value={appointment.status}
                                                 onChange={(e) => handleStatusChange(appointment._id, e.target.value)}
+                                                disabled={['finished', 'cancelled'].includes(appointment.status)}
                                                 className="text-sm border rounded p-1 focus:outline-none focus:border-primaryColor"
                                             >
                                                 <option value="pending">Pending</option>
@@ -179,6 +204,49 @@ const Appointments = () => {
                         </table>
                     </div>
                 </div>
+
+                <h3 className="text-xl font-bold mt-8 mb-4">Waitlist by Doctor</h3>
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                    {waitlistSummary.length === 0 ? (
+                        <p className="px-4 py-6 text-sm text-gray-500">No patients are waiting for a slot</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full whitespace-nowrap">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Doctor
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Waiting
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Offers Open
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Dates
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {waitlistSummary.map((row) => (
+                                        <tr key={row.doctor._id} className="hover:bg-gray-50">
+                                            <td className="px-4 py-3">
+                                                <p className="text-sm font-medium text-gray-900">Dr. {row.doctor.name}</p>
+                                                <p className="text-xs text-gray-500">{row.doctor.specialization}</p>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm">{row.waiting}</td>
+                                            <td className="px-4 py-3 text-sm">{row.offered}</td>
+                                            <td className="px-4 py-3 text-sm">
+                                                {[...row.dates].sort().join(', ')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
             </div>
         </AdminLayout>
     );
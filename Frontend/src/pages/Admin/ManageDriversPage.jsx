@@ -21,7 +21,8 @@ const ManageDriversPage = () => {
     licenseNumber: '',
     address: '',
     location: '',
-    status: 'available'
+    status: 'available',
+    password: ''
   });
 
   const fetchDrivers = async () => {
@@ -67,7 +68,8 @@ const ManageDriversPage = () => {
         licenseNumber: '',
         address: '',
         location: '',
-        status: 'available'
+        status: 'available',
+        password: ''
       });
       fetchDrivers();
     } catch (err) {
@@ -83,7 +85,8 @@ const ManageDriversPage = () => {
       licenseNumber: driver.licenseNumber,
       address: driver.address,
       location: driver.location,
-      status: driver.status
+      status: driver.status,
+      password: ''
     });
     setShowForm(true);
   };
@@ -135,7 +138,8 @@ const ManageDriversPage = () => {
                   licenseNumber: '',
                   address: '',
                   location: '',
-                  status: 'available'
+                  status: 'available',
+                  password: ''
                 });
                 setShowForm(true);
               }}
@@ -227,6 +231,19 @@ const ManageDriversPage = () => {
                   <option value="offline">Offline</option>
                 </select>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Driver App Password</label>
+                <input
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required={!editDriver}
+                  autoComplete="new-password"
+                  placeholder={editDriver ? 'Leave empty to keep the current password' : ''}
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
               <div className="md:col-span-2 flex justify-end gap-4">
                 <button
                   type="button"
@@ -0,0 +1,469 @@
+import React, { useState, useEffect } from 'react';
+import { FaEdit, FaTrash, FaHospital, FaSave } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import {
+  getHospitals,
+  getHospitalSpecialities,
+  createHospital,
+  updateHospital,
+  updateHospitalBeds,
+  deleteHospital
+} from '../../services/hospitalService';
+
+const divisions = ['Dhaka', 'Chittagong', 'Rajshahi', 'Khulna', 'Barisal', 'Sylhet', 'Rangpur', 'Mymensingh'];
+
+const emptyForm = {
+  name: '',
+  division: 'Dhaka',
+  address: '',
+  phone: '',
+  latitude: '',
+  longitude: '',
+  emergencyDepartments: '',
+  specialities: [],
+  active: true,
+  bedsAvailable: '',
+  bedsTotal: ''
+};
+
+const ManageHospitals = () => {
+  const [hospitals, setHospitals] = useState([]);
+  const [specialities, setSpecialities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editHospital, setEditHospital] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  // Bed counts being edited in the table, by hospital ID
+  const [bedEdits, setBedEdits] = useState({});
+
+  const fetchHospitals = async () => {
+    try {
+      setLoading(true);
+      const response = await getHospitals({ includeInactive: true });
+      setHospitals(response.data || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to fetch hospitals');
+      toast.error('Failed to load hospitals');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHospitals();
+    getHospitalSpecialities()
+      .then(response => setSpecialities(response.data))
+      .catch(() => toast.error('Failed to load specialities'));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : value
+    });
+  };
+
+  const toggleSpeciality = (speciality) => {
+    setFormData(prev => ({
+      ...prev,
+      specialities: prev.specialities.includes(speciality)
+        ? prev.specialities.filter(item => item !== speciality)
+        : [...prev.specialities, speciality]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { bedsAvailable, bedsTotal, emergencyDepartments, ...details } = formData;
+    const hospitalData = {
+      ...details,
+      emergencyDepartments: emergencyDepartments.split(',').map(item => item.trim()).filter(Boolean)
+    };
+
+    try {
+      if (editHospital) {
+        await updateHospital(editHospital._id, hospitalData);
+        toast.success('Hospital updated successfully');
+      } else {
+        await createHospital({
+          ...hospitalData,
+          beds: { available: Number(bedsAvailable || 0), total: bedsTotal }
+        });
+        toast.success('Hospital added successfully');
+      }
+      setShowForm(false);
+      setEditHospital(null);
+      setFormData(emptyForm);
+      fetchHospitals();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save hospital');
+    }
+  };
+
+  const handleEdit = (hospital) => {
+    setEditHospital(hospital);
+    setFormData({
+      ...emptyForm,
+      name: hospital.name,
+      division: hospital.division,
+      address: hospital.address,
+      phone: hospital.phone || '',
+      latitude: hospital.position.coordinates[1],
+      longitude: hospital.position.coordinates[0],
+      emergencyDepartments: hospital.emergencyDepartments.join(', '),
+      specialities: hospital.specialities,
+      active: hospital.active
+    });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (id) => {
+    if (window.confirm('Are you sure you want to remove this hospital? To stop ambulances going there for a while, mark it inactive instead.')) {
+      try {
+        await deleteHospital(id);
+        toast.success('Hospital removed successfully');
+        fetchHospitals();
+      } catch (err) {
+        toast.error(err.message || 'Failed to remove hospital');
+      }
+    }
+  };
+
+  const handleBedsSave = async (hospital) => {
+    const edit = bedEdits[hospital._id];
+    try {
+      await updateHospitalBeds(hospital._id, edit.available, edit.total);
+      toast.success(`Beds updated for ${hospital.name}`);
+      setBedEdits(prev => {
+        const rest = { ...prev };
+        delete rest[hospital._id];
+        return rest;
+      });
+      fetchHospitals();
+    } catch (err) {
+      toast.error(err.message || 'Failed to update beds');
+    }
+  };
+
+  const bedValue = (hospital, field) =>
+    bedEdits[hospital._id]?.[field] ?? hospital.beds?.[field] ?? '';
+
+  const setBedValue = (hospital, field, value) => {
+    setBedEdits(prev => ({
+      ...prev,
+      [hospital._id]: {
+        available: bedValue(hospital, 'available'),
+        total: bedValue(hospital, 'total'),
+        ...prev[hospital._id],
+        [field]: value
+      }
+    }));
+  };
+
+  if (loading && hospitals.length === 0) {
+    return (
+      <section className="pt-[60px] pb-[60px] bg-[#f5f5f5]">
+        <div className="container flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primaryColor"></div>
+        </div>
+      </section>
+    );
+  }
+
+  return (
+    <section className="pt-[60px] pb-[60px] bg-[#f5f5f5]">
+      <div className="container">
+        <div className="flex justify-between items-center mb-8">
+          <div>
+            <h2 className="heading">Manage Hospitals</h2>
+            <p className="text_para">Hospitals ambulances take patients to, and their free beds</p>
+          </div>
+          <button
+            onClick={() => {
+              setEditHospital(null);
+              setFormData(emptyForm);
+              setShowForm(true);
+            }}
+            className="flex items-center gap-2 bg-primaryColor text-white px-4 py-2 rounded-lg hover:bg-primaryColor/90"
+          >
+            <FaHospital />
+            Add New Hospital
+          </button>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+            {error}
+          </div>
+        )}
+
+        {showForm && (
+          <div className="bg-white p-6 rounded-[20px] shadow-md mb-8">
+            <h3 className="text-xl font-semibold mb-4">
+              {editHospital ? 'Edit Hospital' : 'Add New Hospital'}
+            </h3>
+            <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Hospital Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  required
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Division</label>
+                <select
+                  name="division"
+                  value={formData.division}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {divisions.map(division => (
+                    <option key={division} value={division}>{division}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <input
+                  type="text"
+                  name="address"
+                  value={formData.address}
+                  onChange={handleChange}
+                  required
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Emergency Phone</label>
+                <input
+                  type="text"
+                  name="phone"
+                  value={formData.phone}
+                  onChange={handleChange}
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Latitude</label>
+                <input
+                  type="number"
+                  step="any"
+                  name="latitude"
+                  value={formData.latitude}
+                  onChange={handleChange}
+                  required
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Longitude</label>
+                <input
+                  type="number"
+                  step="any"
+                  name="longitude"
+                  value={formData.longitude}
+                  onChange={handleChange}
+                  required
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Emergency Departments</label>
+                <input
+                  type="text"
+                  name="emergencyDepartments"
+                  value={formData.emergencyDepartments}
+                  onChange={handleChange}
+                  placeholder="e.g. Adult ER, Paediatric ER (leave empty if there is none)"
+                  className="w-full p-2 border rounded-md"
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Specialities</label>
+                <div className="flex flex-wrap gap-4">
+                  {specialities.map(speciality => (
+                    <label key={speciality} className="flex items-center gap-2 capitalize">
+                      <input
+                        type="checkbox"
+                        checked={formData.specialities.includes(speciality)}
+                        onChange={() => toggleSpeciality(speciality)}
+                      />
+                      {speciality}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              {!editHospital && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Available Beds</label>
+                    <input
+                      type="number"
+                      min="0"
+                      name="bedsAvailable"
+                      value={formData.bedsAvailable}
+                      onChange={handleChange}
+                      className="w-full p-2 border rounded-md"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Total Beds</label>
+                    <input
+                      type="number"
+                      min="0"
+                      name="bedsTotal"
+                      value={formData.bedsTotal}
+                      onChange={handleChange}
+                      className="w-full p-2 border rounded-md"
+                    />
+                  </div>
+                </>
+              )}
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  name="active"
+                  checked={formData.active}
+                  onChange={handleChange}
+                />
+                Accepting ambulances
+              </label>
+              <div className="md:col-span-2 flex justify-end gap-4">
+                <button
+                  type="button"
+                  onClick={() => setShowForm(false)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-md hover:bg-gray-400"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-primaryColor text-white rounded-md hover:bg-primaryColor/90"
+                >
+                  {editHospital ? 'Update' : 'Add'} Hospital
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+
+        <div className="bg-white p-6 rounded-[20px] shadow-md">
+          <h3 className="text-xl font-semibold mb-6">All Hospitals</h3>
+
+          {hospitals.length === 0 ? (
+            <div className="text-center text-gray-500 py-8">
+              No hospitals found. Add your first hospital!
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Hospital
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Emergency Care
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Beds (Free / Total)
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {hospitals.map((hospital) => (
+                    <tr key={hospital._id}>
+                      <td className="px-6 py-4">
+                        <div className="font-medium text-gray-900">{hospital.name}</div>
+                        <div className="text-gray-500 text-sm">{hospital.address}, {hospital.division}</div>
+                        {hospital.phone && <div className="text-gray-500 text-sm">{hospital.phone}</div>}
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="text-gray-500 text-sm">
+                          {hospital.emergencyDepartments.length > 0 ? hospital.emergencyDepartments.join(', ') : 'No emergency department'}
+                        </div>
+                        <div className="text-gray-500 text-sm capitalize">{hospital.specialities.join(', ')}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="number"
+                            min="0"
+                            aria-label={`Free beds at ${hospital.name}`}
+                            value={bedValue(hospital, 'available')}
+                            onChange={(e) => setBedValue(hospital, 'available', e.target.value)}
+                            className="w-20 p-1 border rounded-md"
+                          />
+                          <span>/</span>
+                          <input
+                            type="number"
+                            min="0"
+                            aria-label={`Total beds at ${hospital.name}`}
+                            value={bedValue(hospital, 'total')}
+                            onChange={(e) => setBedValue(hospital, 'total', e.target.value)}
+                            className="w-20 p-1 border rounded-md"
+                          />
+                          {bedEdits[hospital._id] && (
+                            <button
+                              onClick={() => handleBedsSave(hospital)}
+                              className="text-primaryColor hover:text-primaryColor/80"
+                              title="Save beds"
+                            >
+                              <FaSave />
+                            </button>
+                          )}
+                        </div>
+                        {hospital.beds?.updatedAt && (
+                          <div className="text-xs text-gray-400 mt-1">
+                            Updated {new Date(hospital.beds.updatedAt).toLocaleString()}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-3 py-1 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                          hospital.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                        }`}>
+                          {hospital.active ? 'active' : 'inactive'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <button
+                          onClick={() => handleEdit(hospital)}
+                          className="text-indigo-600 hover:text-indigo-900 mr-4"
+                        >
+                          <FaEdit />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(hospital._id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          <FaTrash />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ManageHospitals;
@@ -3,6 +3,35 @@ import { toast } from 'react-toastify';
 import { BASE_URL } from '../../config';
 import { AuthContext } from '../../context/AuthContext';
 import uploadImageToCloudinary from '../../utils/uploadCloudinary';
+import InventoryReport from '../../components/Admin/InventoryReport';
+import BatchManager from '../../components/Admin/BatchManager';
+import MedicineImportWizard from '../../components/Admin/MedicineImportWizard';
+
+const CATEGORY_OPTIONS = ['Antibiotics', 'Cardiac', 'Painkillers', 'Vitamins & Supplements', 'Diabetes', 'Respiratory', 'Digestive'];
+
+const emptyForm = {
+    productName: '',
+    genericName: '',
+    category: '',
+    price: '',
+    dosageMg: '',
+    requiresPrescription: false,
+    lowStockThreshold: 10,
+    initialBatch: {
+        batchNumber: '',
+        quantity: '',
+        expiryDate: ''
+    },
+    photo: '',
+    description: {
+        text: '',
+        keyBenefits: '',
+        recommendedFor: ''
+    },
+    usageInstruction: '',
+    sideEffects: '',
+    storage: ''
+};
 
 const ManageMedicines = () => {
     const { token } = useContext(AuthContext);
@@ -11,22 +40,10 @@ const ManageMedicines = () => {
     const [previewURL, setPreviewURL] = useState('');
     const [medicines, setMedicines] = useState([]);
     const [loadingMedicines, setLoadingMedicines] = useState(false);
-    const [formData, setFormData] = useState({
-        productName: '',
-        genericName: '',
-        category: '',
-        price: '',
-        dosageMg: '',
-        photo: '',
-        description: {
-            text: '',
-            keyBenefits: '',
-            recommendedFor: ''
-        },
-        usageInstruction: '',
-        sideEffects: '',
-        storage: ''
-    });
+    const [reportKey, setReportKey] = useState(0);
+    const [formData, setFormData] = useState(emptyForm);
+    const [editingId, setEditingId] = useState(null);
+    const [showImport, setShowImport] = useState(false);
 
     const handleFileInputChange = async (event) => {
         const file = event.target.files[0];
@@ -60,10 +77,40 @@ const ManageMedicines = () => {
         }
     };
 
+    const resetForm = () => {
+        setFormData(emptyForm);
+        setEditingId(null);
+        setSelectedFile(null);
+        setPreviewURL('');
+    };
+
+    // Load a medicine into the form for editing
+    const startEditing = (medicine) => {
+        setFormData({
+            ...emptyForm,
+            productName: medicine.productName,
+            genericName: medicine.genericName,
+            category: medicine.category,
+            price: medicine.price,
+            dosageMg: medicine.dosageMg,
+            requiresPrescription: !!medicine.requiresPrescription,
+            lowStockThreshold: medicine.lowStockThreshold ?? 10,
+            photo: medicine.photo,
+            description: { ...emptyForm.description, ...medicine.description },
+            usageInstruction: medicine.usageInstruction,
+            sideEffects: medicine.sideEffects,
+            storage: medicine.storage
+        });
+        setEditingId(medicine._id);
+        setSelectedFile(null);
+        setPreviewURL(medicine.photo);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         
-        if (!selectedFile) {
+        if (!selectedFile && !editingId) {
             toast.error('Please select an image');
             return;
         }
@@ -71,18 +118,26 @@ const ManageMedicines = () => {
         try {
             setLoading(true);
 
-            // Upload image to Cloudinary
-            const uploadResult = await uploadImageToCloudinary(selectedFile);
+            // Upload a new image to Cloudinary; edits keep the current one otherwise
+            const photo = selectedFile
+                ? (await uploadImageToCloudinary(selectedFile)).url
+                : formData.photo;
             
-            // Add the photo URL to formData
-            const updatedFormData = {
-                ...formData,
-                photo: uploadResult.url
-            };
+            // Add the photo URL to formData; the opening stock becomes the first batch
+            const { initialBatch, ...medicineData } = formData;
+            const updatedFormData = editingId
+                ? { ...medicineData, photo }
+                : {
+                    ...medicineData,
+                    photo,
+                    batches: initialBatch.batchNumber
+                        ? [{ ...initialBatch, quantity: Number(initialBatch.quantity) }]
+                        : []
+                };
 
             // Send data to backend
-            const res = await fetch(`${BASE_URL}/medicines`, {
-                method: 'POST',
+            const res = await fetch(`${BASE_URL}/medicines${editingId ? `/${editingId}` : ''}`, {
+                method: editingId ? 'PUT' : 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Authorization': `Bearer ${token}`
@@ -90,34 +145,18 @@ const ManageMedicines = () => {
                 body: JSON.stringify(updatedFormData)
             });
 
-            const { message, success } = await res.json();
+            const { message } = await res.json();
 
             if (!res.ok) {
                 throw new Error(message || 'Something went wrong');
             }
 
-            // Reset form after successful submission
-            setFormData({
-                productName: '',
-                genericName: '',
-                category: '',
-                price: '',
-                dosageMg: '',
-                photo: '',
-                description: {
-                    text: '',
-                    keyBenefits: '',
-                    recommendedFor: ''
-                },
-                usageInstruction: '',
-                sideEffects: '',
-                storage: ''
-            });
-            setSelectedFile(null);
-            setPreviewURL('');
+            toast.success(editingId ? 'Medicine updated successfully!' : 'Medicine added successfully!');
 
-            toast.success('Medicine added successfully!');
+            // Reset form after successful submission
+            resetForm();
             fetchMedicines(); // Refresh the medicine list
+            setReportKey(key => key + 1);
         } catch (error) {
             console.error('Error:', error);
             toast.error(error.message || 'Something went wrong!');
@@ -126,6 +165,33 @@ const ManageMedicines = () => {
         }
     };
 
+    // Download the catalog in the same layout the import accepts
+    const exportMedicines = async (format) => {
+        try {
+            const res = await fetch(`${BASE_URL}/medicines/export?format=${format}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            if (!res.ok) {
+                const result = await res.json();
+                throw new Error(result.message);
+            }
+
+            const blob = await res.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `medicines-${new Date().toISOString().split('T')[0]}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting medicines:', error);
+            toast.error(error.message || 'Failed to export medicines');
+        }
+    };
+
     // Fetch all medicines
     const fetchMedicines = async () => {
         try {
@@ -165,17 +231,28 @@ const ManageMedicines = () => {
             });
 
             if (!response.ok) {
-                throw new Error('Failed to delete medicine');
+                const result = await response.json();
+                throw new Error(result.message || 'Failed to delete medicine');
             }
 
             toast.success('Medicine deleted successfully');
+            if (editingId === medicineId) resetForm();
             fetchMedicines(); // Refresh the list
+            setReportKey(key => key + 1);
         } catch (error) {
             console.error('Error deleting medicine:', error);
-            toast.error('Failed to delete medicine');
+            toast.error(error.message || 'Failed to delete medicine');
         }
     };
 
+    // Swap in a medicine after one of its batches changed
+    const handleBatchChange = (updatedMedicine) => {
+        setMedicines(prev => prev.map(medicine =>
+            medicine._id === updatedMedicine._id ? updatedMedicine : medicine
+        ));
+        setReportKey(key => key + 1);
+    };
+
     // Fetch medicines when component mounts
     React.useEffect(() => {
         fetchMedicines();
@@ -184,9 +261,34 @@ const ManageMedicines = () => {
     return (
         <div className="max-w-[1170px] mx-auto">
             <div className="bg-white rounded-2xl shadow-md p-8 mb-10">
-                <h2 className="text-3xl font-bold text-primaryColor mb-8 border-b pb-4">
-                    Add New Medicine
-                </h2>
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-8 border-b pb-4">
+                    <h2 className="text-3xl font-bold text-primaryColor">
+                        {editingId ? 'Edit Medicine' : 'Add New Medicine'}
+                    </h2>
+                    <div className="flex gap-2">
+                        <button
+                            type="button"
+                            onClick={() => setShowImport(true)}
+                            className="px-4 py-2 rounded-lg border border-primaryColor text-primaryColor hover:bg-blue-50 text-sm font-semibold"
+                        >
+                            Import Catalog
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => exportMedicines('csv')}
+                            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-semibold"
+                        >
+                            Export CSV
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => exportMedicines('json')}
+                            className="px-4 py-2 rounded-lg border border-gray-300 text-gray-700 hover:bg-gray-50 text-sm font-semibold"
+                        >
+                            Export JSON
+                        </button>
+                    </div>
+                </div>
                 
                 <form onSubmit={handleSubmit} className="space-y-8">
                     {/* Image Upload Section */}
@@ -270,13 +372,13 @@ const ManageMedicines = () => {
                                     required
                                 >
                                     <option value="">Select a category</option>
-                                    <option value="Antibiotics">Antibiotics</option>
-                                    <option value="Cardiac">Cardiac</option>
-                                    <option value="Painkillers">Painkillers</option>
-                                    <option value="Vitamins & Supplements">Vitamins & Supplements</option>
-                                    <option value="Diabetes">Diabetes</option>
-                                    <option value="Respiratory">Respiratory</option>
-                                    <option value="Digestive">Digestive</option>
+                                    {CATEGORY_OPTIONS.map(category => (
+                                        <option key={category} value={category}>{category}</option>
+                                    ))}
+                                    {/* Imported medicines may use a category outside this list */}
+                                    {editingId && formData.category && !CATEGORY_OPTIONS.includes(formData.category) && (
+                                        <option value={formData.category}>{formData.category}</option>
+                                    )}
                                 </select>
                             </div>
                             <div>
@@ -307,8 +409,93 @@ const ManageMedicines = () => {
                                     required
                                 />
                             </div>
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    id="requiresPrescription"
+                                    checked={formData.requiresPrescription}
+                                    onChange={(e) => setFormData(prev => ({
+                                        ...prev,
+                                        requiresPrescription: e.target.checked
+                                    }))}
+                                    className="w-4 h-4"
+                                />
+                                <label htmlFor="requiresPrescription" className="text-sm font-medium text-gray-700">
+                                    Prescription required (Rx)
+                                </label>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Stock Section: batches of existing medicines are managed from their card */}
+                    {!editingId && (
+                    <div className="bg-[#F8F9FA] p-6 rounded-xl">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-4">
+                            Opening Stock
+                        </h3>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Batch Number
+                                </label>
+                                <input
+                                    type="text"
+                                    name="initialBatch.batchNumber"
+                                    value={formData.initialBatch.batchNumber}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 
+                                    focus:ring-primaryColor focus:border-transparent transition-all"
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Quantity
+                                </label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    name="initialBatch.quantity"
+                                    value={formData.initialBatch.quantity}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 
+                                    focus:ring-primaryColor focus:border-transparent transition-all"
+                                    required={!!formData.initialBatch.batchNumber}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Expiry Date
+                                </label>
+                                <input
+                                    type="date"
+                                    name="initialBatch.expiryDate"
+                                    value={formData.initialBatch.expiryDate}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 
+                                    focus:ring-primaryColor focus:border-transparent transition-all"
+                                    required={!!formData.initialBatch.batchNumber}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-2">
+                                    Low Stock Alert At
+                                </label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    name="lowStockThreshold"
+                                    value={formData.lowStockThreshold}
+                                    onChange={handleChange}
+                                    className="w-full px-4 py-3 rounded-lg border border-gray-300 focus:ring-2 
+                                    focus:ring-primaryColor focus:border-transparent transition-all"
+                                />
+                            </div>
                         </div>
+                        <p className="text-sm text-gray-500 mt-2">
+                            Leave the batch empty to add stock later. Medicines without stock show as out of stock.
+                        </p>
                     </div>
+                    )}
 
                     {/* Description Section */}
                     <div className="bg-[#F8F9FA] p-6 rounded-xl">
@@ -403,7 +590,16 @@ const ManageMedicines = () => {
                         </div>
                     </div>
 
-                    <div className="flex justify-end pt-4">
+                    <div className="flex justify-end gap-4 pt-4">
+                        {editingId && (
+                            <button
+                                type="button"
+                                onClick={resetForm}
+                                className="px-8 py-3 rounded-lg text-gray-600 hover:text-gray-800 font-semibold"
+                            >
+                                Cancel
+                            </button>
+                        )}
                         <button
                             type="submit"
                             disabled={loading}
@@ -417,16 +613,28 @@ const ManageMedicines = () => {
                                         <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none"/>
                                         <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"/>
                                     </svg>
-                                    Adding Medicine...
+                                    {editingId ? 'Saving Changes...' : 'Adding Medicine...'}
                                 </span>
                             ) : (
-                                'Add Medicine'
+                                editingId ? 'Save Changes' : 'Add Medicine'
                             )}
                         </button>
                     </div>
                 </form>
             </div>
 
+            {showImport && (
+                <MedicineImportWizard
+                    onClose={() => setShowImport(false)}
+                    onImported={() => {
+                        fetchMedicines();
+                        setReportKey(key => key + 1);
+                    }}
+                />
+            )}
+
+            <InventoryReport refreshKey={reportKey} />
+
             {/* Medicine Management Section */}
             <div className="bg-white rounded-2xl shadow-md p-8">
                 <h2 className="text-3xl font-bold text-primaryColor mb-8 border-b pb-4">
@@ -461,6 +669,13 @@ const ManageMedicines = () => {
                                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
                                             </svg>
                                         </button>
+                                        <button
+                                            onClick={() => startEditing(medicine)}
+                                            className="absolute top-2 right-12 bg-white text-gray-700 px-3 py-1.5 rounded-full text-xs font-semibold shadow hover:bg-gray-100 transition-all"
+                                            title="Edit Medicine"
+                                        >
+                                            Edit
+                                        </button>
                                     </div>
                                     
                                     <div className="space-y-2">
@@ -480,11 +695,22 @@ const ManageMedicines = () => {
                                         </div>
                                         <p className="text-xs text-gray-500">
                                             {medicine.dosageMg}mg
+                                            {medicine.requiresPrescription && (
+                                                <span className="ml-2 px-2 py-0.5 rounded bg-red-100 text-red-700">Rx</span>
+                                            )}
                                         </p>
                                         <p className="text-sm text-gray-600 line-clamp-2">
                                             {medicine.description?.text}
                                         </p>
+                                        <p className={`text-sm font-medium ${
+                                            medicine.stock === 0 ? 'text-red-600' :
+                                            medicine.stock <= medicine.lowStockThreshold ? 'text-orange-600' :
+                                            'text-gray-700'
+                                        }`}>
+                                            {medicine.stock === 0 ? 'Out of stock' : `${medicine.stock} in stock`}
+                                        </p>
                                     </div>
+                                    <BatchManager medicine={medicine} onChange={handleBatchChange} />
                                 </div>
                             ))
                         )}
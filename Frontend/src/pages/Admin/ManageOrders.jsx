@@ -1,20 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BASE_URL } from '../../config';
 import { toast } from 'react-hot-toast';
 import HashLoader from 'react-spinners/HashLoader';
 import { useAuth } from '../../context/AuthContext';
+import OrderTimeline from '../../components/Orders/OrderTimeline';
+import { orderStatusLabels, orderStatusColors, adminOrderTransitions } from '../../utils/orderStatus';
 
 const ManageOrders = () => {
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [selectedOrder, setSelectedOrder] = useState(null);
+    const [prescriptionQueue, setPrescriptionQueue] = useState([]);
     const { token } = useAuth();
 
-    useEffect(() => {
-        fetchOrders();
-    }, []);
-
-    const fetchOrders = async () => {
+    const fetchOrders = useCallback(async () => {
         try {
             const res = await fetch(`${BASE_URL}/orders/all`, {
                 headers: {
@@ -33,9 +32,72 @@ const ManageOrders = () => {
         } finally {
             setLoading(false);
         }
+    }, [token]);
+
+    const fetchPrescriptionQueue = useCallback(async () => {
+        try {
+            const res = await fetch(`${BASE_URL}/orders/prescriptions/queue`, {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            });
+            const result = await res.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            setPrescriptionQueue(result.data);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchOrders();
+        fetchPrescriptionQueue();
+    }, [fetchOrders, fetchPrescriptionQueue]);
+
+    const handlePrescriptionReview = async (orderId, decision) => {
+        let reason;
+        if (decision === 'rejected') {
+            reason = window.prompt('Why is this prescription rejected?');
+            if (!reason) return;
+        }
+
+        try {
+            const res = await fetch(`${BASE_URL}/orders/${orderId}/prescription`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ decision, reason })
+            });
+
+            const result = await res.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            setOrders(orders.map(order =>
+                order._id === orderId ? result.data : order
+            ));
+            setPrescriptionQueue(prescriptionQueue.filter(order => order._id !== orderId));
+            toast.success(result.message);
+        } catch (error) {
+            toast.error(error.message);
+        }
     };
 
     const handleStatusUpdate = async (orderId, newStatus) => {
+        let note;
+        if (newStatus === 'cancelled') {
+            note = window.prompt('Reason for cancelling this order (shown to the customer)');
+            if (note === null) return;
+        }
+
         try {
             const res = await fetch(`${BASE_URL}/orders/${orderId}/status`, {
                 method: 'PATCH',
@@ -43,7 +105,7 @@ const ManageOrders = () => {
                     'Content-Type': 'application/json',
                     Authorization: `Bearer ${token}`
                 },
-                body: JSON.stringify({ status: newStatus })
+                body: JSON.stringify({ status: newStatus, note: note || undefined })
             });
 
             const result = await res.json();
@@ -62,6 +124,37 @@ const ManageOrders = () => {
         }
     };
 
+    const handleReturnDecision = async (orderId, decision) => {
+        const note = window.prompt(decision === 'approved'
+            ? 'Note for the customer (optional), e.g. refund details'
+            : 'Why is this return rejected?');
+        if (note === null || (decision === 'rejected' && !note)) return;
+
+        try {
+            const res = await fetch(`${BASE_URL}/orders/${orderId}/return`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Bearer ${token}`
+                },
+                body: JSON.stringify({ decision, note: note || undefined })
+            });
+
+            const result = await res.json();
+
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            setOrders(orders.map(order =>
+                order._id === orderId ? result.data : order
+            ));
+            toast.success(result.message);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
     if (loading) {
         return (
             <div className="flex items-center justify-center h-screen">
@@ -73,6 +166,78 @@ const ManageOrders = () => {
     return (
         <div className="container mx-auto px-4 py-8">
             <h1 className="text-2xl font-bold mb-6">Manage Orders</h1>
+
+            <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+                <h2 className="text-lg font-semibold mb-4">
+                    Prescription Verification
+                    {prescriptionQueue.length > 0 && (
+                        <span className="ml-2 bg-red-500 text-white px-2 py-0.5 rounded-full text-sm">
+                            {prescriptionQueue.length}
+                        </span>
+                    )}
+                </h2>
+                {prescriptionQueue.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No prescriptions waiting for review</p>
+                ) : (
+                    <div className="space-y-4">
+                        {prescriptionQueue.map((order) => (
+                            <div key={order._id} className="border rounded-lg p-4">
+                                <div className="flex justify-between items-start gap-4">
+                                    <div>
+                                        <p className="font-medium">
+                                            Order #{order._id.slice(-6)} · {order.user?.name}
+                                        </p>
+                                        <p className="text-sm text-gray-600">
+                                            Rx items: {order.items
+                                                .filter(item => item.medicine?.requiresPrescription)
+                                                .map(item => `${item.medicine.productName} x${item.quantity}`)
+                                                .join(', ')}
+                                        </p>
+                                        {order.prescription.source === 'upload' ? (
+                                            <a
+                                                href={order.prescription.fileUrl}
+                                                target="_blank"
+                                                rel="noreferrer"
+                                                className="text-sm text-blue-600 underline"
+                                            >
+                                                View uploaded prescription
+                                            </a>
+                                        ) : (
+                                            <div className="text-sm text-gray-600 mt-1">
+                                                <p>
+                                                    Issued on the platform by Dr. {order.prescription.consultation?.doctor?.name} on{' '}
+                                                    {new Date(order.prescription.consultation?.updatedAt).toLocaleDateString()}
+                                                </p>
+                                                <ul className="list-disc list-inside">
+                                                    {order.prescription.consultation?.prescription.map(item => (
+                                                        <li key={item._id}>
+                                                            {item.medicineName} {item.dose}, {item.frequency} for {item.duration}
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
+                                    </div>
+                                    <div className="flex gap-2 shrink-0">
+                                        <button
+                                            onClick={() => handlePrescriptionReview(order._id, 'approved')}
+                                            className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                                        >
+                                            Approve
+                                        </button>
+                                        <button
+                                            onClick={() => handlePrescriptionReview(order._id, 'rejected')}
+                                            className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                                        >
+                                            Reject
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
             
             <div className="grid grid-cols-1 gap-6">
                 {orders.map((order) => (
@@ -87,29 +252,62 @@ const ManageOrders = () => {
                                 </p>
                             </div>
                             <div className="flex items-center gap-4">
-                                <span className={`px-3 py-1 rounded-full text-sm ${
-                                    order.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
-                                    order.status === 'confirmed' ? 'bg-blue-100 text-blue-800' :
-                                    order.status === 'shipped' ? 'bg-purple-100 text-purple-800' :
-                                    order.status === 'delivered' ? 'bg-green-100 text-green-800' :
-                                    'bg-red-100 text-red-800'
-                                }`}>
-                                    {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                                <span className={`px-3 py-1 rounded-full text-sm ${orderStatusColors[order.status] || 'bg-gray-100 text-gray-800'}`}>
+                                    {orderStatusLabels[order.status] || order.status}
                                 </span>
-                                <select
-                                    className="border rounded px-2 py-1"
-                                    value={order.status}
-                                    onChange={(e) => handleStatusUpdate(order._id, e.target.value)}
-                                >
-                                    <option value="pending">Pending</option>
-                                    <option value="confirmed">Confirmed</option>
-                                    <option value="shipped">Shipped</option>
-                                    <option value="delivered">Delivered</option>
-                                    <option value="cancelled">Cancelled</option>
-                                </select>
+                                {adminOrderTransitions[order.status]?.length > 0 && (
+                                    <select
+                                        className="border rounded px-2 py-1"
+                                        value=""
+                                        onChange={(e) => handleStatusUpdate(order._id, e.target.value)}
+                                    >
+                                        <option value="" disabled>Move to...</option>
+                                        {adminOrderTransitions[order.status].map(status => (
+                                            <option key={status} value={status}>{orderStatusLabels[status]}</option>
+                                        ))}
+                                    </select>
+                                )}
                             </div>
                         </div>
 
+                        {order.status === 'return_requested' && (
+                            <div className="mb-4 bg-orange-50 rounded p-4">
+                                <h3 className="font-semibold mb-1">Return Requested</h3>
+                                <p className="text-sm text-gray-700 mb-3">
+                                    {new Date(order.returnRequest?.requestedAt).toLocaleDateString()}: {order.returnRequest?.reason}
+                                </p>
+                                <div className="flex gap-2">
+                                    <button
+                                        onClick={() => handleReturnDecision(order._id, 'approved')}
+                                        className="bg-green-500 text-white px-3 py-1 rounded hover:bg-green-600"
+                                    >
+                                        Approve Return
+                                    </button>
+                                    <button
+                                        onClick={() => handleReturnDecision(order._id, 'rejected')}
+                                        className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+                                    >
+                                        Reject Return
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {order.prescription?.status && (
+                            <div className="mb-4">
+                                <h3 className="font-semibold mb-2">Prescription</h3>
+                                <p className={`text-sm ${
+                                    order.prescription.status === 'approved' ? 'text-green-700' :
+                                    order.prescription.status === 'rejected' ? 'text-red-700' :
+                                    'text-yellow-700'
+                                }`}>
+                                    {order.prescription.status === 'pending' ? 'Waiting for verification' :
+                                        order.prescription.status === 'approved' ? 'Verified' :
+                                        `Rejected: ${order.prescription.rejectionReason}`}
+                                </p>
+                            </div>
+                        )}
+
                         <div className="mb-4">
                             <h3 className="font-semibold mb-2">Customer Details</h3>
                             <p>Name: {order.user.name}</p>
@@ -158,6 +356,13 @@ const ManageOrders = () => {
                                 <span className="font-bold">৳{(order.totalAmount || 0).toFixed(2)}</span>
                             </div>
                         </div>
+
+                        <details className="border-t pt-4 mt-4">
+                            <summary className="font-semibold cursor-pointer">Status History</summary>
+                            <div className="mt-3">
+                                <OrderTimeline history={order.statusHistory} />
+                            </div>
+                        </details>
                     </div>
                 ))}
             </div>
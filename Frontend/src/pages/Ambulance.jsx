@@ -2,9 +2,10 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import { FaAmbulance, FaPhone, FaMapMarkerAlt, FaSpinner } from 'react-icons/fa';
+import { FaAmbulance, FaPhone, FaMapMarkerAlt, FaSpinner, FaHospital } from 'react-icons/fa';
 import { MdEmergency } from 'react-icons/md';
 import { createRequest, getUserRequests } from '../services/ambulanceService';
+import { getHospitals, suggestHospitals } from '../services/hospitalService';
 import toast from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
 
@@ -47,7 +48,7 @@ const Ambulance = () => {
     phone: '',
     pickupLocation: '',
     emergencyType: '',
-    preferredHospital: '',
+    hospitalId: '',
     coordinates: null
   });
 
@@ -57,6 +58,10 @@ const Ambulance = () => {
   const [searchResults, setSearchResults] = useState([]);
   const [mapPosition, setMapPosition] = useState([23.8103, 90.4125]); // Default to Dhaka
   const [error, setError] = useState('');
+  const [hospitals, setHospitals] = useState([]);
+  const [suggestion, setSuggestion] = useState(null);
+  // Once the patient picks a hospital themselves, suggestions stop replacing it
+  const [hospitalPicked, setHospitalPicked] = useState(false);
 
   const emergencyTypes = [
     'Accident',
@@ -67,14 +72,6 @@ const Ambulance = () => {
     'Other'
   ];
 
-  const hospitals = [
-    'Square Hospital',
-    'Apollo Hospital',
-    'United Hospital',
-    'Ibn Sina Hospital',
-    'Popular Hospital'
-  ];
-
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -107,6 +104,36 @@ const Ambulance = () => {
     checkForActiveRequests();
   }, [navigate]);
 
+  useEffect(() => {
+    getHospitals()
+      .then(response => setHospitals(response.data))
+      .catch(error => console.error('Error loading hospitals:', error));
+  }, []);
+
+  // Suggest where to go once we know where the patient is and what happened
+  const { coordinates, emergencyType } = formData;
+  useEffect(() => {
+    if (!coordinates || !emergencyType) {
+      setSuggestion(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    suggestHospitals(coordinates, emergencyType)
+      .then(response => {
+        if (cancelled) return;
+        setSuggestion(response);
+        if (!hospitalPicked) {
+          setFormData(prev => ({ ...prev, hospitalId: response.data[0]?._id || '' }));
+        }
+      })
+      .catch(error => console.error('Error suggesting hospitals:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [coordinates, emergencyType, hospitalPicked]);
+
   const handleLocationSearch = async (query) => {
     setSearchQuery(query);
     setFormData(prev => ({ ...prev, pickupLocation: query }));
@@ -246,6 +273,14 @@ const Ambulance = () => {
     }));
   };
 
+  const handleHospitalChange = (e) => {
+    // Clearing the choice hands it back to the suggestions
+    setHospitalPicked(Boolean(e.target.value));
+    setFormData(prev => ({ ...prev, hospitalId: e.target.value }));
+  };
+
+  const topSuggestion = suggestion?.data[0];
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -256,7 +291,8 @@ const Ambulance = () => {
 
     setLoading(true);
     try {
-      const response = await createRequest(formData);
+      // Without a hospital the nearest suitable one is chosen for the request
+      const response = await createRequest({ ...formData, hospitalId: formData.hospitalId || undefined });
       toast.success('Ambulance request submitted successfully!');
       
       // Redirect to ambulance status page to track the request
@@ -392,17 +428,52 @@ const Ambulance = () => {
                     <FaAmbulance className="text-gray-400" />
                   </span>
                   <select
-                    name="preferredHospital"
-                    value={formData.preferredHospital}
-                    onChange={handleChange}
+                    name="hospitalId"
+                    value={formData.hospitalId}
+                    onChange={handleHospitalChange}
                     className="w-full pl-10 px-4 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primaryColor"
                   >
-                    <option value="">Select Hospital</option>
-                    {hospitals.map((hospital, index) => (
-                      <option key={index} value={hospital}>{hospital}</option>
+                    <option value="">Nearest suitable hospital</option>
+                    {hospitals.map(hospital => (
+                      <option key={hospital._id} value={hospital._id}>
+                        {hospital.name} ({hospital.division}){hospital.beds?.available > 0 ? '' : ' - no beds free'}
+                      </option>
                     ))}
                   </select>
                 </div>
+
+                {topSuggestion ? (
+                  <div className="mt-2 p-3 bg-blue-50 border border-blue-200 rounded-md text-sm">
+                    <p className="flex items-start gap-2 text-headingColor">
+                      <FaHospital className="mt-1 text-primaryColor" />
+                      <span>
+                        Suggested: <span className="font-semibold">{topSuggestion.name}</span>
+                        {' '}- {(topSuggestion.distanceMeters / 1000).toFixed(1)} km away, {topSuggestion.beds.available} bed{topSuggestion.beds.available === 1 ? '' : 's'} free
+                      </span>
+                    </p>
+                    {!suggestion.specialityMatched && (
+                      <p className="mt-1 text-yellow-700">
+                        No hospital nearby lists {suggestion.speciality} care, so this is the nearest emergency department with a free bed.
+                      </p>
+                    )}
+                    {formData.hospitalId !== topSuggestion._id && (
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setHospitalPicked(false);
+                          setFormData(prev => ({ ...prev, hospitalId: topSuggestion._id }));
+                        }}
+                        className="mt-2 text-primaryColor font-semibold hover:underline"
+                      >
+                        Use suggested hospital
+                      </button>
+                    )}
+                  </div>
+                ) : suggestion && (
+                  <p className="mt-2 text-sm text-gray-500">
+                    No hospital nearby has reported a free emergency bed. Dispatch will confirm where to go.
+                  </p>
+                )}
               </div>
 
               <button
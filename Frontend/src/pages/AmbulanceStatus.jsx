@@ -1,15 +1,24 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { getUserRequests, cancelRequest } from '../services/ambulanceService';
+import { getUserRequests, getRequestStatus, cancelRequest } from '../services/ambulanceService';
 import { Link, useNavigate } from 'react-router-dom';
-import { FaAmbulance, FaPhone, FaMapMarkerAlt, FaHospital, FaSpinner, FaArrowLeft, FaTrash } from 'react-icons/fa';
+import { FaAmbulance, FaPhone, FaMapMarkerAlt, FaHospital, FaSpinner, FaArrowLeft, FaTrash, FaMapMarkedAlt } from 'react-icons/fa';
 import { MdEmergency } from 'react-icons/md';
+import {
+    ambulanceStatusLabels,
+    ambulanceStatusColors,
+    ambulanceStatusMessages,
+    ambulanceDriverStatuses
+} from '../utils/ambulanceStatus';
 import toast from 'react-hot-toast';
+import AmbulanceTrackingMap from '../components/AmbulanceTrackingMap';
+import useAmbulanceTracking from '../hooks/useAmbulanceTracking';
 
 const AmbulanceStatus = () => {
     const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [successMessage, setSuccessMessage] = useState('');
+    const [tracking, setTracking] = useState(null);
     const navigate = useNavigate();
 
     // Update the fetchRequests to be a callback
@@ -37,36 +46,14 @@ const AmbulanceStatus = () => {
         return () => clearInterval(interval);
     }, [fetchRequests]);
 
-    const getStatusColor = (status) => {
-        switch (status) {
-            case 'pending':
-                return 'bg-yellow-100 text-yellow-800';
-            case 'assigned':
-                return 'bg-blue-100 text-blue-800';
-            case 'completed':
-                return 'bg-green-100 text-green-800';
-            default:
-                return 'bg-gray-100 text-gray-800';
-        }
-    };
+    const getStatusColor = (status) => ambulanceStatusColors[status] || 'bg-gray-100 text-gray-800';
 
     const formatDate = (dateString) => {
         const date = new Date(dateString);
         return date.toLocaleString();
     };
 
-    const getStatusMessage = (status) => {
-        switch (status) {
-            case 'pending':
-                return 'Your request is pending. We are looking for an available driver. You can cancel this request if needed.';
-            case 'assigned':
-                return 'A driver has been assigned to your request and is on the way. You can still cancel if necessary.';
-            case 'completed':
-                return 'This request has been completed.';
-            default:
-                return 'Request status unknown.';
-        }
-    };
+    const getStatusMessage = (status) => ambulanceStatusMessages[status] || 'Request status unknown.';
 
     // Use useMemo to compute latestRequest
     const latestRequest = useMemo(() => {
@@ -74,6 +61,55 @@ const AmbulanceStatus = () => {
         return requests.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
     }, [requests]);
 
+    // Follow the latest request live until it is completed
+    const activeRequestId = latestRequest && latestRequest.status !== 'completed' ? latestRequest._id : undefined;
+
+    const handleTrackingUpdate = useCallback((snapshot) => {
+        if (snapshot.removed) {
+            setTracking(null);
+            fetchRequests();
+            return;
+        }
+
+        setTracking(snapshot);
+        setRequests(prevRequests => prevRequests.map(request =>
+            request._id === snapshot.requestId
+                ? {
+                    ...request,
+                    status: snapshot.status,
+                    driverId: snapshot.driver ? { ...request.driverId, ...snapshot.driver } : request.driverId
+                }
+                : request
+        ));
+    }, [fetchRequests]);
+
+    const fetchTracking = useCallback(async () => {
+        if (!activeRequestId) return;
+        try {
+            const response = await getRequestStatus(activeRequestId);
+            if (response.tracking) handleTrackingUpdate(response.tracking);
+        } catch (err) {
+            console.error('Error fetching ambulance tracking:', err);
+        }
+    }, [activeRequestId, handleTrackingUpdate]);
+
+    useEffect(() => {
+        fetchTracking();
+    }, [fetchTracking]);
+
+    const { live } = useAmbulanceTracking({
+        requestId: activeRequestId,
+        onUpdate: handleTrackingUpdate,
+        poll: fetchTracking,
+        enabled: Boolean(activeRequestId)
+    });
+
+    const liveTracking = latestRequest
+        && tracking?.requestId === latestRequest._id
+        && ambulanceDriverStatuses.includes(tracking.status)
+        ? tracking
+        : null;
+
     const handleCancelRequest = useCallback(async (requestId) => {
         if (!window.confirm('Are you sure you want to cancel this ambulance request?')) {
             return;
@@ -128,14 +164,14 @@ const AmbulanceStatus = () => {
                         <button 
                             onClick={() => handleCancelRequest(latestRequest._id)}
                             className={`flex items-center gap-2 ${
-                                latestRequest.status === 'assigned' 
+                                ambulanceDriverStatuses.includes(latestRequest.status)
                                 ? 'bg-red-600 text-white animate-pulse' 
                                 : 'bg-red-500 text-white'
                             } px-4 py-2 rounded-lg hover:bg-red-700`}
                             disabled={loading}
                         >
                             {loading ? <FaSpinner className="animate-spin" /> : <FaTrash />} 
-                            {latestRequest.status === 'assigned' ? 'Cancel Assignment' : 'Cancel Request'}
+                            {ambulanceDriverStatuses.includes(latestRequest.status) ? 'Cancel Assignment' : 'Cancel Request'}
                         </button>
                     ) : (
                         <Link 
@@ -191,7 +227,7 @@ const AmbulanceStatus = () => {
                                     </p>
                                 </div>
                                 <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(latestRequest.status)}`}>
-                                    {latestRequest.status.charAt(0).toUpperCase() + latestRequest.status.slice(1)}
+                                    {ambulanceStatusLabels[latestRequest.status] || latestRequest.status}
                                 </span>
                             </div>
                             
@@ -202,7 +238,7 @@ const AmbulanceStatus = () => {
                             </div>
                         </div>
                         
-                        {latestRequest.status === 'assigned' && (
+                        {(latestRequest.status === 'assigned' || latestRequest.status === 'en_route') && (
                             <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-md flex items-center gap-3">
                                 <div className="bg-blue-100 p-2 rounded-full">
                                     <FaAmbulance className="text-blue-600 text-xl" />
@@ -216,6 +252,42 @@ const AmbulanceStatus = () => {
                             </div>
                         )}
 
+                        {liveTracking && (
+                            <div className="p-6 border-b border-gray-200">
+                                <div className="flex justify-between items-center mb-4">
+                                    <h3 className="text-lg font-medium flex items-center gap-2 text-primaryColor">
+                                        <FaMapMarkedAlt /> Live Tracking
+                                    </h3>
+                                    <span className={`text-xs font-medium ${live ? 'text-green-600' : 'text-gray-500'}`}>
+                                        {live ? '● Live' : 'Reconnecting, checking for updates regularly'}
+                                    </span>
+                                </div>
+                                {liveTracking.eta && (
+                                    <p className="mb-3 text-gray-700">
+                                        Arriving in about <span className="font-semibold">{liveTracking.eta.minutes} min</span>
+                                        {' '}({(liveTracking.eta.distanceMeters / 1000).toFixed(1)} km away)
+                                    </p>
+                                )}
+                                {!liveTracking.driver?.position && (
+                                    <p className="mb-3 text-sm text-gray-500">Waiting for the ambulance to share its location...</p>
+                                )}
+                                <AmbulanceTrackingMap
+                                    trips={[{
+                                        id: liveTracking.requestId,
+                                        label: 'Pickup location',
+                                        pickup: liveTracking.pickup,
+                                        ambulance: liveTracking.driver?.position || null,
+                                        ambulanceLabel: liveTracking.driver?.driverName || 'Ambulance'
+                                    }]}
+                                />
+                                {liveTracking.driver?.position?.updatedAt && (
+                                    <p className="mt-2 text-xs text-gray-500">
+                                        Ambulance location as of {new Date(liveTracking.driver.position.updatedAt).toLocaleTimeString()}
+                                    </p>
+                                )}
+                            </div>
+                        )}
+
                         <div className="p-6 border-b border-gray-200">
                             <h3 className="text-lg font-medium mb-4">Request Details</h3>
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
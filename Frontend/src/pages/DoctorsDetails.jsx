@@ -4,6 +4,7 @@ import starIcon from "../assets/images/Star.png";
 import DoctorAbout from "./DoctorAbout";
 import Feedback from "./Feedback";
 import SidePanel from "./SidePanel";
+import WaitlistJoin from "../components/Waitlist/WaitlistJoin";
 import { useNavigate } from "react-router-dom";
 import { BASE_URL } from "../config";
 import { toast } from "react-toastify";
@@ -177,6 +178,7 @@ const DoctorsDetails = () => {
             <div className="md:col-span-1">
               <div className="md:sticky md:top-24">
                 <SidePanel doctor={doctor} />
+                <WaitlistJoin doctor={doctor} />
               </div>
             </div>
           </div>
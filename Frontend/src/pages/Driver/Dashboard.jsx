@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback, useContext, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  FaAmbulance,
+  FaPhone,
+  FaMapMarkerAlt,
+  FaHospital,
+  FaSpinner,
+  FaDirections,
+  FaSignOutAlt,
+  FaLocationArrow
+} from 'react-icons/fa';
+import { MdEmergency } from 'react-icons/md';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../../context/AuthContext';
+import {
+  getMyDriverProfile,
+  getDriverRequests,
+  acceptOffer,
+  declineOffer,
+  updateRequestStatus,
+  updateDriverStatus,
+  updateDriverLocation
+} from '../../services/ambulanceService';
+import {
+  ambulanceStatusLabels,
+  ambulanceStatusColors,
+  ambulanceProgressTransitions,
+  offerSecondsLeft
+} from '../../utils/ambulanceStatus';
+
+// How often offers and requests are reloaded
+const REFRESH_INTERVAL_MS = 10000;
+
+// How often the driver's position is sent while they are on duty
+const LOCATION_INTERVAL_MS = 15000;
+
+// Button text for each step the driver takes
+const DRIVER_ACTIONS = {
+  en_route: 'On my way',
+  arrived: 'Arrived at pickup',
+  transporting: 'Patient on board',
+  completed: 'Complete trip'
+};
+
+// Where the hospital is, for hospitals from the directory: [longitude, latitude]
+const hospitalCoordinates = (request) => request.hospitalId?.position?.coordinates;
+
+// Directions in the phone's maps app: to the pickup, or to the hospital once the patient is on board
+const directionsUrl = (request) => {
+  let destination = `${request.coordinates.latitude},${request.coordinates.longitude}`;
+  if (request.status === 'transporting' && hospitalCoordinates(request)) {
+    const [longitude, latitude] = hospitalCoordinates(request);
+    destination = `${latitude},${longitude}`;
+  } else if (request.status === 'transporting' && request.preferredHospital) {
+    destination = encodeURIComponent(request.preferredHospital);
+  }
+  return `https://www.google.com/maps/dir/?api=1&destination=${destination}`;
+};
+
+const DriverDashboard = () => {
+  const [driver, setDriver] = useState(null);
+  const [offers, setOffers] = useState([]);
+  const [active, setActive] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [location, setLocation] = useState({ sentAt: null, error: null });
+  const latestCoords = useRef(null);
+  const navigate = useNavigate();
+  const { dispatch } = useContext(AuthContext);
+
+  const fetchData = useCallback(async () => {
+    try {
+      const [profile, requests] = await Promise.all([getMyDriverProfile(), getDriverRequests()]);
+      setDriver(profile.data);
+      setOffers(requests.data?.offers || []);
+      setActive(requests.data?.active || []);
+    } catch (err) {
+      toast.error(err.message || 'Failed to load your requests');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchData();
+    const interval = setInterval(fetchData, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchData]);
+
+  // Tick the offer countdowns
+  useEffect(() => {
+    if (offers.length === 0) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [offers.length]);
+
+  // Share the browser's position while on duty so dispatch can find the closest ambulance
+  const driverId = driver?._id;
+  const onDuty = Boolean(driver) && driver.status !== 'offline';
+  useEffect(() => {
+    if (!onDuty || !driverId) return undefined;
+
+    if (!navigator.geolocation) {
+      setLocation({ sentAt: null, error: 'This browser cannot share its location' });
+      return undefined;
+    }
+
+    let sentOnce = false;
+    const sendPosition = async () => {
+      const coords = latestCoords.current;
+      if (!coords) return;
+      try {
+        await updateDriverLocation(
+          driverId,
+          coords.latitude,
+          coords.longitude,
+          Number.isFinite(coords.heading) ? coords.heading : undefined
+        );
+        setLocation({ sentAt: new Date(), error: null });
+      } catch (err) {
+        setLocation(prev => ({ ...prev, error: err.error || err.message || 'Could not share your location' }));
+      }
+    };
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        latestCoords.current = position.coords;
+        // Send the first fix straight away, then on the interval
+        if (!sentOnce) {
+          sentOnce = true;
+          sendPosition();
+        }
+      },
+      (error) => setLocation(prev => ({ ...prev, error: error.message || 'Location unavailable' })),
+      { enableHighAccuracy: true, maximumAge: 10000 }
+    );
+    const interval = setInterval(sendPosition, LOCATION_INTERVAL_MS);
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      clearInterval(interval);
+    };
+  }, [onDuty, driverId]);
+
+  const runAction = async (key, action, successMessage) => {
+    setPendingAction(key);
+    try {
+      await action();
+      toast.success(successMessage);
+    } catch (err) {
+      toast.error(err.message || err.error || 'Something went wrong, please try again');
+    } finally {
+      setPendingAction(null);
+      fetchData();
+    }
+  };
+
+  const handleAccept = (requestId) =>
+    runAction(`accept-${requestId}`, () => acceptOffer(requestId), 'Request accepted, head to the pickup location');
+
+  const handleDecline = (requestId) =>
+    runAction(`decline-${requestId}`, () => declineOffer(requestId), 'Offer declined');
+
+  const handleProgress = (requestId, status) =>
+    runAction(`${status}-${requestId}`, () => updateRequestStatus(requestId, status), `Marked ${ambulanceStatusLabels[status].toLowerCase()}`);
+
+  const handleToggleDuty = () => {
+    const status = driver.status === 'offline' ? 'available' : 'offline';
+    runAction('duty', () => updateDriverStatus(driver._id, status), status === 'available' ? 'You are on duty' : 'You are off duty');
+  };
+
+  const handleLogout = async () => {
+    // Stop receiving offers once signed out
+    if (driver?.status === 'available') {
+      await updateDriverStatus(driver._id, 'offline').catch(() => {});
+    }
+    dispatch({ type: 'LOGOUT' });
+    navigate('/driver/login');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-100">
+        <FaSpinner className="animate-spin text-4xl text-primaryColor" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100 pb-10">
+      <header className="bg-primaryColor text-white px-4 py-4 shadow">
+        <div className="max-w-md mx-auto flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <FaAmbulance className="text-3xl shrink-0" />
+            <div className="min-w-0">
+              <p className="font-semibold truncate">{driver?.driverName}</p>
+              <p className="text-sm opacity-90 capitalize">{driver?.status}</p>
+            </div>
+          </div>
+          <button
+            onClick={handleLogout}
+            className="flex items-center gap-2 bg-white/20 px-3 py-2 rounded-lg text-sm"
+          >
+            <FaSignOutAlt /> Logout
+          </button>
+        </div>
+      </header>
+
+      <main className="max-w-md mx-auto px-4 mt-4 space-y-4">
+        <div className="bg-white rounded-lg shadow p-4">
+          <button
+            onClick={handleToggleDuty}
+            disabled={!driver || driver.status === 'busy' || pendingAction === 'duty'}
+            className={`w-full py-3 rounded-lg text-white font-semibold disabled:opacity-50 ${
+              driver?.status === 'offline' ? 'bg-green-600' : 'bg-gray-600'
+            }`}
+          >
+            {driver?.status === 'offline' ? 'Go on duty' : 'Go off duty'}
+          </button>
+          {driver?.status === 'busy' && (
+            <p className="mt-2 text-xs text-gray-500 text-center">Complete your current trip before going off duty.</p>
+          )}
+          <p className={`mt-3 text-sm flex items-center gap-2 ${location.error ? 'text-red-600' : 'text-gray-600'}`}>
+            <FaLocationArrow />
+            {!onDuty
+              ? 'Location sharing is off while you are off duty'
+              : location.error
+                ? location.error
+                : location.sentAt
+                  ? `Sharing your location, last sent ${location.sentAt.toLocaleTimeString()}`
+                  : 'Waiting for your location…'}
+          </p>
+        </div>
+
+        {offers.map(request => {
+          const left = offerSecondsLeft(request.offer, now);
+          return (
+            <div key={request._id} className="bg-white rounded-lg shadow border-2 border-orange-400 p-4">
+              <div className="flex items-center justify-between">
+                <h2 className="text-lg font-bold text-orange-700">New request</h2>
+                <span className="text-sm font-semibold text-orange-700">
+                  {left > 0 ? `${left}s to answer` : 'Expired'}
+                </span>
+              </div>
+              <div className="mt-3 space-y-2 text-sm text-gray-700">
+                <p className="flex items-start gap-2"><MdEmergency className="mt-1 text-red-500" /> {request.emergencyType}</p>
+                <p className="flex items-start gap-2"><FaMapMarkerAlt className="mt-1 text-primaryColor" /> {request.pickupLocation}</p>
+                {request.offer.distanceMeters !== undefined && (
+                  <p className="text-gray-500">{(request.offer.distanceMeters / 1000).toFixed(1)} km from you</p>
+                )}
+              </div>
+              <div className="mt-4 grid grid-cols-2 gap-3">
+                <button
+                  onClick={() => handleDecline(request._id)}
+                  disabled={Boolean(pendingAction) || left === 0}
+                  className="py-3 rounded-lg bg-gray-200 text-gray-800 font-semibold disabled:opacity-50"
+                >
+                  Decline
+                </button>
+                <button
+                  onClick={() => handleAccept(request._id)}
+                  disabled={Boolean(pendingAction) || left === 0}
+                  className="py-3 rounded-lg bg-green-600 text-white font-semibold disabled:opacity-50"
+                >
+                  {pendingAction === `accept-${request._id}` ? <FaSpinner className="animate-spin mx-auto" /> : 'Accept'}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+
+        {active.map(request => (
+          <div key={request._id} className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center justify-between">
+              <h2 className="text-lg font-bold text-gray-900">{request.name}</h2>
+              <span className={`px-3 py-1 rounded-full text-xs font-medium ${ambulanceStatusColors[request.status] || 'bg-gray-100 text-gray-800'}`}>
+                {ambulanceStatusLabels[request.status] || request.status}
+              </span>
+            </div>
+            <div className="mt-3 space-y-2 text-sm text-gray-700">
+              <a href={`tel:${request.phone}`} className="flex items-center gap-2 text-primaryColor font-medium">
+                <FaPhone /> {request.phone}
+              </a>
+              <p className="flex items-start gap-2"><MdEmergency className="mt-1 text-red-500" /> {request.emergencyType}</p>
+              <p className="flex items-start gap-2"><FaMapMarkerAlt className="mt-1 text-primaryColor" /> {request.pickupLocation}</p>
+              {request.preferredHospital && (
+                <p className="flex items-start gap-2">
+                  <FaHospital className="mt-1 text-primaryColor" />
+                  <span>
+                    {request.preferredHospital}
+                    {request.hospitalId?.address && <span className="block text-gray-500">{request.hospitalId.address}</span>}
+                  </span>
+                </p>
+              )}
+            </div>
+            <a
+              href={directionsUrl(request)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="mt-4 flex items-center justify-center gap-2 w-full py-3 rounded-lg bg-blue-600 text-white font-semibold"
+            >
+              <FaDirections /> {request.status === 'transporting' && request.preferredHospital ? 'Navigate to hospital' : 'Navigate to pickup'}
+            </a>
+            <div className="mt-3 grid grid-cols-1 gap-2">
+              {(ambulanceProgressTransitions[request.status] || []).map(status => (
+                <button
+                  key={status}
+                  onClick={() => handleProgress(request._id, status)}
+                  disabled={Boolean(pendingAction)}
+                  className={`py-3 rounded-lg font-semibold disabled:opacity-50 ${
+                    status === 'completed' ? 'bg-green-600 text-white' : 'bg-primaryColor text-white'
+                  }`}
+                >
+                  {pendingAction === `${status}-${request._id}` ? <FaSpinner className="animate-spin mx-auto" /> : DRIVER_ACTIONS[status]}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        {offers.length === 0 && active.length === 0 && (
+          <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+            <FaAmbulance className="text-5xl text-gray-300 mx-auto mb-3" />
+            {onDuty
+              ? 'No requests right now. Keep this page open while on duty and new requests will appear here.'
+              : 'Go on duty to start receiving requests.'}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default DriverDashboard;
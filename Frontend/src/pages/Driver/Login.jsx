@@ -0,0 +1,106 @@
+import React, { useState, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaAmbulance } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+import { AuthContext } from '../../context/AuthContext';
+import { driverLogin } from '../../services/ambulanceService';
+
+const DriverLogin = () => {
+  const [formData, setFormData] = useState({
+    phone: '',
+    password: ''
+  });
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const { dispatch } = useContext(AuthContext);
+
+  const handleInputChange = e => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await driverLogin(formData.phone, formData.password);
+
+      // Save driver info and token to localStorage
+      localStorage.setItem('token', result.token);
+      localStorage.setItem('role', 'driver');
+      localStorage.setItem('user', JSON.stringify(result.data));
+
+      dispatch({
+        type: 'LOGIN_SUCCESS',
+        payload: {
+          user: result.data,
+          token: result.token,
+          role: 'driver'
+        }
+      });
+
+      toast.success('Login successful');
+      navigate('/driver');
+    } catch (err) {
+      toast.error(err.message || 'Failed to login');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-100 px-4">
+      <div className="w-full max-w-[420px] mx-auto bg-white rounded-lg shadow-md p-6 sm:p-10">
+        <div className="flex justify-center mb-4">
+          <FaAmbulance className="text-5xl text-primaryColor" />
+        </div>
+        <h3 className="text-headingColor text-[22px] leading-9 font-bold mb-8 text-center">
+          Ambulance Driver Login
+        </h3>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-5">
+            <input
+              type="tel"
+              inputMode="numeric"
+              placeholder="Phone number"
+              name="phone"
+              value={formData.phone}
+              onChange={handleInputChange}
+              className="w-full px-4 py-3 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor placeholder:text-textColor rounded-md"
+              required
+            />
+          </div>
+
+          <div className="mb-5">
+            <input
+              type="password"
+              placeholder="Password"
+              name="password"
+              value={formData.password}
+              onChange={handleInputChange}
+              className="w-full px-4 py-3 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor placeholder:text-textColor rounded-md"
+              required
+            />
+          </div>
+
+          <div className="mt-7">
+            <button
+              type="submit"
+              className="w-full bg-primaryColor text-white text-[18px] leading-[30px] rounded-lg px-4 py-3"
+              disabled={loading}
+            >
+              {loading ? <span>Loading...</span> : <span>Login</span>}
+            </button>
+          </div>
+
+          <p className="mt-5 text-sm text-center text-gray-500">
+            Your password is set by the dispatcher. Ask them if you do not have one.
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default DriverLogin;
@@ -6,12 +6,58 @@
  * @version 2.0.0
  */
 
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import { AuthContext } from '../context/AuthContext.jsx';
 import ChatInterface from '../components/ChatInterface.jsx';
 import FileUploader from '../components/FileUploader.jsx';
+import SymptomChecker from '../components/SymptomChecker.jsx';
+import LocationPicker from '../components/LocationPicker.jsx';
 import axios from 'axios';
 import useScrollToTop from '../hooks/useScrollToTop';
+import { readEventStream } from '../utils/eventStream';
+import { createRequest as createAmbulanceRequest } from '../services/ambulanceService';
+
+// Ambulance form emergency types for the warning signs that map onto one
+const AMBULANCE_EMERGENCY_TYPES = {
+  chest_pain: 'Heart Attack',
+  stroke_signs: 'Stroke',
+  severe_breathing_difficulty: 'Respiratory Emergency',
+  choking: 'Respiratory Emergency',
+  anaphylaxis: 'Respiratory Emergency',
+  pregnancy_bleeding: 'Child Birth'
+};
+
+/**
+ * Emergency type for an ambulance requested from an emergency alert
+ * @param {Object} [triage] - Triage of the message that raised the alert
+ * @returns {string} Matching ambulance form type, else the warning signs found
+ */
+const ambulanceEmergencyType = (triage) => {
+  const redFlags = triage?.redFlags || [];
+  const known = redFlags.find(flag => AMBULANCE_EMERGENCY_TYPES[flag.id]);
+  if (known) return AMBULANCE_EMERGENCY_TYPES[known.id];
+  return redFlags.length > 0 ? redFlags.map(flag => flag.label).join(', ') : 'Other';
+};
+
+/**
+ * Address for a position, falling back to the coordinates
+ * @async
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<string>} Address to send as the pickup location
+ */
+const describeLocation = async (latitude, longitude) => {
+  try {
+    const response = await fetch(
+      `https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}`
+    );
+    const data = await response.json();
+    if (data.display_name) return data.display_name;
+  } catch (error) {
+    console.error('Error getting address:', error);
+  }
+  return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+};
 
 /**
  * Medical AI Chatbot component for healthcare consultations
@@ -21,7 +67,8 @@ import useScrollToTop from '../hooks/useScrollToTop';
  * - Real-time chat with medical AI
  * - Medical document upload and analysis
  * - Chat history management
- * - Emergency symptom detection
+ * - Emergency symptom detection with one-tap ambulance requests
+ * - Doctor suggestions from the conversation, with booking hand-off
  * - Follow-up question suggestions
  * - Responsive design for all devices
  */
@@ -40,12 +87,26 @@ function MedicalChatbot() {
   const [loading, setLoading] = useState(false);          // Message sending state
   const [uploading, setUploading] = useState(false);      // File upload state
   const [followUpQuestions, setFollowUpQuestions] = useState([]); // AI suggestions
+  const [streaming, setStreaming] = useState(false);      // A reply is being streamed
+  const streamControllerRef = useRef(null);              // Aborts the reply being streamed
   
   // Chat history management state
   const [chatSessions, setChatSessions] = useState([]);   // All user's chat sessions
   const [showHistory, setShowHistory] = useState(false);  // History modal visibility
   const [historyLoading, setHistoryLoading] = useState(false); // History loading state
 
+  // Symptom checker state
+  const [showSymptomChecker, setShowSymptomChecker] = useState(false); // Symptom checker visibility
+  const [symptomResult, setSymptomResult] = useState(null);            // Latest triage and assessment
+  const [checkingSymptoms, setCheckingSymptoms] = useState(false);     // Symptom check in progress
+
+  // Ambulance requested from an emergency alert: status is locating, picking
+  // (location unavailable, user places it on the map), sending, sent or failed
+  const [ambulanceDispatch, setAmbulanceDispatch] = useState(null);
+  const [pickedLocation, setPickedLocation] = useState(null);          // Location chosen on the map
+
+  const [findingDoctors, setFindingDoctors] = useState(false);         // Doctor suggestions loading
+
   // ==================== API Configuration ====================
   
   // Configure axios instance with authentication
@@ -73,6 +134,12 @@ function MedicalChatbot() {
     }
   }, [user, token]);
 
+  /**
+   * Stop any reply still streaming when the page is left
+   * @effect
+   */
+  useEffect(() => () => streamControllerRef.current?.abort(), []);
+
   /**
    * Start a new chat session with the AI
    * @async
@@ -81,6 +148,9 @@ function MedicalChatbot() {
    * and refreshes session list
    */
   const startNewSession = async () => {
+    // A reply for the previous session must not land in the new one
+    streamControllerRef.current?.abort();
+
     try {
       console.log('🚀 Starting new chat session...');
       
@@ -89,6 +159,7 @@ function MedicalChatbot() {
       
       // Initialize chat state
       setSessionId(response.data.data.sessionId);
+      setAmbulanceDispatch(null);
       setMessages([{
         role: 'assistant',
         content: response.data.data.initialMessage,
@@ -153,6 +224,8 @@ function MedicalChatbot() {
    * and updates the chat interface accordingly
    */
   const loadChatHistory = async (selectedSessionId) => {
+    streamControllerRef.current?.abort();
+
     try {
       // Show loading state
       setLoading(true);
@@ -165,6 +238,7 @@ function MedicalChatbot() {
       // Update chat interface with historical messages
       if (response.data.success) {
         setSessionId(selectedSessionId);  // Set active session
+        setAmbulanceDispatch(null);
         setMessages(response.data.data.messages || []);  // Load messages
         setShowHistory(false);  // Hide history panel
         console.log('✅ History loaded:', response.data.data.messages?.length, 'messages');
@@ -226,12 +300,13 @@ function MedicalChatbot() {
   };
 
   /**
-   * Send user message to AI and handle response
+   * Send user message to AI and stream the response
    * @async
    * @function sendMessage
    * @param {string} message - User's message text
-   * @description Sends message to AI, handles response, and updates chat interface
-   * with proper error handling and loading states
+   * @description Sends message to AI and shows the reply as it is generated
+   * (Server-Sent Events). The reply is only saved by the server once complete;
+   * a cancelled reply stays visible here, marked as stopped.
    */
   const sendMessage = async (message) => {
     // Validate active session
@@ -253,52 +328,98 @@ function MedicalChatbot() {
     };
     setMessages(prev => [...prev, userMessage]);
 
-    try {
-      // Send message to AI via API
-      const response = await api.post('/chatbot/message', {
-        sessionId,
-        message
+    // Update the reply being streamed, which is always the last message
+    const updateReply = (changes) => {
+      setMessages(prev => {
+        const last = prev[prev.length - 1];
+        if (!last?.streaming) return prev;
+        return [...prev.slice(0, -1), { ...last, ...changes(last) }];
       });
+    };
 
-      // Extract AI response data
-      const { 
-        response: aiResponse,        // AI's message content
-        messageType,                 // Message type (text/emergency/analysis)
-        followUpQuestions: newFollowUp  // Suggested follow-up questions
-      } = response.data.data;
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+    setStreaming(true);
 
-      // Add AI response to chat interface
-      const aiMessage = {
-        role: 'assistant',
-        content: aiResponse,
-        timestamp: new Date(),
-        messageType: messageType || 'text'  // Default to text type
-      };
-      setMessages(prev => [...prev, aiMessage]);
+    try {
+      const response = await fetch(`${api.defaults.baseURL}/chatbot/message/stream`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ sessionId, message }),
+        signal: controller.signal
+      });
 
-      // Update follow-up suggestions if provided
-      if (newFollowUp && newFollowUp.length > 0) {
-        setFollowUpQuestions(newFollowUp);
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
       }
 
+      await readEventStream(response, (event, data) => {
+        if (event === 'start') {
+          // Add the AI reply, filled in as tokens arrive
+          setMessages(prev => [...prev, {
+            role: 'assistant',
+            content: '',
+            timestamp: new Date(),
+            messageType: data.messageType || 'text',
+            citations: data.citations || [],
+            triage: data.triage,
+            streaming: true
+          }]);
+        } else if (event === 'token') {
+          updateReply(last => ({ content: last.content + data.text }));
+        } else if (event === 'done') {
+          updateReply(() => ({
+            content: data.response,
+            timestamp: data.timestamp,
+            citations: data.citations || [],
+            doctorRecommendation: data.doctorRecommendation,
+            streaming: false
+          }));
+        } else if (event === 'error') {
+          throw new Error(data.message);
+        }
+      });
+
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep what was generated so far, marked as stopped
+        updateReply(() => ({ streaming: false, stopped: true }));
+        setMessages(prev => prev.filter(msg => !(msg.stopped && !msg.content)));
+        return;
+      }
+
       // Handle API errors gracefully
       console.error('Error sending message:', error);
       
-      // Show error message in chat interface
-      const errorMessage = {
-        role: 'assistant',
-        content: 'Sorry, I encountered an error processing your message. Please try again.',
-        timestamp: new Date(),
-        messageType: 'text'
-      };
-      setMessages(prev => [...prev, errorMessage]);
+      // Replace any partial reply with an error message
+      setMessages(prev => [
+        ...prev.filter(msg => !msg.streaming),
+        {
+          role: 'assistant',
+          content: 'Sorry, I encountered an error processing your message. Please try again.',
+          timestamp: new Date(),
+          messageType: 'text'
+        }
+      ]);
     } finally {
       // Reset loading state
+      streamControllerRef.current = null;
+      setStreaming(false);
       setLoading(false);
     }
   };
 
+  /**
+   * Stop the reply that is being generated
+   * @function cancelGeneration
+   */
+  const cancelGeneration = () => {
+    streamControllerRef.current?.abort();
+  };
+
   /**
    * Handle medical document upload and analysis
    * @async
@@ -348,7 +469,8 @@ function MedicalChatbot() {
         role: 'assistant',
         content: `📊 **Medical Document Analysis**\n\n${response.data.analysis}`,
         timestamp: new Date(),
-        messageType: 'file_analysis'  // Special type for document analysis
+        messageType: 'file_analysis',  // Special type for document analysis
+        labResults: response.data.observations || []  // Lab values read from the report
       };
 
       // Update chat with upload and analysis messages
@@ -364,6 +486,141 @@ function MedicalChatbot() {
     }
   };
 
+  /**
+   * Run a quick symptom check
+   * @async
+   * @function checkSymptoms
+   * @param {string} symptoms - Description of the symptoms
+   * @param {number} [age] - Age in years of the person with the symptoms
+   * @description Gets the triage level, warning signs and a short assessment
+   * without adding anything to the chat
+   */
+  const checkSymptoms = async (symptoms, age) => {
+    setCheckingSymptoms(true);
+
+    try {
+      const response = await api.post('/chatbot/symptom-check', { symptoms, age });
+      setSymptomResult(response.data.data);
+    } catch (error) {
+      console.error('❌ Error checking symptoms:', error);
+      alert(error.response?.data?.message || 'Failed to check symptoms. Please try again.');
+    } finally {
+      setCheckingSymptoms(false);
+    }
+  };
+
+  /**
+   * Suggest doctors for the conversation so far
+   * @async
+   * @function findDoctors
+   * @description Adds a reply with doctors of the fitting specialization;
+   * it is shown only here, not saved to the conversation
+   */
+  const findDoctors = async () => {
+    if (!sessionId) return;
+    setFindingDoctors(true);
+
+    try {
+      const response = await api.get(`/chatbot/session/${sessionId}/doctors`);
+      const recommendation = response.data.data;
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: recommendation.doctors.length > 0
+          ? 'Based on our conversation, these doctors can help. You can book one of them below.'
+          : 'I could not find one of our doctors taking appointments for this right now.',
+        timestamp: new Date(),
+        messageType: 'doctor_recommendation',
+        doctorRecommendation: recommendation
+      }]);
+    } catch (error) {
+      console.error('❌ Error finding doctors:', error);
+      alert(error.response?.data?.message || 'Failed to find doctors. Please try again.');
+    } finally {
+      setFindingDoctors(false);
+    }
+  };
+
+  /**
+   * Request an ambulance from an emergency alert
+   * @async
+   * @function requestAmbulance
+   * @param {Object} alertMessage - The emergency alert message
+   * @description Uses the browser location and the warning signs behind the
+   * alert. When the location is unavailable the user places it on a map first.
+   */
+  const requestAmbulance = async (alertMessage) => {
+    const emergencyType = ambulanceEmergencyType(alertMessage.triage);
+    setPickedLocation(null);
+    setAmbulanceDispatch({ status: 'locating', emergencyType });
+
+    if (!navigator.geolocation) {
+      setAmbulanceDispatch({ status: 'picking', emergencyType });
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        const { latitude, longitude } = position.coords;
+        const pickupLocation = await describeLocation(latitude, longitude);
+        submitAmbulanceRequest(emergencyType, { latitude, longitude }, pickupLocation);
+      },
+      (error) => {
+        console.error('Geolocation error:', error);
+        setAmbulanceDispatch({ status: 'picking', emergencyType });
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
+  /**
+   * Create the ambulance request, linked to this conversation
+   * @async
+   * @function submitAmbulanceRequest
+   * @param {string} emergencyType - Emergency type for the dispatcher
+   * @param {{latitude: number, longitude: number}} coordinates - Pickup position
+   * @param {string} pickupLocation - Pickup address
+   */
+  const submitAmbulanceRequest = async (emergencyType, coordinates, pickupLocation) => {
+    setAmbulanceDispatch({ status: 'sending', emergencyType, pickupLocation });
+
+    try {
+      const response = await createAmbulanceRequest({
+        name: user.name,
+        phone: user.phone,
+        emergencyType,
+        coordinates,
+        pickupLocation,
+        chatSessionId: sessionId
+      });
+      setAmbulanceDispatch({
+        status: 'sent',
+        emergencyType,
+        pickupLocation,
+        requestId: response.data._id
+      });
+    } catch (error) {
+      console.error('❌ Error requesting ambulance:', error);
+      setAmbulanceDispatch({
+        status: 'failed',
+        emergencyType,
+        message: error.message || 'Failed to request an ambulance.'
+      });
+    }
+  };
+
+  /**
+   * Request the ambulance at the location placed on the map
+   * @function confirmPickedLocation
+   */
+  const confirmPickedLocation = () => {
+    const [latitude, longitude] = pickedLocation.coordinates;
+    submitAmbulanceRequest(
+      ambulanceDispatch.emergencyType,
+      { latitude, longitude },
+      pickedLocation.address || `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`
+    );
+  };
+
   /**
    * Format date for user-friendly display
    * @function formatDate
@@ -416,6 +673,23 @@ function MedicalChatbot() {
         
         {/* Control Buttons */}
         <div className="header-right">
+          {/* Symptom Checker Toggle Button */}
+          <button
+            className={`symptom-check-btn ${showSymptomChecker ? 'active' : ''}`}
+            onClick={() => setShowSymptomChecker(!showSymptomChecker)}
+          >
+            🩺 Symptom Check
+          </button>
+
+          {/* Doctor Suggestions Button */}
+          <button
+            className="find-doctor-btn"
+            onClick={findDoctors}
+            disabled={findingDoctors || loading || !messages.some(msg => msg.role === 'user')}
+          >
+            {findingDoctors ? '⏳ Finding...' : '👨‍⚕️ Find a Doctor'}
+          </button>
+
           {/* Chat History Toggle Button */}
           <button
             className={`history-btn ${showHistory ? 'active' : ''}`}
@@ -498,6 +772,41 @@ function MedicalChatbot() {
         ) : (
           /* ========== Active Chat View ========== */
           <div className="chat-view">
+            {/* Symptom Checker Component */}
+            {showSymptomChecker && (
+              <div className="symptom-checker-section">
+                <SymptomChecker
+                  onSymptomCheck={checkSymptoms}
+                  loading={checkingSymptoms}
+                  result={symptomResult}
+                />
+              </div>
+            )}
+
+            {/* Pickup location for an ambulance when the browser could not give one */}
+            {ambulanceDispatch?.status === 'picking' && (
+              <div className="ambulance-location-section">
+                <h3>🚑 Where should the ambulance come?</h3>
+                <p>We could not get your location. Drag the marker or search for the address.</p>
+                <LocationPicker onLocationSelect={setPickedLocation} />
+                <div className="ambulance-location-actions">
+                  <button
+                    className="ambulance-cancel-btn"
+                    onClick={() => setAmbulanceDispatch(null)}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    className="ambulance-confirm-btn"
+                    onClick={confirmPickedLocation}
+                    disabled={!pickedLocation}
+                  >
+                    Request ambulance here
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* File Upload Component */}
             <div className="file-upload-section">
               <FileUploader
@@ -512,6 +821,9 @@ function MedicalChatbot() {
               <ChatInterface
                 messages={messages}
                 onSendMessage={sendMessage}
+                onCancel={streaming ? cancelGeneration : undefined}
+                onRequestAmbulance={requestAmbulance}
+                ambulanceDispatch={ambulanceDispatch}
                 loading={loading}
                 followUpQuestions={followUpQuestions}
               />
@@ -569,6 +881,8 @@ function MedicalChatbot() {
           gap: 12px;
         }
 
+        .symptom-check-btn,
+        .find-doctor-btn,
         .history-btn,
         .new-chat-btn {
           padding: 12px 20px;
@@ -580,12 +894,20 @@ function MedicalChatbot() {
           transition: all 0.2s;
         }
 
-        /* History Button States */
+        /* History and Symptom Check Button States */
+        .symptom-check-btn:hover,
+        .find-doctor-btn:hover:not(:disabled),
         .history-btn:hover {
           border-color: #3b82f6;
           background: #eff6ff;
         }
 
+        .find-doctor-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .symptom-check-btn.active,
         .history-btn.active {
           background: #3b82f6;
           color: white;
@@ -742,10 +1064,61 @@ function MedicalChatbot() {
           padding: 24px;
         }
 
+        .symptom-checker-section,
         .file-upload-section {
           margin-bottom: 24px;
         }
 
+        /* Ambulance Pickup Location */
+        .ambulance-location-section {
+          background: white;
+          border: 2px solid #ef4444;
+          border-radius: 12px;
+          padding: 20px;
+          margin-bottom: 24px;
+        }
+
+        .ambulance-location-section h3 {
+          margin: 0 0 4px 0;
+          color: #dc2626;
+        }
+
+        .ambulance-location-section p {
+          margin: 0 0 12px 0;
+          color: #64748b;
+        }
+
+        .ambulance-location-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 16px;
+        }
+
+        .ambulance-cancel-btn,
+        .ambulance-confirm-btn {
+          padding: 10px 20px;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .ambulance-cancel-btn {
+          border: 2px solid #e2e8f0;
+          background: white;
+        }
+
+        .ambulance-confirm-btn {
+          border: none;
+          background: #dc2626;
+          color: white;
+        }
+
+        .ambulance-confirm-btn:disabled {
+          background: #fca5a5;
+          cursor: not-allowed;
+        }
+
         /* Responsive Design */
         @media (max-width: 768px) {
           .medical-chatbot {
@@ -123,6 +123,18 @@ const MedicineDetails = () => {
               <div className="mb-6">
                 <p className="text-3xl font-bold text-blue-600 mb-2">${medicine.price}</p>
                 <p className="text-gray-500">{medicine.dosageMg}mg</p>
+                {medicine.inStock ? (
+                  medicine.stock <= medicine.lowStockThreshold && (
+                    <p className="mt-2 text-sm text-orange-600">Only {medicine.stock} left in stock</p>
+                  )
+                ) : (
+                  <p className="mt-2 text-sm font-medium text-red-600">Out of stock</p>
+                )}
+                {medicine.requiresPrescription && (
+                  <p className="mt-2 text-sm text-red-700 bg-red-50 px-3 py-2 rounded">
+                    Prescription required. Attach your prescription at checkout; a pharmacist verifies it before the order is confirmed.
+                  </p>
+                )}
               </div>
 
               <div className="mb-6">
@@ -156,11 +168,12 @@ const MedicineDetails = () => {
               </div>
 
               <button 
-                className="w-full bg-blue-500 text-white px-6 py-3 rounded-lg hover:bg-blue-600 flex items-center justify-center gap-2 transition-colors"
+                className="w-full bg-blue-500 text-white px-6 py-3 rounded-lg hover:bg-blue-600 flex items-center justify-center gap-2 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
                 onClick={handleAddToCart}
+                disabled={!medicine.inStock}
               >
                 <BsCart3 size={20} />
-                Add to Cart
+                {medicine.inStock ? 'Add to Cart' : 'Out of Stock'}
               </button>
             </div>
           </div>
@@ -336,14 +336,25 @@ const Pharmacy = () => {
                             {item.dosageMg}mg
                           </span>
                         )}
+                        {item.requiresPrescription && (
+                          <span className="text-xs text-red-700 bg-red-100 px-2 py-0.5 rounded" title="Prescription required">
+                            Rx only
+                          </span>
+                        )}
                       </div>
-                      <button 
-                        className="flex items-center gap-2 bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-all"
-                        onClick={(e) => handleAddToCart(e, item)}
-                      >
-                        <BsCart3 />
-                        Add to Cart
-                      </button>
+                      {item.inStock ? (
+                        <button 
+                          className="flex items-center gap-2 bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-all"
+                          onClick={(e) => handleAddToCart(e, item)}
+                        >
+                          <BsCart3 />
+                          Add to Cart
+                        </button>
+                      ) : (
+                        <span className="text-sm font-medium text-gray-500 bg-gray-100 px-4 py-2 rounded-lg">
+                          Out of stock
+                        </span>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -1,10 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BASE_URL } from '../config';
 import { toast } from 'react-toastify';
 import HashLoader from 'react-spinners/HashLoader';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 
 const SidePanel = ({ doctor }) => {
+  // Problem summary handed over when booking from the AI assistant
+  const chatbotProblem = useLocation().state?.problem || '';
   const [loading, setLoading] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [visitType, setVisitType] = useState('first');
@@ -12,8 +14,11 @@ const SidePanel = ({ doctor }) => {
   const [formData, setFormData] = useState({
     appointmentDate: '',
     appointmentTime: '',
-    problem: ''
+    problem: chatbotProblem
   });
+  const [slots, setSlots] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [minAdvanceDays, setMinAdvanceDays] = useState(2);
 
   const navigate = useNavigate();
 
@@ -21,6 +26,57 @@ const SidePanel = ({ doctor }) => {
     checkVisitType();
   }, [doctor._id]);
 
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      const res = await fetch(`${BASE_URL}/bookings/policy`);
+      const data = await res.json();
+      if (res.ok) {
+        setMinAdvanceDays(data.data.minAdvanceDays);
+      }
+    } catch (err) {
+      console.error('Error fetching booking policy:', err);
+    }
+  };
+
+  const fetchSlots = useCallback(async (date) => {
+    setSlotsLoading(true);
+    try {
+      const res = await fetch(`${BASE_URL}/doctors/${doctor._id}/slots?date=${date}`);
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.message || 'Failed to load time slots');
+      }
+
+      setSlots(data.data.slots);
+
+      // Drop the chosen time if it is no longer free on this date
+      setFormData(prev => {
+        const stillFree = data.data.slots.some(slot => slot.start === prev.appointmentTime && slot.available);
+        return stillFree ? prev : { ...prev, appointmentTime: '' };
+      });
+    } catch (err) {
+      setSlots([]);
+      toast.error(err.message);
+    } finally {
+      setSlotsLoading(false);
+    }
+  }, [doctor._id]);
+
+  useEffect(() => {
+    if (formData.appointmentDate) {
+      fetchSlots(formData.appointmentDate);
+    } else {
+      setSlots([]);
+    }
+  }, [fetchSlots, formData.appointmentDate]);
+
+  const selectedSlot = slots.find(slot => slot.start === formData.appointmentTime);
+
   const checkVisitType = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -53,7 +109,7 @@ const SidePanel = ({ doctor }) => {
 
   const getTomorrowDate = () => {
     const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 3);
+    tomorrow.setDate(tomorrow.getDate() + minAdvanceDays + 1);
     return tomorrow.toISOString().split('T')[0];
   };
 
@@ -68,10 +124,10 @@ const SidePanel = ({ doctor }) => {
     
     const selectedDate = new Date(formData.appointmentDate);
     const minDate = new Date();
-    minDate.setDate(minDate.getDate() + 2);
+    minDate.setDate(minDate.getDate() + minAdvanceDays);
     
     if (selectedDate < minDate) {
-      toast.error('Please select a date at least 2 days in advance');
+      toast.error(`Please select a date at least ${minAdvanceDays} days in advance`);
       return;
     }
 
@@ -98,10 +154,10 @@ const SidePanel = ({ doctor }) => {
 
       const selectedDate = new Date(formData.appointmentDate);
       const minDate = new Date();
-      minDate.setDate(minDate.getDate() + 2);
+      minDate.setDate(minDate.getDate() + minAdvanceDays);
       
       if (selectedDate < minDate) {
-        toast.error('Please select a date at least 2 days in advance');
+        toast.error(`Please select a date at least ${minAdvanceDays} days in advance`);
         setLoading(false);
         return;
       }
@@ -123,6 +179,10 @@ const SidePanel = ({ doctor }) => {
       const data = await res.json();
 
       if (!res.ok) {
+        // Someone else took the slot in the meantime
+        if (res.status === 409) {
+          fetchSlots(formData.appointmentDate);
+        }
         throw new Error(data.message || 'Something went wrong');
       }
 
@@ -134,6 +194,7 @@ const SidePanel = ({ doctor }) => {
           appointmentTime: '',
           problem: ''
         });
+        setSlots([]);
       }
     } catch (err) {
       toast.error(err.message);
@@ -151,7 +212,7 @@ const SidePanel = ({ doctor }) => {
         
         <div className="mb-4 p-3 bg-blue-50 rounded-lg">
           <p className="text-sm text-blue-800">
-            Note: Appointments must be booked at least 2 days in advance.
+            Note: Appointments must be booked at least {minAdvanceDays} days in advance.
           </p>
         </div>
 
@@ -173,7 +234,7 @@ const SidePanel = ({ doctor }) => {
         )}
         <ul className="mb-6 text-sm">
           <li className="mb-2">• Date: {formData.appointmentDate}</li>
-          <li className="mb-2">• Time: {formData.appointmentTime}</li>
+          <li className="mb-2">• Time: {selectedSlot ? selectedSlot.label : formData.appointmentTime}</li>
           <li className="mb-2">• Problem: {formData.problem}</li>
           <li className="mb-2">• Visit Type: {
             visitType === 'first' ? 'First Visit' :
@@ -241,20 +302,30 @@ const SidePanel = ({ doctor }) => {
             Available Time Slots:
           </p>
           <ul className="mt-3">
-            {doctor.timeSlots && doctor.timeSlots.length > 0 ? (
-              doctor.timeSlots.map((timeSlot, index) => (
-                <li key={index} className="flex items-center justify-between mb-2">
+            {!formData.appointmentDate ? (
+              <li className="text-[15px] leading-6 text-textColor">
+                Select a date to see free slots
+              </li>
+            ) : slotsLoading ? (
+              <li className="text-[15px] leading-6 text-textColor">
+                Loading slots...
+              </li>
+            ) : slots.length > 0 ? (
+              slots.map((slot) => (
+                <li key={slot.start} className="flex items-center justify-between mb-2">
                   <p className="text-[15px] leading-6 text-textColor font-semibold">
-                    {timeSlot}
+                    {slot.label}
                   </p>
-                  <p className="text-[15px] leading-6 text-textColor font-semibold text-green-500">
-                    Available
+                  <p className={`text-[15px] leading-6 font-semibold ${
+                    slot.available ? 'text-green-500' : 'text-red-500'
+                  }`}>
+                    {slot.available ? 'Available' : 'Booked'}
                   </p>
                 </li>
               ))
             ) : (
               <li className="text-[15px] leading-6 text-textColor">
-                No time slots available
+                No time slots available on this date
               </li>
             )}
           </ul>
@@ -266,7 +337,7 @@ const SidePanel = ({ doctor }) => {
               <label className="text-textColor font-semibold block mb-2">
                 Select Date
                 <span className="text-sm text-gray-500 ml-2">
-                  (Minimum 2 days advance booking required)
+                  (Minimum {minAdvanceDays} days advance booking required)
                 </span>
               </label>
               <input
@@ -286,17 +357,18 @@ const SidePanel = ({ doctor }) => {
                 name="appointmentTime"
                 value={formData.appointmentTime}
                 onChange={handleInputChange}
+                disabled={!formData.appointmentDate || slotsLoading}
                 className="w-full px-4 py-3 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor rounded-md cursor-pointer"
                 required
               >
-                <option value="">Select Time</option>
-                {doctor.timeSlots && doctor.timeSlots.length > 0 && 
-                  doctor.timeSlots.map((timeSlot, index) => (
-                    <option key={index} value={timeSlot}>
-                      {timeSlot}
-                    </option>
-                  ))
-                }
+                <option value="">
+                  {formData.appointmentDate ? 'Select Time' : 'Select a date first'}
+                </option>
+                {slots.map((slot) => (
+                  <option key={slot.start} value={slot.start} disabled={!slot.available}>
+                    {slot.label}{!slot.available ? ' (Booked)' : ''}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -310,6 +382,11 @@ const SidePanel = ({ doctor }) => {
                 className="w-full px-4 py-3 border-b border-solid border-[#0066ff61] focus:outline-none focus:border-b-primaryColor text-[16px] leading-7 text-headingColor placeholder:text-textColor rounded-md cursor-pointer"
                 required
               />
+              {chatbotProblem && formData.problem === chatbotProblem && (
+                <p className="text-[13px] text-textColor mt-1">
+                  Filled in from your conversation with the AI assistant. Edit it as you like.
+                </p>
+              )}
             </div>
 
             <button
@@ -6,6 +6,9 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
     const role = localStorage.getItem('role');
 
     if (!token) {
+        if (role === 'driver' || allowedRoles?.includes('driver')) {
+            return <Navigate to="/driver/login" replace={true} />;
+        }
         return <Navigate to={role === 'admin' ? '/admin/login' : '/login'} replace={true} />;
     }
 
@@ -107,43 +107,35 @@ export const updateDriverStatus = async (driverId, status) => {
   }
 };
 
-// Update driver location
-export const updateDriverLocation = async (driverId, latitude, longitude) => {
+// Update driver location; heading in degrees from north is optional
+export const updateDriverLocation = async (driverId, latitude, longitude, heading) => {
   try {
-    const response = await axiosInstance.put(`/ambulance/drivers/${driverId}/location`, { latitude, longitude });
+    const response = await axiosInstance.put(`/ambulance/drivers/${driverId}/location`, { latitude, longitude, heading });
     return response.data;
   } catch (error) {
     throw error.response?.data || error;
   }
 };
 
-// Get nearby drivers
+// Get nearby drivers, closest first; { latitude, longitude, radius? } with radius in meters
 export const getNearbyDrivers = async (coordinates) => {
   try {
-    const response = await axios.get(`${API_URL}/ambulance/nearby-drivers`, {
+    const response = await axiosInstance.get('/ambulance/drivers/nearby', {
       params: coordinates
     });
     return response.data;
   } catch (error) {
-    throw error;
+    throw error.response?.data || error;
   }
 };
 
-// Update request status
-export const updateRequestStatus = async (requestId, status) => {
+// Move an assigned request along: en_route, arrived, transporting or completed
+export const updateRequestStatus = async (requestId, status, note) => {
   try {
-    const response = await axios.patch(`${API_URL}/ambulance/request/${requestId}/status`, 
-      { status },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${localStorage.getItem('token')}`
-        }
-      }
-    );
+    const response = await axiosInstance.put(`/ambulance/request/${requestId}/status`, { status, note });
     return response.data;
   } catch (error) {
-    throw error;
+    throw error.response?.data || error;
   }
 };
 
@@ -205,4 +197,55 @@ export const cancelRequest = async (requestId) => {
     console.error('Error cancelling request:', error);
     throw error.response?.data || error;
   }
-}; 
\ No newline at end of file
+}; 
+// ==================== Driver app ====================
+
+// Sign in to the driver app with phone and password
+export const driverLogin = async (phone, password) => {
+  try {
+    const response = await axiosInstance.post('/ambulance/driver/login', { phone, password });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Signed-in driver's own record
+export const getMyDriverProfile = async () => {
+  try {
+    const response = await axiosInstance.get('/ambulance/driver/me');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Signed-in driver's open offers and active requests: { offers, active }
+export const getDriverRequests = async () => {
+  try {
+    const response = await axiosInstance.get('/ambulance/driver/requests');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Accept a dispatch offer made to the signed-in driver
+export const acceptOffer = async (requestId) => {
+  try {
+    const response = await axiosInstance.put(`/ambulance/request/${requestId}/offer/accept`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Decline a dispatch offer, passing it to the next closest driver
+export const declineOffer = async (requestId) => {
+  try {
+    const response = await axiosInstance.put(`/ambulance/request/${requestId}/offer/decline`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
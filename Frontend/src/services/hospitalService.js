@@ -0,0 +1,101 @@
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api/v1';
+
+// Create axios instance with default config
+const axiosInstance = axios.create({
+  baseURL: API_URL,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Add request interceptor to add auth token
+axiosInstance.interceptors.request.use(
+  (config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => {
+    return Promise.reject(error);
+  }
+);
+
+// Get hospitals in the directory (active only unless includeInactive is set)
+export const getHospitals = async (filters = {}) => {
+  try {
+    const response = await axiosInstance.get('/hospitals', { params: filters });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Get the hospitals best suited to an emergency near a pickup point
+export const suggestHospitals = async (coordinates, emergencyType) => {
+  try {
+    const response = await axiosInstance.get('/hospitals/suggest', {
+      params: {
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        emergencyType
+      }
+    });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Get the specialities hospitals can offer
+export const getHospitalSpecialities = async () => {
+  try {
+    const response = await axiosInstance.get('/hospitals/specialities');
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Add a hospital (admin only)
+export const createHospital = async (hospitalData) => {
+  try {
+    const response = await axiosInstance.post('/hospitals', hospitalData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Update hospital details (admin only)
+export const updateHospital = async (hospitalId, hospitalData) => {
+  try {
+    const response = await axiosInstance.put(`/hospitals/${hospitalId}`, hospitalData);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Update bed availability (admin only)
+export const updateHospitalBeds = async (hospitalId, available, total) => {
+  try {
+    const response = await axiosInstance.put(`/hospitals/${hospitalId}/beds`, { available, total });
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
+
+// Remove a hospital (admin only)
+export const deleteHospital = async (hospitalId) => {
+  try {
+    const response = await axiosInstance.delete(`/hospitals/${hospitalId}`);
+    return response.data;
+  } catch (error) {
+    throw error.response?.data || error;
+  }
+};
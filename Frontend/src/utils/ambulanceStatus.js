@@ -0,0 +1,48 @@
+export const ambulanceStatusLabels = {
+    pending: 'Pending',
+    offered: 'Finding Driver',
+    assigned: 'Assigned',
+    en_route: 'En Route',
+    arrived: 'Arrived',
+    transporting: 'Transporting',
+    completed: 'Completed'
+};
+
+export const ambulanceStatusColors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    offered: 'bg-orange-100 text-orange-800',
+    assigned: 'bg-blue-100 text-blue-800',
+    en_route: 'bg-indigo-100 text-indigo-800',
+    arrived: 'bg-purple-100 text-purple-800',
+    transporting: 'bg-pink-100 text-pink-800',
+    completed: 'bg-green-100 text-green-800'
+};
+
+// What the patient is told at each step
+export const ambulanceStatusMessages = {
+    pending: 'Your request is pending. A dispatcher is finding an available driver. You can cancel this request if needed.',
+    offered: 'Your request has been sent to the nearest available ambulance and we are waiting for the driver to accept. You can cancel this request if needed.',
+    assigned: 'A driver has been assigned to your request and is getting ready. You can still cancel if necessary.',
+    en_route: 'The ambulance is on its way to your location.',
+    arrived: 'The ambulance has arrived at the pickup location.',
+    transporting: 'You are being taken to the hospital.',
+    completed: 'This request has been completed.'
+};
+
+// Statuses where a driver has taken the request and is handling it
+export const ambulanceDriverStatuses = ['assigned', 'en_route', 'arrived', 'transporting'];
+
+// Next statuses a dispatcher can pick as the ambulance makes its way (mirrors the backend dispatch policy)
+export const ambulanceProgressTransitions = {
+    pending: [],
+    offered: [],
+    assigned: ['en_route', 'arrived', 'completed'],
+    en_route: ['arrived', 'completed'],
+    arrived: ['transporting', 'completed'],
+    transporting: ['completed'],
+    completed: []
+};
+
+// Seconds left for a driver to answer a dispatch offer
+export const offerSecondsLeft = (offer, now = Date.now()) =>
+    Math.max(0, Math.ceil((new Date(offer.expiresAt).getTime() - now) / 1000));
@@ -0,0 +1,35 @@
+/**
+ * Read a Server-Sent Events response body (e.g. from a fetch POST, which
+ * EventSource cannot send) and call onEvent for every event.
+ * @param {Response} response - fetch response with a text/event-stream body
+ * @param {function(string, Object): void} onEvent - Called with the event name and its parsed JSON data
+ * @returns {Promise<void>} Resolves when the stream ends; rejects with an AbortError if the fetch is aborted
+ */
+export const readEventStream = async (response, onEvent) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+        let event = 'message';
+        const data = [];
+        for (const line of block.split('\n')) {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+        }
+        if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        // Events end with a blank line; keep any incomplete one for the next read
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+
+    if (buffer.trim()) dispatch(buffer);
+};
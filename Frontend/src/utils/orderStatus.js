@@ -0,0 +1,30 @@
+export const orderStatusLabels = {
+    pending: 'Pending',
+    confirmed: 'Confirmed',
+    shipped: 'Shipped',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    return_requested: 'Return Requested',
+    returned: 'Returned'
+};
+
+export const orderStatusColors = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    confirmed: 'bg-blue-100 text-blue-800',
+    shipped: 'bg-purple-100 text-purple-800',
+    delivered: 'bg-green-100 text-green-800',
+    cancelled: 'bg-red-100 text-red-800',
+    return_requested: 'bg-orange-100 text-orange-800',
+    returned: 'bg-gray-200 text-gray-800'
+};
+
+// Next statuses an admin can pick from the status dropdown (mirrors the backend order policy)
+export const adminOrderTransitions = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    return_requested: [],
+    returned: [],
+    cancelled: []
+};